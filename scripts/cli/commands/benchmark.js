@@ -0,0 +1,339 @@
+/**
+ * Benchmark Commands
+ *
+ * CLI commands for benchmark jobs: run, watch, cancel, list
+ */
+
+import { readFileSync } from 'fs';
+import { generateTestData } from '../../../src/core/utils/testDataFactory.js';
+import { log, printTable } from '../../lib/cli-utils.js';
+import { getConfig } from '../../lib/config.js';
+import { BenchmarkClient } from '../../lib/benchmark-client.js';
+
+/**
+ * Parse CLI arguments into key-value pairs
+ */
+function parseArgs(args) {
+	const parsed = { positional: [] };
+
+	for (let i = 0; i < args.length; i++) {
+		const arg = args[i];
+		if (arg.startsWith('--')) {
+			const key = arg.slice(2);
+			const value = args[i + 1];
+			if (value && !value.startsWith('--')) {
+				parsed[key] = value;
+				i++; // Skip next arg
+			} else {
+				parsed[key] = true;
+			}
+		} else {
+			parsed.positional.push(arg);
+		}
+	}
+
+	return parsed;
+}
+
+/**
+ * Queue a benchmark job
+ *
+ * Usage: harper-ai benchmark run --taskType <type> --equivalenceGroup <group> [options]
+ */
+async function run(args) {
+	const parsed = parseArgs(args);
+
+	if (!parsed.taskType || !parsed.equivalenceGroup) {
+		log.error('Missing required options: --taskType, --equivalenceGroup');
+		console.log('\nUsage: harper-ai benchmark run --taskType <type> --equivalenceGroup <group> [options]');
+		console.log('\nOptions:');
+		console.log('  --iterations <n>      Timed iterations per model (default: 10)');
+		console.log('  --warmup <n>          Untimed warmup iterations per model (default: 1)');
+		console.log('  --concurrency <n>     Requests in flight per model (default: 1)');
+		console.log('  --samples <n>         Generated test samples (default: 5)');
+		console.log('  --testData <file>     JSON file with test samples (instead of generated ones)');
+		console.log('  --agreement [k]       Also compare embedding spaces (k nearest neighbours, default: 5)');
+		console.log('  --notes <text>        Notes stored with the result');
+		console.log('  --watch               Watch the job until it finishes');
+		console.log('\nExamples:');
+		console.log('  harper-ai benchmark run --taskType text-embedding --equivalenceGroup embeddings-384 --watch');
+		console.log(
+			'  harper-ai benchmark run --taskType classification --equivalenceGroup sentiment --testData labeled.json'
+		);
+		process.exit(1);
+	}
+
+	const config = getConfig(args);
+	const client = new BenchmarkClient(config.url, config.username, config.password);
+
+	try {
+		const testData =
+			typeof parsed.testData === 'string'
+				? JSON.parse(readFileSync(parsed.testData, 'utf-8'))
+				: generateTestData(parsed.taskType, parseInt(parsed.samples) || 5);
+
+		const data = {
+			taskType: parsed.taskType,
+			equivalenceGroup: parsed.equivalenceGroup,
+			testData,
+			iterations: parseInt(parsed.iterations) || 10,
+			runBy: 'harper-ai-cli',
+		};
+		if (parsed.warmup !== undefined) data.warmupIterations = parseInt(parsed.warmup);
+		if (parsed.concurrency) data.concurrency = parseInt(parsed.concurrency);
+		if (parsed.agreement) data.agreement = parsed.agreement === true ? true : { k: parseInt(parsed.agreement) };
+		if (typeof parsed.notes === 'string') data.notes = parsed.notes;
+
+		log.info(`Queueing benchmark for ${data.taskType} / ${data.equivalenceGroup}...`);
+
+		const result = await client.runBenchmark(data);
+
+		if (result.error) {
+			log.error(`Run failed: ${result.error}`);
+			process.exit(1);
+		}
+
+		console.log('');
+		log.success(`Benchmark job queued: ${result.jobId}`);
+		console.log(`Models: ${result.modelIds.join(', ')}`);
+
+		if (parsed.watch) {
+			console.log('');
+			await watchJob(client, result.jobId);
+		} else {
+			console.log('\nTrack progress with:');
+			console.log(`  harper-ai benchmark watch ${result.jobId}`);
+		}
+	} catch (error) {
+		log.error(`Run failed: ${error.message}`);
+		process.exit(1);
+	}
+}
+
+/**
+ * Watch benchmark progress with live updates
+ *
+ * Usage: harper-ai benchmark watch <jobId>
+ */
+async function watch(args) {
+	const parsed = parseArgs(args);
+	const [jobId] = parsed.positional;
+
+	if (!jobId) {
+		log.error('Missing job ID');
+		console.log('\nUsage: harper-ai benchmark watch <jobId>');
+		process.exit(1);
+	}
+
+	const config = getConfig(args);
+	const client = new BenchmarkClient(config.url, config.username, config.password);
+
+	try {
+		await watchJob(client, jobId);
+	} catch (error) {
+		console.log('\n');
+		log.error(`Watch failed: ${error.message}`);
+		process.exit(1);
+	}
+}
+
+/**
+ * Cancel a queued or running benchmark job
+ *
+ * Usage: harper-ai benchmark cancel <jobId>
+ */
+async function cancel(args) {
+	const parsed = parseArgs(args);
+	const [jobId] = parsed.positional;
+
+	if (!jobId) {
+		log.error('Missing job ID');
+		console.log('\nUsage: harper-ai benchmark cancel <jobId>');
+		process.exit(1);
+	}
+
+	const config = getConfig(args);
+	const client = new BenchmarkClient(config.url, config.username, config.password);
+
+	try {
+		const job = await client.cancelJob(jobId);
+
+		if (job.error) {
+			log.error(`Cancel failed: ${job.error}`);
+			process.exit(1);
+		}
+
+		if (job.status === 'cancelled') {
+			log.success(`Benchmark job ${jobId} cancelled`);
+		} else {
+			log.info(`Cancellation requested; job ${jobId} stops after the current prediction`);
+		}
+	} catch (error) {
+		log.error(`Cancel failed: ${error.message}`);
+		process.exit(1);
+	}
+}
+
+/**
+ * List benchmark jobs
+ *
+ * Usage: harper-ai benchmark list [--status <status>] [--limit <n>]
+ */
+async function list(args) {
+	const parsed = parseArgs(args);
+	const config = getConfig(args);
+	const client = new BenchmarkClient(config.url, config.username, config.password);
+
+	try {
+		const filters = {};
+		if (parsed.status) filters.status = parsed.status;
+		if (parsed.limit) filters.limit = parsed.limit;
+
+		const result = await client.listJobs(filters);
+
+		if (result.error) {
+			log.error(`List failed: ${result.error}`);
+			process.exit(1);
+		}
+
+		const jobs = result.jobs || [];
+
+		if (jobs.length === 0) {
+			log.info('No benchmark jobs found');
+			return;
+		}
+
+		console.log('');
+		log.info(`Found ${jobs.length} benchmark job(s)`);
+		console.log('');
+
+		const tableData = jobs.map((j) => [
+			j.id.substring(0, 8) + '...',
+			j.taskType,
+			j.equivalenceGroup,
+			formatStatus(j.status),
+			`${j.progress || 0}%`,
+			j.winner?.modelId || '-',
+			new Date(j.createdAt).toLocaleString(),
+		]);
+
+		printTable(tableData, ['Job ID', 'Task Type', 'Group', 'Status', 'Progress', 'Winner', 'Created']);
+
+		console.log('\nUse "harper-ai benchmark watch <jobId>" for details');
+	} catch (error) {
+		log.error(`List failed: ${error.message}`);
+		process.exit(1);
+	}
+}
+
+/**
+ * Poll a job, redrawing overall and per-model progress, until it finishes
+ */
+async function watchJob(client, jobId) {
+	log.info(`Watching benchmark job ${jobId}...`);
+	console.log('Press Ctrl+C to stop watching (the job keeps running)');
+	console.log('');
+
+	let linesDrawn = 0;
+
+	const job = await client.waitForJob(jobId, {
+		onUpdate: (update) => {
+			const lines = [
+				`${getStatusIcon(update.status)} ${update.status.padEnd(10)} ${createProgressBar(update.progress || 0)} ${update.progress || 0}%`,
+				...Object.entries(update.modelProgress || {}).map(([modelId, progress]) => {
+					const counts = progress.total ? ` ${progress.completed}/${progress.total}` : '';
+					return `   ${modelId.padEnd(30).substring(0, 30)} ${progress.phase}${counts}`;
+				}),
+			];
+
+			// Move the cursor back over the previous frame before redrawing
+			if (linesDrawn > 0) {
+				process.stdout.write(`\x1b[${linesDrawn}A`);
+			}
+			process.stdout.write(lines.map((line) => `\x1b[2K${line}`).join('\n') + '\n');
+			linesDrawn = lines.length;
+		},
+	});
+
+	console.log('');
+
+	if (job.status === 'completed') {
+		log.success(`Benchmark completed: ${job.resultId}`);
+		if (job.winner) {
+			const quality =
+				job.winner.qualityScore !== null && job.winner.qualityScore !== undefined
+					? `, quality ${job.winner.qualityScore.toFixed(3)}`
+					: '';
+			console.log(`Winner: ${job.winner.modelId} (${job.winner.avgLatency.toFixed(2)}ms avg${quality})`);
+		}
+		const agreement = job.result?.agreement;
+		if (agreement) {
+			const score = agreement.minScore === null ? '' : `, lowest pair score ${agreement.minScore.toFixed(3)}`;
+			console.log(`Agreement: ${agreement.verdict}${score}`);
+		}
+		return job;
+	}
+
+	if (job.status === 'cancelled') {
+		log.warn(`Benchmark job ${jobId} was cancelled`);
+		process.exit(1);
+	}
+
+	log.error(`Benchmark failed: ${job.lastError}`);
+	process.exit(1);
+}
+
+/**
+ * Format status with color
+ */
+function formatStatus(status) {
+	const colors = {
+		reset: '\x1b[0m',
+		green: '\x1b[32m',
+		yellow: '\x1b[33m',
+		red: '\x1b[31m',
+		blue: '\x1b[34m',
+	};
+
+	const statusColors = {
+		queued: colors.blue,
+		running: colors.yellow,
+		completed: colors.green,
+		failed: colors.red,
+		cancelled: colors.red,
+	};
+
+	const color = statusColors[status] || colors.reset;
+	return `${color}${status}${colors.reset}`;
+}
+
+/**
+ * Get status icon
+ */
+function getStatusIcon(status) {
+	const icons = {
+		queued: '⏳',
+		running: '⚙️ ',
+		completed: '✅',
+		failed: '❌',
+		cancelled: '🚫',
+	};
+
+	return icons[status] || '•';
+}
+
+/**
+ * Create a progress bar
+ */
+function createProgressBar(progress, width = 30) {
+	const filled = Math.round((progress / 100) * width);
+	const empty = width - filled;
+	return '[' + '█'.repeat(filled) + '░'.repeat(empty) + ']';
+}
+
+export default {
+	run,
+	watch,
+	cancel,
+	list,
+};
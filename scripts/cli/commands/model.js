@@ -49,6 +49,8 @@ async function inspect(args) {
 		console.log('  harper-ai model inspect filesystem test-fixtures/test-model.onnx');
 		console.log('  harper-ai model inspect huggingface Xenova/all-MiniLM-L6-v2 --variant quantized');
 		console.log('  harper-ai model inspect url https://example.com/model.onnx');
+		console.log('  harper-ai model inspect ollama nomic-embed-text');
+		console.log('  harper-ai model inspect s3 s3://models/minilm/');
 		process.exit(1);
 	}
 
@@ -119,7 +121,7 @@ async function fetch(args) {
 		console.log('  --name <name>              Model name (or --modelName)');
 		console.log('\nOptional:');
 		console.log('  --version <version>        Model version (or --modelVersion, default: v1)');
-		console.log('  --variant <variant>        Variant name (for HuggingFace)');
+		console.log('  --variant <variant>        Variant (HuggingFace; embeddings|chat for Ollama; file for S3)');
 		console.log('  --framework <framework>    Framework override');
 		console.log('  --stage <stage>            Stage (development|staging|production)');
 		console.log('  --webhook <url>            Webhook URL for notifications');
@@ -127,6 +129,8 @@ async function fetch(args) {
 		console.log('  harper-ai model fetch filesystem test-fixtures/test-model.onnx --name test-model');
 		console.log('  harper-ai model fetch huggingface Xenova/all-MiniLM-L6-v2 --name minilm --variant quantized');
 		console.log('  harper-ai model fetch url https://example.com/model.onnx --modelName remote-model --modelVersion v2');
+		console.log('  harper-ai model fetch ollama llama3.2:1b --name llama --variant chat');
+		console.log('  harper-ai model fetch s3 s3://models/minilm/ --name minilm --variant model_quantized');
 		process.exit(1);
 	}
 
@@ -13,6 +13,10 @@
  *   harper-ai job get <jobId>
  *   harper-ai job watch <jobId>
  *   harper-ai job retry <jobId>
+ *   harper-ai benchmark run --taskType <type> --equivalenceGroup <group> [--watch]
+ *   harper-ai benchmark watch <jobId>
+ *   harper-ai benchmark cancel <jobId>
+ *   harper-ai benchmark list [--status <status>]
  *
  * Global options:
  *   --url <url>       Harper instance URL (default: http://localhost:9926)
@@ -49,6 +53,10 @@ try {
 			await handleJobCommand(subcommand, remainingArgs);
 			break;
 
+		case 'benchmark':
+			await handleBenchmarkCommand(subcommand, remainingArgs);
+			break;
+
 		default:
 			log.error(`Unknown command: ${command}`);
 			console.log('\nRun "harper-ai --help" for usage information');
@@ -123,6 +131,36 @@ async function handleJobCommand(subcommand, args) {
 	}
 }
 
+/**
+ * Handle benchmark commands
+ */
+async function handleBenchmarkCommand(subcommand, args) {
+	const { default: benchmarkCommands } = await import('./commands/benchmark.js');
+
+	switch (subcommand) {
+		case 'run':
+			await benchmarkCommands.run(args);
+			break;
+
+		case 'watch':
+			await benchmarkCommands.watch(args);
+			break;
+
+		case 'cancel':
+			await benchmarkCommands.cancel(args);
+			break;
+
+		case 'list':
+			await benchmarkCommands.list(args);
+			break;
+
+		default:
+			log.error(`Unknown benchmark subcommand: ${subcommand}`);
+			console.log('\nAvailable benchmark commands: run, watch, cancel, list');
+			process.exit(1);
+	}
+}
+
 /**
  * Show help message
  */
@@ -145,6 +183,12 @@ COMMANDS:
     watch            Watch job progress (live updates)
     retry            Retry a failed job
 
+  benchmark          Benchmark jobs
+    run              Queue a benchmark of an equivalence group
+    watch            Watch benchmark progress (live updates)
+    cancel           Cancel a queued or running benchmark
+    list             List benchmark jobs
+
 EXAMPLES:
   # Inspect a model before downloading
   harper-ai model inspect filesystem test.onnx
@@ -159,6 +203,10 @@ EXAMPLES:
   # Watch a job's progress
   harper-ai job watch <jobId>
 
+  # Benchmark an equivalence group and watch it run
+  harper-ai benchmark run --taskType text-embedding \\
+    --equivalenceGroup embeddings-384 --iterations 50 --watch
+
 GLOBAL OPTIONS:
   --url <url>        Harper instance URL (default: http://localhost:9926)
   --token <token>    Model Fetch API token (or set MODEL_FETCH_TOKEN)
@@ -0,0 +1,129 @@
+/**
+ * Benchmark API Client
+ *
+ * Client library for queuing and tracking benchmark jobs from CLI scripts.
+ */
+
+export class BenchmarkClient {
+	constructor(baseUrl, username = undefined, password = undefined) {
+		this.baseUrl = baseUrl;
+		this.username = username;
+		this.password = password;
+	}
+
+	/**
+	 * Create fetch options with Basic Auth if credentials provided
+	 * @private
+	 */
+	_getFetchOptions(additionalOptions = {}) {
+		const options = {
+			...additionalOptions,
+			headers: {
+				...additionalOptions.headers,
+			},
+		};
+
+		// Add Basic Auth for Harper authentication if credentials provided
+		if (this.username && this.password) {
+			const auth = Buffer.from(`${this.username}:${this.password}`).toString('base64');
+			options.headers['Authorization'] = `Basic ${auth}`;
+		}
+
+		return options;
+	}
+
+	/**
+	 * Send a request and parse the JSON response
+	 * @private
+	 */
+	async _request(path, options = {}) {
+		const url = `${this.baseUrl}${path}`;
+
+		if (global.VERBOSE) {
+			console.log(`[VERBOSE] ${options.method || 'GET'} ${url}`);
+		}
+
+		const response = await fetch(url, this._getFetchOptions(options));
+
+		if (!response.ok) {
+			throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+		}
+
+		return await response.json();
+	}
+
+	/**
+	 * Queue a benchmark
+	 *
+	 * @param {Object} data - Benchmark request (taskType, equivalenceGroup, testData, iterations, ...)
+	 * @returns {Promise<Object>} { jobId, status, modelIds } or { error }
+	 */
+	async runBenchmark(data) {
+		return this._request('/Benchmark', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify(data),
+		});
+	}
+
+	/**
+	 * Get a benchmark job (completed jobs include `result`)
+	 *
+	 * @param {string} jobId - Job ID
+	 * @returns {Promise<Object>} Job status
+	 */
+	async getJob(jobId) {
+		const params = new URLSearchParams({ id: jobId });
+		return this._request(`/BenchmarkJobs?${params}`);
+	}
+
+	/**
+	 * List benchmark jobs
+	 *
+	 * @param {Object} filters - Optional filters (status, limit)
+	 * @returns {Promise<Object>} Jobs list
+	 */
+	async listJobs(filters = {}) {
+		const params = new URLSearchParams();
+		if (filters.status) params.append('status', filters.status);
+		if (filters.limit) params.append('limit', filters.limit);
+		return this._request(`/BenchmarkJobs?${params}`);
+	}
+
+	/**
+	 * Cancel a queued or running benchmark job
+	 *
+	 * @param {string} jobId - Job ID
+	 * @returns {Promise<Object>} Updated job
+	 */
+	async cancelJob(jobId) {
+		return this._request('/BenchmarkJobs', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({ jobId, action: 'cancel' }),
+		});
+	}
+
+	/**
+	 * Poll a job until it completes, fails or is cancelled
+	 *
+	 * @param {string} jobId - Job ID
+	 * @param {Object} [options]
+	 * @param {number} [options.intervalMs=1000] - Poll interval
+	 * @param {Function} [options.onUpdate] - Called with every polled job
+	 * @returns {Promise<Object>} Final job
+	 */
+	async waitForJob(jobId, { intervalMs = 1000, onUpdate } = {}) {
+		while (true) {
+			const job = await this.getJob(jobId);
+			if (job.error) {
+				throw new Error(job.error);
+			}
+			onUpdate?.(job);
+			if (['completed', 'failed', 'cancelled'].includes(job.status)) {
+				return job;
+			}
+			await new Promise((resolve) => setTimeout(resolve, intervalMs));
+		}
+	}
+}
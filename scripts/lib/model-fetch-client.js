@@ -36,7 +36,7 @@ export class ModelFetchClient {
 	/**
 	 * Inspect a model before downloading
 	 *
-	 * @param {string} source - Source type (filesystem, url, huggingface)
+	 * @param {string} source - Source type (filesystem, url, huggingface, ollama, s3)
 	 * @param {string} sourceReference - Source reference (path, URL, model ID)
 	 * @param {string} variant - Optional variant (for huggingface)
 	 * @returns {Promise<Object>} Model information
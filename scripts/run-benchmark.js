@@ -15,13 +15,14 @@
  * Flags:
  *   --all         Run all benchmark groups with 100 iterations each
  *   --no-prompt   Auto-save results without prompting (useful for automation/CI)
+ *   --agreement   Also report how interchangeable the models' embedding spaces are
  *
  * Features:
  *   - Interactive menu for selecting task type and equivalence group
  *   - --all flag to run all benchmark groups with sensible defaults (100 iterations)
  *   - --no-prompt flag to auto-save results without user interaction
  *   - Generates appropriate test data for each task type
- *   - Runs benchmarks via BenchmarkEngine
+ *   - Queues benchmark jobs and shows progress until they finish
  *   - Displays results in formatted table
  *   - Shows winner and performance comparison
  */
@@ -29,10 +30,12 @@
 import * as readline from 'readline';
 import { generateTestData } from '../src/core/utils/testDataFactory.js';
 import { log as cliLog } from './lib/cli-utils.js';
+import { BenchmarkClient } from './lib/benchmark-client.js';
 import { getConfig, getFetchOptions } from './lib/config.js';
 
 const config = getConfig(process.argv.slice(2));
 const BASE_URL = config.url;
+const client = new BenchmarkClient(BASE_URL, config.username, config.password);
 
 // Keep colors object for table formatting
 const colors = {
@@ -219,40 +222,34 @@ async function runBenchmark(group, iterations) {
 			iterations,
 			runBy: 'interactive-cli',
 			notes: `Interactive benchmark run with ${iterations} iterations`,
+			agreement: process.argv.includes('--agreement'),
 		};
 
-		const response = await fetch(
-			`${BASE_URL}/Benchmark`,
-			getFetchOptions(config, {
-				method: 'POST',
-				headers: { 'Content-Type': 'application/json' },
-				body: JSON.stringify(payload),
-			})
-		);
+		const queued = await client.runBenchmark(payload);
+		if (queued.error) {
+			throw new Error(queued.error);
+		}
 
-		const responseText = await response.text();
+		log(`Queued benchmark job ${queued.jobId}`, 'dim');
 
-		if (!response.ok) {
-			throw new Error(`HTTP ${response.status}: ${responseText}`);
-		}
+		// Benchmarks run as background jobs; poll until the job finishes
+		const job = await client.waitForJob(queued.jobId, {
+			onUpdate: (update) => {
+				process.stdout.write(`\r  ${update.status.padEnd(10)} ${String(update.progress || 0).padStart(3)}%`);
+			},
+		});
+		process.stdout.write('\n');
 
-		let result;
-		try {
-			result = responseText ? JSON.parse(responseText) : {};
-		} catch (_e) {
-			throw new Error(`Invalid JSON response: ${responseText.substring(0, 200)}`);
+		if (job.status !== 'completed') {
+			throw new Error(job.lastError || `Benchmark job ${job.status}`);
 		}
 
+		const result = job.result;
 		const duration = ((Date.now() - startTime) / 1000).toFixed(2);
 
-		// Check if we got an error in the response
-		if (result.error) {
-			throw new Error(result.error);
-		}
-
 		// Validate result structure
-		if (!result.comparisonId || !result.modelIds || !result.results) {
-			throw new Error(`Incomplete result from server: ${JSON.stringify(Object.keys(result))}`);
+		if (!result?.comparisonId || !result.modelIds || !result.results) {
+			throw new Error(`Incomplete result from server: ${JSON.stringify(Object.keys(result || {}))}`);
 		}
 
 		log(`✓ Benchmark completed in ${duration}s\n`, 'green');
@@ -329,6 +326,12 @@ function displayResults(result) {
 		log('\n' + '★'.repeat(80), 'green');
 		log(`  WINNER: ${result.winner.modelId} (${result.winner.framework})`, 'green');
 		log(`  Average Latency: ${formatLatency(result.winner.avgLatency)}`, 'green');
+		if (result.winner.qualityScore !== null && result.winner.qualityScore !== undefined) {
+			log(
+				`  Quality Score: ${result.winner.qualityScore.toFixed(3)} (${result.winnerPolicy.strategy} policy)`,
+				'green'
+			);
+		}
 
 		// Calculate speedup
 		const latencies = Object.values(result.results).map((m) => m.avgLatency);
@@ -343,6 +346,20 @@ function displayResults(result) {
 		log('★'.repeat(80) + '\n', 'green');
 	}
 
+	// Cross-model agreement
+	if (result.agreement) {
+		const { agreement } = result;
+		log(`Embedding Agreement (${agreement.textCount} texts, k=${agreement.k}): ${agreement.verdict}`, 'cyan');
+		for (const pair of agreement.pairs) {
+			const details =
+				pair.score === null
+					? pair.verdict
+					: `${pair.verdict} (score ${pair.score.toFixed(3)}, neighbour overlap ${pair.neighborOverlap.toFixed(3)}, Spearman ${(pair.spearman ?? 0).toFixed(3)})`;
+			log(`  ${pair.modelA} ↔ ${pair.modelB}: ${details}`, 'dim');
+		}
+		log('');
+	}
+
 	// Detailed metrics
 	log('Detailed Metrics:', 'cyan');
 	log('');
@@ -354,6 +371,20 @@ function displayResults(result) {
 		log(`${isWinner ? '★ ' : '  '}${modelId}:`, color);
 		log(`    Min: ${formatLatency(metrics.minLatency)}, Max: ${formatLatency(metrics.maxLatency)}`, 'dim');
 		log(`    Success: ${metrics.successCount}/${metrics.successCount + metrics.errorCount}`, 'dim');
+		if (metrics.throughput !== undefined) {
+			const rssMb = (metrics.memory.rssDeltaBytes / 1024 / 1024).toFixed(1);
+			log(`    Throughput: ${metrics.throughput.toFixed(1)} req/s, RSS delta: ${rssMb} MB`, 'dim');
+		}
+		if (metrics.quality?.score !== null && metrics.quality?.score !== undefined) {
+			const { score, classification, similarity, retrieval } = metrics.quality;
+			const parts = [`score ${score.toFixed(3)}`];
+			if (classification) parts.push(`F1 ${classification.macroF1.toFixed(3)}`);
+			if (similarity?.spearman !== null && similarity?.spearman !== undefined) {
+				parts.push(`Spearman ${similarity.spearman.toFixed(3)}`);
+			}
+			if (retrieval) parts.push(`nDCG ${retrieval.ndcgAtK.toFixed(3)}`);
+			log(`    Quality: ${parts.join(', ')}`, 'dim');
+		}
 		log('');
 	}
 }
@@ -4,15 +4,27 @@
  * Uses InferenceEngine for backend-agnostic predictions
  * - Supports ONNX, TensorFlow, and Ollama models
  * - Enable model selection at runtime
+ * - With an EmbeddingIndex, products indexed for the same model reuse their
+ *   stored embeddings; only the user query and unindexed products are embedded
  *
  * Example:
  *   const engine = new PersonalizationEngine({
  *     inferenceEngine: inferenceEngineInstance,
  *     modelName: 'universal-sentence-encoder',
- *     modelVersion: 'v1'
+ *     modelVersion: 'v1',
+ *     embeddingIndex, // optional
  *   });
  */
 
+import { itemText } from './core/EmbeddingIndex.js';
+import {
+	bm25Scores,
+	rankPositions,
+	reciprocalRankFusion,
+	resolveRanking,
+	weightedFusion,
+} from './core/utils/ranking.js';
+
 export class PersonalizationEngine {
 	constructor(options) {
 		if (!options?.inferenceEngine) {
@@ -25,6 +37,8 @@ export class PersonalizationEngine {
 		this.inferenceEngine = options.inferenceEngine;
 		this.modelName = options.modelName || 'universal-sentence-encoder';
 		this.modelVersion = options.modelVersion || 'v1';
+		this.embeddingIndex = options.embeddingIndex || null;
+		this.collection = options.collection || 'products';
 
 		this.initialized = false;
 		this.stats = {
@@ -56,23 +70,82 @@ export class PersonalizationEngine {
 			return [];
 		}
 
+		const embeddingData = await this.embedTexts(texts);
+		if (!embeddingData) {
+			return [];
+		}
+
+		// Calculate cosine similarity between first text (query) and others
+		const queryEmbedding = embeddingData[0];
+		return embeddingData.slice(1).map((embedding) => this.cosineSimilarity(queryEmbedding, embedding));
+	}
+
+	/**
+	 * Embed the user query and products, reusing stored product embeddings when indexed
+	 * @returns {Promise<Object|null>} { queryEmbedding, productEmbeddings } or null when the prediction failed
+	 */
+	async embedProducts(userQuery, products) {
+		if (!this.initialized) {
+			return null;
+		}
+
+		const stored = this.getStoredEmbeddings(products);
+		const missing = products.filter((product) => !stored.has(product));
+		const embeddingData = await this.embedTexts([userQuery, ...missing.map(itemText)]);
+		if (!embeddingData) {
+			return null;
+		}
+
+		const [queryEmbedding, ...missingEmbeddings] = embeddingData;
+		missing.forEach((product, idx) => stored.set(product, missingEmbeddings[idx]));
+		return { queryEmbedding, productEmbeddings: products.map((product) => stored.get(product)) };
+	}
+
+	/**
+	 * Stored embeddings for products with an id in the EmbeddingIndex
+	 * @returns {Map<Object, number[]>} product -> embedding
+	 */
+	getStoredEmbeddings(products) {
+		const stored = new Map();
+		if (!this.embeddingIndex) {
+			return stored;
+		}
+
+		const indexed = products.filter((product) => product.id !== undefined && product.id !== null);
+		const vectors = this.embeddingIndex.getVectors(
+			{ collection: this.collection, modelName: this.modelName, modelVersion: this.modelVersion },
+			indexed.map((product) => product.id)
+		);
+		for (const product of indexed) {
+			if (vectors.has(String(product.id))) {
+				stored.set(product, vectors.get(String(product.id)));
+			}
+		}
+		return stored;
+	}
+
+	/**
+	 * Embed texts with one prediction (one embedding per text)
+	 * @returns {Promise<number[][]|null>} Embeddings, or null when the prediction failed
+	 */
+	async embedTexts(texts) {
 		const startTime = Date.now();
 
 		try {
-			// Use InferenceEngine for predictions
-			const embeddingData = await this.inferenceEngine.predict(this.modelName, { texts }, this.modelVersion);
+			const result = await this.inferenceEngine.predict(this.modelName, { texts }, this.modelVersion);
+			const embeddingData = result.output.embeddings;
 
-			// Calculate cosine similarity between first text (query) and others
-			const queryEmbedding = embeddingData[0];
-			const similarities = embeddingData.slice(1).map((embedding) => this.cosineSimilarity(queryEmbedding, embedding));
+			if (!Array.isArray(embeddingData) || embeddingData.length !== texts.length) {
+				throw new Error(`Expected ${texts.length} embeddings, got ${embeddingData?.length ?? 0}`);
+			}
 
 			this.recordMetrics(Date.now() - startTime, true);
 
-			return similarities;
+			return embeddingData;
 		} catch (error) {
 			console.error('Similarity calculation failed:', error);
 			this.recordMetrics(Date.now() - startTime, false);
-			return [];
+			return null;
 		}
 	}
 
@@ -85,36 +158,117 @@ export class PersonalizationEngine {
 
 	/**
 	 * Enhance products with personalized scores based on user context
+	 *
+	 * With a profile vector (see UserProfileBuilder) the semantic score blends
+	 * similarity to the context query with similarity to the user's history:
+	 * (1 - profileWeight) * context + profileWeight * profile.
+	 *
+	 * With `ranking.fusion` set to 'weighted' or 'rrf', the semantic score is
+	 * fused with a BM25 keyword score of the user query against each product's
+	 * name, description and category (see utils/ranking.js), so exact terms such
+	 * as sizes and brands count. When embedding fails, hybrid ranking still
+	 * orders products by their keyword score.
+	 *
+	 * Products get a `scoreBreakdown` whenever a profile or hybrid ranking applies.
+	 *
+	 * @param {Array<Object>} products
+	 * @param {Object} userContext
+	 * @param {Object} [options]
+	 * @param {number[]} [options.profileVector] - User profile embedding from the same model
+	 * @param {number} [options.profileWeight=0.5] - Share of the semantic score taken from the profile (0-1)
+	 * @param {Object} [options.ranking] - { fusion: 'semantic' | 'weighted' | 'rrf', lexicalWeight, rrfK, k1, b }
+	 * @throws {Error} If ranking options are invalid
 	 */
-	async enhanceProducts(products, userContext) {
-		if (!products || products.length === 0) return products;
+	async enhanceProducts(products, userContext, options = {}) {
+		return (await this.scoreProducts(products, userContext, options)).products;
+	}
+
+	/**
+	 * Score products like enhanceProducts() and also return the product embeddings,
+	 * e.g. for diversity reranking
+	 * @returns {Promise<Object>} { products, embeddings (aligned with products, or null when embedding failed) }
+	 */
+	async scoreProducts(products, userContext, { profileVector = null, profileWeight = 0.5, ranking } = {}) {
+		if (!products || products.length === 0) return { products, embeddings: null };
+
+		const { fusion, lexicalWeight, rrfK, k1, b } = resolveRanking(ranking);
 
 		try {
 			// Build query from user context
 			const userQuery = this.buildUserQuery(userContext);
 
-			// Get product descriptions
-			const productTexts = products.map((p) => `${p.name || ''} ${p.description || ''} ${p.category || ''}`.trim());
+			// Embed query and products
+			const embedded = await this.embedProducts(userQuery, products);
+
+			const semantic = products.map((product, idx) => {
+				if (!embedded) {
+					return { score: 0 };
+				}
+
+				const productEmbedding = embedded.productEmbeddings[idx];
+				const context = this.cosineSimilarity(embedded.queryEmbedding, productEmbedding) || 0;
+				if (!profileVector || profileVector.length !== productEmbedding.length) {
+					return { score: context };
+				}
 
-			// Calculate similarities
-			const texts = [userQuery, ...productTexts];
-			const similarities = await this.calculateSimilarity(texts);
+				const profile = this.cosineSimilarity(profileVector, productEmbedding) || 0;
+				return {
+					score: (1 - profileWeight) * context + profileWeight * profile,
+					breakdown: { context, profile },
+				};
+			});
 
-			// Add similarity scores to products
-			return products.map((product, idx) => ({
-				...product,
-				personalizedScore: similarities[idx] || 0,
-				personalized: true,
-			}));
+			const embeddings = embedded?.productEmbeddings ?? null;
+			if (fusion === 'semantic') {
+				return {
+					products: products.map((product, idx) => ({
+						...product,
+						personalizedScore: semantic[idx].score,
+						personalized: true,
+						...(semantic[idx].breakdown && { scoreBreakdown: semantic[idx].breakdown }),
+					})),
+					embeddings,
+				};
+			}
+
+			// Hybrid: fuse with BM25 over the product text
+			const semanticScores = semantic.map(({ score }) => score);
+			const lexicalScores = bm25Scores(userQuery, products.map(itemText), { k1, b });
+			const semanticRanks = rankPositions(semanticScores);
+			const lexicalRanks = rankPositions(lexicalScores, { skipZero: true });
+			const fused =
+				fusion === 'rrf'
+					? reciprocalRankFusion(embedded ? [semanticRanks, lexicalRanks] : [lexicalRanks], rrfK)
+					: weightedFusion(semanticScores, lexicalScores, lexicalWeight);
+
+			return {
+				products: products.map((product, idx) => ({
+					...product,
+					personalizedScore: fused[idx],
+					personalized: true,
+					scoreBreakdown: {
+						...semantic[idx].breakdown,
+						semantic: semanticScores[idx],
+						lexical: lexicalScores[idx],
+						semanticRank: embedded ? semanticRanks[idx] : null,
+						lexicalRank: lexicalRanks[idx],
+					},
+				})),
+				embeddings,
+			};
 		} catch (error) {
 			console.error('Product enhancement failed:', error);
-			return products;
+			return { products, embeddings: null };
 		}
 	}
 
 	buildUserQuery(userContext) {
 		const parts = [];
 
+		// Free-text search terms, e.g. a brand or size
+		if (userContext.query) {
+			parts.push(userContext.query);
+		}
 		if (userContext.activityType) {
 			parts.push(userContext.activityType);
 		}
@@ -127,6 +281,9 @@ export class PersonalizationEngine {
 		if (userContext.location) {
 			parts.push(userContext.location);
 		}
+		if (Array.isArray(userContext.preferredCategories)) {
+			parts.push(...userContext.preferredCategories);
+		}
 
 		return parts.length > 0 ? parts.join(' ') : 'outdoor gear';
 	}
@@ -0,0 +1,349 @@
+/* global logger */
+
+import { v4 as uuidv4 } from 'uuid';
+import { claimLease } from './utils/lease.js';
+import { postWebhook } from './utils/webhook.js';
+
+// Comparison operators allowed in AlertRule.operator
+const OPERATORS = {
+	'>': (value, threshold) => value > threshold,
+	'>=': (value, threshold) => value >= threshold,
+	'<': (value, threshold) => value < threshold,
+	'<=': (value, threshold) => value <= threshold,
+};
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+// AlertRule.metric values: numeric MonitoringBackend.getMetrics() keys, plus driftScore
+const METRICS = [
+	'count',
+	'errorCount',
+	'errorRate',
+	'avgLatency',
+	'p50Latency',
+	'p95Latency',
+	'p99Latency',
+	'maxLatency',
+	'avgConfidence',
+	'accuracy',
+	'driftScore',
+];
+
+/**
+ * AlertEvaluator - Periodically check model health against AlertRules
+ *
+ * Each enabled AlertRule names a model, a metric, an operator/threshold pair,
+ * a severity and a cooldown. On every evaluation the rule's metric is read from:
+ * - `driftScore`: the most recent DriftMetrics result inside the rule window
+ * - anything else: the matching numeric key of MonitoringBackend.getMetrics()
+ *   over the rule window (e.g. avgLatency, p95Latency, errorRate, accuracy)
+ *
+ * When a rule fires an AlertEvent is stored and the payload is POSTed to the
+ * rule's webhookUrl (or ALERT_WEBHOOK_URL). A rule will not fire again until
+ * its cooldown has elapsed; `lastTriggeredAt` is written before delivery.
+ * Rules whose metric has no data are skipped.
+ *
+ * Every Harper thread has its own evaluator; only the one holding the
+ * `alert-evaluator` WorkerLease evaluates (see utils/lease.js).
+ *
+ * @class
+ * @example
+ * const evaluator = new AlertEvaluator(monitoringBackend, driftDetector);
+ * await evaluator.createRule({
+ *   name: 'minilm slow',
+ *   modelName: 'minilm',
+ *   metric: 'avgLatency',
+ *   operator: '>',
+ *   threshold: 250,
+ *   severity: 'warning',
+ * });
+ * evaluator.start(); // evaluates every ALERT_EVALUATION_INTERVAL ms
+ */
+export class AlertEvaluator {
+	/**
+	 * Create a new AlertEvaluator instance
+	 * @param {MonitoringBackend} monitoringBackend - Source of aggregate metrics
+	 * @param {DriftDetector} driftDetector - Source of drift scores
+	 * @param {Object} [tablesParam] - Optional tables object (defaults to global tables)
+	 * @param {Object} [options]
+	 * @param {number} [options.intervalMs] - Evaluation interval (default: ALERT_EVALUATION_INTERVAL or 60000)
+	 * @param {string} [options.defaultWebhookUrl] - Webhook for rules without one (default: ALERT_WEBHOOK_URL)
+	 * @param {number} [options.staleAfterMs] - Lease age after which another evaluator takes over (default: 3 intervals)
+	 */
+	constructor(monitoringBackend, driftDetector, tablesParam = null, options = {}) {
+		if (!monitoringBackend) {
+			throw new Error('Monitoring backend is required');
+		}
+		if (!driftDetector) {
+			throw new Error('Drift detector is required');
+		}
+		this.monitoringBackend = monitoringBackend;
+		this.driftDetector = driftDetector;
+		// Use provided tables or fall back to global tables (when running inside Harper)
+		this.tables = tablesParam || (typeof tables !== 'undefined' ? tables : null);
+		if (!this.tables) {
+			throw new Error('tables object is required (provide via constructor or global)');
+		}
+
+		this.intervalMs = options.intervalMs || parseInt(process.env.ALERT_EVALUATION_INTERVAL) || 60000;
+		this.defaultWebhookUrl = options.defaultWebhookUrl ?? process.env.ALERT_WEBHOOK_URL ?? null;
+		this.staleAfterMs = options.staleAfterMs ?? this.intervalMs * 3;
+
+		this.ownerId = uuidv4();
+		this.intervalHandle = null;
+		this.evaluating = false;
+	}
+
+	/**
+	 * Start periodic evaluation
+	 *
+	 * The timer is unref'd so it never keeps the process alive on its own.
+	 */
+	start() {
+		if (this.intervalHandle) {
+			return;
+		}
+		this.intervalHandle = setInterval(() => {
+			this.evaluate().catch((error) => logger.error('[AlertEvaluator] Evaluation failed:', error.message));
+		}, this.intervalMs);
+		this.intervalHandle.unref?.();
+		logger.info(`[AlertEvaluator] Started (every ${this.intervalMs}ms)`);
+	}
+
+	/**
+	 * Stop periodic evaluation
+	 */
+	stop() {
+		if (this.intervalHandle) {
+			clearInterval(this.intervalHandle);
+			this.intervalHandle = null;
+		}
+	}
+
+	/**
+	 * Validate and store a new alert rule
+	 *
+	 * @async
+	 * @param {Object} input - Rule definition
+	 * @param {string} input.modelName - Model to watch
+	 * @param {string} input.metric - Metric key: count, errorCount, errorRate, avgLatency, p50Latency,
+	 *   p95Latency, p99Latency, maxLatency, avgConfidence, accuracy or driftScore
+	 * @param {string} input.operator - One of >, >=, <, <=
+	 * @param {number} input.threshold - Threshold value
+	 * @param {string} [input.name] - Display name (defaults to "modelName metric operator threshold")
+	 * @param {string} [input.severity='warning'] - info | warning | critical
+	 * @param {number} [input.windowMs=3600000] - Metrics lookback window
+	 * @param {number} [input.cooldownMs=900000] - Minimum time between alerts for this rule
+	 * @param {string} [input.webhookUrl] - Per-rule webhook
+	 * @param {boolean} [input.enabled=true]
+	 * @returns {Promise<Object>} Stored AlertRule record
+	 * @throws {Error} If the rule is invalid
+	 */
+	async createRule(input) {
+		const { modelName, metric, operator, threshold } = input || {};
+		const severity = input?.severity || 'warning';
+
+		if (!modelName || !metric) {
+			throw new Error('modelName and metric are required');
+		}
+		if (!METRICS.includes(metric)) {
+			throw new Error(`metric must be one of: ${METRICS.join(', ')}`);
+		}
+		if (!OPERATORS[operator]) {
+			throw new Error(`operator must be one of: ${Object.keys(OPERATORS).join(', ')}`);
+		}
+		if (typeof threshold !== 'number' || Number.isNaN(threshold)) {
+			throw new Error('threshold must be a number');
+		}
+		if (!SEVERITIES.includes(severity)) {
+			throw new Error(`severity must be one of: ${SEVERITIES.join(', ')}`);
+		}
+
+		const rule = {
+			id: input.id || uuidv4(),
+			name: input.name || `${modelName} ${metric} ${operator} ${threshold}`,
+			modelName,
+			metric,
+			operator,
+			threshold,
+			severity,
+			windowMs: input.windowMs ?? 60 * 60 * 1000,
+			cooldownMs: input.cooldownMs ?? 15 * 60 * 1000,
+			webhookUrl: input.webhookUrl || null,
+			enabled: input.enabled ?? true,
+			lastTriggeredAt: null,
+			createdAt: Date.now(),
+		};
+
+		await this.tables.AlertRule.put(rule);
+
+		return rule;
+	}
+
+	/**
+	 * List alert rules
+	 * @async
+	 * @param {Object} [filters]
+	 * @param {string} [filters.modelName]
+	 * @returns {Promise<Object[]>} Rules, newest first
+	 */
+	async listRules(filters = {}) {
+		const rules = [];
+		const query = filters.modelName ? { modelName: filters.modelName } : {};
+		for await (const rule of this.tables.AlertRule.search(query)) {
+			rules.push(rule);
+		}
+		rules.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+		return rules;
+	}
+
+	/**
+	 * List fired alerts
+	 * @async
+	 * @param {Object} [filters]
+	 * @param {string} [filters.modelName]
+	 * @param {string} [filters.severity]
+	 * @param {number} [filters.limit=100]
+	 * @returns {Promise<Object[]>} AlertEvents, most recent first
+	 */
+	async getEvents(filters = {}) {
+		const events = [];
+		const query = filters.modelName ? { modelName: filters.modelName } : {};
+		for await (const event of this.tables.AlertEvent.search(query)) {
+			if (filters.severity && event.severity !== filters.severity) {
+				continue;
+			}
+			events.push(event);
+		}
+		events.sort((a, b) => b.timestamp - a.timestamp);
+		return events.slice(0, filters.limit || 100);
+	}
+
+	/**
+	 * Evaluate every enabled rule once
+	 *
+	 * Overlapping calls (e.g. a slow run still in progress when the timer fires)
+	 * and evaluators that do not hold the lease return immediately with no alerts.
+	 *
+	 * @async
+	 * @param {number} [now=Date.now()] - Evaluation time
+	 * @returns {Promise<Object[]>} AlertEvents fired during this run
+	 */
+	async evaluate(now = Date.now()) {
+		if (this.evaluating) {
+			return [];
+		}
+		this.evaluating = true;
+
+		try {
+			if (!(await claimLease(this.tables.WorkerLease, 'alert-evaluator', this.ownerId, this.staleAfterMs))) {
+				return [];
+			}
+
+			const rules = [];
+			for await (const rule of this.tables.AlertRule.search({})) {
+				if (rule.enabled !== false) {
+					rules.push(rule);
+				}
+			}
+
+			const fired = [];
+			for (const rule of rules) {
+				try {
+					const event = await this._evaluateRule(rule, now);
+					if (event) {
+						fired.push(event);
+					}
+				} catch (error) {
+					logger.error(`[AlertEvaluator] Rule ${rule.id} failed:`, error.message);
+				}
+			}
+			return fired;
+		} finally {
+			this.evaluating = false;
+		}
+	}
+
+	/**
+	 * Evaluate a single rule, firing an alert if it matches
+	 * @private
+	 * @returns {Promise<Object|null>} AlertEvent or null
+	 */
+	async _evaluateRule(rule, now) {
+		const compare = OPERATORS[rule.operator];
+		if (!compare) {
+			logger.warn(`[AlertEvaluator] Rule ${rule.id} has unknown operator '${rule.operator}' - skipping`);
+			return null;
+		}
+		if (!METRICS.includes(rule.metric)) {
+			logger.warn(`[AlertEvaluator] Rule ${rule.id} has unknown metric '${rule.metric}' - skipping`);
+			return null;
+		}
+
+		if (rule.lastTriggeredAt && now - rule.lastTriggeredAt < (rule.cooldownMs || 0)) {
+			return null;
+		}
+
+		const value = await this._readMetric(rule, now);
+		if (typeof value !== 'number' || Number.isNaN(value) || !compare(value, rule.threshold)) {
+			return null;
+		}
+
+		const event = {
+			id: uuidv4(),
+			ruleId: rule.id,
+			ruleName: rule.name,
+			modelName: rule.modelName,
+			metric: rule.metric,
+			value,
+			operator: rule.operator,
+			threshold: rule.threshold,
+			severity: rule.severity,
+			message: `${rule.name}: ${rule.metric}=${value} ${rule.operator} ${rule.threshold}`,
+			timestamp: now,
+		};
+
+		// Claim the firing before delivery: a firing stored since the rule was read wins
+		const current = await this.tables.AlertRule.get(rule.id);
+		if (!current || (current.lastTriggeredAt && now - current.lastTriggeredAt < (current.cooldownMs || 0))) {
+			return null;
+		}
+		await this.tables.AlertRule.put({ ...current, lastTriggeredAt: now });
+
+		// delivered stays null when no webhook is configured
+		const webhookUrl = rule.webhookUrl || this.defaultWebhookUrl;
+		event.delivered = webhookUrl ? await postWebhook(webhookUrl, event, '[AlertEvaluator]') : null;
+
+		await this.tables.AlertEvent.put(event);
+
+		logger.warn(`[AlertEvaluator] ${rule.severity.toUpperCase()} ${event.message}`);
+
+		return event;
+	}
+
+	/**
+	 * Read the rule's metric over its window
+	 * @private
+	 * @returns {Promise<number|null>} Metric value, or null when there is no data
+	 */
+	async _readMetric(rule, now) {
+		const windowStart = now - (rule.windowMs || 60 * 60 * 1000);
+
+		if (rule.metric === 'driftScore') {
+			const [latest] = await this.driftDetector.getHistory(rule.modelName, { limit: 1 });
+			if (!latest || latest.timestamp < windowStart) {
+				return null;
+			}
+			return latest.driftScore;
+		}
+
+		const metrics = await this.monitoringBackend.getMetrics(rule.modelName, {
+			startTime: new Date(windowStart),
+			endTime: new Date(now),
+		});
+		if (!metrics.count) {
+			return null;
+		}
+		return metrics[rule.metric] ?? null;
+	}
+}
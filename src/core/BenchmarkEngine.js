@@ -1,4 +1,30 @@
 import { v4 as uuidv4 } from 'uuid';
+import {
+	percentile as percentileOf,
+	cosineDistance,
+	spearmanCorrelation,
+	mean,
+	mannWhitneyU,
+	quantileSketch,
+} from './utils/statistics.js';
+import { classificationMetrics, recallAtK, ndcgAtK, embeddingAgreement } from './utils/quality.js';
+
+const WINNER_STRATEGIES = ['latency', 'quality', 'weighted'];
+
+// Retrieval cutoff when a sample does not set expected.k
+const DEFAULT_RETRIEVAL_K = 10;
+
+// Nearest neighbours compared per text when `agreement: true`
+const DEFAULT_AGREEMENT_K = 5;
+
+// Agreement score thresholds for the interchangeability verdict
+const INTERCHANGEABLE_SCORE = 0.9;
+const SIMILAR_SCORE = 0.7;
+
+// Latencies stored per model for regression tests (larger runs keep a quantile sketch)
+const LATENCY_SKETCH_SIZE = 500;
+
+const ascending = (a, b) => a - b;
 
 /**
  * BenchmarkEngine - Performance comparison for equivalent models across backends
@@ -6,17 +32,39 @@ import { v4 as uuidv4 } from 'uuid';
  * Enables data-driven model deployment decisions by:
  * - Finding equivalent models by taskType and equivalenceGroup
  * - Running controlled benchmark comparisons
- * - Computing latency metrics (avg, p50, p95, p99, min, max)
+ * - Computing latency metrics (avg, p50, p95, p99, min, max) with hrtime precision
+ * - Measuring throughput under concurrent load and memory growth per model
  * - Tracking error rates and success counts
- * - Determining the fastest model for production use
- * - Storing historical results for trend analysis
+ * - Scoring output quality when test samples carry expected outputs
+ * - Measuring how interchangeable the models' embedding spaces are (agreement mode)
+ * - Picking a winner by latency, quality, or a weighted mix of both
+ * - Storing historical results (with latency samples) for trend analysis
+ * - Flagging significant slowdowns against a rolling baseline of past runs
  *
  * Algorithm Overview:
  * 1. Validates models have matching outputDimensions
- * 2. Runs N iterations for each model, each iteration processes all samples
+ * 2. Runs warmup iterations for each model (excluded from all metrics), then
+ *    N measured iterations over all samples with `concurrency` requests in flight
  * 3. Computes percentile latencies using linear interpolation
- * 4. Identifies winner as lowest avgLatency with <100% error rate
- * 5. Persists results to BenchmarkResult table
+ * 4. Scores quality with one untimed pass over samples that have `expected`
+ * 5. In agreement mode, embeds every test text once per model and compares
+ *    each pair of models (see measureAgreement)
+ * 6. Identifies the winner according to the winner policy
+ * 7. Persists results to BenchmarkResult table
+ *
+ * Quality expectations (`sample.expected`, indices refer to `sample.texts`):
+ * - `labels` (+ optional `classes`): classification accuracy and macro F1.
+ *   Models that only return embeddings predict the class whose embedding is
+ *   closest; `classes` is a list of labels or a map of label to text to embed.
+ * - `pairs: [{ a, b, score }]`: Spearman correlation between the cosine
+ *   similarity of texts a and b and the gold score (STS, or 1/0 for
+ *   similar/dissimilar pairs).
+ * - `queries: [{ query, relevant }]` (+ optional `k`, default 10): recall@k
+ *   and nDCG@k of the other texts ranked by similarity to the query text.
+ *   `relevant` is a list of indices or a map of index to graded relevance.
+ *
+ * The quality score is the mean of macro F1, Spearman (floored at 0) and
+ * nDCG@k over the task types present.
  *
  * @class
  * @see {@link ../../../docs/BENCHMARKING.md} - Complete benchmarking guide
@@ -38,6 +86,13 @@ import { v4 as uuidv4 } from 'uuid';
  *
  * console.log(`Winner: ${result.winner.modelName}`);
  * console.log(`Latency: ${result.winner.avgLatency}ms`);
+ *
+ * @example
+ * // Prefer quality: ignore models below 0.8 and weigh quality 70/30 against latency
+ * await benchmarkEngine.compareBenchmark(models, [
+ *   { texts: ['great phone', 'broke in a day'], expected: { labels: ['positive', 'negative'] } },
+ *   { texts: ['a cat sits', 'a cat is sitting', 'stock prices fell'], expected: { pairs: [{ a: 0, b: 1, score: 5 }, { a: 0, b: 2, score: 0 }] } },
+ * ], { iterations: 10, taskType, equivalenceGroup, winnerPolicy: { strategy: 'weighted', qualityWeight: 0.7, minQuality: 0.8 } });
  */
 export class BenchmarkEngine {
 	/**
@@ -138,6 +193,8 @@ export class BenchmarkEngine {
 	 * - Single element array returns that element
 	 * - Handles 0th and 100th percentile correctly
 	 *
+	 * Delegates to the shared `percentile` helper in utils/statistics.js.
+	 *
 	 * @param {Array<number>} sortedValues - Pre-sorted array of numeric values
 	 * @param {number} percentile - Percentile to calculate (0-100)
 	 * @returns {number} Calculated percentile value
@@ -147,33 +204,7 @@ export class BenchmarkEngine {
 	 * const p95 = calculatePercentile(latencies, 95); // 29
 	 */
 	calculatePercentile(sortedValues, percentile) {
-		if (sortedValues.length === 0) {
-			return 0;
-		}
-
-		if (sortedValues.length === 1) {
-			return sortedValues[0];
-		}
-
-		// Use linear interpolation: position = (percentile/100) * n - 0.5
-		const index = (percentile / 100) * sortedValues.length - 0.5;
-		const lower = Math.floor(index);
-		const upper = Math.ceil(index);
-		const weight = index - lower;
-
-		if (lower === upper) {
-			return sortedValues[lower];
-		}
-
-		// Handle edge cases where index goes beyond array bounds
-		if (lower < 0) {
-			return sortedValues[0];
-		}
-		if (upper >= sortedValues.length) {
-			return sortedValues[sortedValues.length - 1];
-		}
-
-		return sortedValues[lower] * (1 - weight) + sortedValues[upper] * weight;
+		return percentileOf(sortedValues, percentile);
 	}
 
 	/**
@@ -186,16 +217,22 @@ export class BenchmarkEngine {
 	 * Benchmark Algorithm:
 	 * 1. Validates all models have matching outputDimensions
 	 * 2. For each model:
-	 *    a. Runs 'iterations' complete passes through all testData samples
-	 *    b. Records latency for each successful prediction
-	 *    c. Counts successes and errors
+	 *    a. Runs 'warmupIterations' passes that are not measured (model load, JIT)
+	 *    b. Runs 'iterations' complete passes through all testData samples,
+	 *       keeping up to 'concurrency' predictions in flight
+	 *    c. Records latency (process.hrtime.bigint) for each successful prediction
+	 *    d. Counts successes and errors, and samples RSS after each prediction
 	 * 3. Computes metrics for each model:
 	 *    - Average latency across all successful predictions
 	 *    - Percentile latencies (p50, p95, p99) using interpolation
 	 *    - Min/max latencies
 	 *    - Error rate and counts
-	 * 4. Identifies winner with lowest avgLatency (excluding models with 100% errors)
-	 * 5. Persists complete results to BenchmarkResult table
+	 *    - Throughput (successful requests/sec over the measured wall-clock time)
+	 *    - Memory: RSS/heap growth from before warmup to the end, and peak RSS
+	 * 4. Scores quality for samples with `expected` outputs (one untimed pass)
+	 * 5. In agreement mode, compares the embedding spaces of every model pair
+	 * 6. Picks the winner with selectWinner() (excluding models with 100% errors)
+	 * 7. Persists complete results to BenchmarkResult table
 	 *
 	 * @async
 	 * @param {Array<Object>} models - Array of model records to compare (minimum 2)
@@ -207,22 +244,34 @@ export class BenchmarkEngine {
 	 * @param {string} models[].parsedMetadata.taskType - Task type
 	 * @param {string} models[].parsedMetadata.equivalenceGroup - Equivalence group
 	 * @param {Array<number>} models[].parsedMetadata.outputDimensions - Output dimensions
-	 * @param {Array<Object>} testData - Test input samples
+	 * @param {Array<Object>} testData - Test input samples; `expected` is stripped before prediction
+	 * @param {Object} [testData[].expected] - Expected outputs for quality scoring (see class docs)
 	 * @param {Object} options - Benchmark configuration
 	 * @param {number} options.iterations - Number of passes through all samples (must be > 0)
+	 * @param {number} [options.warmupIterations=1] - Unmeasured passes before the measured ones
+	 * @param {number} [options.concurrency=1] - Predictions in flight at once (1 = sequential)
 	 * @param {string} options.taskType - Task type for filtering
 	 * @param {string} options.equivalenceGroup - Equivalence group for filtering
 	 * @param {string} [options.runBy='system'] - Identifier for who ran benchmark
 	 * @param {string} [options.notes=''] - Optional notes about benchmark run
+	 * @param {string|Object} [options.winnerPolicy] - Strategy name or policy object (see selectWinner)
+	 * @param {boolean|Object} [options.agreement=false] - Cross-model embedding agreement; `true` or `{ k }`
+	 *   (neighbours compared per text, default 5)
+	 * @param {Function} [options.onProgress] - Called after every prediction with
+	 *   { modelId, modelIndex, modelCount, phase: 'warmup' | 'measure' | 'quality' | 'agreement', completed, total }
+	 * @param {AbortSignal} [options.signal] - Aborts the run between predictions (rejects with an AbortError)
 	 * @returns {Promise<Object>} Benchmark results
 	 * @returns {string} return.comparisonId - UUID for this comparison
 	 * @returns {string} return.taskType - Task type benchmarked
 	 * @returns {string} return.equivalenceGroup - Equivalence group benchmarked
 	 * @returns {string[]} return.modelIds - Array of model IDs compared
-	 * @returns {Object|null} return.winner - Winning model (null if all failed)
+	 * @returns {Object|null} return.winner - Winning model (null if no model is eligible)
+	 * @returns {string} return.winner.modelId - Winner's model ID
 	 * @returns {string} return.winner.modelName - Winner's model name
 	 * @returns {string} return.winner.framework - Winner's framework
 	 * @returns {number} return.winner.avgLatency - Winner's average latency
+	 * @returns {number|null} return.winner.qualityScore - Winner's quality score
+	 * @returns {Object} return.winnerPolicy - Policy applied, with defaults filled in
 	 * @returns {Object} return.results - Per-model metrics (keyed by model ID)
 	 * @returns {number} return.results[modelId].avgLatency - Average latency (ms)
 	 * @returns {number} return.results[modelId].p50Latency - Median latency (ms)
@@ -233,12 +282,20 @@ export class BenchmarkEngine {
 	 * @returns {number} return.results[modelId].errorRate - Error rate (0.0-1.0)
 	 * @returns {number} return.results[modelId].successCount - Number of successes
 	 * @returns {number} return.results[modelId].errorCount - Number of errors
+	 * @returns {number} return.results[modelId].throughput - Successful requests per second
+	 * @returns {number} return.results[modelId].durationMs - Wall-clock time of the measured iterations
+	 * @returns {Object} return.results[modelId].memory - { rssDeltaBytes, heapUsedDeltaBytes, peakRssBytes }
+	 * @returns {Object|null} return.results[modelId].quality - { score, classification, similarity, retrieval } or null without expectations
+	 * @returns {Object|null} return.agreement - Pairwise embedding agreement (see measureAgreement), null unless requested
 	 * @returns {number} return.timestamp - Start timestamp (ms since epoch)
 	 * @returns {number} return.completedAt - Completion timestamp (ms since epoch)
 	 * @throws {Error} If testData is empty
 	 * @throws {Error} If iterations <= 0
+	 * @throws {Error} If warmupIterations < 0, concurrency < 1 or agreement.k < 1
+	 * @throws {DOMException} AbortError if options.signal is aborted
 	 * @throws {Error} If models array has < 2 models
 	 * @throws {Error} If models have mismatched outputDimensions
+	 * @throws {Error} If the winner policy is invalid or needs quality data that testData lacks
 	 *
 	 * @example
 	 * const result = await benchmarkEngine.compareBenchmark(
@@ -254,7 +311,19 @@ export class BenchmarkEngine {
 	 * );
 	 */
 	async compareBenchmark(models, testData, options) {
-		const { iterations, taskType, equivalenceGroup, runBy = 'system', notes = '' } = options;
+		const {
+			iterations,
+			warmupIterations = 1,
+			concurrency = 1,
+			taskType,
+			equivalenceGroup,
+			runBy = 'system',
+			notes = '',
+			winnerPolicy,
+			agreement = false,
+			onProgress,
+			signal,
+		} = options;
 
 		// Validate inputs
 		if (!testData || testData.length === 0) {
@@ -265,38 +334,70 @@ export class BenchmarkEngine {
 			throw new Error('Iterations must be greater than 0');
 		}
 
+		if (!Number.isInteger(warmupIterations) || warmupIterations < 0) {
+			throw new Error('warmupIterations must be a non-negative integer');
+		}
+
+		if (!Number.isInteger(concurrency) || concurrency < 1) {
+			throw new Error('concurrency must be a positive integer');
+		}
+
+		const agreementK = agreement ? (agreement.k ?? DEFAULT_AGREEMENT_K) : null;
+		if (agreementK !== null && (!Number.isInteger(agreementK) || agreementK < 1)) {
+			throw new Error('agreement.k must be a positive integer');
+		}
+
 		this.validateModelsForComparison(models);
 
+		const hasExpectations = testData.some((sample) => sample.expected);
+		const policy = this.resolveWinnerPolicy(winnerPolicy, hasExpectations);
+		const inputs = testData.map(({ expected: _expected, ...input }) => input);
+
 		const comparisonId = uuidv4();
 		const timestamp = Date.now();
 		const modelIds = models.map((m) => m.id);
 		const results = {};
+		const latencySamples = {};
+		const embeddingsByModel = {};
 
 		// Run benchmark for each model
-		for (const model of models) {
-			const latencies = [];
-			let successCount = 0;
-			let errorCount = 0;
+		for (const [modelIndex, model] of models.entries()) {
+			signal?.throwIfAborted();
+			const memoryBefore = process.memoryUsage();
+
+			// Progress counts every prediction (warmup + measured) for this model
+			const total = (warmupIterations + iterations) * inputs.length;
+			let completed = 0;
+			const report = (phase) => () =>
+				onProgress?.({
+					modelId: model.id,
+					modelIndex,
+					modelCount: models.length,
+					phase,
+					completed: ++completed,
+					total,
+				});
+
+			// Warmup - loads the model and warms caches; nothing is recorded
+			if (warmupIterations > 0) {
+				await this._runIterations(model, inputs, warmupIterations, concurrency, {
+					signal,
+					onRequest: report('warmup'),
+				});
+			}
 
 			// Run iterations - each iteration processes all test samples
-			for (let iter = 0; iter < iterations; iter++) {
-				for (let sampleIdx = 0; sampleIdx < testData.length; sampleIdx++) {
-					const sample = testData[sampleIdx];
-
-					try {
-						const startTime = Date.now();
-						await this.inferenceEngine.predict(model.modelName, sample, model.modelVersion, model);
-						const endTime = Date.now();
-
-						const latency = endTime - startTime;
-						latencies.push(latency);
-						successCount++;
-					} catch (err) {
-						errorCount++;
-						// Don't include failed predictions in latency metrics
-						console.error(`Prediction error for model ${model.id} iteration ${iter} sample ${sampleIdx}:`, err);
-					}
-				}
+			const { latencies, successCount, errorCount, durationMs, peakRssBytes } = await this._runIterations(
+				model,
+				inputs,
+				iterations,
+				concurrency,
+				{ signal, onRequest: report('measure') }
+			);
+			const memoryAfter = process.memoryUsage();
+
+			if (hasExpectations) {
+				onProgress?.({ modelId: model.id, modelIndex, modelCount: models.length, phase: 'quality', completed, total });
 			}
 
 			// Compute metrics
@@ -316,28 +417,46 @@ export class BenchmarkEngine {
 				errorRate,
 				successCount,
 				errorCount,
+				throughput: durationMs > 0 ? successCount / (durationMs / 1000) : 0,
+				durationMs,
+				memory: {
+					rssDeltaBytes: memoryAfter.rss - memoryBefore.rss,
+					heapUsedDeltaBytes: memoryAfter.heapUsed - memoryBefore.heapUsed,
+					peakRssBytes: Math.max(peakRssBytes, memoryAfter.rss),
+				},
+				quality: hasExpectations ? await this.measureQuality(model, testData) : null,
 			};
 
 			results[model.id] = metrics;
-		}
+			latencySamples[model.id] = quantileSketch(latencies, LATENCY_SKETCH_SIZE).map(
+				(latency) => Math.round(latency * 1000) / 1000
+			);
 
-		// Determine winner (lowest avgLatency among models with <100% error rate)
-		let winner = null;
-		let lowestLatency = Infinity;
-
-		for (const [modelId, metrics] of Object.entries(results)) {
-			if (metrics.errorRate < 1.0 && metrics.avgLatency < lowestLatency) {
-				lowestLatency = metrics.avgLatency;
-				const model = models.find((m) => m.id === modelId);
-				winner = {
-					modelName: model.modelName,
-					framework: model.framework,
-					avgLatency: metrics.avgLatency,
-				};
+			// Agreement - one untimed pass embedding every test text
+			if (agreementK !== null) {
+				onProgress?.({
+					modelId: model.id,
+					modelIndex,
+					modelCount: models.length,
+					phase: 'agreement',
+					completed,
+					total,
+				});
+				embeddingsByModel[model.id] = await this._embedTexts(model, inputs, signal);
 			}
 		}
 
+		signal?.throwIfAborted();
+		const winner = this.selectWinner(models, results, policy);
+		const agreementReport = agreementK !== null ? this.measureAgreement(models, embeddingsByModel, agreementK) : null;
+
 		const completedAt = Date.now();
+		const testDataSummary = {
+			sampleCount: testData.length,
+			description: `${iterations} iterations across ${testData.length} samples`,
+			warmupIterations,
+			concurrency,
+		};
 
 		// Store in BenchmarkResult table
 		const benchmarkResult = {
@@ -346,10 +465,11 @@ export class BenchmarkEngine {
 			equivalenceGroup,
 			modelIds: JSON.stringify(modelIds),
 			results: JSON.stringify(results),
-			testDataSummary: JSON.stringify({
-				sampleCount: testData.length,
-				description: `${iterations} iterations across ${testData.length} samples`,
-			}),
+			winner: JSON.stringify(winner),
+			winnerPolicy: JSON.stringify(policy),
+			testDataSummary: JSON.stringify(testDataSummary),
+			latencySamples: JSON.stringify(latencySamples),
+			agreement: agreementReport ? JSON.stringify(agreementReport) : null,
 			iterations,
 			runBy,
 			notes,
@@ -366,17 +486,399 @@ export class BenchmarkEngine {
 			equivalenceGroup,
 			modelIds,
 			winner,
+			winnerPolicy: policy,
 			results,
+			agreement: agreementReport,
 			timestamp,
 			iterations,
-			testDataSummary: {
-				sampleCount: testData.length,
-				description: `${iterations} iterations across ${testData.length} samples`,
-			},
+			warmupIterations,
+			concurrency,
+			testDataSummary,
 			completedAt,
 		};
 	}
 
+	/**
+	 * Compare the embedding spaces of every pair of models
+	 *
+	 * Uses the texts every model embedded successfully. For each pair,
+	 * embeddingAgreement() gives the k-nearest-neighbour overlap and the
+	 * Spearman correlation of all pairwise similarities; their mean (Spearman
+	 * floored at 0) is the pair's score:
+	 * - interchangeable: score >= 0.9, swapping models barely changes results
+	 * - similar: score >= 0.7, rankings mostly agree
+	 * - different: swapping models changes results noticeably
+	 *
+	 * @param {Array<Object>} models - Model records (pairs follow this order)
+	 * @param {Object<string, Array<number[]|null>>} embeddingsByModel - Per model id, one embedding (or null) per text
+	 * @param {number} [k=5] - Neighbours compared per text
+	 * @returns {Object} { k, textCount, skippedTexts, verdict, minScore, pairs: [{ modelA, modelB, neighborOverlap, spearman, score, verdict }] }
+	 *   where verdict/minScore describe the least interchangeable pair
+	 */
+	measureAgreement(models, embeddingsByModel, k = DEFAULT_AGREEMENT_K) {
+		const textCount = Math.max(0, ...models.map((model) => (embeddingsByModel[model.id] || []).length));
+		const usable = Array.from({ length: textCount }, (_, i) => i).filter((i) =>
+			models.every((model) => Array.isArray(embeddingsByModel[model.id]?.[i]))
+		);
+
+		const pairs = [];
+		let effectiveK = Math.min(k, Math.max(0, usable.length - 1));
+		for (let a = 0; a < models.length; a++) {
+			for (let b = a + 1; b < models.length; b++) {
+				const modelA = models[a].id;
+				const modelB = models[b].id;
+				const result = embeddingAgreement(
+					usable.map((i) => embeddingsByModel[modelA][i]),
+					usable.map((i) => embeddingsByModel[modelB][i]),
+					k
+				);
+
+				if (!result) {
+					pairs.push({
+						modelA,
+						modelB,
+						neighborOverlap: null,
+						spearman: null,
+						score: null,
+						verdict: 'insufficient-data',
+					});
+					continue;
+				}
+
+				effectiveK = result.k;
+				const score = mean([result.neighborOverlap, Math.max(0, result.spearman ?? 0)]);
+				pairs.push({
+					modelA,
+					modelB,
+					neighborOverlap: result.neighborOverlap,
+					spearman: result.spearman,
+					score,
+					verdict:
+						score >= INTERCHANGEABLE_SCORE ? 'interchangeable' : score >= SIMILAR_SCORE ? 'similar' : 'different',
+				});
+			}
+		}
+
+		const scored = pairs.filter((pair) => pair.score !== null);
+		const worst = scored.reduce((min, pair) => (min === null || pair.score < min.score ? pair : min), null);
+
+		return {
+			k: effectiveK,
+			textCount: usable.length,
+			skippedTexts: textCount - usable.length,
+			verdict: scored.length === pairs.length && worst ? worst.verdict : 'insufficient-data',
+			minScore: worst ? worst.score : null,
+			pairs,
+		};
+	}
+
+	/**
+	 * Embed every text of every sample once (untimed)
+	 * @private
+	 * @returns {Promise<Array<number[]|null>>} One embedding per text across all samples; null where prediction failed
+	 */
+	async _embedTexts(model, inputs, signal) {
+		const embeddings = [];
+		for (const input of inputs) {
+			signal?.throwIfAborted();
+			let output = null;
+			try {
+				({ output } = await this.inferenceEngine.predict(model.modelName, input, model.modelVersion, model));
+			} catch (err) {
+				console.error(`Agreement prediction error for model ${model.id}:`, err);
+			}
+			(input.texts || []).forEach((_, i) => embeddings.push(output?.embeddings?.[i] || null));
+		}
+		return embeddings;
+	}
+
+	/**
+	 * Run passes over all samples with up to `concurrency` predictions in flight
+	 * @private
+	 * @param {Object} model - Model record
+	 * @param {Array<Object>} inputs - Prediction inputs
+	 * @param {number} iterations - Passes through all inputs
+	 * @param {number} concurrency - Worker count
+	 * @param {Object} [hooks]
+	 * @param {AbortSignal} [hooks.signal] - Stops workers before their next prediction
+	 * @param {Function} [hooks.onRequest] - Called after every prediction
+	 * @returns {Promise<Object>} { latencies, successCount, errorCount, durationMs, peakRssBytes }
+	 */
+	async _runIterations(model, inputs, iterations, concurrency, { signal, onRequest } = {}) {
+		const total = iterations * inputs.length;
+		const latencies = [];
+		let successCount = 0;
+		let errorCount = 0;
+		let peakRssBytes = 0;
+		let next = 0;
+
+		const worker = async () => {
+			while (next < total && !signal?.aborted) {
+				const request = next++;
+				const iter = Math.floor(request / inputs.length);
+				const sampleIdx = request % inputs.length;
+
+				try {
+					// Bypass the embedding cache so every measured prediction runs the model
+					const startTime = process.hrtime.bigint();
+					await this.inferenceEngine.predict(model.modelName, inputs[sampleIdx], model.modelVersion, model, {
+						cache: false,
+					});
+					latencies.push(Number(process.hrtime.bigint() - startTime) / 1e6);
+					successCount++;
+				} catch (err) {
+					errorCount++;
+					// Don't include failed predictions in latency metrics
+					console.error(`Prediction error for model ${model.id} iteration ${iter} sample ${sampleIdx}:`, err);
+				}
+				peakRssBytes = Math.max(peakRssBytes, process.memoryUsage.rss());
+				onRequest?.();
+			}
+		};
+
+		const startTime = process.hrtime.bigint();
+		await Promise.all(Array.from({ length: Math.min(concurrency, total) }, worker));
+		const durationMs = Number(process.hrtime.bigint() - startTime) / 1e6;
+		signal?.throwIfAborted();
+
+		return { latencies, successCount, errorCount, durationMs, peakRssBytes };
+	}
+
+	/**
+	 * Normalize a winner policy and fill in defaults
+	 *
+	 * Without a policy the winner is chosen by `weighted` when testData has
+	 * expected outputs and by `latency` otherwise.
+	 *
+	 * @param {string|Object} [policy] - 'latency' | 'quality' | 'weighted', or an object
+	 * @param {string} [policy.strategy]
+	 * @param {number} [policy.qualityWeight=0.5] - Weight of quality in `weighted` (latency gets the rest)
+	 * @param {number} [policy.minQuality] - Models below this quality score cannot win
+	 * @param {number} [policy.maxLatency] - Models with a higher avgLatency (ms) cannot win
+	 * @param {boolean} [hasQuality=false] - Whether quality scores will be available
+	 * @returns {{strategy: string, qualityWeight: number, minQuality: number|null, maxLatency: number|null}}
+	 * @throws {Error} If the policy is invalid or needs quality scores that are not available
+	 */
+	resolveWinnerPolicy(policy, hasQuality = false) {
+		const input = typeof policy === 'string' ? { strategy: policy } : policy || {};
+		const resolved = {
+			strategy: input.strategy || (hasQuality ? 'weighted' : 'latency'),
+			qualityWeight: input.qualityWeight ?? 0.5,
+			minQuality: input.minQuality ?? null,
+			maxLatency: input.maxLatency ?? null,
+		};
+
+		if (!WINNER_STRATEGIES.includes(resolved.strategy)) {
+			throw new Error(`winnerPolicy.strategy must be one of: ${WINNER_STRATEGIES.join(', ')}`);
+		}
+		if (typeof resolved.qualityWeight !== 'number' || resolved.qualityWeight < 0 || resolved.qualityWeight > 1) {
+			throw new Error('winnerPolicy.qualityWeight must be between 0 and 1');
+		}
+		if (!hasQuality && (resolved.strategy !== 'latency' || resolved.minQuality !== null)) {
+			throw new Error('Quality-based winner policies require testData with expected outputs');
+		}
+
+		return resolved;
+	}
+
+	/**
+	 * Pick the winning model
+	 *
+	 * Models with a 100% error rate, a quality score below `minQuality` or an
+	 * avgLatency above `maxLatency` are not eligible. Among the rest:
+	 * - latency: lowest avgLatency
+	 * - quality: highest quality score, ties broken by avgLatency
+	 * - weighted: highest qualityWeight * quality / bestQuality
+	 *   + (1 - qualityWeight) * fastestLatency / avgLatency
+	 *
+	 * @param {Array<Object>} models - Model records
+	 * @param {Object} results - Per-model metrics keyed by model ID
+	 * @param {Object} policy - Resolved policy from resolveWinnerPolicy()
+	 * @returns {Object|null} { modelId, modelName, modelVersion, framework, avgLatency, qualityScore, score }
+	 */
+	selectWinner(models, results, policy) {
+		const eligible = Object.entries(results)
+			.map(([modelId, metrics]) => ({ modelId, metrics, quality: metrics.quality?.score ?? null }))
+			.filter(({ metrics, quality }) => {
+				if (metrics.errorRate >= 1.0) return false;
+				if (policy.minQuality !== null && (quality === null || quality < policy.minQuality)) return false;
+				if (policy.maxLatency !== null && metrics.avgLatency > policy.maxLatency) return false;
+				return true;
+			});
+
+		if (eligible.length === 0) {
+			return null;
+		}
+
+		const fastest = Math.min(...eligible.map(({ metrics }) => metrics.avgLatency));
+		const bestQuality = Math.max(...eligible.map(({ quality }) => quality ?? 0));
+
+		for (const candidate of eligible) {
+			const { avgLatency } = candidate.metrics;
+			const qualityScore = candidate.quality ?? 0;
+			if (policy.strategy === 'latency') {
+				candidate.score = -avgLatency;
+			} else if (policy.strategy === 'quality') {
+				candidate.score = qualityScore;
+			} else {
+				const latencyScore = avgLatency > 0 ? fastest / avgLatency : 1;
+				const normalizedQuality = bestQuality > 0 ? qualityScore / bestQuality : 0;
+				candidate.score = policy.qualityWeight * normalizedQuality + (1 - policy.qualityWeight) * latencyScore;
+			}
+		}
+
+		eligible.sort((a, b) => b.score - a.score || a.metrics.avgLatency - b.metrics.avgLatency);
+		const best = eligible[0];
+		const model = models.find((m) => m.id === best.modelId);
+
+		return {
+			modelId: best.modelId,
+			modelName: model.modelName,
+			modelVersion: model.modelVersion,
+			framework: model.framework,
+			avgLatency: best.metrics.avgLatency,
+			qualityScore: best.quality,
+			score: policy.strategy === 'weighted' ? best.score : null,
+		};
+	}
+
+	/**
+	 * Score a model's outputs against the expected outputs in testData
+	 *
+	 * Runs one untimed prediction per sample with `expected` (plus one per
+	 * distinct class list when labels have to be inferred from embeddings).
+	 *
+	 * @async
+	 * @param {Object} model - Model record
+	 * @param {Array<Object>} testData - Samples; those without `expected` are skipped
+	 * @returns {Promise<Object>} { score, classification, similarity, retrieval, evaluatedSamples, failedSamples }
+	 */
+	async measureQuality(model, testData) {
+		const expectedLabels = [];
+		const predictedLabels = [];
+		const similarities = [];
+		const goldScores = [];
+		const recalls = [];
+		const ndcgs = [];
+		const classEmbeddings = new Map();
+		const allLabels = [...new Set(testData.flatMap((sample) => sample.expected?.labels || []))];
+		let evaluatedSamples = 0;
+		let failedSamples = 0;
+
+		for (const { expected, ...input } of testData) {
+			if (!expected) {
+				continue;
+			}
+
+			let output;
+			try {
+				({ output } = await this.inferenceEngine.predict(model.modelName, input, model.modelVersion, model));
+			} catch (err) {
+				failedSamples++;
+				console.error(`Quality prediction error for model ${model.id}:`, err);
+				continue;
+			}
+			evaluatedSamples++;
+			const embeddings = output?.embeddings || [];
+
+			if (expected.labels) {
+				const predicted = Array.isArray(output?.labels)
+					? output.labels
+					: await this._nearestClasses(model, embeddings, expected.classes || allLabels, classEmbeddings);
+				expected.labels.forEach((label, i) => {
+					expectedLabels.push(label);
+					predictedLabels.push(predicted[i] ?? null);
+				});
+			}
+
+			for (const { a, b, score } of expected.pairs || []) {
+				if (embeddings[a] && embeddings[b]) {
+					similarities.push(1 - cosineDistance(embeddings[a], embeddings[b]));
+					goldScores.push(score);
+				}
+			}
+
+			const k = expected.k || DEFAULT_RETRIEVAL_K;
+			for (const { query, relevant } of expected.queries || []) {
+				if (!embeddings[query]) {
+					continue;
+				}
+				const relevance = Array.isArray(relevant)
+					? Object.fromEntries(relevant.map((index) => [index, 1]))
+					: relevant || {};
+				const ranked = embeddings
+					.map((embedding, index) => ({ index, distance: cosineDistance(embeddings[query], embedding) }))
+					.filter(({ index }) => index !== query)
+					.sort((x, y) => x.distance - y.distance)
+					.map(({ index }) => index);
+				const recall = recallAtK(ranked, relevance, k);
+				const ndcg = ndcgAtK(ranked, relevance, k);
+				if (recall !== null) {
+					recalls.push(recall);
+					ndcgs.push(ndcg);
+				}
+			}
+		}
+
+		const classification = expectedLabels.length > 0 ? classificationMetrics(expectedLabels, predictedLabels) : null;
+		const spearman = similarities.length > 0 ? spearmanCorrelation(similarities, goldScores) : null;
+		const similarity = similarities.length > 0 ? { spearman, pairCount: similarities.length } : null;
+		const retrieval =
+			recalls.length > 0 ? { recallAtK: mean(recalls), ndcgAtK: mean(ndcgs), queryCount: recalls.length } : null;
+
+		const components = [
+			classification?.macroF1,
+			spearman === null ? undefined : Math.max(0, spearman),
+			retrieval?.ndcgAtK,
+		].filter((value) => value !== undefined);
+
+		return {
+			score: components.length > 0 ? mean(components) : null,
+			classification,
+			similarity,
+			retrieval,
+			evaluatedSamples,
+			failedSamples,
+		};
+	}
+
+	/**
+	 * Predict labels for embeddings by nearest class embedding
+	 * @private
+	 * @param {Object} model - Model record
+	 * @param {Array<number[]>} embeddings - One embedding per text
+	 * @param {string[]|Object<string, string>} classes - Labels, or label -> text to embed
+	 * @param {Map} cache - Class embeddings already computed for this model
+	 * @returns {Promise<Array<string|null>>} Predicted label per embedding
+	 */
+	async _nearestClasses(model, embeddings, classes, cache) {
+		const labels = Array.isArray(classes) ? classes : Object.keys(classes);
+		const texts = Array.isArray(classes) ? classes : Object.values(classes);
+		if (labels.length === 0) {
+			return embeddings.map(() => null);
+		}
+
+		const cacheKey = JSON.stringify(texts);
+		if (!cache.has(cacheKey)) {
+			const { output } = await this.inferenceEngine.predict(model.modelName, { texts }, model.modelVersion, model);
+			cache.set(cacheKey, output?.embeddings || []);
+		}
+		const classVectors = cache.get(cacheKey);
+
+		return embeddings.map((embedding) => {
+			let best = null;
+			let bestDistance = Infinity;
+			classVectors.forEach((vector, i) => {
+				const distance = cosineDistance(embedding, vector);
+				if (distance < bestDistance) {
+					bestDistance = distance;
+					best = labels[i];
+				}
+			});
+			return best;
+		});
+	}
+
 	/**
 	 * Get historical benchmark results
 	 * @param {Object} filters - Filter criteria
@@ -405,4 +907,138 @@ export class BenchmarkEngine {
 
 		return historical;
 	}
+
+	/**
+	 * Compare a benchmark run against the rolling baseline of earlier runs
+	 *
+	 * The baseline is the `baselineRuns` most recent earlier runs with the same
+	 * taskType, equivalenceGroup and model set. For each model the stored
+	 * latency samples of the run are tested against the pooled baseline samples
+	 * with a one-sided Mann-Whitney U test. A model regressed when the slowdown
+	 * is significant (pValue < alpha) and its median latency grew by at least
+	 * `minSlowdown`. Runs stored before latency samples were recorded take part
+	 * in the trend but not in the test.
+	 *
+	 * @async
+	 * @param {Object} selector
+	 * @param {string} [selector.comparisonId] - Run to analyze
+	 * @param {string} [selector.taskType] - With equivalenceGroup, analyze the latest run of the group instead
+	 * @param {string} [selector.equivalenceGroup]
+	 * @param {Object} [options]
+	 * @param {number} [options.baselineRuns=5] - Earlier runs pooled into the baseline
+	 * @param {number} [options.alpha=0.05] - Significance level
+	 * @param {number} [options.minSlowdown=0.1] - Minimum relative median increase (0.1 = 10% slower)
+	 * @param {number} [options.trendRuns=20] - Runs in the trend series, ending with the analyzed run
+	 * @returns {Promise<Object>} { comparisonId, taskType, equivalenceGroup, modelIds, baseline, models, regressions, trend }
+	 * @throws {Error} If the run does not exist
+	 *
+	 * @example
+	 * const analysis = await benchmarkEngine.analyzeRegression({ comparisonId });
+	 * // analysis.models['minilm-onnx:v1'] => { status: 'regression', change: 0.32, pValue: 0.0004, ... }
+	 * // analysis.trend => [{ comparisonId, timestamp, models: { 'minilm-onnx:v1': { avgLatency, p95Latency, ... } } }]
+	 */
+	async analyzeRegression(selector = {}, options = {}) {
+		const { baselineRuns = 5, alpha = 0.05, minSlowdown = 0.1, trendRuns = 20 } = options;
+
+		let current;
+		if (selector.comparisonId) {
+			current = await this.tables.BenchmarkResult.get(selector.comparisonId);
+			if (!current) {
+				throw new Error(`Benchmark ${selector.comparisonId} not found`);
+			}
+		} else if (selector.taskType && selector.equivalenceGroup) {
+			[current] = await this.getHistoricalResults(selector);
+			if (!current) {
+				throw new Error(`No benchmarks found for ${selector.taskType}/${selector.equivalenceGroup}`);
+			}
+		} else {
+			throw new Error('comparisonId or taskType and equivalenceGroup are required');
+		}
+
+		const modelIds = JSON.parse(current.modelIds || '[]');
+		const modelSet = [...modelIds].sort().join(',');
+		const earlier = (
+			await this.getHistoricalResults({ taskType: current.taskType, equivalenceGroup: current.equivalenceGroup })
+		).filter(
+			(run) =>
+				run.id !== current.id &&
+				run.timestamp < current.timestamp &&
+				[...JSON.parse(run.modelIds || '[]')].sort().join(',') === modelSet
+		);
+		const baseline = earlier.slice(0, baselineRuns);
+
+		const currentSamples = JSON.parse(current.latencySamples || '{}');
+		const baselineSamples = baseline.map((run) => JSON.parse(run.latencySamples || '{}'));
+
+		const median = (values) => this.calculatePercentile([...values].sort(ascending), 50);
+		const models = {};
+		const regressions = [];
+		for (const modelId of modelIds) {
+			const sample = currentSamples[modelId] || [];
+			const pooled = baselineSamples.flatMap((samples) => samples[modelId] || []);
+
+			if (sample.length === 0 || pooled.length === 0) {
+				models[modelId] = {
+					status: 'insufficient-data',
+					currentSampleCount: sample.length,
+					baselineSampleCount: pooled.length,
+				};
+				continue;
+			}
+
+			const currentMedian = median(sample);
+			const baselineMedian = median(pooled);
+			const change = baselineMedian > 0 ? currentMedian / baselineMedian - 1 : 0;
+			const { u, pValue, effectSize } = mannWhitneyU(sample, pooled, { alternative: 'greater' });
+			const regressed = pValue < alpha && change >= minSlowdown;
+
+			models[modelId] = {
+				status: regressed ? 'regression' : 'ok',
+				currentMedian,
+				baselineMedian,
+				change,
+				u,
+				pValue,
+				effectSize,
+				currentSampleCount: sample.length,
+				baselineSampleCount: pooled.length,
+			};
+			if (regressed) {
+				regressions.push(modelId);
+			}
+		}
+
+		// Chronological, one point per run, ending with the analyzed run
+		const trend = [current, ...earlier.slice(0, Math.max(0, trendRuns - 1))].reverse().map((run) => {
+			const results = JSON.parse(run.results || '{}');
+			return {
+				comparisonId: run.id,
+				timestamp: run.timestamp,
+				models: Object.fromEntries(
+					modelIds
+						.filter((modelId) => results[modelId])
+						.map((modelId) => {
+							const { avgLatency, p50Latency, p95Latency, p99Latency, errorRate, throughput } = results[modelId];
+							return [modelId, { avgLatency, p50Latency, p95Latency, p99Latency, errorRate, throughput }];
+						})
+				),
+			};
+		});
+
+		return {
+			comparisonId: current.id,
+			taskType: current.taskType,
+			equivalenceGroup: current.equivalenceGroup,
+			timestamp: current.timestamp,
+			modelIds,
+			baseline: {
+				comparisonIds: baseline.map((run) => run.id),
+				runCount: baseline.length,
+			},
+			policy: { baselineRuns, alpha, minSlowdown },
+			models,
+			regressions,
+			trend,
+		};
+	}
 }
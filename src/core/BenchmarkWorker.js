@@ -0,0 +1,520 @@
+/* global logger */
+
+import { v4 as uuidv4 } from 'uuid';
+import { postWebhook } from './utils/webhook.js';
+
+// Job states that can no longer change
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// JSON-stringified BenchmarkJob fields
+const JSON_FIELDS = ['request', 'modelProgress', 'winner'];
+
+/**
+ * BenchmarkWorker - Runs benchmark comparisons as queued background jobs
+ *
+ * Benchmarks against slow backends (e.g. Ollama) take far longer than an HTTP
+ * request may stay open, so POST /Benchmark only queues a BenchmarkJob. The
+ * worker runs queued jobs in FIFO order through BenchmarkEngine, one at a
+ * time by default so concurrent runs do not skew each other's latencies.
+ *
+ * While a job runs, per-model progress (phase, completed/total predictions)
+ * and overall progress are written back at most every `progressIntervalMs`.
+ * Cancellation is a `cancelRequested` flag on the job, checked on every
+ * progress write, so it works no matter which thread runs the job. The final
+ * comparison is written to BenchmarkResult by BenchmarkEngine and linked from
+ * the job as `resultId`.
+ *
+ * Every Harper thread has its own worker, so jobs are claimed: the claiming
+ * worker writes its `ownerId` and refreshes `heartbeatAt` while the job runs.
+ * A `running` job is only picked up again once its heartbeat is older than
+ * `staleAfterMs`, i.e. when the thread or process that owned it is gone.
+ * `maxConcurrent` counts live jobs of all workers.
+ *
+ * @class
+ * @example
+ * const worker = new BenchmarkWorker(benchmarkEngine);
+ * await worker.start();
+ * const job = await worker.createJob({ taskType: 'text-embedding', equivalenceGroup: 'minilm', testData });
+ * // ... later
+ * const { status, progress, resultId } = await worker.getJob(job.id);
+ */
+export class BenchmarkWorker {
+	/**
+	 * Create a new BenchmarkWorker instance
+	 * @param {BenchmarkEngine} benchmarkEngine - Engine that runs the comparisons
+	 * @param {Object} [tablesParam] - Optional tables object (defaults to global tables)
+	 * @param {Object} [options]
+	 * @param {number} [options.maxConcurrent] - Jobs run at once (default: BENCHMARK_MAX_CONCURRENT or 1)
+	 * @param {number} [options.progressIntervalMs=1000] - Minimum time between progress writes
+	 * @param {number} [options.heartbeatMs=15000] - Time between heartbeats of a running job
+	 * @param {number} [options.staleAfterMs] - Heartbeat age after which the job's owner counts as gone (default: 4 heartbeats)
+	 */
+	constructor(benchmarkEngine, tablesParam = null, options = {}) {
+		if (!benchmarkEngine) {
+			throw new Error('Benchmark engine is required');
+		}
+		this.benchmarkEngine = benchmarkEngine;
+		// Use provided tables or fall back to global tables (when running inside Harper)
+		this.tables = tablesParam || (typeof tables !== 'undefined' ? tables : null);
+		if (!this.tables) {
+			throw new Error('tables object is required (provide via constructor or global)');
+		}
+
+		this.maxConcurrent = options.maxConcurrent || parseInt(process.env.BENCHMARK_MAX_CONCURRENT) || 1;
+		this.progressIntervalMs = options.progressIntervalMs ?? 1000;
+		this.heartbeatMs = options.heartbeatMs ?? 15000;
+		this.staleAfterMs = options.staleAfterMs ?? this.heartbeatMs * 4;
+
+		this.workerId = uuidv4();
+		this.activeJobs = new Map(); // jobId -> { controller, promise }
+		this.queueRun = Promise.resolve();
+		this.running = false;
+	}
+
+	/**
+	 * Start the worker
+	 *
+	 * Processes the queue, including jobs whose owner stopped heartbeating.
+	 * Afterwards the worker is triggered by createJob() and finished jobs.
+	 */
+	async start() {
+		if (this.running) {
+			return;
+		}
+		this.running = true;
+
+		await this.processQueue();
+	}
+
+	/**
+	 * Stop picking up new jobs and cancel the ones in progress
+	 * @async
+	 */
+	async stop() {
+		this.running = false;
+		for (const { controller } of this.activeJobs.values()) {
+			controller.abort();
+		}
+		await Promise.allSettled([...this.activeJobs.values()].map(({ promise }) => promise));
+	}
+
+	/**
+	 * Queue a benchmark
+	 *
+	 * Models are resolved now so a request that cannot run fails immediately.
+	 *
+	 * @async
+	 * @param {Object} input
+	 * @param {string} input.taskType
+	 * @param {string} input.equivalenceGroup
+	 * @param {Array<Object>} input.testData - Samples, optionally with `expected` outputs
+	 * @param {number} [input.iterations=10]
+	 * @param {number} [input.warmupIterations]
+	 * @param {number} [input.concurrency]
+	 * @param {string|Object} [input.winnerPolicy]
+	 * @param {boolean|Object} [input.agreement] - Cross-model embedding agreement (`true` or `{ k }`)
+	 * @param {string} [input.runBy='api']
+	 * @param {string} [input.notes]
+	 * @param {string} [input.webhookUrl] - Called with { jobId, status, resultId | error } when the job ends
+	 * @returns {Promise<Object>} Queued job with JSON fields parsed
+	 * @throws {Error} If required fields are missing or fewer than 2 equivalent models exist
+	 */
+	async createJob(input) {
+		const {
+			taskType,
+			equivalenceGroup,
+			testData,
+			iterations = 10,
+			warmupIterations,
+			concurrency,
+			winnerPolicy,
+			agreement,
+			runBy = 'api',
+			notes = '',
+			webhookUrl = null,
+		} = input || {};
+
+		if (!taskType || !equivalenceGroup) {
+			throw new Error('taskType and equivalenceGroup are required');
+		}
+		if (!Array.isArray(testData) || testData.length === 0) {
+			throw new Error('testData must be a non-empty array');
+		}
+
+		const models = await this.benchmarkEngine.findEquivalentModels(taskType, equivalenceGroup);
+		if (models.length < 2) {
+			throw new Error(
+				`Not enough models found. Found ${models.length} models with taskType="${taskType}" and equivalenceGroup="${equivalenceGroup}". At least 2 models are required.`
+			);
+		}
+		this.benchmarkEngine.validateModelsForComparison(models);
+
+		const job = {
+			id: uuidv4(),
+			taskType,
+			equivalenceGroup,
+			status: 'queued',
+			progress: 0,
+			modelIds: models.map((m) => m.id),
+			currentModelId: null,
+			modelProgress: Object.fromEntries(models.map((m) => [m.id, { phase: 'queued', completed: 0, total: null }])),
+			request: { testData, iterations, warmupIterations, concurrency, winnerPolicy, agreement },
+			runBy,
+			notes,
+			webhookUrl,
+			cancelRequested: false,
+			resultId: null,
+			winner: null,
+			lastError: null,
+			createdAt: Date.now(),
+			startedAt: null,
+			completedAt: null,
+		};
+
+		await this._saveJob(job);
+
+		this.processQueue().catch((error) => logger.error('[BenchmarkWorker] Processing failed:', error.message));
+
+		return this._publicJob(job);
+	}
+
+	/**
+	 * Get a job
+	 * @async
+	 * @param {string} jobId
+	 * @returns {Promise<Object|null>} Job with JSON fields parsed (test data omitted)
+	 */
+	async getJob(jobId) {
+		const record = await this.tables.BenchmarkJob.get(jobId);
+		return record ? this._publicJob(this._parseJob(record)) : null;
+	}
+
+	/**
+	 * List jobs, most recent first
+	 * @async
+	 * @param {Object} [filters]
+	 * @param {string} [filters.status]
+	 * @param {number} [filters.limit=50]
+	 * @returns {Promise<Object[]>} Jobs with JSON fields parsed (test data omitted)
+	 */
+	async listJobs(filters = {}) {
+		const jobs = [];
+		for await (const record of this.tables.BenchmarkJob.search({})) {
+			if (filters.status && record.status !== filters.status) {
+				continue;
+			}
+			jobs.push(this._publicJob(this._parseJob(record)));
+		}
+		jobs.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+		return jobs.slice(0, filters.limit || 50);
+	}
+
+	/**
+	 * Cancel a queued or running job
+	 *
+	 * Queued jobs are cancelled at once. Running jobs stop before their next
+	 * prediction; the job reads `cancelled` once the run has wound down.
+	 *
+	 * @async
+	 * @param {string} jobId
+	 * @returns {Promise<Object>} Updated job
+	 * @throws {Error} If the job does not exist or has already finished
+	 */
+	async cancelJob(jobId) {
+		const record = await this.tables.BenchmarkJob.get(jobId);
+		if (!record) {
+			throw new Error(`Job ${jobId} not found`);
+		}
+		if (TERMINAL_STATUSES.includes(record.status)) {
+			throw new Error(`Job ${jobId} has already finished (status: ${record.status})`);
+		}
+
+		const job = this._parseJob(record);
+		if (job.status === 'queued') {
+			const cancelled = { ...job, status: 'cancelled', cancelRequested: true, completedAt: Date.now() };
+			await this._saveJob(cancelled);
+			return this._publicJob(cancelled);
+		}
+
+		const requested = { ...job, cancelRequested: true };
+		await this._saveJob(requested);
+		this.activeJobs.get(jobId)?.controller.abort();
+		return this._publicJob(requested);
+	}
+
+	/**
+	 * Start queued jobs while there are free slots
+	 * @async
+	 */
+	async processQueue() {
+		// Runs one at a time per worker so a slot is never claimed twice
+		const run = this.queueRun.then(() => this._fillSlots());
+		this.queueRun = run.catch(() => {});
+		return run;
+	}
+
+	/**
+	 * Claim and start runnable jobs while fewer than `maxConcurrent` are live
+	 * @private
+	 */
+	async _fillSlots() {
+		if (!this.running) {
+			return;
+		}
+
+		const runnable = [];
+		let live = 0;
+		for await (const record of this.tables.BenchmarkJob.search({})) {
+			if (this.activeJobs.has(record.id)) {
+				live++;
+			} else if (record.status === 'queued' || (record.status === 'running' && this._isStale(record))) {
+				runnable.push(record);
+			} else if (record.status === 'running') {
+				live++;
+			}
+		}
+		runnable.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+
+		for (const record of runnable) {
+			if (live >= this.maxConcurrent || !this.running) {
+				break;
+			}
+
+			const job = await this._claimJob(record.id);
+			if (!job) {
+				continue;
+			}
+			live++;
+
+			const controller = new AbortController();
+			const promise = this.processJob(job, controller)
+				.catch((error) => logger.error(`[BenchmarkWorker] Job ${record.id} failed:`, error.message))
+				.finally(() => {
+					this.activeJobs.delete(record.id);
+					this.processQueue().catch((error) => logger.error('[BenchmarkWorker] Processing failed:', error.message));
+				});
+			this.activeJobs.set(record.id, { controller, promise });
+		}
+	}
+
+	/**
+	 * Run one job to completion, failure or cancellation
+	 * @private
+	 * @param {Object} job - Parsed job, already claimed by this worker
+	 * @param {AbortController} controller
+	 */
+	async processJob(job, controller) {
+		let current = job;
+		let owned = true;
+		logger.info(`[BenchmarkWorker] Running job ${job.id} (${job.taskType}/${job.equivalenceGroup})`);
+
+		let lastWrite = 0;
+		let writing = Promise.resolve();
+		const write = () => {
+			writing = writing.then(async () => {
+				if (owned && !(await this._writeProgress(current, controller))) {
+					owned = false;
+				}
+			});
+		};
+		// Progress writes refresh the heartbeat too, but a single slow prediction can outlast it
+		const heartbeat = setInterval(write, this.heartbeatMs);
+		heartbeat.unref?.();
+
+		const onProgress = ({ modelId, modelIndex, modelCount, phase, completed, total }) => {
+			const previousPhase = current.modelProgress[modelId]?.phase;
+			current = {
+				...current,
+				currentModelId: modelId,
+				progress: Math.floor(((modelIndex + completed / total) / modelCount) * 100),
+				modelProgress: {
+					...current.modelProgress,
+					[modelId]: { phase, completed, total },
+				},
+			};
+
+			const now = Date.now();
+			if (phase === previousPhase && now - lastWrite < this.progressIntervalMs) {
+				return;
+			}
+			lastWrite = now;
+			write();
+		};
+
+		try {
+			const models = (await this.benchmarkEngine.findEquivalentModels(job.taskType, job.equivalenceGroup)).filter(
+				(model) => job.modelIds.includes(model.id)
+			);
+			const { testData, ...options } = job.request;
+
+			const result = await this.benchmarkEngine.compareBenchmark(models, testData, {
+				...options,
+				iterations: options.iterations || 10,
+				taskType: job.taskType,
+				equivalenceGroup: job.equivalenceGroup,
+				runBy: job.runBy,
+				notes: job.notes,
+				signal: controller.signal,
+				onProgress,
+			});
+			clearInterval(heartbeat);
+			await writing;
+			if (!owned) {
+				logger.warn(`[BenchmarkWorker] Job ${job.id} was taken over by another worker, dropping this run`);
+				return;
+			}
+
+			current = {
+				...current,
+				status: 'completed',
+				progress: 100,
+				currentModelId: null,
+				modelProgress: Object.fromEntries(
+					Object.entries(current.modelProgress).map(([id, progress]) => [id, { ...progress, phase: 'done' }])
+				),
+				resultId: result.comparisonId,
+				winner: result.winner,
+				completedAt: Date.now(),
+			};
+			await this._saveJob(current);
+			logger.info(`[BenchmarkWorker] Job ${job.id} completed (result ${result.comparisonId})`);
+		} catch (error) {
+			clearInterval(heartbeat);
+			await writing;
+			if (!owned) {
+				logger.warn(`[BenchmarkWorker] Job ${job.id} was taken over by another worker, dropping this run`);
+				return;
+			}
+
+			const cancelled = error.name === 'AbortError';
+			current = {
+				...current,
+				status: cancelled ? 'cancelled' : 'failed',
+				lastError: cancelled ? null : error.message,
+				completedAt: Date.now(),
+			};
+			await this._saveJob(current);
+			if (!cancelled) {
+				throw error;
+			}
+			logger.info(`[BenchmarkWorker] Job ${job.id} cancelled`);
+		} finally {
+			clearInterval(heartbeat);
+			if (owned && current.webhookUrl) {
+				await postWebhook(
+					current.webhookUrl,
+					{
+						jobId: current.id,
+						status: current.status,
+						resultId: current.resultId,
+						error: current.lastError,
+					},
+					'[BenchmarkWorker]'
+				);
+			}
+		}
+	}
+
+	/**
+	 * Claim a job for this worker
+	 *
+	 * The job is re-read so a job another worker claimed since the queue scan
+	 * is skipped, and read back after the write so only one of two workers
+	 * claiming at the same moment runs it. A stale job that was asked to cancel
+	 * is cancelled instead of being run.
+	 *
+	 * @private
+	 * @param {string} jobId
+	 * @returns {Promise<Object|null>} Parsed job, or null if it is not ours to run
+	 */
+	async _claimJob(jobId) {
+		const record = await this.tables.BenchmarkJob.get(jobId);
+		const resumed = record?.status === 'running' && this._isStale(record);
+		if (!record || (record.status !== 'queued' && !resumed)) {
+			return null;
+		}
+
+		const now = Date.now();
+		if (record.cancelRequested) {
+			await this.tables.BenchmarkJob.put({ ...record, status: 'cancelled', completedAt: now });
+			return null;
+		}
+
+		await this.tables.BenchmarkJob.put({
+			...record,
+			status: 'running',
+			ownerId: this.workerId,
+			heartbeatAt: now,
+			startedAt: now,
+			lastError: resumed ? 'Worker stopped during the benchmark, running again' : null,
+		});
+		const claimed = await this.tables.BenchmarkJob.get(jobId);
+		return claimed?.ownerId === this.workerId ? this._parseJob(claimed) : null;
+	}
+
+	/**
+	 * Whether a running job's owner has stopped heartbeating
+	 * @private
+	 */
+	_isStale(record) {
+		return !record.heartbeatAt || Date.now() - record.heartbeatAt > this.staleAfterMs;
+	}
+
+	/**
+	 * Persist progress and refresh the heartbeat, and abort if a cancel was
+	 * requested from elsewhere
+	 * @private
+	 * @returns {Promise<boolean>} False if another worker has taken the job over
+	 */
+	async _writeProgress(job, controller) {
+		try {
+			const stored = await this.tables.BenchmarkJob.get(job.id);
+			if (stored && stored.ownerId !== this.workerId) {
+				controller.abort();
+				return false;
+			}
+			if (stored?.cancelRequested) {
+				controller.abort();
+				return true;
+			}
+			await this._saveJob({ ...job, cancelRequested: false, heartbeatAt: Date.now() });
+		} catch (error) {
+			logger.error(`[BenchmarkWorker] Error updating progress for job ${job.id}:`, error.message);
+		}
+		return true;
+	}
+
+	/**
+	 * Store a job with JSON fields stringified
+	 * @private
+	 */
+	async _saveJob(job) {
+		const record = { ...job, modelIds: JSON.stringify(job.modelIds) };
+		for (const field of JSON_FIELDS) {
+			record[field] = job[field] === null || job[field] === undefined ? null : JSON.stringify(job[field]);
+		}
+		await this.tables.BenchmarkJob.put(record);
+	}
+
+	/**
+	 * Parse the JSON fields of a stored job
+	 * @private
+	 */
+	_parseJob(record) {
+		const job = { ...record, modelIds: record.modelIds ? JSON.parse(record.modelIds) : [] };
+		for (const field of JSON_FIELDS) {
+			job[field] = record[field] ? JSON.parse(record[field]) : null;
+		}
+		job.modelProgress = job.modelProgress || {};
+		return job;
+	}
+
+	/**
+	 * Job as returned by the API: test data is summarized instead of echoed back
+	 * @private
+	 */
+	_publicJob(job) {
+		const { testData, ...request } = job.request || {};
+		return { ...job, request: { ...request, sampleCount: testData?.length || 0 } };
+	}
+}
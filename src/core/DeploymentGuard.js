@@ -0,0 +1,565 @@
+/* global logger */
+
+import { v4 as uuidv4 } from 'uuid';
+import { ModelLifecycle } from './ModelLifecycle.js';
+import { claimLease } from './utils/lease.js';
+
+// Regression limits; a candidate is rolled back when any of them is exceeded
+const DEFAULT_THRESHOLDS = {
+	errorRateIncrease: 0.05, // candidate errorRate - previous errorRate
+	latencyRatio: 1.5, // candidate p95Latency / previous p95Latency
+	maxErrorRate: 0.1, // absolute ceiling, applies even without previous-version data
+};
+
+/**
+ * DeploymentGuard - Roll back production promotions that regress
+ *
+ * When a model version reaches the `production` stage a DeploymentWatch is
+ * opened for it, either explicitly through watch() or automatically when a
+ * periodic run finds a production version that has not been watched yet. The
+ * version that was in production before the promotion (per ModelStageHistory)
+ * is the baseline.
+ *
+ * On every run, each open watch compares the candidate's metrics since
+ * promotion with the previous version's metrics over the same length of time
+ * before promotion (MonitoringBackend.getMetrics, per version):
+ * - error rate more than `errorRateIncrease` above the previous version
+ * - p95 latency more than `latencyRatio` times the previous version's
+ * - error rate above `maxErrorRate`
+ *
+ * Checks start once the candidate has served `minRequests` requests. A
+ * regression rolls back: the candidate goes back to `staging`, the previous
+ * version is set to `production` and the candidate's weight in the model's
+ * ModelRoute drops to 0, leaving the other versions as configured (the
+ * previous version takes over the candidate's weight when nothing else would
+ * get traffic, and gets a route of its own when the model had none). Watches
+ * that survive the bake period with at least `minRequests` requests pass;
+ * until the candidate has served that many they stay open. Every step is
+ * written to DeploymentAudit with the metrics that led to it, and rollbacks
+ * with the route they replaced.
+ *
+ * Every Harper thread has its own guard; only the one holding the
+ * `deployment-guard` WorkerLease runs checks (see utils/lease.js).
+ *
+ * @class
+ * @example
+ * const guard = new DeploymentGuard(monitoringBackend, modelRouter);
+ * await guard.watch({ modelName: 'minilm', modelVersion: 'v2', previousVersion: 'v1' });
+ * guard.start(); // checks every DEPLOYMENT_GUARD_INTERVAL ms
+ */
+export class DeploymentGuard {
+	/**
+	 * Create a new DeploymentGuard instance
+	 * @param {MonitoringBackend} monitoringBackend - Source of per-version metrics
+	 * @param {ModelRouter} modelRouter - Used to send traffic back to the previous version
+	 * @param {Object} [tablesParam] - Optional tables object (defaults to global tables)
+	 * @param {Object} [options]
+	 * @param {number} [options.intervalMs] - Check interval (default: DEPLOYMENT_GUARD_INTERVAL or 60000)
+	 * @param {number} [options.bakeMs] - Default bake period (default: DEPLOYMENT_BAKE_MS or 1 hour)
+	 * @param {number} [options.minRequests=20] - Candidate requests needed before judging
+	 * @param {Object} [options.thresholds] - Overrides for errorRateIncrease, latencyRatio, maxErrorRate
+	 * @param {ModelLifecycle} [options.lifecycle] - Records rollback stage changes (default: new ModelLifecycle)
+	 * @param {number} [options.staleAfterMs] - Lease age after which another guard takes over (default: 3 intervals)
+	 */
+	constructor(monitoringBackend, modelRouter, tablesParam = null, options = {}) {
+		if (!monitoringBackend) {
+			throw new Error('Monitoring backend is required');
+		}
+		if (!modelRouter) {
+			throw new Error('Model router is required');
+		}
+		this.monitoringBackend = monitoringBackend;
+		this.modelRouter = modelRouter;
+		// Use provided tables or fall back to global tables (when running inside Harper)
+		this.tables = tablesParam || (typeof tables !== 'undefined' ? tables : null);
+		if (!this.tables) {
+			throw new Error('tables object is required (provide via constructor or global)');
+		}
+
+		this.intervalMs = options.intervalMs || parseInt(process.env.DEPLOYMENT_GUARD_INTERVAL) || 60000;
+		this.bakeMs = options.bakeMs || parseInt(process.env.DEPLOYMENT_BAKE_MS) || 60 * 60 * 1000;
+		this.minRequests = options.minRequests ?? 20;
+		this.thresholds = { ...DEFAULT_THRESHOLDS, ...options.thresholds };
+		this.lifecycle = options.lifecycle || new ModelLifecycle(monitoringBackend, this.tables);
+		this.staleAfterMs = options.staleAfterMs ?? this.intervalMs * 3;
+
+		this.ownerId = uuidv4();
+		this.intervalHandle = null;
+		this.running = false;
+	}
+
+	/**
+	 * Start periodic checks
+	 *
+	 * The timer is unref'd so it never keeps the process alive on its own.
+	 */
+	start() {
+		if (this.intervalHandle) {
+			return;
+		}
+		this.intervalHandle = setInterval(() => {
+			this.run().catch((error) => logger.error('[DeploymentGuard] Run failed:', error.message));
+		}, this.intervalMs);
+		this.intervalHandle.unref?.();
+		logger.info(`[DeploymentGuard] Started (every ${this.intervalMs}ms)`);
+	}
+
+	/**
+	 * Stop periodic checks
+	 */
+	stop() {
+		if (this.intervalHandle) {
+			clearInterval(this.intervalHandle);
+			this.intervalHandle = null;
+		}
+	}
+
+	/**
+	 * Open a watch for a newly promoted version
+	 *
+	 * @async
+	 * @param {Object} input
+	 * @param {string} input.modelName
+	 * @param {string} input.modelVersion - Version just promoted to production
+	 * @param {string} input.previousVersion - Production version to fall back to
+	 * @param {number} [input.bakeMs] - Bake period (default: this.bakeMs)
+	 * @param {Object} [input.thresholds] - Per-watch threshold overrides
+	 * @param {number} [now=Date.now()] - Promotion time
+	 * @returns {Promise<Object>} DeploymentWatch with thresholds parsed
+	 * @throws {Error} If a version is missing or both versions are the same
+	 */
+	async watch(input, now = Date.now()) {
+		const { modelName, modelVersion, previousVersion } = input || {};
+
+		if (!modelName || !modelVersion || !previousVersion) {
+			throw new Error('modelName, modelVersion and previousVersion are required');
+		}
+		if (modelVersion === previousVersion) {
+			throw new Error('previousVersion must differ from modelVersion');
+		}
+		for (const version of [modelVersion, previousVersion]) {
+			if (!(await this.tables.Model.get(`${modelName}:${version}`))) {
+				throw new Error(`Model ${modelName}:${version} not found`);
+			}
+		}
+
+		const bakeMs = input.bakeMs || this.bakeMs;
+		const watch = {
+			id: `${modelName}:${modelVersion}`,
+			modelName,
+			modelVersion,
+			previousVersion,
+			status: 'watching',
+			thresholds: { ...this.thresholds, ...input.thresholds },
+			startedAt: now,
+			bakeUntil: now + bakeMs,
+			lastCheckedAt: null,
+			reason: null,
+		};
+
+		await this._saveWatch(watch);
+		await this._audit(
+			watch,
+			'watch_started',
+			`Watching ${modelVersion} for ${bakeMs}ms against ${previousVersion}`,
+			null,
+			now
+		);
+
+		return watch;
+	}
+
+	/**
+	 * Detect new production versions and check every open watch once
+	 *
+	 * Overlapping calls and guards that do not hold the lease return immediately.
+	 *
+	 * @async
+	 * @param {number} [now=Date.now()]
+	 * @returns {Promise<Object[]>} Watches that changed status (passed or rolled_back)
+	 */
+	async run(now = Date.now()) {
+		if (this.running) {
+			return [];
+		}
+		this.running = true;
+
+		try {
+			if (!(await claimLease(this.tables.WorkerLease, 'deployment-guard', this.ownerId, this.staleAfterMs))) {
+				return [];
+			}
+
+			await this._detectPromotions(now);
+
+			const changed = [];
+			for (const watch of await this.getWatches({ status: 'watching' })) {
+				try {
+					const result = await this._check(watch, now);
+					if (result.status !== 'watching') {
+						changed.push(result);
+					}
+				} catch (error) {
+					logger.error(`[DeploymentGuard] Check for ${watch.id} failed:`, error.message);
+				}
+			}
+			return changed;
+		} finally {
+			this.running = false;
+		}
+	}
+
+	/**
+	 * List watches
+	 * @async
+	 * @param {Object} [filters]
+	 * @param {string} [filters.modelName]
+	 * @param {string} [filters.status] - watching | passed | rolled_back | baseline
+	 * @returns {Promise<Object[]>} Watches, most recent first
+	 */
+	async getWatches(filters = {}) {
+		const watches = [];
+		const query = filters.modelName ? { modelName: filters.modelName } : {};
+		for await (const record of this.tables.DeploymentWatch.search(query)) {
+			if (filters.status && record.status !== filters.status) {
+				continue;
+			}
+			watches.push({ ...record, thresholds: record.thresholds ? JSON.parse(record.thresholds) : null });
+		}
+		watches.sort((a, b) => (b.startedAt || 0) - (a.startedAt || 0));
+		return watches;
+	}
+
+	/**
+	 * List audit records
+	 * @async
+	 * @param {Object} [filters]
+	 * @param {string} [filters.modelName]
+	 * @param {number} [filters.limit=100]
+	 * @returns {Promise<Object[]>} Audit records, most recent first, metrics and previousRoute parsed
+	 */
+	async getAudit(filters = {}) {
+		const records = [];
+		const query = filters.modelName ? { modelName: filters.modelName } : {};
+		for await (const record of this.tables.DeploymentAudit.search(query)) {
+			records.push({
+				...record,
+				metrics: record.metrics ? JSON.parse(record.metrics) : null,
+				previousRoute: record.previousRoute ? JSON.parse(record.previousRoute) : null,
+			});
+		}
+		records.sort((a, b) => b.timestamp - a.timestamp);
+		return records.slice(0, filters.limit || 100);
+	}
+
+	/**
+	 * Open watches for production versions nobody is watching yet
+	 *
+	 * Promotion order comes from ModelStageHistory: a version was promoted at
+	 * its latest move to `production` (versions put in production outside the
+	 * lifecycle count as promoted at upload). Versions are handled in that
+	 * order. The previous version is the one that was in production just before
+	 * the candidate's promotion, found by replaying the history; the first
+	 * promoted version has nothing to compare with and is recorded as the
+	 * baseline.
+	 * @private
+	 */
+	async _detectPromotions(now) {
+		const production = new Map();
+		for await (const model of this.tables.Model.search({ stage: 'production' })) {
+			if (!production.has(model.modelName)) {
+				production.set(model.modelName, []);
+			}
+			production.get(model.modelName).push(model);
+		}
+
+		for (const [modelName, models] of production) {
+			const watches = new Map((await this.getWatches({ modelName })).map((w) => [w.modelVersion, w]));
+			const history = await this._stageHistory(modelName);
+			const promotedAt = (model) =>
+				history.findLast((h) => h.modelVersion === model.modelVersion && h.toStage === 'production')?.timestamp ??
+				(model.uploadedAt || 0);
+			const ordered = models
+				.map((model) => ({ model, promotedAt: promotedAt(model) }))
+				.sort((a, b) => a.promotedAt - b.promotedAt);
+
+			for (const { model, promotedAt: candidatePromotedAt } of ordered) {
+				const existing = watches.get(model.modelVersion);
+				// Re-promoting a rolled back version starts a new watch
+				if (existing && existing.status !== 'rolled_back') {
+					continue;
+				}
+
+				const previous = this._productionBefore(model.modelVersion, candidatePromotedAt, history, ordered);
+
+				if (previous) {
+					const watch = await this.watch(
+						{ modelName, modelVersion: model.modelVersion, previousVersion: previous },
+						now
+					);
+					watches.set(watch.modelVersion, watch);
+				} else {
+					const baseline = {
+						id: `${modelName}:${model.modelVersion}`,
+						modelName,
+						modelVersion: model.modelVersion,
+						previousVersion: null,
+						status: 'baseline',
+						thresholds: null,
+						startedAt: now,
+						bakeUntil: now,
+						lastCheckedAt: now,
+						reason: 'First production version, nothing to compare against',
+					};
+					await this._saveWatch(baseline);
+					watches.set(baseline.modelVersion, baseline);
+				}
+			}
+		}
+	}
+
+	/**
+	 * Stage changes of a model, oldest first
+	 * @private
+	 */
+	async _stageHistory(modelName) {
+		const history = [];
+		for await (const record of this.tables.ModelStageHistory.search({ modelName })) {
+			history.push(record);
+		}
+		return history.sort((a, b) => a.timestamp - b.timestamp);
+	}
+
+	/**
+	 * Version that was in production just before `promotedAt`
+	 *
+	 * Replays the stage changes made before the promotion, starting from the
+	 * versions that were in production before their first recorded change
+	 * (or have none), and returns the most recently promoted version still in
+	 * production at that point.
+	 * @private
+	 * @param {string} modelVersion - Candidate, never its own previous version
+	 * @param {number} promotedAt
+	 * @param {Object[]} history - ModelStageHistory records, oldest first
+	 * @param {Array<{model: Object, promotedAt: number}>} current - Current production versions
+	 * @returns {string|undefined}
+	 */
+	_productionBefore(modelVersion, promotedAt, history, current) {
+		const inProduction = new Map();
+		for (const entry of current) {
+			const tracked = history.some((h) => h.modelVersion === entry.model.modelVersion);
+			if (!tracked && entry.promotedAt < promotedAt) {
+				inProduction.set(entry.model.modelVersion, entry.promotedAt);
+			}
+		}
+		const seen = new Set();
+		for (const record of history) {
+			if (!seen.has(record.modelVersion) && record.fromStage === 'production') {
+				inProduction.set(record.modelVersion, 0);
+			}
+			seen.add(record.modelVersion);
+		}
+		for (const record of history) {
+			if (record.timestamp >= promotedAt) {
+				break;
+			}
+			if (record.toStage === 'production') {
+				inProduction.set(record.modelVersion, record.timestamp);
+			} else {
+				inProduction.delete(record.modelVersion);
+			}
+		}
+
+		inProduction.delete(modelVersion);
+		let previous;
+		let latest = -Infinity;
+		for (const [version, timestamp] of inProduction) {
+			if (timestamp > latest) {
+				previous = version;
+				latest = timestamp;
+			}
+		}
+		return previous;
+	}
+
+	/**
+	 * Compare a watched candidate with its previous version
+	 *
+	 * Both metric windows are timestamp-bounded searches, so a check reads
+	 * only the events since promotion and the same length of time before it.
+	 * @private
+	 * @returns {Promise<Object>} Updated watch
+	 */
+	async _check(watch, now) {
+		const bakeMs = watch.bakeUntil - watch.startedAt;
+		const candidateMetrics = await this.monitoringBackend.getMetrics(watch.modelName, {
+			startTime: new Date(watch.startedAt),
+			endTime: new Date(now),
+		});
+		const previousMetrics = await this.monitoringBackend.getMetrics(watch.modelName, {
+			startTime: new Date(watch.startedAt - bakeMs),
+			endTime: new Date(watch.startedAt),
+		});
+		const candidate = candidateMetrics.byVersion?.[watch.modelVersion] || null;
+		const previous = previousMetrics.byVersion?.[watch.previousVersion] || null;
+		const metrics = { candidate, previous };
+
+		if (candidate && candidate.count >= this.minRequests) {
+			const reasons = this._regressions(candidate, previous, watch.thresholds || this.thresholds);
+			if (reasons.length > 0) {
+				return this._rollback(watch, reasons.join('; '), metrics, now);
+			}
+		}
+
+		const served = candidate?.count || 0;
+		if (now >= watch.bakeUntil && served >= this.minRequests) {
+			const reason = `No regression during the bake period (${served} requests)`;
+			const passed = { ...watch, status: 'passed', lastCheckedAt: now, reason };
+			await this._saveWatch(passed);
+			await this._audit(passed, 'passed', reason, metrics, now);
+			return passed;
+		}
+
+		// A version nobody routes traffic to stays watched until it has served enough requests
+		const reason =
+			now >= watch.bakeUntil
+				? `Bake period ended with only ${served} of ${this.minRequests} requests; still watching`
+				: watch.reason;
+		const updated = { ...watch, lastCheckedAt: now, reason };
+		await this._saveWatch(updated);
+		return updated;
+	}
+
+	/**
+	 * Threshold violations of a candidate against the previous version
+	 * @private
+	 * @returns {string[]} Human-readable reasons (empty when healthy)
+	 */
+	_regressions(candidate, previous, thresholds) {
+		const reasons = [];
+
+		if (candidate.errorRate > thresholds.maxErrorRate) {
+			reasons.push(`error rate ${formatRate(candidate.errorRate)} above ${formatRate(thresholds.maxErrorRate)}`);
+		}
+
+		if (previous && previous.count > 0) {
+			if (candidate.errorRate - previous.errorRate > thresholds.errorRateIncrease) {
+				reasons.push(
+					`error rate ${formatRate(candidate.errorRate)} vs ${formatRate(previous.errorRate)} for the previous version`
+				);
+			}
+			if (previous.p95Latency > 0 && candidate.p95Latency > previous.p95Latency * thresholds.latencyRatio) {
+				reasons.push(
+					`p95 latency ${Math.round(candidate.p95Latency)}ms vs ${Math.round(previous.p95Latency)}ms for the previous version`
+				);
+			}
+		}
+
+		return reasons;
+	}
+
+	/**
+	 * Revert stage and routing to the previous version
+	 *
+	 * Only the candidate's route weight changes (see rollbackRoute); the
+	 * replaced route is kept in the audit record.
+	 * @private
+	 */
+	async _rollback(watch, reason, metrics, now) {
+		const { modelName, modelVersion, previousVersion } = watch;
+
+		// Stage changes bypass promotion gates but are still recorded in ModelStageHistory
+		const stageChange = { approver: 'deployment-guard', reason, automated: true };
+		const candidateModel = await this.tables.Model.get(`${modelName}:${modelVersion}`);
+		if (candidateModel) {
+			await this.lifecycle.setStage(candidateModel, 'staging', stageChange);
+		}
+		const previousModel = await this.tables.Model.get(`${modelName}:${previousVersion}`);
+		if (previousModel && previousModel.stage !== 'production') {
+			await this.lifecycle.setStage(previousModel, 'production', stageChange);
+		}
+		const route = await this.modelRouter.getRoute(modelName);
+		await this.modelRouter.setRoute(modelName, rollbackRoute(route?.versions, modelVersion, previousVersion));
+
+		const rolledBack = { ...watch, status: 'rolled_back', lastCheckedAt: now, reason };
+		await this._saveWatch(rolledBack);
+		await this._audit(
+			rolledBack,
+			'rolled_back',
+			`Rolled back ${modelVersion} to ${previousVersion}: ${reason}`,
+			metrics,
+			now,
+			route?.versions ?? null
+		);
+		logger.warn(`[DeploymentGuard] Rolled back ${modelName} ${modelVersion} -> ${previousVersion}: ${reason}`);
+
+		return rolledBack;
+	}
+
+	/**
+	 * Store a watch with thresholds as JSON
+	 * @private
+	 */
+	async _saveWatch(watch) {
+		await this.tables.DeploymentWatch.put({
+			...watch,
+			thresholds: watch.thresholds ? JSON.stringify(watch.thresholds) : null,
+		});
+	}
+
+	/**
+	 * Write a DeploymentAudit record
+	 * @private
+	 * @param {Object[]|null} [previousRoute=null] - Route versions replaced by a rollback
+	 */
+	async _audit(watch, action, reason, metrics, now, previousRoute = null) {
+		await this.tables.DeploymentAudit.put({
+			id: uuidv4(),
+			modelName: watch.modelName,
+			modelVersion: watch.modelVersion,
+			previousVersion: watch.previousVersion,
+			action,
+			reason,
+			metrics: metrics ? JSON.stringify(metrics) : null,
+			previousRoute: previousRoute ? JSON.stringify(previousRoute) : null,
+			timestamp: now,
+		});
+	}
+}
+
+/**
+ * Route versions after rolling `candidate` back to `previousVersion`
+ *
+ * The candidate keeps its place with weight 0 and every other version keeps
+ * its weight, so sticky assignments to those versions hold. When no version
+ * would be left with traffic, the previous version takes the candidate's weight.
+ * @param {Array<{modelVersion: string, weight: number}>|undefined} versions - Current route versions
+ * @param {string} candidate - Version being rolled back
+ * @param {string} previousVersion - Version to fall back to
+ * @returns {Array<{modelVersion: string, weight: number}>}
+ */
+function rollbackRoute(versions, candidate, previousVersion) {
+	if (!versions || versions.length === 0) {
+		return [{ modelVersion: previousVersion, weight: 1 }];
+	}
+
+	const candidateWeight = versions.find((v) => v.modelVersion === candidate)?.weight || 1;
+	const next = versions.map((v) => (v.modelVersion === candidate ? { ...v, weight: 0 } : { ...v }));
+	if (next.some((v) => v.weight > 0)) {
+		return next;
+	}
+
+	const previous = next.find((v) => v.modelVersion === previousVersion);
+	if (previous) {
+		previous.weight = candidateWeight;
+	} else {
+		next.push({ modelVersion: previousVersion, weight: candidateWeight });
+	}
+	return next;
+}
+
+/**
+ * Format a 0-1 rate as a percentage
+ */
+function formatRate(rate) {
+	return `${(rate * 100).toFixed(1)}%`;
+}
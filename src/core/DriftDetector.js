@@ -0,0 +1,325 @@
+import { v4 as uuidv4 } from 'uuid';
+import {
+	ksTest,
+	psi,
+	categoricalPsi,
+	chiSquareTest,
+	totalVariationDistance,
+	centroid,
+	cosineDistance,
+} from './utils/statistics.js';
+
+// Default thresholds for flagging drift
+const DEFAULT_THRESHOLDS = {
+	pValue: 0.05, // KS / chi-square significance level
+	psi: 0.2, // PSI above this is a significant shift
+	centroidDistance: 0.1, // cosine distance between embedding centroids
+};
+
+/**
+ * DriftDetector - Compare a reference window of InferenceEvents against a current window
+ *
+ * Three checks run depending on what the model's predictions contain:
+ * - Embedding centroid shift (embedding models): cosine distance between window centroids
+ * - Label distribution shift (classifiers): chi-square test + PSI over predicted labels
+ * - Confidence distribution shift: KS test + PSI over event confidence
+ *
+ * Each check reports a `score` in [0, 1] (centroid cosine distance, label total
+ * variation distance, confidence KS statistic). `driftScore` is the largest score,
+ * and `driftDetected` is true when any check crosses its threshold.
+ * Results are persisted to the DriftMetrics table.
+ *
+ * @class
+ * @example
+ * const detector = new DriftDetector();
+ * const result = await detector.detect('product-classifier', {
+ *   currentWindowMs: 60 * 60 * 1000,        // last hour
+ *   referenceWindowMs: 7 * 24 * 60 * 60 * 1000, // the week before it
+ * });
+ * if (result.driftDetected) console.log(result.checks);
+ */
+export class DriftDetector {
+	/**
+	 * Create a new DriftDetector instance
+	 * @param {Object} [tablesParam] - Optional tables object (defaults to global tables)
+	 * @param {Object} [options]
+	 * @param {Object} [options.thresholds] - Overrides for DEFAULT_THRESHOLDS
+	 * @param {number} [options.minSamples=30] - Minimum events per window for a check to run
+	 */
+	constructor(tablesParam = null, options = {}) {
+		// Use provided tables or fall back to global tables (when running inside Harper)
+		this.tables = tablesParam || (typeof tables !== 'undefined' ? tables : null);
+		if (!this.tables) {
+			throw new Error('tables object is required (provide via constructor or global)');
+		}
+		this.thresholds = { ...DEFAULT_THRESHOLDS, ...options.thresholds };
+		this.minSamples = options.minSamples ?? 30;
+	}
+
+	/**
+	 * Run drift detection for a model and persist the result
+	 *
+	 * Windows default to: current = the last `currentWindowMs` before `now`,
+	 * reference = the `referenceWindowMs` immediately before that. Explicit
+	 * start/end timestamps override the defaults.
+	 *
+	 * @async
+	 * @param {string} modelName - Model identifier
+	 * @param {Object} [options]
+	 * @param {string} [options.modelVersion] - Only consider events for this version
+	 * @param {number} [options.now=Date.now()] - End of the current window
+	 * @param {number} [options.currentWindowMs=3600000] - Current window length (1 hour)
+	 * @param {number} [options.referenceWindowMs=86400000] - Reference window length (24 hours)
+	 * @param {number} [options.currentStart] - Explicit current window start (ms)
+	 * @param {number} [options.currentEnd] - Explicit current window end (ms)
+	 * @param {number} [options.referenceStart] - Explicit reference window start (ms)
+	 * @param {number} [options.referenceEnd] - Explicit reference window end (ms)
+	 * @returns {Promise<Object>} Stored DriftMetrics record with `checks` parsed
+	 * @throws {Error} If modelName is missing or a window is empty/inverted
+	 */
+	async detect(modelName, options = {}) {
+		if (!modelName) {
+			throw new Error('modelName is required');
+		}
+
+		const windows = this._resolveWindows(options);
+		const { reference, current } = await this._loadWindows(modelName, options.modelVersion, windows);
+
+		const checks = {};
+		const embeddingCheck = this._checkEmbeddings(reference, current);
+		if (embeddingCheck) checks.embedding = embeddingCheck;
+		const labelCheck = this._checkLabels(reference, current);
+		if (labelCheck) checks.label = labelCheck;
+		const confidenceCheck = this._checkConfidence(reference, current);
+		if (confidenceCheck) checks.confidence = confidenceCheck;
+
+		const results = Object.values(checks);
+		const driftScore = results.length > 0 ? Math.max(...results.map((c) => c.score)) : 0;
+
+		const record = {
+			id: uuidv4(),
+			modelName,
+			modelVersion: options.modelVersion || null,
+			timestamp: Date.now(),
+			referenceStart: windows.referenceStart,
+			referenceEnd: windows.referenceEnd,
+			currentStart: windows.currentStart,
+			currentEnd: windows.currentEnd,
+			referenceCount: reference.length,
+			currentCount: current.length,
+			driftScore,
+			driftDetected: results.some((c) => c.drifted),
+			checks: JSON.stringify(checks),
+		};
+
+		await this.tables.DriftMetrics.put(record);
+
+		return { ...record, checks };
+	}
+
+	/**
+	 * Get stored drift results for a model, most recent first
+	 * @async
+	 * @param {string} modelName - Model identifier
+	 * @param {Object} [options]
+	 * @param {number} [options.limit] - Maximum number of results
+	 * @returns {Promise<Object[]>} DriftMetrics records with `checks` parsed
+	 */
+	async getHistory(modelName, options = {}) {
+		const history = [];
+		for await (const record of this.tables.DriftMetrics.search({ modelName })) {
+			history.push({ ...record, checks: this._parseJson(record.checks, {}) });
+		}
+
+		// Sort by timestamp descending (most recent first)
+		history.sort((a, b) => b.timestamp - a.timestamp);
+
+		return options.limit ? history.slice(0, options.limit) : history;
+	}
+
+	/**
+	 * Resolve reference/current window bounds from options
+	 * @private
+	 */
+	_resolveWindows(options) {
+		const now = options.now ?? Date.now();
+		const currentWindowMs = options.currentWindowMs ?? 60 * 60 * 1000;
+		const referenceWindowMs = options.referenceWindowMs ?? 24 * 60 * 60 * 1000;
+
+		const currentEnd = options.currentEnd ?? now;
+		const currentStart = options.currentStart ?? currentEnd - currentWindowMs;
+		const referenceEnd = options.referenceEnd ?? currentStart;
+		const referenceStart = options.referenceStart ?? referenceEnd - referenceWindowMs;
+
+		if (currentStart >= currentEnd || referenceStart >= referenceEnd) {
+			throw new Error('Drift windows must have start < end');
+		}
+
+		return { referenceStart, referenceEnd, currentStart, currentEnd };
+	}
+
+	/**
+	 * Load InferenceEvents for both windows in a single scan
+	 * @private
+	 */
+	async _loadWindows(modelName, modelVersion, windows) {
+		const reference = [];
+		const current = [];
+
+		for await (const event of this.tables.InferenceEvent.search({ modelName })) {
+			if (modelVersion && event.modelVersion !== modelVersion) {
+				continue;
+			}
+			const t = event.timestamp;
+			if (t >= windows.currentStart && t < windows.currentEnd) {
+				current.push(event);
+			} else if (t >= windows.referenceStart && t < windows.referenceEnd) {
+				reference.push(event);
+			}
+		}
+
+		return { reference, current };
+	}
+
+	/**
+	 * Embedding centroid shift
+	 * @private
+	 */
+	_checkEmbeddings(reference, current) {
+		const refVectors = reference.flatMap((e) => this._extractEmbeddings(e));
+		const curVectors = current.flatMap((e) => this._extractEmbeddings(e));
+
+		if (refVectors.length < this.minSamples || curVectors.length < this.minSamples) {
+			return null;
+		}
+		if (refVectors[0].length !== curVectors[0].length) {
+			return null;
+		}
+
+		const distance = cosineDistance(centroid(refVectors), centroid(curVectors));
+
+		return {
+			referenceCount: refVectors.length,
+			currentCount: curVectors.length,
+			centroidDistance: distance,
+			score: Math.min(1, distance),
+			drifted: distance > this.thresholds.centroidDistance,
+		};
+	}
+
+	/**
+	 * Predicted label distribution shift
+	 * @private
+	 */
+	_checkLabels(reference, current) {
+		const refCounts = this._countLabels(reference);
+		const curCounts = this._countLabels(current);
+		const refTotal = Object.values(refCounts).reduce((sum, c) => sum + c, 0);
+		const curTotal = Object.values(curCounts).reduce((sum, c) => sum + c, 0);
+
+		if (refTotal < this.minSamples || curTotal < this.minSamples) {
+			return null;
+		}
+
+		const chiSquare = chiSquareTest(refCounts, curCounts);
+		const labelPsi = categoricalPsi(refCounts, curCounts);
+
+		return {
+			referenceCount: refTotal,
+			currentCount: curTotal,
+			referenceDistribution: refCounts,
+			currentDistribution: curCounts,
+			chiSquare,
+			psi: labelPsi,
+			score: totalVariationDistance(refCounts, curCounts),
+			drifted: chiSquare.pValue < this.thresholds.pValue || labelPsi > this.thresholds.psi,
+		};
+	}
+
+	/**
+	 * Confidence distribution shift
+	 * @private
+	 */
+	_checkConfidence(reference, current) {
+		const refValues = reference.map((e) => e.confidence).filter((c) => typeof c === 'number');
+		const curValues = current.map((e) => e.confidence).filter((c) => typeof c === 'number');
+
+		if (refValues.length < this.minSamples || curValues.length < this.minSamples) {
+			return null;
+		}
+
+		const ks = ksTest(refValues, curValues);
+		const confidencePsi = psi(refValues, curValues);
+
+		return {
+			referenceCount: refValues.length,
+			currentCount: curValues.length,
+			ks,
+			psi: confidencePsi,
+			score: ks.statistic,
+			drifted: ks.pValue < this.thresholds.pValue || confidencePsi > this.thresholds.psi,
+		};
+	}
+
+	/**
+	 * Pull embedding vectors out of a stored prediction
+	 * @private
+	 */
+	_extractEmbeddings(event) {
+		const prediction = this._parseJson(event.prediction, null);
+		if (!prediction || typeof prediction !== 'object') {
+			return [];
+		}
+		if (Array.isArray(prediction.embeddings) && Array.isArray(prediction.embeddings[0])) {
+			return prediction.embeddings;
+		}
+		if (Array.isArray(prediction.embedding)) {
+			return [prediction.embedding];
+		}
+		return [];
+	}
+
+	/**
+	 * Count predicted labels across events
+	 *
+	 * Accepts `{label}`, `{labels: [...]}` and pipeline-style `[{label, score}, ...]`
+	 * predictions (the highest-scoring label wins).
+	 * @private
+	 */
+	_countLabels(events) {
+		const counts = {};
+		for (const event of events) {
+			const prediction = this._parseJson(event.prediction, null);
+			let labels = [];
+
+			if (Array.isArray(prediction) && prediction.length > 0 && prediction[0]?.label !== undefined) {
+				const top = prediction.reduce((best, p) => ((p.score ?? 0) > (best.score ?? 0) ? p : best));
+				labels = [top.label];
+			} else if (prediction?.label !== undefined) {
+				labels = [prediction.label];
+			} else if (Array.isArray(prediction?.labels)) {
+				labels = prediction.labels;
+			}
+
+			for (const label of labels) {
+				counts[label] = (counts[label] || 0) + 1;
+			}
+		}
+		return counts;
+	}
+
+	/**
+	 * Parse a JSON string field, returning a fallback on failure
+	 * @private
+	 */
+	_parseJson(value, fallback) {
+		if (typeof value !== 'string') {
+			return value ?? fallback;
+		}
+		try {
+			return JSON.parse(value);
+		} catch {
+			return fallback;
+		}
+	}
+}
@@ -0,0 +1,466 @@
+import { createVectorIndex, VECTOR_INDEX_TYPES } from './utils/vectorIndex.js';
+
+const DEFAULT_COLLECTION = 'products';
+const DEFAULT_BATCH_SIZE = 32;
+const DEFAULT_TOP_K = 10;
+const MAX_TOP_K = 100;
+
+/**
+ * Text embedded for a catalogue item: `text` when given, else name, description and category
+ * @param {Object} item
+ * @returns {string}
+ */
+export function itemText(item) {
+	if (typeof item.text === 'string' && item.text.trim()) {
+		return item.text.trim();
+	}
+	return `${item.name || ''} ${item.description || ''} ${item.category || ''}`.trim();
+}
+
+/**
+ * EmbeddingIndex - Stored catalogue embeddings with in-memory similarity search
+ *
+ * A catalogue (collection) is embedded once per model and stored in the
+ * Embedding table. Each collection + model pair gets its own in-memory vector
+ * index: brute force (exact) by default, or HNSW (approximate) for large
+ * catalogues. `load()` rebuilds the indexes from the table on startup, and
+ * `indexItems()` / `removeItems()` update table and index together.
+ *
+ * Harper serves requests from several worker threads, each with its own
+ * indexes. `watch()` subscribes to the Embedding table so writes made on any
+ * thread, including REST PUT/DELETE on the exported table, reach every index.
+ *
+ * Items whose text is unchanged are not re-embedded unless `force` is set.
+ *
+ * @class
+ * @example
+ * const index = new EmbeddingIndex(inferenceEngine);
+ * await index.watch();
+ * await index.indexItems({
+ *   modelName: 'all-MiniLM-L6-v2',
+ *   modelVersion: 'v1',
+ *   items: [{ id: 'sku-1', name: 'Trail Runner', description: 'Lightweight trail shoe', category: 'footwear' }],
+ * });
+ * const { results } = await index.search({ modelName: 'all-MiniLM-L6-v2', modelVersion: 'v1', query: 'running shoes', k: 5 });
+ */
+export class EmbeddingIndex {
+	/**
+	 * Create a new EmbeddingIndex instance
+	 * @param {InferenceEngine} inferenceEngine - Produces embeddings ({ output: { embeddings } })
+	 * @param {Object} [tablesParam] - Optional tables object (defaults to global tables)
+	 * @param {Object} [options]
+	 * @param {string} [options.indexType] - 'brute-force' or 'hnsw' (default: EMBEDDING_INDEX_TYPE or brute-force)
+	 * @param {Object} [options.hnsw] - HNSW options { m, efConstruction, efSearch }
+	 * @param {number} [options.batchSize=32] - Texts per predict call while indexing
+	 */
+	constructor(inferenceEngine, tablesParam = null, options = {}) {
+		if (!inferenceEngine) {
+			throw new Error('Inference engine is required');
+		}
+		this.inferenceEngine = inferenceEngine;
+
+		// Use provided tables or fall back to global tables (when running inside Harper)
+		this.tables = tablesParam || (typeof tables !== 'undefined' ? tables : null);
+		if (!this.tables) {
+			throw new Error('tables object is required (provide via constructor or global)');
+		}
+
+		this.indexType = options.indexType || process.env.EMBEDDING_INDEX_TYPE || 'brute-force';
+		if (!VECTOR_INDEX_TYPES.includes(this.indexType)) {
+			throw new Error(
+				`Unknown vector index type: ${this.indexType} (expected one of ${VECTOR_INDEX_TYPES.join(', ')})`
+			);
+		}
+		this.hnswOptions = options.hnsw || {};
+		this.batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+
+		// indexKey -> { collection, modelName, modelVersion, index, items: Map<itemId, { text, metadata, vector, updatedAt }> }
+		this.indexes = new Map();
+		// Embedding record id -> { key, itemId }, to apply deletes from the table subscription
+		this.recordIds = new Map();
+		this.subscription = null;
+	}
+
+	/**
+	 * Load the indexes and keep them in step with the Embedding table
+	 *
+	 * Subscribes before loading, so writes made while the table is read are
+	 * applied afterwards instead of being missed.
+	 *
+	 * @async
+	 * @returns {Promise<{indexes: number, embeddings: number}>} Counts loaded
+	 */
+	async watch() {
+		this.stop();
+		const subscription = await this.tables.Embedding.subscribe({ omitCurrent: true });
+		this.subscription = subscription;
+		const counts = await this.load();
+		this._consume(subscription);
+		return counts;
+	}
+
+	/**
+	 * Stop applying table changes
+	 */
+	stop() {
+		this.subscription?.return?.();
+		this.subscription = null;
+	}
+
+	/**
+	 * Apply an Embedding table change to the in-memory indexes
+	 *
+	 * Records no newer than the indexed item (e.g. this thread's own writes) are ignored;
+	 * records without an updatedAt (e.g. REST writes) are always applied.
+	 *
+	 * @param {Object} event - Subscription event: { type: 'put' | 'delete', id, value }
+	 */
+	applyChange({ type, id, value }) {
+		if (type === 'delete') {
+			this._removeRecord(id);
+			return;
+		}
+		if (type !== 'put' || !value) {
+			return;
+		}
+
+		const current = this.indexes.get(indexKey(value.collection, value.modelName, value.modelVersion));
+		const indexed = current?.items.get(value.itemId);
+		if (indexed && value.updatedAt !== undefined && indexed.updatedAt >= value.updatedAt) {
+			return;
+		}
+		try {
+			this._addRecord(value);
+		} catch (error) {
+			console.warn(`Skipping embedding ${id}: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Rebuild all in-memory indexes from the Embedding table
+	 *
+	 * @async
+	 * @returns {Promise<{indexes: number, embeddings: number}>} Counts loaded
+	 */
+	async load() {
+		this.indexes.clear();
+		this.recordIds.clear();
+		let embeddings = 0;
+
+		for await (const record of this.tables.Embedding.search({})) {
+			try {
+				this._addRecord(record);
+				embeddings++;
+			} catch (error) {
+				console.warn(`Skipping embedding ${record.id}: ${error.message}`);
+			}
+		}
+
+		return { indexes: this.indexes.size, embeddings };
+	}
+
+	/**
+	 * Embed and store catalogue items
+	 *
+	 * Item fields other than `id` and `text` are stored as metadata and returned with search hits.
+	 *
+	 * @async
+	 * @param {Object} input
+	 * @param {string} [input.collection='products'] - Catalogue name
+	 * @param {string} input.modelName - Embedding model
+	 * @param {string} input.modelVersion - Embedding model version
+	 * @param {Array<Object>} input.items - Items: { id, text? | name, description, category, ... }
+	 * @param {boolean} [input.force=false] - Re-embed items whose text is unchanged
+	 * @returns {Promise<Object>} { collection, modelName, modelVersion, indexed, skipped, dimensions, size }
+	 * @throws {Error} If the input is invalid or the model returns unusable embeddings
+	 */
+	async indexItems({ collection = DEFAULT_COLLECTION, modelName, modelVersion, items, force = false } = {}) {
+		this._validateTarget({ collection, modelName, modelVersion });
+		if (!Array.isArray(items) || items.length === 0) {
+			throw new Error('items must be a non-empty array of { id, text }');
+		}
+
+		const seen = new Set();
+		const prepared = items.map((item, i) => {
+			if (item?.id === undefined || item.id === null || item.id === '') {
+				throw new Error(`Item ${i} requires an id`);
+			}
+			const itemId = String(item.id);
+			if (seen.has(itemId)) {
+				throw new Error(`Duplicate item id: ${itemId}`);
+			}
+			seen.add(itemId);
+			const text = itemText(item);
+			if (!text) {
+				throw new Error(`Item ${itemId} has no text to embed`);
+			}
+			const metadata = { ...item };
+			delete metadata.id;
+			delete metadata.text;
+			return { itemId, text, metadata };
+		});
+
+		const existing = this.indexes.get(indexKey(collection, modelName, modelVersion));
+		const pending = force
+			? prepared
+			: prepared.filter(({ itemId, text }) => existing?.items.get(itemId)?.text !== text);
+
+		const vectors = [];
+		for (let start = 0; start < pending.length; start += this.batchSize) {
+			const batch = pending.slice(start, start + this.batchSize);
+			vectors.push(
+				...(await this._embed(
+					modelName,
+					modelVersion,
+					batch.map(({ text }) => text)
+				))
+			);
+		}
+		const dimensions = existing?.index.dimensions ?? vectors[0]?.length ?? null;
+		if (vectors.some((vector) => vector.length !== dimensions)) {
+			throw new Error(`Model ${modelName}:${modelVersion} returned embeddings of differing dimensions`);
+		}
+
+		const now = Date.now();
+		for (let i = 0; i < pending.length; i++) {
+			const { itemId, text, metadata } = pending[i];
+			const record = {
+				id: embeddingId(collection, modelName, modelVersion, itemId),
+				collection,
+				itemId,
+				modelName,
+				modelVersion,
+				text,
+				vector: JSON.stringify(vectors[i]),
+				dimensions,
+				metadata: JSON.stringify(metadata),
+				updatedAt: now,
+			};
+			await this.tables.Embedding.put(record);
+			this._addToIndex(record, itemId, { text, metadata, vector: vectors[i], updatedAt: now });
+		}
+
+		// Unchanged items may still carry new metadata
+		for (const { itemId, metadata } of prepared.filter((item) => !pending.includes(item))) {
+			const entry = existing.items.get(itemId);
+			if (JSON.stringify(entry.metadata) !== JSON.stringify(metadata)) {
+				const id = embeddingId(collection, modelName, modelVersion, itemId);
+				const record = await this.tables.Embedding.get(id);
+				await this.tables.Embedding.put({ ...record, metadata: JSON.stringify(metadata), updatedAt: now });
+				entry.metadata = metadata;
+				entry.updatedAt = now;
+			}
+		}
+
+		return {
+			collection,
+			modelName,
+			modelVersion,
+			indexed: pending.length,
+			skipped: prepared.length - pending.length,
+			dimensions,
+			size: this.indexes.get(indexKey(collection, modelName, modelVersion))?.index.size ?? 0,
+		};
+	}
+
+	/**
+	 * Delete items from the table and the index
+	 *
+	 * @async
+	 * @param {Object} input
+	 * @param {string} [input.collection='products']
+	 * @param {string} input.modelName
+	 * @param {string} input.modelVersion
+	 * @param {string[]} input.itemIds
+	 * @returns {Promise<{removed: number, size: number}>}
+	 */
+	async removeItems({ collection = DEFAULT_COLLECTION, modelName, modelVersion, itemIds } = {}) {
+		this._validateTarget({ collection, modelName, modelVersion });
+		if (!Array.isArray(itemIds) || itemIds.length === 0) {
+			throw new Error('itemIds must be a non-empty array');
+		}
+
+		const entry = this.indexes.get(indexKey(collection, modelName, modelVersion));
+		let removed = 0;
+		for (const itemId of itemIds.map(String)) {
+			const id = embeddingId(collection, modelName, modelVersion, itemId);
+			await this.tables.Embedding.delete(id);
+			this.recordIds.delete(id);
+			if (entry?.items.delete(itemId)) {
+				entry.index.remove(itemId);
+				removed++;
+			}
+		}
+
+		return { removed, size: entry?.index.size ?? 0 };
+	}
+
+	/**
+	 * Top-k items most similar to a query text or vector
+	 *
+	 * @async
+	 * @param {Object} input
+	 * @param {string} [input.collection='products']
+	 * @param {string} input.modelName - Must match the model the collection was indexed with
+	 * @param {string} input.modelVersion
+	 * @param {string} [input.query] - Text to embed with the same model
+	 * @param {number[]} [input.vector] - Query embedding (instead of `query`)
+	 * @param {number} [input.k=10] - Results to return (max 100)
+	 * @returns {Promise<Object>} { collection, modelName, modelVersion, indexType, size, results: [{ itemId, score, text, metadata }] }
+	 * @throws {Error} If the collection has not been indexed with the model
+	 */
+	async search({ collection = DEFAULT_COLLECTION, modelName, modelVersion, query, vector, k = DEFAULT_TOP_K } = {}) {
+		this._validateTarget({ collection, modelName, modelVersion });
+		if (!Number.isInteger(k) || k < 1 || k > MAX_TOP_K) {
+			throw new Error(`k must be an integer between 1 and ${MAX_TOP_K}`);
+		}
+		if (vector === undefined && (typeof query !== 'string' || !query.trim())) {
+			throw new Error('query text or vector is required');
+		}
+
+		const entry = this.indexes.get(indexKey(collection, modelName, modelVersion));
+		if (!entry || entry.index.size === 0) {
+			throw new Error(`Collection ${collection} has no embeddings for ${modelName}:${modelVersion}`);
+		}
+
+		const queryVector = vector ?? (await this._embed(modelName, modelVersion, [query.trim()]))[0];
+		const results = entry.index.search(queryVector, k).map(({ id, score }) => {
+			const { text, metadata } = entry.items.get(id);
+			return { itemId: id, score, text, metadata };
+		});
+
+		return {
+			collection,
+			modelName,
+			modelVersion,
+			indexType: entry.index.type,
+			size: entry.index.size,
+			results,
+		};
+	}
+
+	/**
+	 * Stored embeddings for items (items that are not indexed are left out)
+	 *
+	 * @param {Object} target - { collection, modelName, modelVersion }
+	 * @param {string[]} itemIds
+	 * @returns {Map<string, number[]>} itemId -> embedding
+	 */
+	getVectors({ collection = DEFAULT_COLLECTION, modelName, modelVersion }, itemIds) {
+		const entry = this.indexes.get(indexKey(collection, modelName, modelVersion));
+		const vectors = new Map();
+		for (const itemId of itemIds.map(String)) {
+			const item = entry?.items.get(itemId);
+			if (item) {
+				vectors.set(itemId, item.vector);
+			}
+		}
+		return vectors;
+	}
+
+	/**
+	 * Summary of the in-memory indexes
+	 * @returns {Array<Object>} [{ collection, modelName, modelVersion, indexType, size, dimensions }]
+	 */
+	listIndexes() {
+		return [...this.indexes.values()].map(({ collection, modelName, modelVersion, index }) => ({
+			collection,
+			modelName,
+			modelVersion,
+			indexType: index.type,
+			size: index.size,
+			dimensions: index.dimensions,
+		}));
+	}
+
+	_validateTarget({ collection, modelName, modelVersion }) {
+		if (!modelName || !modelVersion) {
+			throw new Error('modelName and modelVersion are required');
+		}
+		if (typeof collection !== 'string' || !collection) {
+			throw new Error('collection must be a non-empty string');
+		}
+	}
+
+	/**
+	 * Embed texts with one predict call
+	 * @private
+	 */
+	async _embed(modelName, modelVersion, texts) {
+		const result = await this.inferenceEngine.predict(modelName, { texts }, modelVersion);
+		const embeddings = result?.output?.embeddings;
+		if (!Array.isArray(embeddings) || embeddings.length !== texts.length) {
+			throw new Error(`Expected ${texts.length} embeddings, got ${embeddings?.length ?? 0}`);
+		}
+		return embeddings.map((embedding) => Array.from(embedding));
+	}
+
+	/**
+	 * Apply table changes until the subscription ends
+	 * @private
+	 */
+	async _consume(subscription) {
+		try {
+			for await (const event of subscription) {
+				this.applyChange(event);
+			}
+		} catch (error) {
+			console.warn(`Embedding table subscription ended: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Index a stored Embedding record
+	 * @private
+	 */
+	_addRecord(record) {
+		this._addToIndex(record, record.itemId, {
+			text: record.text,
+			metadata: record.metadata ? JSON.parse(record.metadata) : {},
+			vector: JSON.parse(record.vector),
+			updatedAt: record.updatedAt,
+		});
+	}
+
+	/**
+	 * Remove a stored Embedding record from its index
+	 * @private
+	 */
+	_removeRecord(id) {
+		const location = this.recordIds.get(id);
+		const entry = location && this.indexes.get(location.key);
+		this.recordIds.delete(id);
+		if (entry?.items.delete(location.itemId)) {
+			entry.index.remove(location.itemId);
+		}
+	}
+
+	/**
+	 * Add an item to the in-memory index for its collection + model, creating the index if needed
+	 * @private
+	 */
+	_addToIndex({ id, collection, modelName, modelVersion }, itemId, item) {
+		const key = indexKey(collection, modelName, modelVersion);
+		if (!this.indexes.has(key)) {
+			this.indexes.set(key, {
+				collection,
+				modelName,
+				modelVersion,
+				index: createVectorIndex(this.indexType, this.hnswOptions),
+				items: new Map(),
+			});
+		}
+		const entry = this.indexes.get(key);
+		entry.index.add(itemId, item.vector);
+		entry.items.set(itemId, item);
+		this.recordIds.set(id, { key, itemId });
+	}
+}
+
+function indexKey(collection, modelName, modelVersion) {
+	return `${collection}:${modelName}:${modelVersion}`;
+}
+
+function embeddingId(collection, modelName, modelVersion, itemId) {
+	return `${indexKey(collection, modelName, modelVersion)}:${itemId}`;
+}
@@ -0,0 +1,391 @@
+import { v4 as uuidv4 } from 'uuid';
+import { hashToUnit, pickWeighted } from './utils/assignment.js';
+import {
+	mean,
+	percentile,
+	twoProportionZTest,
+	bootstrapCI,
+	bootstrapDifferenceCI,
+	createRng,
+} from './utils/statistics.js';
+
+/**
+ * ExperimentManager - A/B experiments between versions of a model
+ *
+ * An Experiment splits versionless Predict traffic for one model between named
+ * variants (each pinned to a modelVersion). Users are assigned
+ * deterministically by hashing experimentId + userId (or sessionId), and every
+ * InferenceEvent records its experimentId and variant.
+ *
+ * analyze() reads those events and reports, per variant, feedback accuracy,
+ * latency and confidence with bootstrap confidence intervals, then compares
+ * every challenger with the control (the first variant):
+ * - accuracy: two-proportion z-test on `correct` feedback
+ * - latency / confidence: bootstrap CI of the difference in means
+ *
+ * A challenger wins when its accuracy is significantly higher than the
+ * control's; the control wins when every challenger is significantly worse.
+ * Otherwise there is no winner yet.
+ *
+ * @class
+ * @example
+ * const experiments = new ExperimentManager();
+ * const experiment = await experiments.createExperiment({
+ *   name: 'minilm v2 rollout',
+ *   modelName: 'minilm',
+ *   variants: [
+ *     { name: 'control', modelVersion: 'v1', weight: 50 },
+ *     { name: 'candidate', modelVersion: 'v2', weight: 50 },
+ *   ],
+ * });
+ * const { conclusion } = await experiments.analyze(experiment.id);
+ */
+export class ExperimentManager {
+	/**
+	 * Create a new ExperimentManager instance
+	 * @param {Object} [tablesParam] - Optional tables object (defaults to global tables)
+	 * @param {Object} [options]
+	 * @param {number} [options.significanceLevel=0.05] - Alpha for the significance tests
+	 * @param {number} [options.minFeedback=30] - Feedback events each variant needs before a winner is declared
+	 * @param {number} [options.bootstrapSamples=1000] - Resamples per bootstrap interval
+	 * @param {Function} [options.random] - Source of [0, 1) values for non-sticky requests (default: Math.random)
+	 */
+	constructor(tablesParam = null, options = {}) {
+		// Use provided tables or fall back to global tables (when running inside Harper)
+		this.tables = tablesParam || (typeof tables !== 'undefined' ? tables : null);
+		if (!this.tables) {
+			throw new Error('tables object is required (provide via constructor or global)');
+		}
+
+		this.significanceLevel = options.significanceLevel ?? 0.05;
+		this.minFeedback = options.minFeedback ?? 30;
+		this.bootstrapSamples = options.bootstrapSamples || 1000;
+		this.random = options.random || Math.random;
+	}
+
+	/**
+	 * Create and start an experiment
+	 *
+	 * @async
+	 * @param {Object} input
+	 * @param {string} input.modelName - Model whose versionless traffic is split
+	 * @param {Array<{name: string, modelVersion: string, weight?: number}>} input.variants - First variant is the control
+	 * @param {string} [input.name] - Display name
+	 * @returns {Promise<Object>} Stored experiment with variants parsed
+	 * @throws {Error} If variants are invalid or the model already has a running experiment
+	 */
+	async createExperiment(input) {
+		const { modelName, variants } = input || {};
+
+		if (!modelName) {
+			throw new Error('modelName is required');
+		}
+		if (!Array.isArray(variants) || variants.length < 2) {
+			throw new Error('variants must be an array of at least two { name, modelVersion, weight }');
+		}
+
+		const names = new Set();
+		for (const variant of variants) {
+			if (!variant.name || !variant.modelVersion) {
+				throw new Error('Each variant requires a name and modelVersion');
+			}
+			if (names.has(variant.name)) {
+				throw new Error(`Duplicate variant name: ${variant.name}`);
+			}
+			names.add(variant.name);
+			const weight = variant.weight ?? 1;
+			if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+				throw new Error(`weight for ${variant.name} must be a non-negative number`);
+			}
+			if (!(await this.tables.Model.get(`${modelName}:${variant.modelVersion}`))) {
+				throw new Error(`Model ${modelName}:${variant.modelVersion} not found`);
+			}
+		}
+		if (variants.every((v) => (v.weight ?? 1) === 0)) {
+			throw new Error('At least one variant must have a positive weight');
+		}
+		if (await this.getRunningExperiment(modelName)) {
+			throw new Error(`Model ${modelName} already has a running experiment`);
+		}
+
+		const now = Date.now();
+		const experiment = {
+			id: input.id || uuidv4(),
+			name: input.name || `${modelName} ${variants.map((v) => v.name).join(' vs ')}`,
+			modelName,
+			variants: variants.map(({ name, modelVersion, weight }) => ({ name, modelVersion, weight: weight ?? 1 })),
+			status: 'running',
+			startedAt: now,
+			endedAt: null,
+			createdAt: now,
+		};
+
+		await this.tables.Experiment.put({ ...experiment, variants: JSON.stringify(experiment.variants) });
+
+		return experiment;
+	}
+
+	/**
+	 * Get an experiment
+	 * @async
+	 * @param {string} id - Experiment ID
+	 * @returns {Promise<Object|null>} Experiment with variants parsed, or null
+	 */
+	async getExperiment(id) {
+		const record = await this.tables.Experiment.get(id);
+		return record ? this._parse(record) : null;
+	}
+
+	/**
+	 * List experiments
+	 * @async
+	 * @param {Object} [filters]
+	 * @param {string} [filters.modelName]
+	 * @param {string} [filters.status] - running | stopped
+	 * @returns {Promise<Object[]>} Experiments, newest first
+	 */
+	async listExperiments(filters = {}) {
+		// Both attributes are indexed, so only matching experiments are read
+		const conditions = ['modelName', 'status']
+			.filter((attribute) => filters[attribute])
+			.map((attribute) => ({ attribute, value: filters[attribute] }));
+		const experiments = [];
+		for await (const record of this.tables.Experiment.search(conditions.length > 0 ? { conditions } : {})) {
+			experiments.push(this._parse(record));
+		}
+		experiments.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+		return experiments;
+	}
+
+	/**
+	 * Running experiment for a model, if any
+	 *
+	 * Called on every versionless prediction.
+	 *
+	 * @async
+	 * @param {string} modelName
+	 * @returns {Promise<Object|null>}
+	 */
+	async getRunningExperiment(modelName) {
+		const [running] = await this.listExperiments({ modelName, status: 'running' });
+		return running || null;
+	}
+
+	/**
+	 * Stop an experiment (its traffic goes back to ModelRoute / default routing)
+	 * @async
+	 * @param {string} id - Experiment ID
+	 * @returns {Promise<Object>} Updated experiment
+	 * @throws {Error} If the experiment does not exist
+	 */
+	async stopExperiment(id) {
+		const record = await this.tables.Experiment.get(id);
+		if (!record) {
+			throw new Error(`Experiment ${id} not found`);
+		}
+
+		const updated = { ...record, status: 'stopped', endedAt: record.endedAt || Date.now() };
+		await this.tables.Experiment.put(updated);
+
+		return this._parse(updated);
+	}
+
+	/**
+	 * Assign a request to a variant of the model's running experiment
+	 *
+	 * @async
+	 * @param {string} modelName
+	 * @param {Object} [context]
+	 * @param {string} [context.userId] - Preferred sticky key
+	 * @param {string} [context.sessionId] - Sticky key when there is no userId
+	 * @returns {Promise<{experimentId: string, variant: string, modelVersion: string}|null>} null without a running experiment
+	 */
+	async assign(modelName, context = {}) {
+		const experiment = await this.getRunningExperiment(modelName);
+		if (!experiment) {
+			return null;
+		}
+
+		const stickyKey = context.userId || context.sessionId;
+		const unit = stickyKey ? hashToUnit(`${experiment.id}:${stickyKey}`) : this.random();
+		const variant = pickWeighted(experiment.variants, unit);
+
+		return { experimentId: experiment.id, variant: variant.name, modelVersion: variant.modelVersion };
+	}
+
+	/**
+	 * Compute per-variant metrics and significance tests against the control
+	 *
+	 * @async
+	 * @param {string} id - Experiment ID
+	 * @param {Object} [options]
+	 * @param {number} [options.confidenceLevel=0.95] - Coverage of the bootstrap intervals
+	 * @returns {Promise<Object>} { experiment, variants, comparisons, conclusion: { winner, reason } }
+	 * @throws {Error} If the experiment does not exist
+	 */
+	async analyze(id, options = {}) {
+		const experiment = await this.getExperiment(id);
+		if (!experiment) {
+			throw new Error(`Experiment ${id} not found`);
+		}
+
+		const confidenceLevel = options.confidenceLevel ?? 0.95;
+		const bootstrapOptions = { samples: this.bootstrapSamples, confidenceLevel, random: createRng(1) };
+
+		const events = new Map(experiment.variants.map((v) => [v.name, []]));
+		for await (const event of this.tables.InferenceEvent.search({ experimentId: id })) {
+			events.get(event.variant)?.push(event);
+		}
+
+		const samples = {};
+		const variants = experiment.variants.map((variant) => {
+			const variantSamples = this._samples(events.get(variant.name));
+			samples[variant.name] = variantSamples;
+			return {
+				name: variant.name,
+				modelVersion: variant.modelVersion,
+				...this._summarize(variantSamples, bootstrapOptions),
+			};
+		});
+
+		const [control, ...challengers] = variants;
+		const comparisons = challengers.map((challenger) =>
+			this._compare(control, challenger, samples[control.name], samples[challenger.name], bootstrapOptions)
+		);
+
+		return {
+			experiment,
+			confidenceLevel,
+			significanceLevel: this.significanceLevel,
+			variants,
+			comparisons,
+			conclusion: this._conclude(control, variants, comparisons),
+		};
+	}
+
+	/**
+	 * Split a variant's events into the observations the tests need
+	 * @private
+	 */
+	_samples(events) {
+		const succeeded = events.filter((e) => !e.errorCode);
+		return {
+			count: events.length,
+			errorCount: events.length - succeeded.length,
+			latencies: succeeded
+				.map((e) => e.latencyMs)
+				.filter((l) => typeof l === 'number')
+				.sort((a, b) => a - b),
+			confidences: succeeded.map((e) => e.confidence).filter((c) => typeof c === 'number'),
+			outcomes: succeeded.filter((e) => e.correct === true || e.correct === false).map((e) => (e.correct ? 1 : 0)),
+		};
+	}
+
+	/**
+	 * Per-variant metrics with bootstrap intervals
+	 * @private
+	 */
+	_summarize(samples, bootstrapOptions) {
+		const correctCount = samples.outcomes.reduce((sum, o) => sum + o, 0);
+		return {
+			count: samples.count,
+			errorCount: samples.errorCount,
+			errorRate: samples.count > 0 ? samples.errorCount / samples.count : 0,
+			feedbackCount: samples.outcomes.length,
+			correctCount,
+			accuracy: samples.outcomes.length > 0 ? correctCount / samples.outcomes.length : null,
+			accuracyCI: bootstrapCI(samples.outcomes, mean, bootstrapOptions),
+			avgLatency: mean(samples.latencies),
+			latencyCI: bootstrapCI(samples.latencies, mean, bootstrapOptions),
+			p95Latency: percentile(samples.latencies, 95),
+			avgConfidence: samples.confidences.length > 0 ? mean(samples.confidences) : null,
+			confidenceCI: bootstrapCI(samples.confidences, mean, bootstrapOptions),
+		};
+	}
+
+	/**
+	 * Compare a challenger with the control
+	 * @private
+	 */
+	_compare(control, challenger, controlSamples, challengerSamples, bootstrapOptions) {
+		const accuracyTest = twoProportionZTest(
+			control.correctCount,
+			control.feedbackCount,
+			challenger.correctCount,
+			challenger.feedbackCount
+		);
+		const latencyCI = bootstrapDifferenceCI(
+			controlSamples.latencies,
+			challengerSamples.latencies,
+			mean,
+			bootstrapOptions
+		);
+		const confidenceCI = bootstrapDifferenceCI(
+			controlSamples.confidences,
+			challengerSamples.confidences,
+			mean,
+			bootstrapOptions
+		);
+
+		return {
+			variant: challenger.name,
+			control: control.name,
+			accuracy: {
+				...accuracyTest,
+				significant:
+					control.feedbackCount > 0 && challenger.feedbackCount > 0 && accuracyTest.pValue < this.significanceLevel,
+			},
+			latency: {
+				difference: challenger.avgLatency - control.avgLatency,
+				ci: latencyCI,
+				significant: excludesZero(latencyCI),
+			},
+			confidence: {
+				difference: (challenger.avgConfidence ?? 0) - (control.avgConfidence ?? 0),
+				ci: confidenceCI,
+				significant: excludesZero(confidenceCI),
+			},
+		};
+	}
+
+	/**
+	 * Pick a winner from the accuracy comparisons
+	 * @private
+	 */
+	_conclude(control, variants, comparisons) {
+		const short = variants.filter((v) => v.feedbackCount < this.minFeedback);
+		if (short.length > 0) {
+			return {
+				winner: null,
+				reason: `Insufficient feedback: ${short.map((v) => v.name).join(', ')} below ${this.minFeedback} labelled predictions`,
+			};
+		}
+
+		const better = comparisons.filter((c) => c.accuracy.significant && c.accuracy.difference > 0);
+		if (better.length > 0) {
+			const best = better.reduce((a, b) => (b.accuracy.difference > a.accuracy.difference ? b : a));
+			return { winner: best.variant, reason: `${best.variant} accuracy is significantly higher than ${control.name}` };
+		}
+
+		if (comparisons.every((c) => c.accuracy.significant && c.accuracy.difference < 0)) {
+			return { winner: control.name, reason: `Every challenger is significantly less accurate than ${control.name}` };
+		}
+
+		return { winner: null, reason: 'No significant accuracy difference yet' };
+	}
+
+	/**
+	 * Parse stored JSON fields
+	 * @private
+	 */
+	_parse(record) {
+		return { ...record, variants: JSON.parse(record.variants) };
+	}
+}
+
+/**
+ * True when a confidence interval lies entirely above or below zero
+ */
+function excludesZero(ci) {
+	return Boolean(ci) && (ci.lower > 0 || ci.upper < 0);
+}
@@ -1,3 +1,6 @@
+import { EmbeddingCache } from './utils/EmbeddingCache.js';
+import { verifySha256 } from './utils/integrity.js';
+
 /**
  * Singleton backend instances shared across all InferenceEngine instances.
  * This prevents ONNX Runtime environment conflicts when multiple engines are created.
@@ -61,6 +64,7 @@ async function getOrCreateBackend(framework) {
  *
  * - Automatic backend selection and routing
  * - LRU model caching with configurable size
+ * - Content-addressed embedding cache for text inputs (see predict())
  * - Model lifecycle management
  * - Latency tracking for all predictions
  * - Blob format conversion for different backends
@@ -100,6 +104,11 @@ export class InferenceEngine {
 		this.cache = new Map(); // Cache loaded models: modelKey -> { backend, metadata }
 		this.maxCacheSize = parseInt(process.env.MODEL_CACHE_SIZE) || 10; // LRU cache size
 		this.tables = tables; // Store tables reference for tests
+		this.embeddingCache = new EmbeddingCache({
+			maxSize: parseInt(process.env.EMBEDDING_CACHE_SIZE ?? 5000),
+			persist: process.env.EMBEDDING_CACHE_PERSIST === 'true',
+			tables,
+		});
 	}
 
 	/**
@@ -160,6 +169,7 @@ export class InferenceEngine {
 	 * @throws {Error} If modelRecord not provided
 	 * @throws {Error} If no backend available for framework
 	 * @throws {Error} If modelBlob missing or invalid format
+	 * @throws {IntegrityError} If modelRecord.blobSha256 is set and the blob does not match it
 	 * @example
 	 * const metadata = await engine.loadModel('use', 'v1', {
 	 *   id: 'use:v1',
@@ -262,6 +272,11 @@ export class InferenceEngine {
 			throw new Error(`Unexpected blob type: ${typeof blob}`);
 		}
 
+		// Blobs stored with a digest (fetched or uploaded) must still match it
+		if (model.blobSha256) {
+			verifySha256(modelData, model.blobSha256, `model ${model.id}`);
+		}
+
 		// Now handle the Buffer based on framework requirements
 		if (model.framework === 'onnx') {
 			// ONNX needs the Buffer as-is
@@ -298,6 +313,7 @@ export class InferenceEngine {
 			modelName: model.modelName,
 			modelVersion: model.modelVersion,
 			framework: model.framework,
+			blobSha256: model.blobSha256 || null,
 			...loadResult,
 		};
 
@@ -321,6 +337,15 @@ export class InferenceEngine {
 	 * Automatically loads model if not already cached. Tracks prediction latency
 	 * and updates LRU cache. Returns output along with metadata.
 	 *
+	 * Text inputs are batched: every backend returns `output.embeddings` with one
+	 * vector per entry in `inputs.texts` (a single `text`/`prompt` is a batch of one).
+	 *
+	 * Inputs that are only `texts` or `text` go through the embedding cache: cached
+	 * texts are not sent to the backend, and only embedding outputs are stored.
+	 * Entries are keyed by the loaded blob's digest, so a replaced blob starts
+	 * from an empty cache. The result then includes `cache: { hits, misses }`.
+	 * Pass `{ cache: false }` to always run the backend (benchmarks do).
+	 *
 	 * @async
 	 * @param {string} modelName - Model identifier
 	 * @param {Object} inputs - Input data (format depends on model backend)
@@ -331,36 +356,31 @@ export class InferenceEngine {
 	 * @param {Tensor} [inputs.input_ids] - For pre-tokenized input
 	 * @param {string} [modelVersion='latest'] - Model version
 	 * @param {Object} [modelRecord=null] - Model record (if already fetched)
+	 * @param {Object} [options]
+	 * @param {boolean} [options.cache=true] - Use the embedding cache for text inputs
 	 * @returns {Promise<Object>} Prediction results with metadata
 	 * @returns {Object} return.output - Backend-specific output
 	 * @returns {number} return.latencyMs - Inference latency in milliseconds
+	 * @returns {number|null} return.backendLatencyMs - Time spent in the backend (null when every text was cached)
 	 * @returns {string} return.modelVersion - Version of model used
 	 * @returns {string} return.framework - Backend framework used
 	 * @throws {Error} If model fails to load
 	 * @example
 	 * const result = await engine.predict('my-model', {
-	 *   texts: ['hello world']
+	 *   texts: ['hello world', 'goodbye world']
 	 * }, 'v1', modelRecord);
 	 *
-	 * console.log(result.output.embeddings); // [[0.1, 0.2, ...]]
+	 * console.log(result.output.embeddings); // [[0.1, 0.2, ...], [0.3, 0.1, ...]]
 	 * console.log(result.latencyMs); // 15.2
 	 */
-	async predict(modelName, inputs, modelVersion, modelRecord = null) {
-		// Load model if not cached
-		if (!this.isCached(modelName, modelVersion || 'latest')) {
-			await this.loadModel(modelName, modelVersion, modelRecord);
-		}
-
-		const cacheKey = `${modelName}:${modelVersion || 'latest'}`;
-		const cached = this.cache.get(cacheKey);
+	async predict(modelName, inputs, modelVersion, modelRecord = null, options = {}) {
+		const { cacheKey, cached } = await this._acquire(modelName, modelVersion, modelRecord);
 
-		if (!cached) {
-			throw new Error(`Model ${modelName} failed to load`);
+		const texts = options.cache !== false && this.embeddingCache.enabled ? cacheableTexts(inputs) : null;
+		if (texts) {
+			return this._predictCached(cacheKey, cached, inputs, texts);
 		}
 
-		// Update last used time
-		cached.lastUsed = Date.now();
-
 		// Run prediction through backend
 		const startTime = Date.now();
 		const output = await cached.backend.predict(cacheKey, inputs);
@@ -369,11 +389,151 @@ export class InferenceEngine {
 		return {
 			output,
 			latencyMs,
+			backendLatencyMs: latencyMs,
 			modelVersion: cached.metadata.modelVersion,
 			framework: cached.metadata.framework,
 		};
 	}
 
+	/**
+	 * Run a text prediction, embedding only texts missing from the embedding cache
+	 *
+	 * Models that do not return embeddings never get cache entries, so every call
+	 * misses and the original inputs are passed through unchanged.
+	 *
+	 * @private
+	 */
+	async _predictCached(cacheKey, cached, inputs, texts) {
+		const { blobSha256 } = cached.metadata;
+		const startTime = Date.now();
+		const embeddings = await this.embeddingCache.getMany(cacheKey, texts, blobSha256);
+		const hits = embeddings.filter(Boolean).length;
+
+		// Embed each missing text once, even if it repeats in the batch
+		const missing = [...new Set(texts.filter((text, i) => !embeddings[i]))];
+		let output = {};
+		let backendLatencyMs = null;
+		if (missing.length > 0) {
+			const backendStart = Date.now();
+			output = await cached.backend.predict(cacheKey, missing.length === texts.length ? inputs : { texts: missing });
+			backendLatencyMs = Date.now() - backendStart;
+
+			const computed = output?.embeddings;
+			if (!Array.isArray(computed) || computed.length !== missing.length) {
+				if (missing.length < texts.length) {
+					throw new Error(`Expected ${missing.length} embeddings, got ${computed?.length ?? 0}`);
+				}
+				// Not an embedding output; nothing to cache
+				return {
+					output,
+					latencyMs: Date.now() - startTime,
+					backendLatencyMs,
+					modelVersion: cached.metadata.modelVersion,
+					framework: cached.metadata.framework,
+				};
+			}
+
+			await this.embeddingCache.setMany(cacheKey, missing, computed, blobSha256);
+			const byText = new Map(missing.map((text, i) => [text, computed[i]]));
+			texts.forEach((text, i) => (embeddings[i] ??= byText.get(text)));
+		}
+
+		return {
+			output: { ...output, embeddings, embedding: embeddings[0] },
+			latencyMs: Date.now() - startTime,
+			backendLatencyMs,
+			modelVersion: cached.metadata.modelVersion,
+			framework: cached.metadata.framework,
+			cache: { hits, misses: texts.length - hits },
+		};
+	}
+
+	/**
+	 * Embedding cache counters (per thread)
+	 * @returns {Object} See EmbeddingCache.getStats()
+	 */
+	getEmbeddingCacheStats() {
+		return this.embeddingCache.getStats();
+	}
+
+	/**
+	 * Stream inference output from a loaded model
+	 *
+	 * Same loading and caching behavior as predict(), but yields the backend's
+	 * partial chunks as they arrive. The backend's final chunk is replaced with a
+	 * summary `{done: true, output, latencyMs, modelVersion, framework}` so callers
+	 * can record telemetry once the stream completes.
+	 *
+	 * @async
+	 * @generator
+	 * @param {string} modelName - Model identifier
+	 * @param {Object} inputs - Input data (e.g. {prompt} or {messages} for Ollama chat)
+	 * @param {string} [modelVersion='latest'] - Model version
+	 * @param {Object} [modelRecord=null] - Model record (if already fetched)
+	 * @param {Object} [options]
+	 * @param {AbortSignal} [options.signal] - Passed to the backend to abort the upstream request
+	 * @yields {Object} `{content, done: false}` chunks, then the final summary
+	 * @throws {Error} If model fails to load or the backend does not support streaming
+	 * @example
+	 * for await (const chunk of engine.predictStream('llama2', {prompt: 'Hi'}, 'v1', modelRecord)) {
+	 *   if (chunk.done) console.log(chunk.latencyMs);
+	 *   else process.stdout.write(chunk.content);
+	 * }
+	 */
+	async *predictStream(modelName, inputs, modelVersion, modelRecord = null, { signal } = {}) {
+		const { cacheKey, cached } = await this._acquire(modelName, modelVersion, modelRecord);
+
+		const startTime = Date.now();
+		for await (const chunk of cached.backend.predictStream(cacheKey, inputs, { signal })) {
+			if (!chunk.done) {
+				yield chunk;
+				continue;
+			}
+
+			const { done, ...output } = chunk;
+			yield {
+				done,
+				output,
+				latencyMs: Date.now() - startTime,
+				modelVersion: cached.metadata.modelVersion,
+				framework: cached.metadata.framework,
+			};
+		}
+	}
+
+	/**
+	 * Load model if needed and return its cache entry
+	 *
+	 * @private
+	 * @returns {Promise<{cacheKey: string, cached: Object}>}
+	 */
+	async _acquire(modelName, modelVersion, modelRecord) {
+		const cacheKey = `${modelName}:${modelVersion || 'latest'}`;
+
+		// A blob replaced on any thread shows up as a new digest on the record
+		const loaded = this.cache.get(cacheKey);
+		if (loaded && modelRecord?.blobSha256 && loaded.metadata.blobSha256 !== modelRecord.blobSha256) {
+			await loaded.backend.unload(cacheKey);
+			this.cache.delete(cacheKey);
+		}
+
+		// Load model if not cached
+		if (!this.isCached(modelName, modelVersion || 'latest')) {
+			await this.loadModel(modelName, modelVersion, modelRecord);
+		}
+
+		const cached = this.cache.get(cacheKey);
+
+		if (!cached) {
+			throw new Error(`Model ${modelName} failed to load`);
+		}
+
+		// Update last used time
+		cached.lastUsed = Date.now();
+
+		return { cacheKey, cached };
+	}
+
 	/**
 	 * Evict least recently used model from cache
 	 *
@@ -412,3 +572,21 @@ export class InferenceEngine {
 		this.cache.clear();
 	}
 }
+
+/**
+ * Texts of an input that is only `texts` (array of strings) or `text` (string)
+ * @returns {string[]|null} Texts to look up, or null if the input is not cacheable
+ */
+function cacheableTexts(inputs) {
+	const keys = Object.keys(inputs || {});
+	if (keys.length !== 1) {
+		return null;
+	}
+	if (keys[0] === 'texts' && Array.isArray(inputs.texts) && inputs.texts.length > 0) {
+		return inputs.texts.every((text) => typeof text === 'string') ? inputs.texts : null;
+	}
+	if (keys[0] === 'text' && typeof inputs.text === 'string') {
+		return [inputs.text];
+	}
+	return null;
+}
@@ -0,0 +1,444 @@
+/* global logger */
+
+import { v4 as uuidv4 } from 'uuid';
+import { claimLease } from './utils/lease.js';
+import { percentile } from './utils/statistics.js';
+
+/**
+ * Bucket sizes for each rollup granularity (milliseconds)
+ * @type {Object<string, number>}
+ */
+export const GRANULARITIES = {
+	'5min': 5 * 60 * 1000,
+	'hourly': 60 * 60 * 1000,
+	'daily': 24 * 60 * 60 * 1000,
+};
+
+// How far back the first run for a model reaches, per granularity
+const DEFAULT_BACKFILL_MS = {
+	'5min': 24 * 60 * 60 * 1000, // 1 day
+	'hourly': 7 * 24 * 60 * 60 * 1000, // 7 days
+	'daily': 30 * 24 * 60 * 60 * 1000, // 30 days
+};
+
+// How far back the first run of an aggregator looks for feedback on already stored buckets
+const DEFAULT_RECOMPUTE_MS = 24 * 60 * 60 * 1000; // 1 day
+
+/**
+ * MetricsAggregator - Incremental 5min/hourly/daily rollups of InferenceEvents
+ *
+ * Each run reads events newer than the last stored bucket of every
+ * granularity, groups them into closed buckets (buckets still in progress are
+ * left for the next run) and writes one ModelMetrics row per non-empty bucket:
+ * count, errorCount, latency p50/p95/p99 and average, mean confidence and
+ * feedback accuracy (the last three over successful inferences only).
+ *
+ * Feedback usually arrives after its bucket has closed, so each run also
+ * recomputes the stored buckets holding events whose `feedbackTimestamp` is
+ * newer than the previous run. Feedback sent without a feedbackTimestamp, or
+ * recorded more than `recomputeMs` (1 day by default) before an aggregator
+ * takes over, is not reflected; the raw InferenceEvent table stays the source
+ * of truth (MonitoringBackend.getMetrics).
+ *
+ * Every Harper thread has its own aggregator; only the one holding the
+ * `metrics-aggregator` WorkerLease runs (see utils/lease.js).
+ *
+ * @class
+ * @example
+ * const aggregator = new MetricsAggregator();
+ * aggregator.start(); // every METRICS_AGGREGATION_INTERVAL ms
+ *
+ * const { buckets } = await aggregator.getRollups('minilm', {
+ *   startTime: Date.now() - 6 * 60 * 60 * 1000,
+ *   endTime: Date.now(),
+ * }); // granularity picked from the range (5min here)
+ */
+export class MetricsAggregator {
+	/**
+	 * Create a new MetricsAggregator instance
+	 * @param {Object} [tablesParam] - Optional tables object (defaults to global tables)
+	 * @param {Object} [options]
+	 * @param {number} [options.intervalMs] - Run interval (default: METRICS_AGGREGATION_INTERVAL or 60000)
+	 * @param {Object<string, number>} [options.backfillMs] - First-run lookback per granularity
+	 * @param {number} [options.recomputeMs] - How far back the first run looks for feedback on stored buckets
+	 *   (default: METRICS_RECOMPUTE_WINDOW or 1 day)
+	 * @param {number} [options.staleAfterMs] - Lease age after which another aggregator takes over (default: 3 intervals)
+	 */
+	constructor(tablesParam = null, options = {}) {
+		// Use provided tables or fall back to global tables (when running inside Harper)
+		this.tables = tablesParam || (typeof tables !== 'undefined' ? tables : null);
+		if (!this.tables) {
+			throw new Error('tables object is required (provide via constructor or global)');
+		}
+
+		this.intervalMs = options.intervalMs || parseInt(process.env.METRICS_AGGREGATION_INTERVAL) || 60000;
+		this.backfillMs = { ...DEFAULT_BACKFILL_MS, ...options.backfillMs };
+		this.recomputeMs = options.recomputeMs ?? (parseInt(process.env.METRICS_RECOMPUTE_WINDOW) || DEFAULT_RECOMPUTE_MS);
+		this.staleAfterMs = options.staleAfterMs ?? this.intervalMs * 3;
+
+		this.ownerId = uuidv4();
+		// modelName -> time of the last run; feedback newer than this is picked up by the next run
+		this.feedbackSince = new Map();
+		this.intervalHandle = null;
+		this.running = false;
+	}
+
+	/**
+	 * Start periodic aggregation
+	 *
+	 * The timer is unref'd so it never keeps the process alive on its own.
+	 */
+	start() {
+		if (this.intervalHandle) {
+			return;
+		}
+		this.intervalHandle = setInterval(() => {
+			this.run().catch((error) => logger.error('[MetricsAggregator] Aggregation failed:', error.message));
+		}, this.intervalMs);
+		this.intervalHandle.unref?.();
+		logger.info(`[MetricsAggregator] Started (every ${this.intervalMs}ms)`);
+	}
+
+	/**
+	 * Stop periodic aggregation
+	 */
+	stop() {
+		if (this.intervalHandle) {
+			clearInterval(this.intervalHandle);
+			this.intervalHandle = null;
+		}
+	}
+
+	/**
+	 * Aggregate all models once
+	 *
+	 * Overlapping calls and aggregators that do not hold the lease return immediately.
+	 *
+	 * @async
+	 * @param {number} [now=Date.now()] - Aggregation time; only buckets ending at or before it are written
+	 * @returns {Promise<number>} Number of ModelMetrics rows written
+	 */
+	async run(now = Date.now()) {
+		if (this.running) {
+			return 0;
+		}
+		this.running = true;
+
+		try {
+			if (!(await claimLease(this.tables.WorkerLease, 'metrics-aggregator', this.ownerId, this.staleAfterMs))) {
+				// Another aggregator runs meanwhile; look back recomputeMs again once the lease is ours
+				this.feedbackSince.clear();
+				return 0;
+			}
+
+			const modelNames = new Set();
+			for await (const model of this.tables.Model.search()) {
+				modelNames.add(model.modelName);
+			}
+
+			let written = 0;
+			for (const modelName of modelNames) {
+				try {
+					written += await this.aggregateModel(modelName, now);
+				} catch (error) {
+					logger.error(`[MetricsAggregator] Failed to aggregate ${modelName}:`, error.message);
+				}
+			}
+			return written;
+		} finally {
+			this.running = false;
+		}
+	}
+
+	/**
+	 * Aggregate new closed buckets for one model, and recompute stored ones that received feedback
+	 *
+	 * @async
+	 * @param {string} modelName - Model identifier
+	 * @param {number} [now=Date.now()] - Aggregation time
+	 * @returns {Promise<number>} Number of ModelMetrics rows written
+	 */
+	async aggregateModel(modelName, now = Date.now()) {
+		// Per granularity: [from, to) range of new closed buckets, plus stored buckets to recompute
+		const pending = {};
+		for (const [granularity, size] of Object.entries(GRANULARITIES)) {
+			const latest = await this._latestBucket(modelName, granularity);
+			pending[granularity] = {
+				from: latest ? latest.bucketEnd : Math.floor((now - this.backfillMs[granularity]) / size) * size,
+				to: Math.floor(now / size) * size,
+				recompute: new Set(),
+				buckets: new Map(),
+			};
+		}
+
+		// Stored buckets of events that got feedback since the last run
+		const since = this.feedbackSince.get(modelName) ?? now - this.recomputeMs;
+		for await (const event of this.tables.InferenceEvent.search({
+			conditions: [
+				{ attribute: 'modelName', value: modelName },
+				{ attribute: 'feedbackTimestamp', comparator: 'greater_than_equal', value: since },
+			],
+		})) {
+			for (const [granularity, range] of Object.entries(pending)) {
+				const bucketStart = Math.floor(event.timestamp / GRANULARITIES[granularity]) * GRANULARITIES[granularity];
+				if (bucketStart < Math.min(range.from, range.to)) {
+					range.recompute.add(bucketStart);
+				}
+			}
+		}
+
+		// Scan each span of events once for every granularity that needs it
+		const spans = [];
+		for (const [granularity, range] of Object.entries(pending)) {
+			if (range.from < range.to) {
+				spans.push([range.from, range.to]);
+			}
+			for (const bucketStart of range.recompute) {
+				spans.push([bucketStart, bucketStart + GRANULARITIES[granularity]]);
+			}
+		}
+
+		for (const [from, to] of mergeSpans(spans)) {
+			for await (const event of this.tables.InferenceEvent.search({
+				conditions: [
+					{ attribute: 'modelName', value: modelName },
+					{ attribute: 'timestamp', comparator: 'greater_than_equal', value: from },
+					{ attribute: 'timestamp', comparator: 'less_than', value: to },
+				],
+			})) {
+				for (const [granularity, range] of Object.entries(pending)) {
+					const bucketStart = Math.floor(event.timestamp / GRANULARITIES[granularity]) * GRANULARITIES[granularity];
+					const isNew = event.timestamp >= range.from && event.timestamp < range.to;
+					if (!isNew && !range.recompute.has(bucketStart)) {
+						continue;
+					}
+					if (!range.buckets.has(bucketStart)) {
+						range.buckets.set(bucketStart, []);
+					}
+					range.buckets.get(bucketStart).push(event);
+				}
+			}
+		}
+
+		let written = 0;
+		for (const [granularity, range] of Object.entries(pending)) {
+			for (const [bucketStart, events] of range.buckets) {
+				await this.tables.ModelMetrics.put(this._buildBucket(modelName, granularity, bucketStart, events, now));
+				written++;
+			}
+		}
+		this.feedbackSince.set(modelName, now);
+		return written;
+	}
+
+	/**
+	 * Read rollups for a time range
+	 *
+	 * Stored buckets cover the range from the first to the last one found.
+	 * The rest of the range - the bucket still in progress, ranges older than
+	 * the backfill window, or everything when the aggregator is not running -
+	 * is computed from raw InferenceEvents. Those buckets carry `source: 'events'`,
+	 * stored ones `source: 'rollup'`.
+	 *
+	 * @async
+	 * @param {string} modelName - Model identifier
+	 * @param {Object} options
+	 * @param {number} options.startTime - Range start (ms)
+	 * @param {number} options.endTime - Range end (ms)
+	 * @param {string} [options.granularity] - 5min | hourly | daily (picked from the range when omitted)
+	 * @returns {Promise<Object>} { granularity, buckets, summary }
+	 * @throws {Error} If granularity is unknown or the range is inverted
+	 */
+	async getRollups(modelName, options) {
+		const { startTime, endTime } = options;
+		const granularity = options.granularity || pickGranularity(endTime - startTime);
+
+		if (!GRANULARITIES[granularity]) {
+			throw new Error(`granularity must be one of: ${Object.keys(GRANULARITIES).join(', ')}`);
+		}
+		if (startTime >= endTime) {
+			throw new Error('startTime must be before endTime');
+		}
+
+		const stored = [];
+		for await (const bucket of this.tables.ModelMetrics.search({
+			conditions: [
+				{ attribute: 'modelName', value: modelName },
+				{ attribute: 'granularity', value: granularity },
+				{ attribute: 'bucketStart', comparator: 'greater_than_equal', value: startTime },
+				{ attribute: 'bucketStart', comparator: 'less_than', value: endTime },
+			],
+		})) {
+			stored.push({ ...bucket, source: 'rollup' });
+		}
+		stored.sort((a, b) => a.bucketStart - b.bucketStart);
+
+		// Fill what the stored buckets do not cover from raw events
+		const uncovered =
+			stored.length === 0
+				? [[startTime, endTime]]
+				: [
+						[startTime, stored[0].bucketStart],
+						[stored.at(-1).bucketEnd, endTime],
+					];
+		const computed = [];
+		for (const [from, to] of uncovered) {
+			if (from < to) {
+				computed.push(...(await this._eventBuckets(modelName, granularity, from, to)));
+			}
+		}
+
+		const buckets = [...stored, ...computed].sort((a, b) => a.bucketStart - b.bucketStart);
+		return { granularity, buckets, summary: summarizeBuckets(buckets) };
+	}
+
+	/**
+	 * Buckets computed from raw InferenceEvents in [from, to), including buckets still in progress
+	 * @private
+	 */
+	async _eventBuckets(modelName, granularity, from, to) {
+		const size = GRANULARITIES[granularity];
+		const grouped = new Map();
+		for await (const event of this.tables.InferenceEvent.search({
+			conditions: [
+				{ attribute: 'modelName', value: modelName },
+				{ attribute: 'timestamp', comparator: 'greater_than_equal', value: from },
+				{ attribute: 'timestamp', comparator: 'less_than', value: to },
+			],
+		})) {
+			const bucketStart = Math.floor(event.timestamp / size) * size;
+			if (!grouped.has(bucketStart)) {
+				grouped.set(bucketStart, []);
+			}
+			grouped.get(bucketStart).push(event);
+		}
+
+		const now = Date.now();
+		return [...grouped].map(([bucketStart, events]) => ({
+			...this._buildBucket(modelName, granularity, bucketStart, events, now),
+			source: 'events',
+		}));
+	}
+
+	/**
+	 * Most recent stored bucket for a model/granularity
+	 * @private
+	 */
+	async _latestBucket(modelName, granularity) {
+		let latest = null;
+		for await (const bucket of this.tables.ModelMetrics.search({
+			conditions: [
+				{ attribute: 'modelName', value: modelName },
+				{ attribute: 'granularity', value: granularity },
+			],
+		})) {
+			if (!latest || bucket.bucketStart > latest.bucketStart) {
+				latest = bucket;
+			}
+		}
+		return latest;
+	}
+
+	/**
+	 * Compute one ModelMetrics row
+	 * @private
+	 */
+	_buildBucket(modelName, granularity, bucketStart, events, now) {
+		// Failed inferences only count towards errorCount (same as MonitoringBackend.getMetrics)
+		const succeeded = events.filter((e) => !e.errorCode);
+		const latencies = succeeded
+			.map((e) => e.latencyMs)
+			.filter((l) => typeof l === 'number')
+			.sort((a, b) => a - b);
+		const confidences = succeeded.map((e) => e.confidence).filter((c) => typeof c === 'number');
+		const withFeedback = succeeded.filter((e) => e.correct === true || e.correct === false);
+		const correctCount = withFeedback.filter((e) => e.correct === true).length;
+
+		return {
+			id: `${modelName}:${granularity}:${bucketStart}`,
+			modelName,
+			granularity,
+			bucketStart,
+			bucketEnd: bucketStart + GRANULARITIES[granularity],
+			count: events.length,
+			errorCount: events.length - succeeded.length,
+			avgLatency: latencies.length > 0 ? latencies.reduce((sum, l) => sum + l, 0) / latencies.length : 0,
+			p50Latency: percentile(latencies, 50),
+			p95Latency: percentile(latencies, 95),
+			p99Latency: percentile(latencies, 99),
+			avgConfidence: confidences.length > 0 ? confidences.reduce((sum, c) => sum + c, 0) / confidences.length : null,
+			feedbackCount: withFeedback.length,
+			correctCount,
+			accuracy: withFeedback.length > 0 ? correctCount / withFeedback.length : null,
+			computedAt: now,
+		};
+	}
+}
+
+/**
+ * Merge overlapping [from, to) spans
+ * @param {Array<[number, number]>} spans
+ * @returns {Array<[number, number]>} Disjoint spans, in order
+ */
+function mergeSpans(spans) {
+	const merged = [];
+	for (const [from, to] of [...spans].sort((a, b) => a[0] - b[0])) {
+		const last = merged.at(-1);
+		if (last && from <= last[1]) {
+			last[1] = Math.max(last[1], to);
+		} else {
+			merged.push([from, to]);
+		}
+	}
+	return merged;
+}
+
+/**
+ * Pick the finest granularity that keeps a range to a few hundred buckets
+ * @param {number} rangeMs - Range length
+ * @returns {string} Granularity key
+ */
+export function pickGranularity(rangeMs) {
+	if (rangeMs <= 24 * 60 * 60 * 1000) {
+		return '5min';
+	}
+	if (rangeMs <= 14 * 24 * 60 * 60 * 1000) {
+		return 'hourly';
+	}
+	return 'daily';
+}
+
+/**
+ * Combine buckets into range totals
+ *
+ * Counts, averages and accuracy are weighted exactly; percentiles cannot be
+ * merged, so the summary reports the worst bucket p95/p99 instead.
+ *
+ * @param {Object[]} buckets - ModelMetrics rows
+ * @returns {Object} { count, errorCount, errorRate, avgLatency, avgConfidence, accuracy, maxP95Latency, maxP99Latency }
+ */
+export function summarizeBuckets(buckets) {
+	const count = buckets.reduce((sum, b) => sum + b.count, 0);
+	const errorCount = buckets.reduce((sum, b) => sum + (b.errorCount || 0), 0);
+	const feedbackCount = buckets.reduce((sum, b) => sum + (b.feedbackCount || 0), 0);
+	const correctCount = buckets.reduce((sum, b) => sum + (b.correctCount || 0), 0);
+	// Bucket averages cover successful inferences only, so weight by those
+	const successes = (b) => b.count - (b.errorCount || 0);
+	const successCount = count - errorCount;
+	const withConfidence = buckets.filter((b) => b.avgConfidence !== null && b.avgConfidence !== undefined);
+	const confidenceWeight = withConfidence.reduce((sum, b) => sum + successes(b), 0);
+
+	return {
+		count,
+		errorCount,
+		errorRate: count > 0 ? errorCount / count : 0,
+		avgLatency: successCount > 0 ? buckets.reduce((sum, b) => sum + b.avgLatency * successes(b), 0) / successCount : 0,
+		avgConfidence:
+			confidenceWeight > 0
+				? withConfidence.reduce((sum, b) => sum + b.avgConfidence * successes(b), 0) / confidenceWeight
+				: 0,
+		accuracy: feedbackCount > 0 ? correctCount / feedbackCount : null,
+		maxP95Latency: buckets.reduce((max, b) => Math.max(max, b.p95Latency || 0), 0),
+		maxP99Latency: buckets.reduce((max, b) => Math.max(max, b.p99Latency || 0), 0),
+	};
+}
@@ -2,7 +2,7 @@
  * Model Fetch Worker
  *
  * Background worker that processes model fetch jobs from the ModelFetchJob queue.
- * Handles downloading models from various sources (HuggingFace, HTTP URLs, filesystem),
+ * Handles downloading models from various sources (HuggingFace, HTTP URLs, filesystem, Ollama, S3),
  * storing them in the Model table, and managing retry logic with rate limiting.
  *
  * Features:
@@ -13,6 +13,9 @@
  * - Crash recovery (resets stuck "downloading" jobs to "queued")
  * - Webhook notifications on completion/failure
  * - Progress tracking with database updates
+ * - SHA-256 verification against the requested or source-published checksum
+ * - Resumable downloads: partial files are kept per job in MODEL_FETCH_STAGING_DIR
+ *   until the job completes or fails permanently, so a retry continues where it stopped
  *
  * Architecture:
  * - Stateless design (can be stopped/restarted safely)
@@ -28,13 +31,21 @@
  * Note: Uses Harper's global logger and tables objects. Initialized via handleApplication.
  */
 
-/* global tables, logger */
+/* global tables, logger, createBlob */
 
 import { v4 as uuidv4 } from 'uuid';
 import { HuggingFaceAdapter } from './fetchers/HuggingFaceAdapter.js';
 import { HttpUrlAdapter } from './fetchers/HttpUrlAdapter.js';
 import { LocalFilesystemAdapter } from './fetchers/LocalFilesystemAdapter.js';
+import { OllamaSourceAdapter } from './fetchers/OllamaSourceAdapter.js';
+import { S3SourceAdapter } from './fetchers/S3SourceAdapter.js';
 import { RateLimiter } from './utils/RateLimiter.js';
+import { postWebhook } from './utils/webhook.js';
+import { createReadStream } from 'node:fs';
+import { rm } from 'node:fs/promises';
+import path from 'node:path';
+import { checkSha256, sha256File, verifySha256 } from './utils/integrity.js';
+import { DEFAULT_STAGING_DIR } from './utils/download.js';
 import {
 	SecurityError,
 	RateLimitError,
@@ -43,6 +54,7 @@ import {
 	UnsupportedFrameworkError,
 	StorageError,
 	FileTooLargeError,
+	IntegrityError,
 } from './errors/ModelFetchErrors.js';
 
 export class ModelFetchWorker {
@@ -63,6 +75,7 @@ export class ModelFetchWorker {
 		this.maxFileSize = parseInt(process.env.MODEL_FETCH_MAX_FILE_SIZE) || 5 * 1024 * 1024 * 1024; // 5GB
 		this.maxRetries = parseInt(process.env.MODEL_FETCH_MAX_RETRIES) || 3;
 		this.initialRetryDelayMs = parseInt(process.env.MODEL_FETCH_INITIAL_RETRY_DELAY) || 5000; // 5s
+		this.stagingDir = DEFAULT_STAGING_DIR;
 
 		// Active job tracking
 		this.activeJobs = new Map(); // jobId -> Promise
@@ -75,6 +88,8 @@ export class ModelFetchWorker {
 			huggingface: new HuggingFaceAdapter(),
 			url: new HttpUrlAdapter(),
 			filesystem: new LocalFilesystemAdapter(),
+			ollama: new OllamaSourceAdapter(),
+			s3: new S3SourceAdapter(),
 		};
 
 		// Worker state
@@ -318,25 +333,41 @@ export class ModelFetchWorker {
 				});
 			};
 
-			const modelBlob = await adapter.download(job.sourceReference, job.variant, onProgress, job.framework);
+			// Buffer, or a staged file for adapters that stream to disk
+			const downloaded = await adapter.download(job.sourceReference, job.variant, onProgress, job.framework, {
+				stagingDir: this.getStagingDir(job),
+			});
+			const blobSize = Buffer.isBuffer(downloaded) ? downloaded.length : downloaded.size;
+			if (downloaded.resumedFrom > 0) {
+				logger.info(`[ModelFetchWorker] Job ${job.id} resumed download at ${downloaded.resumedFrom} bytes`);
+			}
 
 			// Check file size
-			if (modelBlob.length > this.maxFileSize) {
-				throw new FileTooLargeError(modelBlob.length, this.maxFileSize);
+			if (blobSize > this.maxFileSize) {
+				throw new FileTooLargeError(blobSize, this.maxFileSize);
 			}
 
+			// Verify content before storing (throws IntegrityError on mismatch)
+			const integrity = await this.verifyIntegrity(job, adapter, downloaded);
+
 			// Merge inferred and user metadata
 			const finalMetadata = {
 				...JSON.parse(job.inferredMetadata || '{}'),
+				...(adapter.metadataAfterDownload ? await this.inferMetadata(job, adapter) : {}),
 				...JSON.parse(job.userMetadata || '{}'),
 				fetchSource: job.source,
 				fetchReference: job.sourceReference,
 				fetchVariant: job.variant,
 				fetchedAt: new Date().toISOString(),
+				checksumSource: integrity.checksumSource,
 			};
 
-			// Store model in Model table
-			const modelId = await this.storeModel(job, modelBlob, finalMetadata);
+			// Store model in Model table; staged files are streamed into the blob instead of read into memory
+			const modelBlob = Buffer.isBuffer(downloaded)
+				? downloaded
+				: createBlob(createReadStream(downloaded.filePath), { saveBeforeCommit: true });
+			const modelId = await this.storeModel(job, modelBlob, finalMetadata, integrity.sha256, blobSize);
+			await this.cleanupStaging(job);
 
 			// Mark job as completed
 			await this.completeJob(job, modelId);
@@ -402,6 +433,9 @@ export class ModelFetchWorker {
 				// Job will be picked up by next poll
 			}, delayMs);
 		} else {
+			// No retry will resume the partial download
+			await this.cleanupStaging(job);
+
 			// Mark job as failed (no more retries)
 			await this.updateJobStatus(job, 'failed', {
 				retryCount,
@@ -426,16 +460,93 @@ export class ModelFetchWorker {
 		}
 	}
 
+	/**
+	 * Verify a downloaded blob's SHA-256
+	 *
+	 * The expected digest is the one given to FetchModel (job.expectedSha256),
+	 * otherwise the one the adapter finds at the source (e.g. a URL's .sha256
+	 * sidecar). Without either, the digest is only computed and recorded.
+	 *
+	 * @param {Object} job - Job object
+	 * @param {Object} adapter - Source adapter
+	 * @param {Buffer|Object} downloaded - Downloaded model data, or a staged file { filePath }
+	 * @returns {Promise<Object>} { sha256, checksumSource: 'request' | job.source | null }
+	 * @throws {IntegrityError} If the digest does not match
+	 * @private
+	 */
+	async verifyIntegrity(job, adapter, downloaded) {
+		let expected = job.expectedSha256 || null;
+		let checksumSource = expected ? 'request' : null;
+
+		if (!expected && typeof adapter.getExpectedChecksum === 'function') {
+			expected = await adapter.getExpectedChecksum(job.sourceReference, job.variant, job.framework);
+			checksumSource = expected ? job.source : null;
+		}
+
+		const subject = `${job.source}:${job.sourceReference}`;
+		const sha256 = Buffer.isBuffer(downloaded)
+			? verifySha256(downloaded, expected, subject)
+			: checkSha256(await sha256File(downloaded.filePath), expected, subject);
+		if (expected) {
+			logger.info(`[ModelFetchWorker] Job ${job.id} SHA-256 verified (${checksumSource}): ${sha256}`);
+		}
+		return { sha256, checksumSource };
+	}
+
+	/**
+	 * Infer metadata after download (best effort, failures are ignored)
+	 *
+	 * @param {Object} job - Job object
+	 * @param {Object} adapter - Source adapter
+	 * @returns {Promise<Object>} Inferred metadata, or {} on failure
+	 * @private
+	 */
+	async inferMetadata(job, adapter) {
+		try {
+			return await adapter.inferMetadata(job.sourceReference, job.variant);
+		} catch (error) {
+			logger.warn(`[ModelFetchWorker] Could not infer metadata for job ${job.id}:`, error.message);
+			return {};
+		}
+	}
+
+	/**
+	 * Staging directory for a job's partial downloads (kept across retries of the job)
+	 *
+	 * @param {Object} job - Job object
+	 * @returns {string}
+	 * @private
+	 */
+	getStagingDir(job) {
+		return path.join(this.stagingDir, String(job.id));
+	}
+
+	/**
+	 * Remove a job's staged files
+	 *
+	 * @param {Object} job - Job object
+	 * @private
+	 */
+	async cleanupStaging(job) {
+		try {
+			await rm(this.getStagingDir(job), { recursive: true, force: true });
+		} catch (error) {
+			logger.warn(`[ModelFetchWorker] Could not remove staged files for job ${job.id}:`, error.message);
+		}
+	}
+
 	/**
 	 * Store downloaded model in the Model table
 	 *
 	 * @param {Object} job - Job object
-	 * @param {Buffer} modelBlob - Model binary data
+	 * @param {Buffer|Blob} modelBlob - Model binary data, or a Blob streamed from a staged file
 	 * @param {Object} metadata - Final metadata
+	 * @param {string} [sha256] - SHA-256 of modelBlob, verified again when the model is loaded
+	 * @param {number} [size] - Size in bytes (defaults to modelBlob.length)
 	 * @returns {Promise<string>} Model ID
 	 * @private
 	 */
-	async storeModel(job, modelBlob, metadata) {
+	async storeModel(job, modelBlob, metadata, sha256 = null, size = modelBlob.length) {
 		const modelId = `${job.modelName}:${job.modelVersion}`;
 
 		// Use put() instead of create() - triggers file-backed blob storage for large files
@@ -446,13 +557,14 @@ export class ModelFetchWorker {
 			framework: job.framework,
 			stage: job.stage || 'development',
 			modelBlob: modelBlob,
-			blobSize: modelBlob.length,
+			blobSize: size,
+			blobSha256: sha256,
 			inputSchema: null, // TODO: Extract from model if possible
 			outputSchema: null, // TODO: Extract from model if possible
 			metadata: JSON.stringify(metadata),
 		});
 
-		logger.info(`[ModelFetchWorker] Stored model ${modelId} (${modelBlob.length} bytes)`);
+		logger.info(`[ModelFetchWorker] Stored model ${modelId} (${size} bytes)`);
 		return modelId;
 	}
 
@@ -548,19 +660,7 @@ export class ModelFetchWorker {
 	 * @private
 	 */
 	async callWebhook(url, payload) {
-		try {
-			const response = await fetch(url, {
-				method: 'POST',
-				headers: { 'Content-Type': 'application/json' },
-				body: JSON.stringify(payload),
-			});
-
-			if (!response.ok) {
-				logger.warn(`[ModelFetchWorker] Webhook failed: ${response.status} ${response.statusText}`);
-			}
-		} catch (error) {
-			logger.error('[ModelFetchWorker] Error calling webhook:', error.message);
-		}
+		await postWebhook(url, payload, '[ModelFetchWorker]');
 	}
 
 	/**
@@ -590,7 +690,8 @@ export class ModelFetchWorker {
 			error instanceof SecurityError ||
 			error instanceof ModelNotFoundError ||
 			error instanceof UnsupportedFrameworkError ||
-			error instanceof FileTooLargeError
+			error instanceof FileTooLargeError ||
+			error instanceof IntegrityError
 		) {
 			return false;
 		}
@@ -0,0 +1,347 @@
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Allowed stage transitions
+ *
+ * `development` is the upload default and enters the lifecycle as a
+ * candidate. production -> staging is the demotion used for rollbacks.
+ * @type {Object<string, string[]>}
+ */
+export const STAGE_TRANSITIONS = {
+	development: ['candidate', 'archived'],
+	candidate: ['staging', 'archived'],
+	staging: ['production', 'candidate', 'archived'],
+	production: ['staging', 'archived'],
+	archived: ['candidate'],
+};
+
+// Gates checked before entering each stage
+const STAGE_GATES = {
+	candidate: ['metadata'],
+	staging: ['metadata', 'approver'],
+	production: ['metadata', 'approver', 'benchmark', 'accuracy'],
+	archived: [],
+};
+
+/**
+ * ModelLifecycle - Gated stage transitions for Model records
+ *
+ * Models move candidate -> staging -> production -> archived. Before a model
+ * enters a stage the gates for that stage are checked:
+ * - metadata: every `requiredMetadata` field is present in Model.metadata
+ * - approver: an approver identity is given
+ * - benchmark: a BenchmarkResult from the last `benchmarkMaxAgeDays` for the
+ *   model's taskType (and equivalenceGroup) includes the model with an error
+ *   rate at or below `benchmarkMaxErrorRate`
+ * - accuracy: feedback accuracy of the version is at least `minAccuracy`
+ *   (skipped when minAccuracy is not configured)
+ *
+ * A model has one production version: promoting a version to production
+ * moves the current production version to `staging` in the same transition.
+ * Every transition, including these demotions and automated ones such as
+ * DeploymentGuard rollbacks, is recorded in ModelStageHistory.
+ *
+ * @class
+ * @example
+ * const lifecycle = new ModelLifecycle(monitoringBackend);
+ * const result = await lifecycle.promote({
+ *   modelName: 'minilm',
+ *   modelVersion: 'v2',
+ *   toStage: 'production',
+ *   approver: 'jane@example.com',
+ * });
+ * if (!result.promoted) console.log(result.gates.filter((g) => !g.passed));
+ */
+export class ModelLifecycle {
+	/**
+	 * Create a new ModelLifecycle instance
+	 * @param {MonitoringBackend} [monitoringBackend] - Source of feedback accuracy (required for the accuracy gate)
+	 * @param {Object} [tablesParam] - Optional tables object (defaults to global tables)
+	 * @param {Object} [options]
+	 * @param {string[]} [options.requiredMetadata] - Required metadata fields (default: MODEL_REQUIRED_METADATA or taskType,description)
+	 * @param {number} [options.benchmarkMaxAgeDays] - Benchmark freshness (default: PROMOTION_BENCHMARK_MAX_AGE_DAYS or 7)
+	 * @param {number} [options.benchmarkMaxErrorRate=0.05] - Highest benchmark error rate that still passes
+	 * @param {number|null} [options.minAccuracy] - Minimum feedback accuracy for production (default: PROMOTION_MIN_ACCURACY or disabled)
+	 */
+	constructor(monitoringBackend = null, tablesParam = null, options = {}) {
+		this.monitoringBackend = monitoringBackend;
+		// Use provided tables or fall back to global tables (when running inside Harper)
+		this.tables = tablesParam || (typeof tables !== 'undefined' ? tables : null);
+		if (!this.tables) {
+			throw new Error('tables object is required (provide via constructor or global)');
+		}
+
+		this.requiredMetadata =
+			options.requiredMetadata ||
+			(process.env.MODEL_REQUIRED_METADATA || 'taskType,description')
+				.split(',')
+				.map((field) => field.trim())
+				.filter(Boolean);
+		this.benchmarkMaxAgeDays =
+			options.benchmarkMaxAgeDays || parseInt(process.env.PROMOTION_BENCHMARK_MAX_AGE_DAYS) || 7;
+		this.benchmarkMaxErrorRate = options.benchmarkMaxErrorRate ?? 0.05;
+		const envAccuracy = parseFloat(process.env.PROMOTION_MIN_ACCURACY);
+		this.minAccuracy =
+			options.minAccuracy !== undefined ? options.minAccuracy : Number.isNaN(envAccuracy) ? null : envAccuracy;
+	}
+
+	/**
+	 * Move a model to a new stage if the transition is allowed and its gates pass
+	 *
+	 * @async
+	 * @param {Object} input
+	 * @param {string} input.modelName
+	 * @param {string} input.modelVersion
+	 * @param {string} input.toStage - candidate | staging | production | archived
+	 * @param {string} [input.approver] - Identity approving the change (required for staging and production)
+	 * @param {string} [input.reason]
+	 * @param {boolean} [input.dryRun=false] - Only evaluate the gates
+	 * @returns {Promise<Object>} { promoted, modelId, fromStage, toStage, gates, history, demoted }
+	 *   `demoted` holds the history records of production versions moved to staging
+	 * @throws {Error} If the model does not exist or the transition is not allowed
+	 */
+	async promote(input) {
+		const { modelName, modelVersion, toStage, approver, reason, dryRun = false } = input || {};
+
+		if (!modelName || !modelVersion || !toStage) {
+			throw new Error('modelName, modelVersion and toStage are required');
+		}
+		if (!STAGE_GATES[toStage]) {
+			throw new Error(`toStage must be one of: ${Object.keys(STAGE_GATES).join(', ')}`);
+		}
+
+		const modelId = `${modelName}:${modelVersion}`;
+		const model = await this.tables.Model.get(modelId);
+		if (!model) {
+			throw new Error(`Model ${modelId} not found`);
+		}
+
+		const fromStage = model.stage || 'development';
+		if (!(STAGE_TRANSITIONS[fromStage] || []).includes(toStage)) {
+			throw new Error(
+				`Cannot move ${modelId} from ${fromStage} to ${toStage} (allowed: ${(STAGE_TRANSITIONS[fromStage] || []).join(', ') || 'none'})`
+			);
+		}
+
+		const gates = await this.checkGates(model, toStage, { approver });
+		const passed = gates.every((gate) => gate.passed);
+
+		if (!passed || dryRun) {
+			return { promoted: false, dryRun, modelId, fromStage, toStage, gates, history: null, demoted: [] };
+		}
+
+		const history = await this.setStage(model, toStage, { approver, reason, gates });
+
+		// The promotion is recorded first so the demotions never precede it in the history
+		const demoted = [];
+		if (toStage === 'production') {
+			const replaced = [];
+			const conditions = [
+				{ attribute: 'modelName', value: modelName },
+				{ attribute: 'stage', value: 'production' },
+			];
+			for await (const current of this.tables.Model.search({ conditions })) {
+				if (current.id !== modelId) {
+					replaced.push(current);
+				}
+			}
+			for (const current of replaced) {
+				demoted.push(
+					await this.setStage(current, 'staging', { approver, reason: `Replaced in production by ${modelVersion}` })
+				);
+			}
+		}
+
+		return { promoted: true, dryRun, modelId, fromStage, toStage, gates, history, demoted };
+	}
+
+	/**
+	 * Evaluate the gates for entering a stage
+	 *
+	 * @async
+	 * @param {Object} model - Model record
+	 * @param {string} toStage
+	 * @param {Object} [context]
+	 * @param {string} [context.approver]
+	 * @returns {Promise<Array<{gate: string, passed: boolean, detail: string}>>}
+	 */
+	async checkGates(model, toStage, context = {}) {
+		const gates = [];
+		for (const gate of STAGE_GATES[toStage] || []) {
+			if (gate === 'metadata') {
+				gates.push(this._metadataGate(model));
+			} else if (gate === 'approver') {
+				gates.push({
+					gate,
+					passed: Boolean(context.approver),
+					detail: context.approver ? `Approved by ${context.approver}` : `An approver is required for ${toStage}`,
+				});
+			} else if (gate === 'benchmark') {
+				gates.push(await this._benchmarkGate(model));
+			} else if (gate === 'accuracy' && this.minAccuracy !== null) {
+				gates.push(await this._accuracyGate(model));
+			}
+		}
+		return gates;
+	}
+
+	/**
+	 * Write a stage change and its ModelStageHistory record without checking gates
+	 *
+	 * Used by promote() once gates pass, and directly by automated actors such
+	 * as DeploymentGuard.
+	 *
+	 * @async
+	 * @param {Object} model - Model record
+	 * @param {string} toStage
+	 * @param {Object} [details]
+	 * @param {string} [details.approver] - Person or system making the change
+	 * @param {string} [details.reason]
+	 * @param {Object[]} [details.gates] - Gate results that allowed the change
+	 * @param {boolean} [details.automated=false]
+	 * @returns {Promise<Object>} ModelStageHistory record (gates parsed)
+	 */
+	async setStage(model, toStage, details = {}) {
+		const fromStage = model.stage || 'development';
+		await this.tables.Model.put({ ...model, stage: toStage });
+
+		const history = {
+			id: uuidv4(),
+			modelId: model.id,
+			modelName: model.modelName,
+			modelVersion: model.modelVersion,
+			fromStage,
+			toStage,
+			approver: details.approver || null,
+			reason: details.reason || null,
+			gates: details.gates || [],
+			automated: details.automated || false,
+			timestamp: Date.now(),
+		};
+
+		await this.tables.ModelStageHistory.put({ ...history, gates: JSON.stringify(history.gates) });
+
+		return history;
+	}
+
+	/**
+	 * Stage history, most recent first
+	 * @async
+	 * @param {Object} [filters]
+	 * @param {string} [filters.modelName]
+	 * @param {string} [filters.modelVersion]
+	 * @param {number} [filters.limit=100]
+	 * @returns {Promise<Object[]>} ModelStageHistory records with gates parsed
+	 */
+	async getHistory(filters = {}) {
+		const records = [];
+		const query = filters.modelName ? { modelName: filters.modelName } : {};
+		for await (const record of this.tables.ModelStageHistory.search(query)) {
+			if (filters.modelVersion && record.modelVersion !== filters.modelVersion) {
+				continue;
+			}
+			records.push({ ...record, gates: record.gates ? JSON.parse(record.gates) : [] });
+		}
+		records.sort((a, b) => b.timestamp - a.timestamp);
+		return records.slice(0, filters.limit || 100);
+	}
+
+	/**
+	 * Required metadata fields are present
+	 * @private
+	 */
+	_metadataGate(model) {
+		const metadata = parseMetadata(model);
+		const missing = this.requiredMetadata.filter(
+			(field) => metadata[field] === undefined || metadata[field] === null || metadata[field] === ''
+		);
+
+		return {
+			gate: 'metadata',
+			passed: missing.length === 0,
+			detail: missing.length === 0 ? 'Required metadata present' : `Missing metadata: ${missing.join(', ')}`,
+		};
+	}
+
+	/**
+	 * A recent BenchmarkResult includes the model with an acceptable error rate
+	 * @private
+	 */
+	async _benchmarkGate(model) {
+		const { taskType, equivalenceGroup } = parseMetadata(model);
+		if (!taskType) {
+			return {
+				gate: 'benchmark',
+				passed: false,
+				detail: `${model.id} has no taskType metadata, so no benchmark can include it`,
+			};
+		}
+
+		const since = Date.now() - this.benchmarkMaxAgeDays * 24 * 60 * 60 * 1000;
+		const conditions = [{ attribute: 'taskType', value: taskType }];
+		if (equivalenceGroup) {
+			conditions.push({ attribute: 'equivalenceGroup', value: equivalenceGroup });
+		}
+		let latest = null;
+
+		for await (const result of this.tables.BenchmarkResult.search({ conditions })) {
+			const timestamp = result.completedAt || result.timestamp || 0;
+			if (timestamp < since || (latest && timestamp <= latest.timestamp)) {
+				continue;
+			}
+			const modelResults = JSON.parse(result.results || '{}')[model.id];
+			if (modelResults) {
+				latest = { id: result.id, timestamp, errorRate: modelResults.errorRate ?? 0 };
+			}
+		}
+
+		if (!latest) {
+			return {
+				gate: 'benchmark',
+				passed: false,
+				detail: `No benchmark including ${model.id} in the last ${this.benchmarkMaxAgeDays} days`,
+			};
+		}
+
+		const passed = latest.errorRate <= this.benchmarkMaxErrorRate;
+		return {
+			gate: 'benchmark',
+			passed,
+			detail: `Benchmark ${latest.id} error rate ${latest.errorRate}${passed ? '' : ` exceeds ${this.benchmarkMaxErrorRate}`}`,
+		};
+	}
+
+	/**
+	 * Feedback accuracy of the version meets minAccuracy
+	 * @private
+	 */
+	async _accuracyGate(model) {
+		if (!this.monitoringBackend) {
+			return { gate: 'accuracy', passed: false, detail: 'Monitoring backend not configured' };
+		}
+
+		const metrics = await this.monitoringBackend.getMetrics(model.modelName);
+		const accuracy = metrics.byVersion?.[model.modelVersion]?.accuracy ?? null;
+
+		if (accuracy === null) {
+			return { gate: 'accuracy', passed: false, detail: `No feedback for ${model.id}` };
+		}
+
+		return {
+			gate: 'accuracy',
+			passed: accuracy >= this.minAccuracy,
+			detail: `Accuracy ${accuracy.toFixed(3)} (minimum ${this.minAccuracy})`,
+		};
+	}
+}
+
+/**
+ * Model.metadata as an object ({} when missing or invalid)
+ */
+function parseMetadata(model) {
+	try {
+		return (typeof model.metadata === 'string' ? JSON.parse(model.metadata) : model.metadata) || {};
+	} catch {
+		return {};
+	}
+}
@@ -0,0 +1,144 @@
+import { hashToUnit, pickWeighted } from './utils/assignment.js';
+
+/**
+ * ModelRouter - Weighted traffic splitting between versions of a model
+ *
+ * A ModelRoute maps a logical model name to weighted versions, e.g. 95% v1 and
+ * 5% v2 for a canary. Predict requests that omit modelVersion are routed
+ * through it. Assignment is sticky: the same userId (or sessionId when there
+ * is no userId) always lands on the same version while the weights are
+ * unchanged. Requests with neither are assigned at random.
+ *
+ * @class
+ * @example
+ * const router = new ModelRouter();
+ * await router.setRoute('minilm', [
+ *   { modelVersion: 'v1', weight: 95 },
+ *   { modelVersion: 'v2', weight: 5 },
+ * ]);
+ * const modelVersion = await router.resolve('minilm', { userId: 'user-123' }); // 'v1' or 'v2', same every call
+ */
+export class ModelRouter {
+	/**
+	 * Create a new ModelRouter instance
+	 * @param {Object} [tablesParam] - Optional tables object (defaults to global tables)
+	 * @param {Object} [options]
+	 * @param {Function} [options.random] - Source of [0, 1) values for non-sticky requests (default: Math.random)
+	 */
+	constructor(tablesParam = null, options = {}) {
+		// Use provided tables or fall back to global tables (when running inside Harper)
+		this.tables = tablesParam || (typeof tables !== 'undefined' ? tables : null);
+		if (!this.tables) {
+			throw new Error('tables object is required (provide via constructor or global)');
+		}
+
+		this.random = options.random || Math.random;
+	}
+
+	/**
+	 * Create or replace the route for a model
+	 *
+	 * @async
+	 * @param {string} modelName - Logical model name
+	 * @param {Array<{modelVersion: string, weight: number}>} versions - Weighted versions (weights are relative)
+	 * @returns {Promise<Object>} Stored route with versions parsed
+	 * @throws {Error} If versions are invalid or a version is not in the Model table
+	 */
+	async setRoute(modelName, versions) {
+		if (!modelName) {
+			throw new Error('modelName is required');
+		}
+		if (!Array.isArray(versions) || versions.length === 0) {
+			throw new Error('versions must be a non-empty array of { modelVersion, weight }');
+		}
+
+		const seen = new Set();
+		for (const { modelVersion, weight } of versions) {
+			if (!modelVersion) {
+				throw new Error('Each version requires a modelVersion');
+			}
+			if (seen.has(modelVersion)) {
+				throw new Error(`Duplicate modelVersion in route: ${modelVersion}`);
+			}
+			seen.add(modelVersion);
+			if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+				throw new Error(`weight for ${modelVersion} must be a non-negative number`);
+			}
+			if (!(await this.tables.Model.get(`${modelName}:${modelVersion}`))) {
+				throw new Error(`Model ${modelName}:${modelVersion} not found`);
+			}
+		}
+		if (versions.every((v) => v.weight === 0)) {
+			throw new Error('At least one version must have a positive weight');
+		}
+
+		const route = {
+			id: modelName,
+			modelName,
+			versions: versions.map(({ modelVersion, weight }) => ({ modelVersion, weight })),
+			updatedAt: Date.now(),
+		};
+
+		await this.tables.ModelRoute.put({ ...route, versions: JSON.stringify(route.versions) });
+
+		return route;
+	}
+
+	/**
+	 * Get the route for a model
+	 * @async
+	 * @param {string} modelName - Logical model name
+	 * @returns {Promise<Object|null>} Route with versions parsed, or null if none
+	 */
+	async getRoute(modelName) {
+		const record = await this.tables.ModelRoute.get(modelName);
+		if (!record) {
+			return null;
+		}
+		return { ...record, versions: JSON.parse(record.versions) };
+	}
+
+	/**
+	 * List all routes
+	 * @async
+	 * @returns {Promise<Object[]>} Routes with versions parsed
+	 */
+	async listRoutes() {
+		const routes = [];
+		for await (const record of this.tables.ModelRoute.search()) {
+			routes.push({ ...record, versions: JSON.parse(record.versions) });
+		}
+		return routes;
+	}
+
+	/**
+	 * Remove the route for a model (Predict falls back to the default version)
+	 * @async
+	 * @param {string} modelName - Logical model name
+	 */
+	async deleteRoute(modelName) {
+		await this.tables.ModelRoute.delete(modelName);
+	}
+
+	/**
+	 * Pick the version to serve for a request
+	 *
+	 * @async
+	 * @param {string} modelName - Logical model name
+	 * @param {Object} [context]
+	 * @param {string} [context.userId] - Preferred sticky key
+	 * @param {string} [context.sessionId] - Sticky key when there is no userId
+	 * @returns {Promise<string|null>} modelVersion, or null when the model has no route
+	 */
+	async resolve(modelName, context = {}) {
+		const route = await this.getRoute(modelName);
+		if (!route) {
+			return null;
+		}
+
+		const stickyKey = context.userId || context.sessionId;
+		const unit = stickyKey ? hashToUnit(`${modelName}:${stickyKey}`) : this.random();
+
+		return pickWeighted(route.versions, unit)?.modelVersion ?? null;
+	}
+}
@@ -1,4 +1,5 @@
 import { v4 as uuidv4 } from 'uuid';
+import { percentile } from './utils/statistics.js';
 
 /**
  * Monitoring Backend - Record inference events and compute metrics
@@ -41,7 +42,15 @@ export class MonitoringBackend {
 			featuresIn: event.featuresIn,
 			prediction: event.prediction,
 			confidence: event.confidence || null,
-			latencyMs: event.latencyMs,
+			latencyMs: event.latencyMs ?? null,
+			cached: event.cached || false,
+			promptTokens: event.promptTokens ?? null,
+			completionTokens: event.completionTokens ?? null,
+			errorCode: event.errorCode || null,
+			errorMessage: event.errorMessage || null,
+			routed: event.routed || false,
+			experimentId: event.experimentId || null,
+			variant: event.variant || null,
 			actualOutcome: null,
 			feedbackTimestamp: null,
 			correct: null,
@@ -54,19 +63,38 @@ export class MonitoringBackend {
 
 	/**
 	 * Get aggregate metrics for a model
+	 *
+	 * `count` includes failed inferences (events with an errorCode); latency,
+	 * confidence and accuracy are computed over successful inferences only.
+	 * `byFramework` repeats the count, latency and error figures per backend;
+	 * `byVersion` repeats every figure per modelVersion so ModelRoute arms
+	 * (e.g. a canary) can be compared side by side.
+	 *
 	 * @param {string} modelName - The model identifier
 	 * @param {Object} [options] - Optional time range
+	 * @param {Date} [options.startTime] - Range start
+	 * @param {Date} [options.endTime] - Range end
+	 * @param {boolean} [options.routed] - Only count requests whose version was picked by a ModelRoute
 	 * @returns {Object} Aggregate metrics
+	 * @example
+	 * const metrics = await monitoring.getMetrics('minilm');
+	 * // { count, errorCount, errorRate, avgLatency, p50Latency, p95Latency, p99Latency, maxLatency,
+	 * //   avgConfidence, accuracy, byFramework: { onnx: { count, errorRate, p95Latency, ... } },
+	 * //   byVersion: { v1: { count, errorRate, p95Latency, accuracy, ... }, v2: { ... } } }
 	 */
 	async getMetrics(modelName, options = {}) {
-		// Use Harper search directly
+		// The time range is part of the query so only events inside it are read
+		const conditions = [{ attribute: 'modelName', value: modelName }];
+		if (options.startTime) {
+			conditions.push({ attribute: 'timestamp', comparator: 'greater_than_equal', value: options.startTime.getTime() });
+		}
+		if (options.endTime) {
+			conditions.push({ attribute: 'timestamp', comparator: 'less_than_equal', value: options.endTime.getTime() });
+		}
+
 		const results = [];
-		for await (const record of this.tables.InferenceEvent.search({ modelName })) {
-			// Filter by time range if provided
-			if (options.startTime && record.timestamp < options.startTime.getTime()) {
-				continue;
-			}
-			if (options.endTime && record.timestamp > options.endTime.getTime()) {
+		for await (const record of this.tables.InferenceEvent.search({ conditions })) {
+			if (options.routed && !record.routed) {
 				continue;
 			}
 			results.push(record);
@@ -75,24 +103,76 @@ export class MonitoringBackend {
 		if (results.length === 0) {
 			return {
 				count: 0,
+				errorCount: 0,
+				errorRate: 0,
 				avgLatency: 0,
+				p50Latency: 0,
+				p95Latency: 0,
+				p99Latency: 0,
+				maxLatency: 0,
 				avgConfidence: 0,
 				accuracy: null,
+				byFramework: {},
+				byVersion: {},
 			};
 		}
 
-		// Calculate aggregates
-		const totalLatency = results.reduce((sum, e) => sum + (e.latencyMs || 0), 0);
-		const totalConfidence = results.reduce((sum, e) => sum + (e.confidence || 0), 0);
+		const byFramework = {};
+		for (const framework of new Set(results.map((e) => e.framework || 'unknown'))) {
+			byFramework[framework] = this._latencyAndErrors(results.filter((e) => (e.framework || 'unknown') === framework));
+		}
+
+		const byVersion = {};
+		for (const modelVersion of new Set(results.map((e) => e.modelVersion))) {
+			byVersion[modelVersion] = this._summarize(results.filter((e) => e.modelVersion === modelVersion));
+		}
+
+		return {
+			...this._summarize(results),
+			byFramework,
+			byVersion,
+		};
+	}
+
+	/**
+	 * Latency/error figures plus confidence and feedback accuracy for a set of events
+	 * @private
+	 */
+	_summarize(events) {
+		const succeeded = events.filter((e) => !e.errorCode);
+		const totalConfidence = succeeded.reduce((sum, e) => sum + (e.confidence || 0), 0);
 
-		const withFeedback = results.filter((e) => e.correct !== null);
+		const withFeedback = succeeded.filter((e) => e.correct !== null && e.correct !== undefined);
 		const correct = withFeedback.filter((e) => e.correct === true).length;
 
 		return {
-			count: results.length,
-			avgLatency: totalLatency / results.length,
-			avgConfidence: totalConfidence / results.length,
+			...this._latencyAndErrors(events),
+			avgConfidence: succeeded.length > 0 ? totalConfidence / succeeded.length : 0,
 			accuracy: withFeedback.length > 0 ? correct / withFeedback.length : null,
 		};
 	}
+
+	/**
+	 * Count, error rate and latency distribution for a set of events
+	 * @private
+	 */
+	_latencyAndErrors(events) {
+		const errorCount = events.filter((e) => e.errorCode).length;
+		const latencies = events
+			.filter((e) => !e.errorCode)
+			.map((e) => e.latencyMs)
+			.filter((l) => typeof l === 'number')
+			.sort((a, b) => a - b);
+
+		return {
+			count: events.length,
+			errorCount,
+			errorRate: errorCount / events.length,
+			avgLatency: latencies.length > 0 ? latencies.reduce((sum, l) => sum + l, 0) / latencies.length : 0,
+			p50Latency: percentile(latencies, 50),
+			p95Latency: percentile(latencies, 95),
+			p99Latency: percentile(latencies, 99),
+			maxLatency: latencies.length > 0 ? latencies[latencies.length - 1] : 0,
+		};
+	}
 }
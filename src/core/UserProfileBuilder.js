@@ -0,0 +1,179 @@
+import { normalizeVector } from './utils/vectorIndex.js';
+
+/**
+ * Feature names read from the Feature table (record id `entityId:featureName`)
+ *
+ * viewedProducts / purchasedProducts hold product ids, or `{ productId, timestamp }`
+ * entries when each interaction has its own time. preferredCategories is a list
+ * of category names.
+ * @type {Object<string, string>}
+ */
+export const PROFILE_FEATURES = {
+	viewed: 'viewedProducts',
+	purchased: 'purchasedProducts',
+	preferredCategories: 'preferredCategories',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A purchase says more about a user's taste than a view
+const DEFAULT_INTERACTION_WEIGHTS = { viewed: 1, purchased: 3 };
+
+/**
+ * UserProfileBuilder - User profile embeddings from interaction history
+ *
+ * Loads a user's viewed and purchased product ids from the Feature table and
+ * averages the stored embeddings of those products (see EmbeddingIndex) into
+ * one profile vector. Each interaction is weighted by its type and decays
+ * exponentially with age: an interaction `halfLifeDays` old counts half as
+ * much as one made now. Products without a stored embedding for the model are
+ * skipped and counted in `missingItems`.
+ *
+ * @class
+ * @example
+ * const builder = new UserProfileBuilder(embeddingIndex);
+ * const profile = await builder.build('user-123', { modelName: 'minilm', modelVersion: 'v1' });
+ * if (profile.vector) engine.enhanceProducts(products, { ...userContext, preferredCategories: profile.preferredCategories }, { profileVector: profile.vector });
+ */
+export class UserProfileBuilder {
+	/**
+	 * Create a new UserProfileBuilder instance
+	 * @param {EmbeddingIndex} embeddingIndex - Source of stored product embeddings
+	 * @param {Object} [tablesParam] - Optional tables object (defaults to global tables)
+	 * @param {Object} [options]
+	 * @param {number} [options.halfLifeDays=14] - Age at which an interaction counts half
+	 * @param {number} [options.maxInteractions=50] - Most recent interactions used per profile
+	 * @param {Object} [options.weights] - Weight per interaction type (default: { viewed: 1, purchased: 3 })
+	 */
+	constructor(embeddingIndex, tablesParam = null, options = {}) {
+		if (!embeddingIndex) {
+			throw new Error('Embedding index is required');
+		}
+		this.embeddingIndex = embeddingIndex;
+
+		// Use provided tables or fall back to global tables (when running inside Harper)
+		this.tables = tablesParam || (typeof tables !== 'undefined' ? tables : null);
+		if (!this.tables) {
+			throw new Error('tables object is required (provide via constructor or global)');
+		}
+
+		this.halfLifeDays = options.halfLifeDays ?? 14;
+		this.maxInteractions = options.maxInteractions ?? 50;
+		this.weights = { ...DEFAULT_INTERACTION_WEIGHTS, ...options.weights };
+	}
+
+	/**
+	 * Load a user's interactions and preferred categories
+	 *
+	 * @async
+	 * @param {string} entityId - User id used as Feature.entityId
+	 * @returns {Promise<Object>} { interactions: [{ productId, type, timestamp }] (newest first), preferredCategories }
+	 */
+	async loadHistory(entityId) {
+		const interactions = [];
+		for (const type of ['viewed', 'purchased']) {
+			const record = await this.tables.Feature.get(`${entityId}:${PROFILE_FEATURES[type]}`);
+			for (const entry of parseFeatureList(record)) {
+				const productId = typeof entry === 'object' && entry !== null ? (entry.productId ?? entry.id) : entry;
+				if (productId === undefined || productId === null) {
+					continue;
+				}
+				interactions.push({
+					productId: String(productId),
+					type,
+					timestamp: entry?.timestamp ?? record.timestamp ?? null,
+				});
+			}
+		}
+		interactions.sort((a, b) => (b.timestamp ?? 0) - (a.timestamp ?? 0));
+
+		const categories = await this.tables.Feature.get(`${entityId}:${PROFILE_FEATURES.preferredCategories}`);
+		const preferredCategories = parseFeatureList(categories).filter((category) => typeof category === 'string');
+
+		return { interactions: interactions.slice(0, this.maxInteractions), preferredCategories };
+	}
+
+	/**
+	 * Build a user's profile embedding for a model
+	 *
+	 * @async
+	 * @param {string} entityId - User id used as Feature.entityId
+	 * @param {Object} target - Embedding space: { modelName, modelVersion, collection? }
+	 * @param {Object} [options]
+	 * @param {number} [options.now=Date.now()] - Reference time for decay
+	 * @returns {Promise<Object>} { entityId, vector (null without usable history), itemCount, interactionCount, missingItems, preferredCategories }
+	 */
+	async build(entityId, target, { now = Date.now() } = {}) {
+		if (!entityId) {
+			throw new Error('entityId is required');
+		}
+
+		const { interactions, preferredCategories } = await this.loadHistory(entityId);
+		const vectors = this.embeddingIndex.getVectors(
+			target,
+			interactions.map((interaction) => interaction.productId)
+		);
+
+		let vector = null;
+		let totalWeight = 0;
+		const missing = new Set();
+		for (const { productId, type, timestamp } of interactions) {
+			const embedding = vectors.get(productId);
+			if (!embedding) {
+				missing.add(productId);
+				continue;
+			}
+			const weight = this.interactionWeight(type, timestamp, now);
+			if (weight <= 0) {
+				continue;
+			}
+			// Unit vectors so long or short product texts do not dominate the average
+			const unit = normalizeVector(embedding);
+			vector ??= new Array(unit.length).fill(0);
+			for (let i = 0; i < unit.length; i++) {
+				vector[i] += weight * unit[i];
+			}
+			totalWeight += weight;
+		}
+
+		return {
+			entityId,
+			vector: vector && totalWeight > 0 ? vector.map((value) => value / totalWeight) : null,
+			itemCount: vectors.size,
+			interactionCount: interactions.length,
+			missingItems: missing.size,
+			preferredCategories,
+		};
+	}
+
+	/**
+	 * Weight of one interaction: type weight halved every `halfLifeDays`
+	 * @param {string} type - 'viewed' or 'purchased'
+	 * @param {number|null} timestamp - Interaction time (no decay when unknown)
+	 * @param {number} now
+	 * @returns {number}
+	 */
+	interactionWeight(type, timestamp, now) {
+		const base = this.weights[type] ?? 0;
+		if (timestamp === null || timestamp === undefined || !(this.halfLifeDays > 0)) {
+			return base;
+		}
+		const ageDays = Math.max(0, now - timestamp) / DAY_MS;
+		return base * Math.pow(0.5, ageDays / this.halfLifeDays);
+	}
+}
+
+/**
+ * Parse a Feature record whose featureValue is a JSON array
+ */
+function parseFeatureList(record) {
+	if (!record?.featureValue) {
+		return [];
+	}
+	try {
+		const value = JSON.parse(record.featureValue);
+		return Array.isArray(value) ? value : [];
+	} catch {
+		return [];
+	}
+}
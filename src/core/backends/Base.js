@@ -91,6 +91,24 @@ export class BaseBackend {
 		throw new Error(`${this.name}.predict() must be implemented`);
 	}
 
+	/**
+	 * Stream prediction output incrementally - optional, override in subclasses
+	 *
+	 * Backends that can produce partial output (e.g. LLM token streams) yield
+	 * chunks of `{content, done: false}` followed by a single final chunk with
+	 * `done: true` carrying the complete result.
+	 *
+	 * @param {string} modelKey - Cache key for loaded model
+	 * @param {Object} inputs - Input data in backend-specific format
+	 * @param {Object} [options]
+	 * @param {AbortSignal} [options.signal] - Aborts the upstream request
+	 * @returns {AsyncIterable<Object>} Partial output chunks, then a final `{done: true, ...}` chunk
+	 * @throws {Error} If the backend does not support streaming
+	 */
+	predictStream(_modelKey, _inputs, _options = {}) {
+		throw new Error(`${this.name} does not support streaming predictions`);
+	}
+
 	/**
 	 * Check if model is loaded
 	 * @param {string} modelKey - Cache key
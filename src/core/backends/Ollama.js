@@ -5,7 +5,7 @@ import { BaseBackend } from './Base.js';
  * Ollama Backend - Local LLM inference via Ollama HTTP API
  *
  * Features:
- * - Chat completion with local LLMs
+ * - Chat completion with local LLMs (blocking or streamed token by token)
  * - Text embeddings generation
  * - No external API calls or costs
  * - Support for Llama 2, Mistral, CodeLlama, and more
@@ -45,6 +45,12 @@ import { BaseBackend } from './Base.js';
  *   messages: [{role: 'user', content: 'Hello!'}]
  * });
  * console.log(result.response);
+ *
+ * @example
+ * // Streaming chat
+ * for await (const chunk of backend.predictStream('chat:v1', {prompt: 'Hello!'})) {
+ *   if (!chunk.done) process.stdout.write(chunk.content);
+ * }
  */
 export class OllamaBackend extends BaseBackend {
 	constructor(baseUrl = process.env.OLLAMA_HOST || 'http://localhost:11434') {
@@ -96,7 +102,7 @@ export class OllamaBackend extends BaseBackend {
 	 * @param {string} modelKey - Cache key
 	 * @param {Object} inputs - Input data
 	 *   For chat mode: { messages: [{role: 'user', content: 'text'}] } or { prompt: 'text' }
-	 *   For embeddings mode: { prompt: 'text' }
+	 *   For embeddings mode: { texts: string[] } or { prompt: 'text' }
 	 * @returns {Object} Output from Ollama
 	 */
 	async predict(modelKey, inputs) {
@@ -116,26 +122,92 @@ export class OllamaBackend extends BaseBackend {
 		}
 	}
 
+	/**
+	 * Stream a chat completion token by token
+	 *
+	 * Consumes Ollama's NDJSON stream (`stream: true`) and yields one chunk per
+	 * message delta. The final chunk has `done: true` and carries the token counts
+	 * and durations reported by Ollama.
+	 *
+	 * @async
+	 * @generator
+	 * @param {string} modelKey - Cache key
+	 * @param {Object} inputs - { messages: [...] } or { prompt: 'text' }
+	 * @param {Object} [options]
+	 * @param {AbortSignal} [options.signal] - Aborts the Ollama request (e.g. when the client disconnects)
+	 * @yields {Object} { content, done: false } for each delta, then
+	 *   { done: true, response, message, total_duration, load_duration, prompt_eval_count, eval_count }
+	 * @throws {Error} If the model is not in chat mode or Ollama returns an error
+	 * @example
+	 * for await (const chunk of backend.predictStream('chat:v1', {prompt: 'Hello'})) {
+	 *   if (!chunk.done) process.stdout.write(chunk.content);
+	 * }
+	 */
+	async *predictStream(modelKey, inputs, { signal } = {}) {
+		const { modelName, mode } = this._validateLoaded(modelKey);
+
+		if (mode !== 'chat') {
+			throw new Error(`Streaming is only supported in chat mode (model ${modelKey} is in ${mode} mode)`);
+		}
+
+		const response = await fetch(`${this.baseUrl}/api/chat`, {
+			method: 'POST',
+			headers: {
+				'Content-Type': 'application/json',
+			},
+			body: JSON.stringify({
+				model: modelName,
+				messages: this._buildChatMessages(inputs),
+				stream: true,
+			}),
+			signal,
+		});
+
+		if (!response.ok) {
+			const errorText = await response.text();
+			throw new Error(`Ollama API error: ${response.status} ${errorText}`);
+		}
+
+		let content = '';
+		let role = 'assistant';
+
+		for await (const event of this._readNdjson(response.body)) {
+			if (event.error) {
+				throw new Error(`Ollama API error: ${event.error}`);
+			}
+
+			if (event.message) {
+				role = event.message.role || role;
+			}
+
+			if (!event.done) {
+				const delta = event.message?.content || '';
+				content += delta;
+				yield { content: delta, done: false };
+				continue;
+			}
+
+			yield {
+				done: true,
+				response: content,
+				message: { role, content },
+				total_duration: event.total_duration,
+				load_duration: event.load_duration,
+				prompt_eval_count: event.prompt_eval_count,
+				eval_count: event.eval_count,
+			};
+			return;
+		}
+
+		throw new Error('Ollama stream ended before completion');
+	}
+
 	/**
 	 * Generate chat completion
 	 * @private
 	 */
 	async _generateChat(modelName, inputs) {
-		let messages;
-
-		// Support both messages array and simple prompt
-		if (inputs.messages) {
-			messages = inputs.messages;
-		} else if (inputs.prompt || inputs.content) {
-			messages = [
-				{
-					role: 'user',
-					content: inputs.prompt || inputs.content,
-				},
-			];
-		} else {
-			throw new Error('Chat mode requires either "messages" array or "prompt" string');
-		}
+		const messages = this._buildChatMessages(inputs);
 
 		const response = await fetch(`${this.baseUrl}/api/chat`, {
 			method: 'POST',
@@ -167,38 +239,102 @@ export class OllamaBackend extends BaseBackend {
 		};
 	}
 
+	/**
+	 * Build chat messages from either a messages array or a simple prompt
+	 * @private
+	 */
+	_buildChatMessages(inputs) {
+		// Support both messages array and simple prompt
+		if (inputs.messages) {
+			return inputs.messages;
+		}
+		if (inputs.prompt || inputs.content) {
+			return [
+				{
+					role: 'user',
+					content: inputs.prompt || inputs.content,
+				},
+			];
+		}
+		throw new Error('Chat mode requires either "messages" array or "prompt" string');
+	}
+
+	/**
+	 * Parse a newline-delimited JSON response body
+	 *
+	 * Lines can be split across network chunks, so partial lines are buffered
+	 * until their newline arrives.
+	 *
+	 * @private
+	 * @param {ReadableStream} body - fetch() response body
+	 * @yields {Object} One parsed JSON object per line
+	 */
+	async *_readNdjson(body) {
+		const reader = body.getReader();
+		const decoder = new TextDecoder();
+		let buffer = '';
+
+		try {
+			while (true) {
+				const { done, value } = await reader.read();
+				if (done) break;
+
+				buffer += decoder.decode(value, { stream: true });
+				let newline;
+				while ((newline = buffer.indexOf('\n')) >= 0) {
+					const line = buffer.slice(0, newline).trim();
+					buffer = buffer.slice(newline + 1);
+					if (line) {
+						yield JSON.parse(line);
+					}
+				}
+			}
+
+			const rest = (buffer + decoder.decode()).trim();
+			if (rest) {
+				yield JSON.parse(rest);
+			}
+		} finally {
+			reader.releaseLock();
+		}
+	}
+
 	/**
 	 * Generate embeddings
+	 *
+	 * The whole batch goes to /api/embed (Ollama 0.3+) as one `input` array, so a
+	 * batch costs a single request. Results keep the input order.
+	 *
 	 * @private
+	 * @returns {Object} {embeddings, embedding} with one embedding per input text
 	 */
 	async _generateEmbeddings(modelName, inputs) {
-		// Handle different input formats
-		let prompt;
+		// Handle different input formats (always normalized to a batch)
+		let prompts;
 
 		if (inputs.texts && Array.isArray(inputs.texts)) {
 			// Handle texts array format (common across backends)
-			// For now, process first text (Ollama doesn't support batch embeddings in single call)
-			prompt = inputs.texts[0];
+			prompts = inputs.texts;
 		} else if (inputs.prompt) {
-			prompt = inputs.prompt;
+			prompts = [inputs.prompt];
 		} else if (inputs.text) {
-			prompt = inputs.text;
+			prompts = [inputs.text];
 		} else if (inputs.content) {
-			prompt = inputs.content;
+			prompts = [inputs.content];
 		}
 
-		if (!prompt) {
+		if (!prompts) {
 			throw new Error('Embeddings mode requires "prompt", "text", or "content" field');
 		}
 
-		const response = await fetch(`${this.baseUrl}/api/embeddings`, {
+		const response = await fetch(`${this.baseUrl}/api/embed`, {
 			method: 'POST',
 			headers: {
 				'Content-Type': 'application/json',
 			},
 			body: JSON.stringify({
 				model: modelName,
-				prompt,
+				input: prompts,
 			}),
 		});
 
@@ -208,11 +344,15 @@ export class OllamaBackend extends BaseBackend {
 		}
 
 		const result = await response.json();
+		const embeddings = result.embeddings || [];
+		if (embeddings.length !== prompts.length) {
+			throw new Error(`Ollama API error: expected ${prompts.length} embeddings, got ${embeddings.length}`);
+		}
 
 		// Return in consistent format
 		return {
-			embeddings: result.embedding || [], // Raw embedding array
-			embedding: result.embedding,
+			embeddings, // One vector per input text
+			embedding: embeddings[0],
 		};
 	}
 
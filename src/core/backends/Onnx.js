@@ -12,6 +12,7 @@ import { BaseBackend } from './Base.js';
  * - Automatic tokenizer loading for sentence-transformers models
  * - Built-in mean pooling and L2 normalization
  * - Support for raw text and pre-tokenized inputs
+ * - Batched inference: all texts are padded into one batch and run in a single session.run()
  *
  * Tokenization:
  * - Automatically loads tokenizer for models with input_ids/attention_mask
@@ -35,8 +36,8 @@ import { BaseBackend } from './Base.js';
  *   modelId: 'sentence-transformers/all-MiniLM-L6-v2',
  *   metadata: JSON.stringify({tokenizerModel: 'sentence-transformers/all-MiniLM-L6-v2'})
  * });
- * const result = await backend.predict('model:v1', {texts: ['hello']});
- * // result.embedding = [0.1, 0.2, ...] (normalized)
+ * const result = await backend.predict('model:v1', {texts: ['hello', 'world']});
+ * // result.embeddings = [[0.1, 0.2, ...], [0.3, 0.1, ...]] (normalized, one per text)
  */
 export class OnnxBackend extends BaseBackend {
 	constructor() {
@@ -114,7 +115,7 @@ export class OnnxBackend extends BaseBackend {
 	 * Run inference with ONNX model
 	 * @param {string} modelKey - Cache key
 	 * @param {Object} inputs - Either {texts: string[]} for text input or tensor inputs
-	 * @returns {Object} Output tensors or embeddings
+	 * @returns {Object} Output tensors, or {embeddings, embedding} with one embedding per input text
 	 */
 	async predict(modelKey, inputs) {
 		// Validate model is loaded
@@ -128,24 +129,23 @@ export class OnnxBackend extends BaseBackend {
 		try {
 			let feeds = {};
 
-			// Extract text input from various formats
-			let text = null;
+			// Extract text input from various formats (always normalized to a batch)
+			let texts = null;
 			if (inputs.texts && Array.isArray(inputs.texts)) {
-				// Array of texts - process first one
-				text = inputs.texts[0];
+				texts = inputs.texts;
 			} else if (inputs.text) {
 				// Single text string
-				text = inputs.text;
+				texts = [inputs.text];
 			} else if (inputs.prompt) {
 				// Prompt field (common in LLM APIs)
-				text = inputs.prompt;
+				texts = [inputs.prompt];
 			} else if (inputs.content) {
 				// Content field
-				text = inputs.content;
+				texts = [inputs.content];
 			}
 
 			// Check if input is raw text that needs tokenization
-			if (text !== null) {
+			if (texts !== null) {
 				if (!tokenizer) {
 					logger.error(`[OnnxBackend] Text input provided but no tokenizer available for ${modelKey}`);
 					logger.error(`[OnnxBackend] Available tokenizers:`, Array.from(this.tokenizers.keys()));
@@ -153,8 +153,13 @@ export class OnnxBackend extends BaseBackend {
 					throw new Error('Text input provided but no tokenizer available. Provide pre-tokenized inputs instead.');
 				}
 
-				// Tokenize the text
-				const encoded = await tokenizer(text, {
+				if (texts.length === 0) {
+					return { embeddings: [], embedding: null };
+				}
+
+				// Tokenize the whole batch at once - padding aligns every row to the longest text
+				// so the batch can go through a single session.run()
+				const encoded = await tokenizer(texts, {
 					padding: true,
 					truncation: true,
 					return_tensors: 'pt', // Request PyTorch-style tensors
@@ -250,12 +255,13 @@ export class OnnxBackend extends BaseBackend {
 				const lastHiddenState = results.last_hidden_state;
 				const attentionMaskData = feeds.attention_mask.data;
 
-				const embeddings = this._meanPooling(lastHiddenState, attentionMaskData);
-				const normalized = this._normalize(embeddings);
+				const embeddings = this._meanPooling(lastHiddenState, attentionMaskData).map((pooled) =>
+					this._normalize(pooled)
+				);
 
 				return {
-					embeddings: [normalized], // Wrap in array for consistency with other backends
-					embedding: normalized,
+					embeddings, // One vector per input text
+					embedding: embeddings[0],
 				};
 			}
 
@@ -275,41 +281,49 @@ export class OnnxBackend extends BaseBackend {
 	/**
 	 * Mean pooling over token embeddings with attention mask weighting
 	 *
-	 * Algorithm:
+	 * Algorithm (applied to each row of the batch):
 	 * 1. For each dimension in hidden_size:
 	 *    - Sum embeddings for all tokens, weighted by attention mask
 	 * 2. Divide by sum of attention mask (number of non-padding tokens)
 	 *
-	 * This produces a single fixed-size embedding from variable-length token sequences.
+	 * This produces a single fixed-size embedding per text from variable-length token
+	 * sequences. Padding tokens added by batch tokenization have a mask of 0 and do not
+	 * contribute to the average.
 	 *
 	 * @private
 	 * @param {Object} lastHiddenState - ONNX tensor with shape [batch_size, seq_length, hidden_size]
-	 * @param {BigInt64Array} attentionMaskData - Attention mask (BigInt 0n/1n, length seq_length)
-	 * @returns {Array<number>} Pooled embedding vector (length hidden_size)
+	 * @param {BigInt64Array} attentionMaskData - Attention mask (BigInt 0n/1n, length batch_size * seq_length)
+	 * @returns {Array<Array<number>>} Pooled embedding vectors (batch_size x hidden_size)
 	 */
 	_meanPooling(lastHiddenState, attentionMaskData) {
-		const hiddenSize = lastHiddenState.dims[2];
-		const seqLength = lastHiddenState.dims[1];
+		const [batchSize, seqLength, hiddenSize] = lastHiddenState.dims;
 		const embeddings = lastHiddenState.data;
+		const results = [];
+
+		for (let b = 0; b < batchSize; b++) {
+			const pooled = new Array(hiddenSize).fill(0);
+			let sumMask = 0;
+
+			for (let i = 0; i < seqLength; i++) {
+				// Convert BigInt to number (attention mask values are 0 or 1, safe to convert)
+				const maskValue = Number(attentionMaskData[b * seqLength + i]);
+				if (maskValue === 0) continue;
+				sumMask += maskValue;
+				const offset = (b * seqLength + i) * hiddenSize;
+				for (let j = 0; j < hiddenSize; j++) {
+					pooled[j] += embeddings[offset + j] * maskValue;
+				}
+			}
 
-		const pooled = new Array(hiddenSize).fill(0);
-		let sumMask = 0;
-
-		for (let i = 0; i < seqLength; i++) {
-			// Convert BigInt to number (attention mask values are 0 or 1, safe to convert)
-			const maskValue = Number(attentionMaskData[i]);
-			sumMask += maskValue;
+			// Average
 			for (let j = 0; j < hiddenSize; j++) {
-				pooled[j] += embeddings[i * hiddenSize + j] * maskValue;
+				pooled[j] /= Math.max(sumMask, 1);
 			}
-		}
 
-		// Average
-		for (let j = 0; j < hiddenSize; j++) {
-			pooled[j] /= Math.max(sumMask, 1);
+			results.push(pooled);
 		}
 
-		return pooled;
+		return results;
 	}
 
 	/**
@@ -123,51 +123,63 @@ export class TransformersBackend extends BaseBackend {
 
 	/**
 	 * Generate embeddings using feature-extraction pipeline
+	 *
+	 * All texts are passed to the pipeline in a single call; transformers.js pads them
+	 * into one batch and returns a [batch_size, hidden_size] tensor.
+	 *
 	 * @private
+	 * @returns {Object} {embeddings, embedding} with one embedding per input text
 	 */
 	async _generateEmbeddings(pipe, inputs) {
-		// Handle different input formats
-		let text;
+		// Handle different input formats (always normalized to a batch)
+		let texts;
 
 		if (inputs.texts && Array.isArray(inputs.texts)) {
-			// Process first text (transformers.js pipelines handle one at a time by default)
-			text = inputs.texts[0];
+			texts = inputs.texts;
 		} else if (inputs.text) {
-			text = inputs.text;
+			texts = [inputs.text];
 		} else if (inputs.prompt) {
-			text = inputs.prompt;
+			texts = [inputs.prompt];
 		} else if (inputs.content) {
-			text = inputs.content;
+			texts = [inputs.content];
 		}
 
-		if (!text) {
+		if (!texts) {
 			throw new Error('Feature extraction requires "texts" array, "text", "prompt", or "content" field');
 		}
 
+		if (texts.length === 0) {
+			return { embeddings: [], embedding: null };
+		}
+
 		// Run pipeline with mean pooling and normalization
 		// The pipeline handles tokenization, inference, pooling, and normalization automatically
-		const output = await pipe(text, {
+		const output = await pipe(texts, {
 			pooling: 'mean',
 			normalize: true,
 		});
 
-		// Extract embedding from output tensor
-		// Transformers.js returns a Tensor object - use tolist() to get array
-		let embedding;
+		// Extract embeddings from output tensor
+		// Transformers.js returns a Tensor object - use tolist() to get nested arrays
+		let embeddings;
 		if (typeof output.tolist === 'function') {
-			// tolist() returns nested array for batched output, get first item
 			const result = output.tolist();
-			embedding = Array.isArray(result[0]) ? result[0] : result;
-		} else if (output.data) {
-			// onnxruntime-node provides data property
-			embedding = Array.from(output.data);
+			embeddings = Array.isArray(result[0]) ? result : [result];
+		} else if (output.data && output.dims) {
+			// onnxruntime-node provides flat data property - split rows by hidden size
+			const hiddenSize = output.dims[output.dims.length - 1];
+			const data = Array.from(output.data);
+			embeddings = [];
+			for (let i = 0; i < data.length; i += hiddenSize) {
+				embeddings.push(data.slice(i, i + hiddenSize));
+			}
 		} else {
-			embedding = Array.from(output);
+			embeddings = [Array.from(output.data || output)];
 		}
 
 		return {
-			embeddings: [embedding], // Wrap in array for consistency with other backends
-			embedding,
+			embeddings, // One vector per input text
+			embedding: embeddings[0],
 		};
 	}
 
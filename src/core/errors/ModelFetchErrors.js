@@ -133,6 +133,26 @@ export class FileTooLargeError extends ModelFetchError {
 	}
 }
 
+/**
+ * Integrity error (downloaded or stored bytes do not match the expected SHA-256)
+ * Non-retryable - a wrong checksum or tampered source will not fix itself
+ */
+export class IntegrityError extends ModelFetchError {
+	/**
+	 * Create an integrity error
+	 * @param {string} subject - What was verified (file name, URL, model id)
+	 * @param {string} expected - Expected SHA-256 (hex)
+	 * @param {string} actual - Computed SHA-256 (hex)
+	 */
+	constructor(subject, expected, actual) {
+		super(`SHA-256 mismatch for ${subject}: expected ${expected}, got ${actual}`, 'INTEGRITY_MISMATCH', false);
+		this.name = 'IntegrityError';
+		this.subject = subject;
+		this.expected = expected;
+		this.actual = actual;
+	}
+}
+
 /**
  * Format bytes for human-readable display
  * @param {number} bytes - Number of bytes
@@ -155,6 +175,7 @@ export const ERROR_CODES = {
 	SECURITY_VIOLATION: { retryable: false },
 	MODEL_NAME_CONFLICT: { retryable: false },
 	FILE_TOO_LARGE: { retryable: false },
+	INTEGRITY_MISMATCH: { retryable: false },
 
 	// Download errors (retryable)
 	NETWORK_TIMEOUT: { retryable: true },
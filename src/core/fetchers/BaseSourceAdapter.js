@@ -1,7 +1,7 @@
 /**
  * Base Source Adapter
  *
- * Abstract base class for all model source adapters (HuggingFace, HTTP, filesystem).
+ * Abstract base class for all model source adapters (HuggingFace, HTTP, filesystem, Ollama, S3).
  * Defines the interface for detecting frameworks, downloading models, and inferring metadata.
  *
  * Adapters are responsible for:
@@ -9,6 +9,7 @@
  * - Listing available variants (e.g., quantized vs full precision)
  * - Downloading model files with progress tracking
  * - Inferring metadata from source (task type, output dimensions, etc.)
+ * - Publishing expected checksums where the source has them
  *
  * Pattern follows BaseBackend from src/core/backends/Base.js
  */
@@ -20,6 +21,9 @@ export class BaseSourceAdapter {
 	 */
 	constructor(name) {
 		this.name = name || 'BaseSourceAdapter';
+		// Set by sources that can only describe a model once it is downloaded;
+		// ModelFetchWorker then calls inferMetadata() again after download()
+		this.metadataAfterDownload = false;
 	}
 
 	/**
@@ -65,11 +69,17 @@ export class BaseSourceAdapter {
 	 *
 	 * Downloads model binary and returns as Buffer. For multi-file models
 	 * (e.g., Transformers.js), packages files into single blob (JSON with base64).
+	 * Remote adapters may instead stream the blob to a file under
+	 * `options.stagingDir` and return its path; a later call with the same
+	 * staging directory resumes a partial download.
 	 *
 	 * @param {string} sourceReference - Source identifier
 	 * @param {string|null} variant - Variant to download (e.g., "quantized")
 	 * @param {Function} onProgress - Progress callback: (downloadedBytes, totalBytes) => void
-	 * @returns {Promise<Buffer>} Model blob data
+	 * @param {string} [framework] - Target framework
+	 * @param {Object} [options]
+	 * @param {string} [options.stagingDir] - Directory for partial and downloaded files
+	 * @returns {Promise<Buffer|Object>} Model blob data, or { filePath, size, resumedFrom } for a staged file
 	 * @throws {NetworkError} On network failures
 	 * @throws {RateLimitError} On HTTP 429
 	 * @throws {ModelNotFoundError} On HTTP 404
@@ -79,6 +89,22 @@ export class BaseSourceAdapter {
 		throw new Error(`${this.name}.download() not implemented`);
 	}
 
+	/**
+	 * Look up the published SHA-256 of the blob download() returns
+	 *
+	 * Used by ModelFetchWorker when the fetch request has no expected checksum.
+	 * Adapters without a checksum source return null (the blob digest is still
+	 * recorded, just not verified).
+	 *
+	 * @param {string} sourceReference - Source identifier
+	 * @param {string|null} variant - Optional variant
+	 * @param {string} [framework] - Target framework
+	 * @returns {Promise<string|null>} Hex digest, or null when the source publishes none
+	 */
+	async getExpectedChecksum() {
+		return null;
+	}
+
 	/**
 	 * Infer metadata from source without downloading full model
 	 *
@@ -6,9 +6,11 @@
  * Features:
  * - Supports HTTP and HTTPS protocols
  * - Framework detection from URL extension
- * - Streaming download with progress callbacks
+ * - Streaming download to disk with progress callbacks
+ * - Resumes partial downloads on retry (HTTP Range / If-Range)
  * - Handles common HTTP errors (404, 429, 500, etc.)
  * - Respects Content-Length for progress tracking
+ * - Reads the expected SHA-256 from a `<url>.sha256` sidecar file when present
  *
  * Security:
  * - Only allows http:// and https:// protocols
@@ -23,6 +25,8 @@ import {
 	RateLimitError,
 	ModelNotFoundError,
 } from '../errors/ModelFetchErrors.js';
+import { parseChecksumFile } from '../utils/integrity.js';
+import { DEFAULT_STAGING_DIR, downloadToFile, stagingPath } from '../utils/download.js';
 
 export class HttpUrlAdapter extends BaseSourceAdapter {
 	constructor() {
@@ -126,73 +130,25 @@ export class HttpUrlAdapter extends BaseSourceAdapter {
 	/**
 	 * Download model from HTTP/HTTPS URL
 	 *
-	 * Streams file from URL with progress tracking.
+	 * Streams the file to a staging directory with progress tracking. A retry
+	 * with the same staging directory resumes a partial download with an HTTP
+	 * Range request (see utils/download.js).
 	 * Handles HTTP errors (404, 429, 500, etc.) with appropriate error types.
 	 *
 	 * @param {string} sourceReference - HTTP/HTTPS URL
 	 * @param {string|null} variant - Not used for HTTP URLs
 	 * @param {Function} onProgress - Progress callback: (downloadedBytes, totalBytes) => void
-	 * @returns {Promise<Buffer>} Model file contents
+	 * @param {string} [_framework] - Not used for HTTP URLs
+	 * @param {Object} [options]
+	 * @param {string} [options.stagingDir] - Where the file is downloaded (default: MODEL_FETCH_STAGING_DIR)
+	 * @returns {Promise<Object>} Downloaded file: { filePath, size, resumedFrom }
 	 */
-	async download(sourceReference, variant, onProgress) {
+	async download(sourceReference, variant, onProgress, _framework = null, { stagingDir = DEFAULT_STAGING_DIR } = {}) {
 		// Validate URL
 		this.validateUrl(sourceReference);
 
 		try {
-			// Make GET request
-			const response = await fetch(sourceReference);
-
-			// Handle HTTP errors
-			if (!response.ok) {
-				if (response.status === 404) {
-					throw new ModelNotFoundError(sourceReference);
-				} else if (response.status === 429) {
-					// Rate limited
-					const retryAfter = response.headers.get('retry-after');
-					const retrySeconds = retryAfter ? parseInt(retryAfter, 10) : 60;
-					throw new RateLimitError(`Rate limited by server`, retrySeconds);
-				} else if (response.status >= 500) {
-					// Server error (retryable)
-					throw new NetworkError(
-						`Server error: ${response.status} ${response.statusText}`
-					);
-				} else {
-					// Other error (non-retryable)
-					throw new Error(`HTTP error: ${response.status} ${response.statusText}`);
-				}
-			}
-
-			// Get total size from Content-Length header
-			const contentLength = response.headers.get('content-length');
-			const totalBytes = contentLength ? parseInt(contentLength, 10) : 0;
-
-			// Stream response body
-			const chunks = [];
-			let downloadedBytes = 0;
-
-			// Get reader from response body
-			const reader = response.body.getReader();
-
-			try {
-				while (true) {
-					const { done, value } = await reader.read();
-
-					if (done) break;
-
-					chunks.push(value);
-					downloadedBytes += value.length;
-
-					// Report progress
-					if (onProgress) {
-						onProgress(downloadedBytes, totalBytes || downloadedBytes);
-					}
-				}
-			} finally {
-				reader.releaseLock();
-			}
-
-			// Concatenate chunks into single buffer
-			return Buffer.concat(chunks);
+			return await downloadToFile(sourceReference, stagingPath(stagingDir, sourceReference), { onProgress });
 		} catch (error) {
 			// Re-throw our typed errors
 			if (
@@ -208,6 +164,40 @@ export class HttpUrlAdapter extends BaseSourceAdapter {
 		}
 	}
 
+	/**
+	 * Read the expected SHA-256 from a sidecar file next to the model
+	 *
+	 * Looks for `<url>.sha256` containing a bare digest or `sha256sum` output.
+	 * A missing or unreadable sidecar is not an error (returns null). The sidecar
+	 * comes from the same server, so it catches corrupted transfers, not a
+	 * compromised server; pass an expected sha256 to FetchModel for that.
+	 *
+	 * @param {string} sourceReference - HTTP/HTTPS URL
+	 * @returns {Promise<string|null>} Hex digest, or null
+	 */
+	async getExpectedChecksum(sourceReference) {
+		const url = this.validateUrl(sourceReference);
+		const filename = path.basename(url.pathname);
+		const sidecarUrl = new URL(url);
+		sidecarUrl.pathname += '.sha256';
+
+		try {
+			const response = await fetch(sidecarUrl.toString());
+			if (!response.ok) {
+				return null;
+			}
+
+			const digest = parseChecksumFile(await response.text(), filename);
+			if (!digest) {
+				console.warn(`[HttpUrlAdapter] No SHA-256 for ${filename} in ${sidecarUrl}`);
+			}
+			return digest;
+		} catch (error) {
+			console.warn(`[HttpUrlAdapter] Could not read checksum sidecar: ${error.message}`);
+			return null;
+		}
+	}
+
 	/**
 	 * Infer metadata from HTTP URL
 	 *
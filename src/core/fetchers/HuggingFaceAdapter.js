@@ -2,13 +2,33 @@
  * HuggingFace Hub Source Adapter
  *
  * Downloads models from HuggingFace Hub with support for:
- * - Single-file ONNX models
- * - Multi-file Transformers.js models (default and quantized variants)
+ * - Multi-file Transformers.js models (ONNX files under onnx/ plus a tokenizer)
+ * - Plain ONNX repos (e.g. model.onnx + tokenizer.json at the root)
+ * - Detection of TensorFlow.js repos (model.json + weight shards), rejected
+ *   until the TensorFlow backend can load them
+ * - One variant per ONNX file (default, quantized, fp16, int8, q4, ...)
  * - Model card and config metadata inference
+ * - SHA-256 verification of LFS files (e.g. ONNX weights) against the Hub's LFS oids
+ * - Resumable file downloads through a staging directory
+ *
+ * Repo files are enumerated with the Hub tree API, so detection and variant
+ * listing take one request instead of a HEAD per candidate file.
  */
 
+import path from 'node:path';
 import { BaseSourceAdapter } from './BaseSourceAdapter.js';
-import { UnsupportedFrameworkError, ModelNotFoundError, NetworkError } from '../errors/ModelFetchErrors.js';
+import {
+	UnsupportedFrameworkError,
+	ModelNotFoundError,
+	NetworkError,
+	RateLimitError,
+	IntegrityError
+} from '../errors/ModelFetchErrors.js';
+import { checkSha256, sha256File } from '../utils/integrity.js';
+import { DEFAULT_STAGING_DIR, downloadToFile, httpError, stagingPath } from '../utils/download.js';
+
+// Files packaged with a Transformers.js variant when present in the repo
+const TOKENIZER_FILES = ['tokenizer.json', 'tokenizer_config.json', 'config.json'];
 
 export class HuggingFaceAdapter extends BaseSourceAdapter {
 	constructor() {
@@ -16,96 +36,118 @@ export class HuggingFaceAdapter extends BaseSourceAdapter {
 		this.baseUrl = 'https://huggingface.co';
 	}
 
-	async detectFramework(sourceReference, variant = null) {
-		// Check if fetch is available
-		console.log('[HuggingFaceAdapter] typeof fetch:', typeof fetch);
-		console.log('[HuggingFaceAdapter] typeof global.fetch:', typeof global.fetch);
-		console.log('[HuggingFaceAdapter] typeof globalThis.fetch:', typeof globalThis.fetch);
-
+	/**
+	 * List the files in a repo with the Hub tree API
+	 *
+	 * @param {string} sourceReference - HuggingFace model ID
+	 * @returns {Promise<Array<Object>>} [{ path, size, lfs? }] for every file, recursively
+	 * @throws {ModelNotFoundError} If the repo does not exist
+	 * @throws {RateLimitError|NetworkError} If the Hub is unavailable
+	 */
+	async listRepoFiles(sourceReference) {
 		if (typeof fetch === 'undefined') {
 			throw new NetworkError('fetch is not available in this environment');
 		}
 
-		// Check for Transformers.js model files
-		const transformersFiles = [
-			'onnx/model.onnx',
-			'onnx/model_quantized.onnx',
-			'tokenizer.json'
-		];
-
-		const errors = [];
-		for (const file of transformersFiles) {
-			const url = `${this.baseUrl}/${sourceReference}/resolve/main/${file}`;
-			try {
-				const response = await fetch(url, { method: 'HEAD' });
-				if (response && response.ok) {
-					return 'transformers';
-				}
-			} catch (error) {
-				// Continue checking other files
-				errors.push(`${file}: ${error.message}`);
-				console.warn(`[HuggingFaceAdapter] Error checking ${file}:`, error.message);
-			}
+		const url = `${this.baseUrl}/api/models/${sourceReference}/tree/main?recursive=true`;
+		let response;
+		try {
+			response = await fetch(url);
+		} catch (error) {
+			throw new NetworkError(`Failed to list HuggingFace files for ${sourceReference}: ${error.message}`);
 		}
-
-		// If we got here, no files were found
-		if (errors.length > 0) {
-			throw new NetworkError(`Failed to check HuggingFace files: ${errors.join('; ')}`);
+		if (!response.ok) {
+			throw httpError(response, url);
 		}
-		throw new UnsupportedFrameworkError('Cannot detect framework from HuggingFace model. Only Transformers.js models are currently supported.');
+
+		const entries = await response.json();
+		return entries.filter((entry) => entry.type === 'file');
+	}
+
+	/**
+	 * Detect the framework from the repo layout
+	 *
+	 * - ONNX files under onnx/ with a tokenizer: 'transformers' (Transformers.js)
+	 * - Other ONNX files: 'onnx'
+	 *
+	 * @param {string} sourceReference - HuggingFace model ID
+	 * @returns {Promise<string>} Framework: 'transformers' | 'onnx'
+	 * @throws {UnsupportedFrameworkError} If the repo has no ONNX model, or is a TensorFlow.js repo
+	 */
+	async detectFramework(sourceReference, _variant = null) {
+		return supportedLayout(sourceReference, await this.listRepoFiles(sourceReference));
 	}
 
+	/**
+	 * List the repo's model variants
+	 *
+	 * Every ONNX file is a variant, named after the file: onnx/model.onnx is
+	 * "default", model_quantized.onnx "quantized" and model_<suffix>.onnx
+	 * "<suffix>" (e.g. "fp16", "int8", "q4").
+	 *
+	 * @param {string} sourceReference - HuggingFace model ID
+	 * @returns {Promise<Array<Object>>} [{ name, files, totalSize, precision }]
+	 * @throws {UnsupportedFrameworkError} If the repo has no ONNX model, or is a TensorFlow.js repo
+	 */
 	async listVariants(sourceReference) {
-		const variants = [];
+		const files = await this.listRepoFiles(sourceReference);
+		return buildVariants(files, supportedLayout(sourceReference, files));
+	}
 
-		// Check for default (full precision) model
-		const defaultUrl = `${this.baseUrl}/${sourceReference}/resolve/main/onnx/model.onnx`;
-		try {
-			const response = await fetch(defaultUrl, { method: 'HEAD' });
-			if (response && response.ok && response.headers) {
-				const contentLength = response.headers.get('content-length');
-				const size = contentLength ? parseInt(contentLength, 10) : 0;
-
-				variants.push({
-					name: 'default',
-					files: ['onnx/model.onnx', 'tokenizer.json', 'tokenizer_config.json', 'config.json'],
-					totalSize: size,
-					precision: 'fp32'
-				});
+	/**
+	 * Find a variant by name
+	 *
+	 * Without a name, "default" is used, or the only variant when there is one.
+	 *
+	 * @param {string} sourceReference - HuggingFace model ID
+	 * @param {string|null} variant - Variant name
+	 * @returns {Promise<Object>} Variant from listVariants() plus `entries` (path -> tree entry)
+	 */
+	async resolveVariant(sourceReference, variant = null) {
+		const files = await this.listRepoFiles(sourceReference);
+		const variants = buildVariants(files, supportedLayout(sourceReference, files));
+
+		let match;
+		if (variant) {
+			match = variants.find(({ name }) => name === variant);
+			if (!match) {
+				throw new ModelNotFoundError(`${sourceReference} (variant ${variant})`);
 			}
-		} catch (error) {
-			// Default variant doesn't exist, continue
-			console.warn('[HuggingFaceAdapter] Error checking default variant:', error.message);
-		}
-
-		// Check for quantized model
-		const quantizedUrl = `${this.baseUrl}/${sourceReference}/resolve/main/onnx/model_quantized.onnx`;
-		try {
-			const response = await fetch(quantizedUrl, { method: 'HEAD' });
-			if (response && response.ok && response.headers) {
-				const contentLength = response.headers.get('content-length');
-				const size = contentLength ? parseInt(contentLength, 10) : 0;
-
-				variants.push({
-					name: 'quantized',
-					files: ['onnx/model_quantized.onnx', 'tokenizer.json', 'tokenizer_config.json', 'config.json'],
-					totalSize: size,
-					precision: 'int8'
-				});
+		} else {
+			match = variants.find(({ name }) => name === 'default') || (variants.length === 1 && variants[0]);
+			if (!match) {
+				throw new Error(
+					`${sourceReference} has several models (${variants.map(({ name }) => name).join(', ')}). Specify a variant.`
+				);
 			}
-		} catch (error) {
-			// Quantized variant doesn't exist, continue
-			console.warn('[HuggingFaceAdapter] Error checking quantized variant:', error.message);
-		}
-
-		if (variants.length === 0) {
-			throw new ModelNotFoundError(`No ONNX models found for ${sourceReference}`);
 		}
 
-		return variants;
+		return { ...match, entries: new Map(files.map((entry) => [entry.path, entry])) };
 	}
 
-	async download(sourceReference, variant, onProgress, framework = 'transformers') {
+	/**
+	 * Download a model from the Hub
+	 *
+	 * - transformers: Transformers.js downloads the files itself, so only a
+	 *   small config JSON with the model reference is returned
+	 * - onnx: the variant's ONNX file, streamed to the staging directory
+	 *   (resumed with an HTTP Range request on retry)
+	 *
+	 * @param {string} sourceReference - HuggingFace model ID
+	 * @param {string|null} variant - Variant name from listVariants()
+	 * @param {Function} onProgress - Progress callback: (downloadedBytes, totalBytes) => void
+	 * @param {string} [framework='transformers'] - 'transformers' or 'onnx'
+	 * @param {Object} [options]
+	 * @param {string} [options.stagingDir] - Where files are downloaded (default: MODEL_FETCH_STAGING_DIR)
+	 * @returns {Promise<Buffer|Object>} Model blob, or the downloaded ONNX file: { filePath, size, resumedFrom }
+	 */
+	async download(
+		sourceReference,
+		variant,
+		onProgress,
+		framework = 'transformers',
+		{ stagingDir = DEFAULT_STAGING_DIR } = {}
+	) {
 		// For transformers framework, Transformers.js handles downloading via pipeline()
 		// Just return a small config JSON with model reference
 		if (framework === 'transformers') {
@@ -125,93 +167,73 @@ export class HuggingFaceAdapter extends BaseSourceAdapter {
 			return Buffer.from(JSON.stringify(config));
 		}
 
-		// For ONNX framework, download the binary files
-		// Determine which files to download based on variant
-		const modelFile = variant === 'quantized' ? 'onnx/model_quantized.onnx' : 'onnx/model.onnx';
-		const files = [
-			modelFile,
-			'tokenizer.json',
-			'tokenizer_config.json',
-			'config.json'
-		];
-
-		// Download all files
-		const downloadedFiles = {};
-		let totalDownloaded = 0;
-		let totalSize = 0;
-
-		// First, get total size
-		for (const file of files) {
-			const url = `${this.baseUrl}/${sourceReference}/resolve/main/${file}`;
-			try {
-				const response = await fetch(url, { method: 'HEAD' });
-				if (response && response.ok && response.headers) {
-					const contentLength = response.headers.get('content-length');
-					if (contentLength) {
-						totalSize += parseInt(contentLength, 10);
-					}
-				}
-			} catch (error) {
-				// Skip files that don't exist
-				console.warn(`[HuggingFaceAdapter] Error getting size for ${file}:`, error.message);
-			}
+		if (framework !== 'onnx') {
+			throw new UnsupportedFrameworkError(`Cannot download ${sourceReference} as ${framework}`);
 		}
 
-		// Download each file
+		// The ONNX backend loads the model file as-is and the tokenizer from the Hub
+		const resolved = await this.resolveVariant(sourceReference, variant);
+		const [downloaded] = await this.downloadFiles(
+			sourceReference,
+			[resolved.files[0]],
+			resolved.entries,
+			onProgress,
+			stagingDir
+		);
+		return downloaded;
+	}
+
+	/**
+	 * Download repo files to the staging directory, verifying LFS files
+	 *
+	 * @param {string} sourceReference - HuggingFace model ID
+	 * @param {string[]} files - Repo paths
+	 * @param {Map<string, Object>} entries - Tree entries by path (sizes and LFS oids)
+	 * @param {Function} onProgress - Progress callback over all files
+	 * @param {string} stagingDir
+	 * @returns {Promise<Array<Object>>} One { filePath, size, resumedFrom } per file
+	 * @private
+	 */
+	async downloadFiles(sourceReference, files, entries, onProgress, stagingDir) {
+		const totalSize = files.reduce((sum, file) => sum + (entries.get(file)?.size || 0), 0);
+		const results = [];
+		let totalDownloaded = 0;
+
 		for (const file of files) {
 			const url = `${this.baseUrl}/${sourceReference}/resolve/main/${file}`;
+			const completedBytes = totalDownloaded;
 
 			try {
-				const response = await fetch(url);
-
-				if (!response.ok) {
-					if (response.status === 404) {
-						// Some files are optional, skip them
-						console.warn(`[HuggingFaceAdapter] File not found: ${file}`);
-						continue;
-					}
-					throw new NetworkError(`Failed to download ${file}: ${response.status}`);
-				}
-
-				// Read response body
-				const chunks = [];
-				const reader = response.body.getReader();
-
-				try {
-					while (true) {
-						const { done, value } = await reader.read();
-						if (done) break;
-
-						chunks.push(value);
-						totalDownloaded += value.length;
-
-						// Report progress
+				const result = await downloadToFile(url, stagingPath(stagingDir, url), {
+					onProgress: (fileBytes) => {
+						totalDownloaded = completedBytes + fileBytes;
 						if (onProgress) {
-							onProgress(totalDownloaded, totalSize || totalDownloaded);
+							onProgress(totalDownloaded, Math.max(totalSize, totalDownloaded));
 						}
 					}
-				} finally {
-					reader.releaseLock();
-				}
+				});
+				totalDownloaded = completedBytes + result.size;
 
-				const buffer = Buffer.concat(chunks);
-				downloadedFiles[file] = buffer.toString('base64');
+				// The LFS oid is the SHA-256 of the contents; small files kept in git have none
+				const oid = entries.get(file)?.lfs?.oid;
+				if (oid) {
+					checkSha256(await sha256File(result.filePath), oid, `${sourceReference}/${file}`);
+				}
+				results.push(result);
 			} catch (error) {
-				if (error instanceof NetworkError) {
+				if (
+					error instanceof ModelNotFoundError ||
+					error instanceof NetworkError ||
+					error instanceof RateLimitError ||
+					error instanceof IntegrityError
+				) {
 					throw error;
 				}
 				throw new NetworkError(`Failed to download ${file}: ${error.message}`);
 			}
 		}
 
-		// Package files into single blob (JSON with base64-encoded files)
-		const packagedBlob = JSON.stringify({
-			type: 'transformers-js',
-			variant: variant || 'default',
-			files: downloadedFiles
-		});
-
-		return Buffer.from(packagedBlob);
+		return results;
 	}
 
 	async inferMetadata(sourceReference, variant = null) {
@@ -221,6 +243,20 @@ export class HuggingFaceAdapter extends BaseSourceAdapter {
 			sourceModel: sourceReference
 		};
 
+		// Tag the repo layout; plain ONNX models need the tokenizer repo recorded for the ONNX backend
+		try {
+			const files = await this.listRepoFiles(sourceReference);
+			const framework = detectLayout(files);
+			if (framework && framework !== 'transformers') {
+				metadata.tags = [framework, 'huggingface'];
+			}
+			if (framework === 'onnx' && files.some((entry) => entry.path === 'tokenizer.json')) {
+				metadata.tokenizerModel = sourceReference;
+			}
+		} catch (error) {
+			console.warn('[HuggingFaceAdapter] Could not list repo files:', error.message);
+		}
+
 		// Try to fetch model card (README.md)
 		try {
 			const readmeUrl = `${this.baseUrl}/${sourceReference}/raw/main/README.md`;
@@ -275,3 +311,120 @@ export class HuggingFaceAdapter extends BaseSourceAdapter {
 		return metadata;
 	}
 }
+
+/**
+ * Detect the framework from a repo's files
+ * @param {Array<Object>} files - Tree entries
+ * @returns {string|null} 'transformers' | 'onnx' | 'tensorflow', or null
+ */
+function detectLayout(files) {
+	const paths = files.map((entry) => entry.path);
+	const onnxFiles = paths.filter((file) => file.endsWith('.onnx'));
+
+	if (onnxFiles.some((file) => file.startsWith('onnx/')) && paths.includes('tokenizer.json')) {
+		return 'transformers';
+	}
+	if (onnxFiles.length > 0) {
+		return 'onnx';
+	}
+	if (tfjsModels(paths).length > 0) {
+		return 'tensorflow';
+	}
+	return null;
+}
+
+/**
+ * Framework of a repo the backends can load
+ * @param {string} sourceReference - HuggingFace model ID
+ * @param {Array<Object>} files - Tree entries
+ * @returns {string} 'transformers' | 'onnx'
+ * @throws {UnsupportedFrameworkError} For TensorFlow.js repos and repos without ONNX files
+ */
+function supportedLayout(sourceReference, files) {
+	const framework = detectLayout(files);
+	if (framework === 'tensorflow') {
+		// The TensorFlow backend only loads Universal Sentence Encoder
+		throw new UnsupportedFrameworkError(
+			`${sourceReference} is a TensorFlow.js model, which the TensorFlow backend cannot load yet. ` +
+				'Only Transformers.js and ONNX repos are supported.'
+		);
+	}
+	if (!framework) {
+		throw new UnsupportedFrameworkError(
+			`Cannot detect framework from HuggingFace model ${sourceReference}. ` +
+				'Only Transformers.js and ONNX repos are supported.'
+		);
+	}
+	return framework;
+}
+
+/**
+ * TensorFlow.js model.json files with weight shards next to them
+ * @param {string[]} paths
+ * @returns {string[]}
+ */
+function tfjsModels(paths) {
+	return paths.filter(
+		(file) =>
+			path.posix.basename(file) === 'model.json' &&
+			paths.some((shard) => shard.endsWith('.bin') && path.posix.dirname(shard) === path.posix.dirname(file))
+	);
+}
+
+/**
+ * Build the variant list for a repo layout
+ * @param {Array<Object>} files - Tree entries
+ * @param {string|null} framework - From detectLayout()
+ * @returns {Array<Object>} [{ name, files, totalSize, precision }]
+ */
+function buildVariants(files, framework) {
+	const sizes = new Map(files.map((entry) => [entry.path, entry.size || 0]));
+	const paths = [...sizes.keys()];
+	const variant = (name, variantFiles, precision) => ({
+		name,
+		files: variantFiles,
+		totalSize: variantFiles.reduce((sum, file) => sum + sizes.get(file), 0),
+		precision
+	});
+
+	// Transformers.js loads from onnx/ only; other repos may keep ONNX files anywhere
+	const onnxFiles = paths.filter(
+		(file) => file.endsWith('.onnx') && (framework !== 'transformers' || file.startsWith('onnx/'))
+	);
+	const extraFiles = framework === 'transformers' ? TOKENIZER_FILES.filter((file) => sizes.has(file)) : [];
+
+	const names = new Set();
+	return onnxFiles.map((file) => {
+		let name = variantName(file);
+		if (names.has(name)) {
+			// e.g. model.onnx at the root and under onnx/
+			name = file.slice(0, -'.onnx'.length);
+		}
+		names.add(name);
+		return variant(name, [file, ...extraFiles], guessPrecision(name));
+	});
+}
+
+/**
+ * Variant name for an ONNX file: "onnx/model_fp16.onnx" -> "fp16"
+ * @param {string} file
+ * @returns {string}
+ */
+function variantName(file) {
+	const base = path.posix.basename(file, '.onnx');
+	if (base === 'model') {
+		return 'default';
+	}
+	if (base === 'model_quantized') {
+		return 'quantized';
+	}
+	return base.startsWith('model_') ? base.slice('model_'.length) : base;
+}
+
+function guessPrecision(name) {
+	if (name === 'default') return 'fp32';
+	if (/q4|bnb4|int4/i.test(name)) return 'int4';
+	if (/int8|uint8|quant/i.test(name)) return 'int8';
+	if (/fp16|f16/i.test(name)) return 'fp16';
+	return 'unknown';
+}
@@ -0,0 +1,317 @@
+/**
+ * Ollama Source Adapter
+ *
+ * Pulls models into an Ollama instance and registers them as `ollama` models.
+ * The model weights stay in Ollama; the stored blob is the backend config
+ * `{ modelName, mode }` read by OllamaBackend.
+ *
+ * Features:
+ * - Pulls via `/api/pull` with streamed progress (summed over all layers)
+ * - Reads family, parameter size, quantization and embedding length from `/api/show`
+ * - Detects embeddings vs chat mode from the model's capabilities
+ *
+ * Source reference: an Ollama model name, e.g. "nomic-embed-text" or "llama3.2:1b".
+ * Variant: the mode, "embeddings" or "chat" (default: detected after the pull).
+ *
+ * Configuration:
+ * - OLLAMA_HOST environment variable (default: http://localhost:11434)
+ */
+
+import { BaseSourceAdapter } from './BaseSourceAdapter.js';
+import { ModelNotFoundError, NetworkError } from '../errors/ModelFetchErrors.js';
+import { httpError } from '../utils/download.js';
+
+const MODES = ['embeddings', 'chat'];
+
+// Ollama model names: [namespace/]model[:tag]
+const MODEL_NAME_PATTERN = /^[\w.-]+(\/[\w.-]+)?(:[\w.-]+)?$/;
+
+export class OllamaSourceAdapter extends BaseSourceAdapter {
+	constructor(baseUrl = process.env.OLLAMA_HOST || 'http://localhost:11434') {
+		super('OllamaSourceAdapter');
+		this.baseUrl = baseUrl;
+		// /api/show only describes models that have been pulled
+		this.metadataAfterDownload = true;
+	}
+
+	/**
+	 * Validate the model name and variant
+	 * @param {string} sourceReference - Ollama model name
+	 * @param {string|null} variant - Mode, if given
+	 * @throws {Error} If either is invalid
+	 * @private
+	 */
+	validateReference(sourceReference, variant = null) {
+		if (!MODEL_NAME_PATTERN.test(sourceReference || '')) {
+			throw new Error(`Invalid Ollama model name: ${sourceReference}`);
+		}
+		if (variant && !MODES.includes(variant)) {
+			throw new Error(`Invalid Ollama variant: ${variant}. Supported: ${MODES.join(', ')}`);
+		}
+	}
+
+	/**
+	 * Ollama models always run on the ollama backend
+	 *
+	 * @param {string} sourceReference - Ollama model name
+	 * @param {string|null} variant - Mode
+	 * @returns {Promise<string>} 'ollama'
+	 */
+	async detectFramework(sourceReference, variant = null) {
+		this.validateReference(sourceReference, variant);
+		return 'ollama';
+	}
+
+	/**
+	 * List the modes the model supports
+	 *
+	 * Needs the model to be pulled already; otherwise both modes are listed.
+	 *
+	 * @param {string} sourceReference - Ollama model name
+	 * @returns {Promise<Array<Object>>} [{ name: 'embeddings' | 'chat', files: [], totalSize: 0, precision }]
+	 */
+	async listVariants(sourceReference) {
+		this.validateReference(sourceReference);
+
+		let info = null;
+		try {
+			info = await this.showModel(sourceReference);
+		} catch (error) {
+			if (!(error instanceof ModelNotFoundError)) {
+				throw error;
+			}
+		}
+
+		const modes = info ? [this.detectMode(info)] : MODES;
+		return modes.map((name) => ({
+			name,
+			files: [],
+			totalSize: 0,
+			precision: info?.details?.quantization_level || null,
+		}));
+	}
+
+	/**
+	 * Pull the model into Ollama and return its backend config
+	 *
+	 * Progress is reported as the sum of completed and total bytes over all
+	 * layers seen so far, so totalBytes grows as Ollama announces layers.
+	 * Layers already present locally are reported as complete.
+	 *
+	 * @param {string} sourceReference - Ollama model name
+	 * @param {string|null} variant - Mode (default: detected from /api/show)
+	 * @param {Function} onProgress - Progress callback: (downloadedBytes, totalBytes) => void
+	 * @returns {Promise<Buffer>} JSON `{ modelName, mode }`
+	 * @throws {ModelNotFoundError} If the registry has no such model
+	 * @throws {NetworkError} If Ollama is unreachable or the pull fails
+	 */
+	async download(sourceReference, variant, onProgress) {
+		this.validateReference(sourceReference, variant);
+
+		await this.pull(sourceReference, onProgress);
+
+		const mode = variant || this.detectMode(await this.showModel(sourceReference));
+		return Buffer.from(JSON.stringify({ modelName: sourceReference, mode }));
+	}
+
+	/**
+	 * Infer metadata from `/api/show`
+	 *
+	 * Returns only `sourceModel` and tags when the model is not pulled yet;
+	 * ModelFetchWorker calls this again after download() (metadataAfterDownload).
+	 *
+	 * @param {string} sourceReference - Ollama model name
+	 * @param {string|null} variant - Mode
+	 * @returns {Promise<Object>} { description, tags, sourceModel, taskType, family, parameterSize, quantization, outputDimensions }
+	 */
+	async inferMetadata(sourceReference, variant = null) {
+		const metadata = {
+			tags: ['ollama'],
+			sourceModel: sourceReference,
+		};
+
+		let info;
+		try {
+			info = await this.showModel(sourceReference);
+		} catch (error) {
+			console.warn(`[OllamaSourceAdapter] Could not describe ${sourceReference}:`, error.message);
+			return metadata;
+		}
+
+		const details = info.details || {};
+		const modelInfo = info.model_info || {};
+		const architecture = modelInfo['general.architecture'];
+		const mode = variant || this.detectMode(info);
+
+		metadata.taskType = mode === 'embeddings' ? 'text-embedding' : 'text-generation';
+		if (details.family) {
+			metadata.family = details.family;
+			metadata.tags.push(details.family);
+		}
+		if (details.parameter_size) {
+			metadata.parameterSize = details.parameter_size;
+		}
+		if (details.quantization_level) {
+			metadata.quantization = details.quantization_level;
+		}
+		const embeddingLength = architecture && modelInfo[`${architecture}.embedding_length`];
+		if (embeddingLength) {
+			metadata.outputDimensions = [embeddingLength];
+		}
+		metadata.description = [details.family, details.parameter_size, mode].filter(Boolean).join(' ');
+
+		return metadata;
+	}
+
+	/**
+	 * Pull a model, streaming progress from Ollama's NDJSON response
+	 * @param {string} modelName
+	 * @param {Function} [onProgress]
+	 * @private
+	 */
+	async pull(modelName, onProgress) {
+		let response;
+		try {
+			response = await fetch(`${this.baseUrl}/api/pull`, {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ model: modelName, stream: true }),
+			});
+		} catch (error) {
+			throw new NetworkError(`Ollama is not reachable at ${this.baseUrl}: ${error.message}`);
+		}
+		if (!response.ok) {
+			throw this.pullError(modelName, await this.readError(response), response);
+		}
+
+		// digest -> { total, completed }
+		const layers = new Map();
+		let success = false;
+
+		for await (const event of this.readEvents(response.body)) {
+			if (event.error) {
+				throw this.pullError(modelName, event.error);
+			}
+			if (event.digest && event.total) {
+				layers.set(event.digest, { total: event.total, completed: event.completed || 0 });
+				if (onProgress) {
+					let completed = 0;
+					let total = 0;
+					for (const layer of layers.values()) {
+						completed += layer.completed;
+						total += layer.total;
+					}
+					onProgress(completed, total);
+				}
+			}
+			if (event.status === 'success') {
+				success = true;
+			}
+		}
+
+		if (!success) {
+			throw new NetworkError(`Ollama pull of ${modelName} ended before completing`);
+		}
+	}
+
+	/**
+	 * Parse an NDJSON stream into objects
+	 * @param {ReadableStream} body
+	 * @private
+	 */
+	async *readEvents(body) {
+		const decoder = new TextDecoder();
+		let buffered = '';
+		try {
+			for await (const chunk of body) {
+				buffered += decoder.decode(chunk, { stream: true });
+				const lines = buffered.split('\n');
+				buffered = lines.pop();
+				for (const line of lines) {
+					if (line.trim()) {
+						yield JSON.parse(line);
+					}
+				}
+			}
+		} catch (error) {
+			throw new NetworkError(`Ollama pull interrupted: ${error.message}`);
+		}
+		if (buffered.trim()) {
+			yield JSON.parse(buffered);
+		}
+	}
+
+	/**
+	 * Fetch model details from `/api/show`
+	 * @param {string} modelName
+	 * @returns {Promise<Object>}
+	 * @throws {ModelNotFoundError} If the model is not pulled
+	 * @private
+	 */
+	async showModel(modelName) {
+		let response;
+		try {
+			response = await fetch(`${this.baseUrl}/api/show`, {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ model: modelName }),
+			});
+		} catch (error) {
+			throw new NetworkError(`Ollama is not reachable at ${this.baseUrl}: ${error.message}`);
+		}
+		if (!response.ok) {
+			throw httpError(response, modelName);
+		}
+		return response.json();
+	}
+
+	/**
+	 * Embeddings or chat, from `/api/show`
+	 *
+	 * Uses `capabilities` (Ollama 0.6+); older versions only list a pooling type
+	 * in model_info for embedding models.
+	 *
+	 * @param {Object} info - /api/show response
+	 * @returns {string} 'embeddings' | 'chat'
+	 * @private
+	 */
+	detectMode(info) {
+		if (Array.isArray(info.capabilities)) {
+			return info.capabilities.includes('embedding') && !info.capabilities.includes('completion')
+				? 'embeddings'
+				: 'chat';
+		}
+		const modelInfo = info.model_info || {};
+		const architecture = modelInfo['general.architecture'];
+		return architecture && modelInfo[`${architecture}.pooling_type`] !== undefined ? 'embeddings' : 'chat';
+	}
+
+	/**
+	 * Error message from an Ollama error response ({ error: '...' })
+	 * @private
+	 */
+	async readError(response) {
+		try {
+			return (await response.json()).error || response.statusText;
+		} catch {
+			return response.statusText;
+		}
+	}
+
+	/**
+	 * Typed error for a failed pull
+	 * @param {string} modelName
+	 * @param {string} message - Ollama's error message
+	 * @param {Response} [response]
+	 * @private
+	 */
+	pullError(modelName, message, response = null) {
+		if (response?.status === 404 || /file does not exist|not found/i.test(message)) {
+			return new ModelNotFoundError(modelName);
+		}
+		if (response && response.status < 500) {
+			return httpError(response, modelName);
+		}
+		return new NetworkError(`Ollama pull of ${modelName} failed: ${message}`);
+	}
+}
@@ -0,0 +1,374 @@
+/**
+ * S3 Source Adapter
+ *
+ * Downloads models from S3 or any S3-compatible object store (MinIO, Ceph, R2)
+ * with SigV4-signed GET, HEAD and ListObjectsV2 requests.
+ *
+ * Source reference: `s3://<bucket>/<key>` for one object, or
+ * `s3://<bucket>/<prefix>/` for a directory of model files. Each model file
+ * directly under the prefix (or next to the key) is a variant named after the
+ * file, e.g. `s3://models/minilm/` with `model.onnx` and `model_quantized.onnx`
+ * has the variants "model" and "model_quantized".
+ *
+ * Features:
+ * - Framework detection from the object's extension
+ * - Variant listing via prefix listing
+ * - Resumable streaming download to a staging directory (see utils/download.js)
+ * - Expected SHA-256 from the object's `x-amz-checksum-sha256`, when it was uploaded with one
+ *
+ * Configuration (credentials are never taken from the request):
+ * - S3_ENDPOINT: e.g. http://localhost:9000 for MinIO (default: https://s3.<region>.amazonaws.com)
+ * - S3_REGION (or AWS_REGION, default: us-east-1)
+ * - S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY / S3_SESSION_TOKEN (or the AWS_* equivalents);
+ *   without them, requests are sent unsigned (public buckets)
+ * - S3_FORCE_PATH_STYLE: "true" for http://endpoint/bucket/key URLs (default: true with S3_ENDPOINT)
+ */
+
+import path from 'path';
+import { BaseSourceAdapter } from './BaseSourceAdapter.js';
+import {
+	UnsupportedFrameworkError,
+	NetworkError,
+	RateLimitError,
+	ModelNotFoundError,
+	SecurityError,
+} from '../errors/ModelFetchErrors.js';
+import { DEFAULT_STAGING_DIR, downloadToFile, httpError, stagingPath } from '../utils/download.js';
+import { encodeRfc3986, encodeUriPath, signRequest } from '../utils/sigv4.js';
+
+const REFERENCE_PATTERN = /^s3:\/\/([^/]+)\/(.*)$/;
+const BUCKET_PATTERN = /^[a-z0-9][a-z0-9.-]{1,61}[a-z0-9]$/;
+
+// Extension -> framework (same as HttpUrlAdapter)
+const FRAMEWORKS = {
+	'.onnx': 'onnx',
+	'.pb': 'tensorflow',
+	'.pbtxt': 'tensorflow',
+};
+
+export class S3SourceAdapter extends BaseSourceAdapter {
+	/**
+	 * @param {Object} [config] - Overrides for the S3_* environment variables
+	 * @param {string} [config.endpoint]
+	 * @param {string} [config.region]
+	 * @param {string} [config.accessKeyId]
+	 * @param {string} [config.secretAccessKey]
+	 * @param {string} [config.sessionToken]
+	 * @param {boolean} [config.forcePathStyle]
+	 */
+	constructor(config = {}) {
+		super('S3SourceAdapter');
+		const env = process.env;
+		this.region = config.region || env.S3_REGION || env.AWS_REGION || 'us-east-1';
+		const endpoint = config.endpoint || env.S3_ENDPOINT || null;
+		this.endpoint = (endpoint || `https://s3.${this.region}.amazonaws.com`).replace(/\/+$/, '');
+		this.forcePathStyle =
+			config.forcePathStyle ?? (env.S3_FORCE_PATH_STYLE ? env.S3_FORCE_PATH_STYLE === 'true' : Boolean(endpoint));
+
+		const accessKeyId = config.accessKeyId || env.S3_ACCESS_KEY_ID || env.AWS_ACCESS_KEY_ID;
+		const secretAccessKey = config.secretAccessKey || env.S3_SECRET_ACCESS_KEY || env.AWS_SECRET_ACCESS_KEY;
+		this.credentials =
+			accessKeyId && secretAccessKey
+				? {
+						accessKeyId,
+						secretAccessKey,
+						sessionToken: config.sessionToken || env.S3_SESSION_TOKEN || env.AWS_SESSION_TOKEN || null,
+					}
+				: null;
+	}
+
+	/**
+	 * Split an s3:// reference into bucket and key
+	 * @param {string} sourceReference - s3://bucket/key or s3://bucket/prefix/
+	 * @returns {Object} { bucket, key }
+	 * @throws {Error} If the reference is not an s3:// URL with a valid bucket
+	 * @throws {SecurityError} If the key has "." or ".." segments (they would change the request path)
+	 * @private
+	 */
+	parseReference(sourceReference) {
+		const match = REFERENCE_PATTERN.exec(sourceReference || '');
+		if (!match) {
+			throw new Error(`Invalid S3 reference: ${sourceReference}. Expected s3://<bucket>/<key>`);
+		}
+		const [, bucket, key] = match;
+		if (!BUCKET_PATTERN.test(bucket)) {
+			throw new Error(`Invalid S3 bucket name: ${bucket}`);
+		}
+		if (key.split('/').some((segment) => segment === '.' || segment === '..')) {
+			throw new SecurityError(`S3 key must not contain "." or ".." segments: ${key}`);
+		}
+		return { bucket, key };
+	}
+
+	/**
+	 * Request URL for a bucket and key (path-style or virtual-hosted)
+	 * @private
+	 */
+	objectUrl(bucket, key, query = '') {
+		const base = new URL(this.endpoint);
+		const encodedKey = encodeUriPath(`/${key}`);
+		const search = query ? `?${query}` : '';
+		if (this.forcePathStyle) {
+			return `${base.origin}/${bucket}${encodedKey}${search}`;
+		}
+		return `${base.protocol}//${bucket}.${base.host}${encodedKey}${search}`;
+	}
+
+	/**
+	 * Headers for a request, signed when credentials are configured
+	 * @private
+	 */
+	sign(method, url, headers = {}) {
+		if (!this.credentials) {
+			return headers;
+		}
+		return signRequest({ method, url, headers, region: this.region, credentials: this.credentials });
+	}
+
+	/**
+	 * Send a signed request, mapping failures to typed errors
+	 * @private
+	 */
+	async request(method, url, subject, headers = {}) {
+		let response;
+		try {
+			response = await fetch(url, { method, headers: this.sign(method, url, headers) });
+		} catch (error) {
+			throw new NetworkError(`S3 request failed for ${subject}: ${error.message}`);
+		}
+		if (!response.ok) {
+			throw await this.responseError(response, subject);
+		}
+		return response;
+	}
+
+	/**
+	 * Typed error for an S3 error response
+	 *
+	 * S3 throttles with 503 SlowDown; that and 429 become RateLimitError.
+	 * Access errors name the credential variables, since they usually mean a
+	 * missing or wrong key.
+	 *
+	 * @private
+	 */
+	async responseError(response, subject) {
+		const body = await response.text().catch(() => '');
+		const code = /<Code>([^<]+)<\/Code>/.exec(body)?.[1] || null;
+		if (response.status === 503 && code === 'SlowDown') {
+			return new RateLimitError(`S3 is throttling requests for ${subject}`);
+		}
+		if (response.status === 401 || response.status === 403) {
+			return new Error(
+				`Access denied to ${subject}${code ? ` (${code})` : ''}. Check S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY.`
+			);
+		}
+		return httpError(response, subject);
+	}
+
+	/**
+	 * List the objects directly under a prefix (ListObjectsV2, all pages)
+	 * @param {string} bucket
+	 * @param {string} prefix - Ends with "/" (or is empty for the bucket root)
+	 * @returns {Promise<Array<Object>>} [{ key, size }]
+	 * @private
+	 */
+	async listObjects(bucket, prefix) {
+		const objects = [];
+		let continuationToken = null;
+		do {
+			const params = { 'list-type': '2', prefix, 'delimiter': '/' };
+			if (continuationToken) {
+				params['continuation-token'] = continuationToken;
+			}
+			const query = Object.entries(params)
+				.map(([name, value]) => `${name}=${encodeRfc3986(value)}`)
+				.join('&');
+			const response = await this.request('GET', this.objectUrl(bucket, '', query), `s3://${bucket}/${prefix}`);
+			const xml = await response.text();
+
+			for (const [, contents] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+				objects.push({
+					key: decodeXml(/<Key>([\s\S]*?)<\/Key>/.exec(contents)?.[1] ?? ''),
+					size: parseInt(/<Size>(\d+)<\/Size>/.exec(contents)?.[1] ?? '0', 10),
+				});
+			}
+			const truncated = /<IsTruncated>true<\/IsTruncated>/.test(xml);
+			continuationToken = truncated ? decodeXml(/<NextContinuationToken>([^<]+)</.exec(xml)?.[1] ?? '') : null;
+		} while (continuationToken);
+		return objects;
+	}
+
+	/**
+	 * Find the object to download for a reference and variant
+	 *
+	 * A variant picks a model file from the prefix listing. Without one, a key
+	 * is used as-is and a prefix must hold exactly one model file.
+	 *
+	 * @param {string} sourceReference
+	 * @param {string|null} variant
+	 * @returns {Promise<Object>} { bucket, key }
+	 * @throws {ModelNotFoundError} If the variant or prefix has no model file
+	 * @private
+	 */
+	async resolveObject(sourceReference, variant = null) {
+		const { bucket, key } = this.parseReference(sourceReference);
+		const isPrefix = key === '' || key.endsWith('/');
+		if (!variant && !isPrefix) {
+			return { bucket, key };
+		}
+
+		const variants = await this.listVariants(sourceReference);
+		if (variant) {
+			const match = variants.find(({ name }) => name === variant);
+			if (!match) {
+				throw new ModelNotFoundError(`${sourceReference} (variant ${variant})`);
+			}
+			return { bucket, key: match.files[0] };
+		}
+		if (variants.length === 0) {
+			throw new ModelNotFoundError(sourceReference);
+		}
+		if (variants.length > 1) {
+			throw new Error(
+				`${sourceReference} has several models (${variants.map(({ name }) => name).join(', ')}). Specify a variant.`
+			);
+		}
+		return { bucket, key: variants[0].files[0] };
+	}
+
+	/**
+	 * Detect framework from the object's extension
+	 *
+	 * @param {string} sourceReference - s3://bucket/key or s3://bucket/prefix/
+	 * @param {string|null} variant - Model file under the prefix
+	 * @returns {Promise<string>} Framework: 'onnx' | 'tensorflow'
+	 * @throws {UnsupportedFrameworkError} If the extension is not recognized
+	 */
+	async detectFramework(sourceReference, variant = null) {
+		const { key } = await this.resolveObject(sourceReference, variant);
+		const ext = path.extname(key).toLowerCase();
+		if (FRAMEWORKS[ext]) {
+			return FRAMEWORKS[ext];
+		}
+
+		throw new UnsupportedFrameworkError(
+			`Cannot detect framework from S3 key extension '${ext}'. ` + 'Please specify framework explicitly when fetching.'
+		);
+	}
+
+	/**
+	 * List the model files next to a key, or directly under a prefix
+	 *
+	 * @param {string} sourceReference - s3://bucket/key or s3://bucket/prefix/
+	 * @returns {Promise<Array<Object>>} [{ name, files: [key], totalSize, precision }]
+	 */
+	async listVariants(sourceReference) {
+		const { bucket, key } = this.parseReference(sourceReference);
+		const prefix = key.slice(0, key.lastIndexOf('/') + 1);
+
+		const objects = await this.listObjects(bucket, prefix);
+		return objects
+			.filter((object) => FRAMEWORKS[path.extname(object.key).toLowerCase()])
+			.map((object) => {
+				const name = path.basename(object.key, path.extname(object.key));
+				return {
+					name,
+					files: [object.key],
+					totalSize: object.size,
+					precision: guessPrecision(name),
+				};
+			});
+	}
+
+	/**
+	 * Download an object to the staging directory
+	 *
+	 * @param {string} sourceReference - s3://bucket/key or s3://bucket/prefix/
+	 * @param {string|null} variant - Model file under the prefix
+	 * @param {Function} onProgress - Progress callback: (downloadedBytes, totalBytes) => void
+	 * @param {string} [_framework] - Not used for S3
+	 * @param {Object} [options]
+	 * @param {string} [options.stagingDir] - Where the file is downloaded (default: MODEL_FETCH_STAGING_DIR)
+	 * @returns {Promise<Object>} Downloaded file: { filePath, size, resumedFrom }
+	 */
+	async download(sourceReference, variant, onProgress, _framework = null, { stagingDir = DEFAULT_STAGING_DIR } = {}) {
+		const { bucket, key } = await this.resolveObject(sourceReference, variant);
+		const url = this.objectUrl(bucket, key);
+
+		try {
+			return await downloadToFile(url, stagingPath(stagingDir, url), {
+				onProgress,
+				headers: this.sign('GET', url),
+			});
+		} catch (error) {
+			if (error instanceof ModelNotFoundError || error instanceof RateLimitError || error instanceof NetworkError) {
+				throw error;
+			}
+			throw new NetworkError(`Download of s3://${bucket}/${key} failed: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Read the object's SHA-256 from S3 additional checksums
+	 *
+	 * Present when the object was uploaded with `x-amz-checksum-algorithm: SHA256`
+	 * as a single part. Best effort: returns null otherwise or on errors.
+	 *
+	 * @param {string} sourceReference
+	 * @param {string|null} variant
+	 * @returns {Promise<string|null>} Hex digest, or null
+	 */
+	async getExpectedChecksum(sourceReference, variant = null) {
+		try {
+			const { bucket, key } = await this.resolveObject(sourceReference, variant);
+			const response = await this.request('HEAD', this.objectUrl(bucket, key), `s3://${bucket}/${key}`, {
+				'x-amz-checksum-mode': 'ENABLED',
+			});
+			const checksum = response.headers.get('x-amz-checksum-sha256');
+			// Multipart checksums ("<base64>-<parts>") are digests of digests, not of the object
+			if (!checksum || checksum.includes('-')) {
+				return null;
+			}
+			return Buffer.from(checksum, 'base64').toString('hex');
+		} catch (error) {
+			console.warn(`[S3SourceAdapter] Could not read checksum: ${error.message}`);
+			return null;
+		}
+	}
+
+	/**
+	 * Infer metadata from the S3 reference
+	 *
+	 * Limited metadata available from object storage - just bucket and filename.
+	 *
+	 * @param {string} sourceReference
+	 * @param {string|null} variant
+	 * @returns {Promise<Object>} Basic metadata
+	 */
+	async inferMetadata(sourceReference, variant = null) {
+		const { bucket, key } = await this.resolveObject(sourceReference, variant);
+
+		return {
+			description: `Model downloaded from s3://${bucket}`,
+			tags: ['s3', 'remote'],
+			sourceFilename: path.basename(key),
+		};
+	}
+}
+
+function guessPrecision(name) {
+	if (/int8|quant/i.test(name)) return 'int8';
+	if (/fp16|f16/i.test(name)) return 'fp16';
+	return 'unknown';
+}
+
+function decodeXml(value) {
+	return value.replace(/&(amp|lt|gt|quot|apos|#\d+|#x[0-9a-f]+);/gi, (entity, name) => {
+		const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[name.toLowerCase()];
+		if (named) {
+			return named;
+		}
+		const hex = name[1] === 'x' || name[1] === 'X';
+		return String.fromCodePoint(parseInt(name.slice(hex ? 2 : 1), hex ? 16 : 10));
+	});
+}
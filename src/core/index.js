@@ -1,6 +1,15 @@
 export { InferenceEngine } from './InferenceEngine.js';
 export { MonitoringBackend } from './MonitoringBackend.js';
 export { BenchmarkEngine } from './BenchmarkEngine.js';
+export { DriftDetector } from './DriftDetector.js';
+export { AlertEvaluator } from './AlertEvaluator.js';
+export { MetricsAggregator } from './MetricsAggregator.js';
+export { ModelRouter } from './ModelRouter.js';
+export { ExperimentManager } from './ExperimentManager.js';
+export { DeploymentGuard } from './DeploymentGuard.js';
+export { ModelLifecycle } from './ModelLifecycle.js';
+export { EmbeddingIndex } from './EmbeddingIndex.js';
+export { UserProfileBuilder } from './UserProfileBuilder.js';
 
 // Backends are no longer exported here - they are loaded dynamically by InferenceEngine
 // to support partial deployments without all ML framework dependencies
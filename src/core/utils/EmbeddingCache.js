@@ -0,0 +1,223 @@
+/**
+ * Embedding Cache
+ *
+ * Content-addressed cache of text embeddings, keyed by `modelName:modelVersion`,
+ * the SHA-256 of the model blob and the SHA-256 of the normalized text. Keying
+ * by the blob digest means a replaced blob never serves the old blob's
+ * embeddings, on any thread, without having to invalidate anything.
+ * Recently used embeddings are kept in
+ * an in-memory LRU; with persistence enabled they are also written to the
+ * EmbeddingCache table, so other threads and restarts can reuse them.
+ *
+ * Normalization is Unicode NFC plus collapsed whitespace. Case is kept because
+ * most embedding models are case-sensitive.
+ *
+ * Usage:
+ *   const cache = new EmbeddingCache({ maxSize: 5000, persist: true });
+ *   const found = await cache.getMany('minilm:v1', ['red jacket', 'tent'], blobSha256); // [vector | undefined, ...]
+ *   await cache.setMany('minilm:v1', ['tent'], [[0.1, ...]], blobSha256);
+ */
+
+import { createHash } from 'node:crypto';
+
+/**
+ * Normalize text before hashing
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeText(text) {
+	return text.normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Cache key for a text embedded by a model
+ * @param {string} modelKey - modelName:modelVersion
+ * @param {string} text
+ * @param {string|null} [blobSha256] - Digest of the model blob that computes the embedding
+ * @returns {string} modelKey:blobSha256:sha256 (modelKey:sha256 without a blob digest)
+ */
+export function embeddingCacheKey(modelKey, text, blobSha256 = null) {
+	const textHash = createHash('sha256').update(normalizeText(text)).digest('hex');
+	return blobSha256 ? `${modelKey}:${blobSha256}:${textHash}` : `${modelKey}:${textHash}`;
+}
+
+export class EmbeddingCache {
+	/**
+	 * Create an embedding cache
+	 * @param {Object} [options]
+	 * @param {number} [options.maxSize=5000] - Embeddings kept in memory (0 disables the cache)
+	 * @param {boolean} [options.persist=false] - Also store embeddings in the EmbeddingCache table
+	 * @param {Object} [options.tables] - Tables object for persistence (defaults to global tables)
+	 */
+	constructor(options = {}) {
+		this.maxSize = options.maxSize ?? 5000;
+		this.persist = options.persist === true;
+		this.tables = options.tables || null;
+
+		// key -> embedding; Map iteration order doubles as recency order (oldest first)
+		this.entries = new Map();
+		this.stats = { hits: 0, misses: 0, persistedHits: 0, evictions: 0 };
+	}
+
+	get enabled() {
+		return this.maxSize > 0;
+	}
+
+	/**
+	 * Look up embeddings for texts
+	 * @param {string} modelKey - modelName:modelVersion
+	 * @param {string[]} texts
+	 * @param {string|null} [blobSha256] - Digest of the loaded model blob
+	 * @returns {Promise<Array<number[]|undefined>>} One embedding (or undefined on a miss) per text
+	 */
+	async getMany(modelKey, texts, blobSha256 = null) {
+		const found = [];
+		for (const text of texts) {
+			const key = embeddingCacheKey(modelKey, text, blobSha256);
+			let embedding = this.entries.get(key);
+
+			if (embedding) {
+				// Refresh recency
+				this.entries.delete(key);
+				this.entries.set(key, embedding);
+			} else {
+				embedding = await this._getPersisted(key);
+				if (embedding) {
+					this.stats.persistedHits++;
+					this._remember(key, embedding);
+				}
+			}
+
+			if (embedding) {
+				this.stats.hits++;
+			} else {
+				this.stats.misses++;
+			}
+			found.push(embedding);
+		}
+		return found;
+	}
+
+	/**
+	 * Store embeddings for texts
+	 * @param {string} modelKey - modelName:modelVersion
+	 * @param {string[]} texts
+	 * @param {number[][]} embeddings - One embedding per text
+	 * @param {string|null} [blobSha256] - Digest of the loaded model blob
+	 */
+	async setMany(modelKey, texts, embeddings, blobSha256 = null) {
+		const [modelName, modelVersion] = splitModelKey(modelKey);
+		const table = this._table();
+
+		for (let i = 0; i < texts.length; i++) {
+			const key = embeddingCacheKey(modelKey, texts[i], blobSha256);
+			const embedding = Array.from(embeddings[i]);
+			this._remember(key, embedding);
+
+			if (table) {
+				try {
+					await table.put({
+						id: key,
+						modelName,
+						modelVersion,
+						blobSha256,
+						embedding: JSON.stringify(embedding),
+						createdAt: Date.now(),
+					});
+				} catch (error) {
+					console.warn(`Failed to persist embedding ${key}: ${error.message}`);
+				}
+			}
+		}
+	}
+
+	/**
+	 * Drop cached embeddings of a model
+	 *
+	 * Not needed for correctness after a blob is replaced (the key changes with
+	 * the blob digest); this frees the memory and table rows early. Only this
+	 * thread's in-memory entries are dropped.
+	 *
+	 * @param {string} modelName
+	 * @param {string} modelVersion
+	 * @returns {Promise<number>} Entries removed from memory and the table
+	 */
+	async clear(modelName, modelVersion) {
+		const prefix = `${modelName}:${modelVersion}:`;
+		let removed = 0;
+		for (const key of [...this.entries.keys()]) {
+			if (key.startsWith(prefix)) {
+				this.entries.delete(key);
+				removed++;
+			}
+		}
+
+		const table = this._table();
+		if (table) {
+			const ids = [];
+			for await (const record of table.search({ modelName, modelVersion })) {
+				ids.push(record.id);
+			}
+			for (const id of ids) {
+				await table.delete(id);
+			}
+			removed += ids.length;
+		}
+		return removed;
+	}
+
+	/**
+	 * Hit/miss counters and current size
+	 * @returns {Object} { enabled, persist, size, maxSize, hits, misses, persistedHits, evictions, hitRate }
+	 */
+	getStats() {
+		const lookups = this.stats.hits + this.stats.misses;
+		return {
+			enabled: this.enabled,
+			persist: this.persist,
+			size: this.entries.size,
+			maxSize: this.maxSize,
+			...this.stats,
+			hitRate: lookups > 0 ? this.stats.hits / lookups : null,
+		};
+	}
+
+	_remember(key, embedding) {
+		this.entries.delete(key);
+		this.entries.set(key, embedding);
+		while (this.entries.size > this.maxSize) {
+			this.entries.delete(this.entries.keys().next().value);
+			this.stats.evictions++;
+		}
+	}
+
+	async _getPersisted(key) {
+		const table = this._table();
+		if (!table) {
+			return undefined;
+		}
+		try {
+			const record = await table.get(key);
+			return record?.embedding ? JSON.parse(record.embedding) : undefined;
+		} catch (error) {
+			console.warn(`Failed to read cached embedding ${key}: ${error.message}`);
+			return undefined;
+		}
+	}
+
+	_table() {
+		if (!this.persist) {
+			return null;
+		}
+		const source = this.tables || (typeof tables !== 'undefined' ? tables : null);
+		return source?.EmbeddingCache || null;
+	}
+}
+
+/**
+ * Split modelName:modelVersion at the last colon (model names may contain colons, e.g. Ollama tags)
+ */
+function splitModelKey(modelKey) {
+	const index = modelKey.lastIndexOf(':');
+	return [modelKey.slice(0, index), modelKey.slice(index + 1)];
+}
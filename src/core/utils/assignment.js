@@ -0,0 +1,61 @@
+/**
+ * Deterministic traffic assignment helpers
+ *
+ * Used to split requests between weighted arms (model versions, experiment
+ * variants) so the same user or session always lands on the same arm.
+ */
+
+/**
+ * Hash a string to a number in [0, 1) (32-bit FNV-1a with a Murmur3 finalizer)
+ * @param {string} key - Assignment key, e.g. `minilm:user-123`
+ * @returns {number} Uniformly distributed value in [0, 1)
+ * @example
+ * hashToUnit('minilm:user-123'); // same value on every call
+ */
+export function hashToUnit(key) {
+	let hash = 0x811c9dc5;
+	for (let i = 0; i < key.length; i++) {
+		hash ^= key.charCodeAt(i);
+		hash = Math.imul(hash, 0x01000193);
+	}
+	// Murmur3 finalizer: FNV alone leaves the high bits poorly mixed for keys that differ only at the end
+	hash ^= hash >>> 16;
+	hash = Math.imul(hash, 0x85ebca6b);
+	hash ^= hash >>> 13;
+	hash = Math.imul(hash, 0xc2b2ae35);
+	hash ^= hash >>> 16;
+	return (hash >>> 0) / 0x100000000;
+}
+
+/**
+ * Pick an arm from weighted arms using a value in [0, 1)
+ *
+ * Weights do not need to sum to 1; each arm receives weight / total of the
+ * traffic. Arms with a weight of 0 are never picked.
+ *
+ * @param {Array<{weight: number}>} arms - Candidate arms in a stable order
+ * @param {number} unit - Value in [0, 1), e.g. from hashToUnit()
+ * @returns {Object|null} Selected arm, or null when no arm has a positive weight
+ * @example
+ * pickWeighted([{ modelVersion: 'v1', weight: 95 }, { modelVersion: 'v2', weight: 5 }], 0.97); // v2
+ */
+export function pickWeighted(arms, unit) {
+	const total = arms.reduce((sum, arm) => sum + Math.max(arm.weight, 0), 0);
+	if (total <= 0) {
+		return null;
+	}
+
+	let threshold = unit * total;
+	for (const arm of arms) {
+		if (arm.weight <= 0) {
+			continue;
+		}
+		if (threshold < arm.weight) {
+			return arm;
+		}
+		threshold -= arm.weight;
+	}
+
+	// Floating point leftovers land on the last positive arm
+	return [...arms].reverse().find((arm) => arm.weight > 0);
+}
@@ -0,0 +1,196 @@
+/**
+ * Resumable HTTP downloads to a staging directory
+ *
+ * Model files are streamed to disk instead of being buffered in memory. A
+ * failed download leaves its partial file behind; the next attempt asks for
+ * the rest with `Range: bytes=<size>-` and `If-Range: <validator>`, where the
+ * validator is the ETag (strong only) or Last-Modified of the first response,
+ * kept in a `<file>.json` sidecar. If the server ignores the range or the file
+ * changed since, it answers 200 and the download starts over.
+ *
+ * Usage:
+ *   const filePath = stagingPath(stagingDir, url);
+ *   const { size, resumedFrom } = await downloadToFile(url, filePath, { onProgress });
+ */
+
+import { createWriteStream } from 'node:fs';
+import { mkdir, readFile, rm, stat, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { Readable, Transform } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { ModelNotFoundError, NetworkError, RateLimitError } from '../errors/ModelFetchErrors.js';
+import { sha256Hex } from './integrity.js';
+
+/**
+ * Where partial downloads are kept between retries (MODEL_FETCH_STAGING_DIR)
+ */
+export const DEFAULT_STAGING_DIR =
+	process.env.MODEL_FETCH_STAGING_DIR || path.join(os.tmpdir(), 'harper-edge-ai', 'downloads');
+
+/**
+ * Stable staging file for a URL, so retries find the partial download
+ * @param {string} stagingDir
+ * @param {string} url
+ * @returns {string} `<stagingDir>/<url hash>-<file name>`
+ */
+export function stagingPath(stagingDir, url) {
+	const name = path.basename(new URL(url).pathname).replace(/[^\w.-]/g, '_') || 'download';
+	return path.join(stagingDir, `${sha256Hex(url).slice(0, 16)}-${name}`);
+}
+
+/**
+ * Typed error for a failed HTTP response
+ * @param {Response} response
+ * @param {string} url
+ * @returns {Error} ModelNotFoundError (404), RateLimitError (429), NetworkError (5xx) or Error
+ */
+export function httpError(response, url) {
+	if (response.status === 404) {
+		return new ModelNotFoundError(url);
+	}
+	if (response.status === 429) {
+		const retryAfter = response.headers.get('retry-after');
+		return new RateLimitError('Rate limited by server', retryAfter ? parseInt(retryAfter, 10) : 60);
+	}
+	if (response.status >= 500) {
+		return new NetworkError(`Server error: ${response.status} ${response.statusText}`);
+	}
+	return new Error(`HTTP error: ${response.status} ${response.statusText}`);
+}
+
+/**
+ * Download a URL to a file, resuming a previous partial download
+ *
+ * @param {string} url
+ * @param {string} filePath - Destination (also the partial file between attempts)
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - (downloadedBytes, totalBytes) => void; counts resumed bytes
+ * @param {Object} [options.headers] - Extra request headers
+ * @returns {Promise<Object>} { filePath, size, resumedFrom (bytes already on disk, 0 for a fresh download) }
+ * @throws {NetworkError} If the connection drops or the body is shorter than announced (partial file kept)
+ * @throws {Error} From httpError() for non-2xx responses
+ */
+export async function downloadToFile(url, filePath, { onProgress = null, headers = {} } = {}) {
+	await mkdir(path.dirname(filePath), { recursive: true });
+	const metaPath = `${filePath}.json`;
+
+	const offset = await resumableBytes(url, filePath, metaPath);
+	const requestHeaders = { ...headers };
+	if (offset > 0) {
+		requestHeaders.Range = `bytes=${offset}-`;
+		requestHeaders['If-Range'] = (await readMeta(metaPath)).validator;
+	}
+
+	const response = await fetch(url, { headers: requestHeaders });
+
+	// Range past the end: the previous attempt got everything, or the file shrank
+	if (response.status === 416 && offset > 0) {
+		const total = parseContentRange(response.headers.get('content-range'))?.total;
+		if (total === offset) {
+			onProgress?.(offset, offset);
+			return { filePath, size: offset, resumedFrom: offset };
+		}
+		await discard(filePath, metaPath);
+		return downloadToFile(url, filePath, { onProgress, headers });
+	}
+
+	if (!response.ok) {
+		throw httpError(response, url);
+	}
+
+	let resumedFrom = 0;
+	let totalBytes = parseInt(response.headers.get('content-length'), 10) || 0;
+	if (response.status === 206) {
+		const range = parseContentRange(response.headers.get('content-range'));
+		if (range?.start !== offset) {
+			// Not the range we asked for: start over rather than corrupt the file
+			await response.body?.cancel();
+			await discard(filePath, metaPath);
+			return downloadToFile(url, filePath, { onProgress, headers });
+		}
+		resumedFrom = offset;
+		totalBytes = range.total ?? offset + totalBytes;
+	}
+
+	await writeFile(metaPath, JSON.stringify({ url, validator: validatorOf(response), totalBytes: totalBytes || null }));
+
+	let downloadedBytes = resumedFrom;
+	const counter = new Transform({
+		transform(chunk, encoding, callback) {
+			downloadedBytes += chunk.length;
+			onProgress?.(downloadedBytes, totalBytes || downloadedBytes);
+			callback(null, chunk);
+		},
+	});
+
+	try {
+		await pipeline(
+			Readable.fromWeb(response.body),
+			counter,
+			createWriteStream(filePath, { flags: resumedFrom > 0 ? 'a' : 'w' })
+		);
+	} catch (error) {
+		throw new NetworkError(`Download interrupted at ${downloadedBytes} bytes: ${error.message}`);
+	}
+
+	if (totalBytes && downloadedBytes < totalBytes) {
+		throw new NetworkError(`Download incomplete: ${downloadedBytes} of ${totalBytes} bytes`);
+	}
+
+	return { filePath, size: downloadedBytes, resumedFrom };
+}
+
+/**
+ * Size of a partial download that can be resumed (0 when there is none or it has no validator)
+ */
+async function resumableBytes(url, filePath, metaPath) {
+	const size = (await stat(filePath).catch(() => null))?.size ?? 0;
+	if (size === 0) {
+		return 0;
+	}
+	const meta = await readMeta(metaPath);
+	if (meta?.url !== url || !meta.validator) {
+		await discard(filePath, metaPath);
+		return 0;
+	}
+	return size;
+}
+
+async function readMeta(metaPath) {
+	try {
+		return JSON.parse(await readFile(metaPath, 'utf-8'));
+	} catch {
+		return null;
+	}
+}
+
+async function discard(filePath, metaPath) {
+	await rm(filePath, { force: true });
+	await rm(metaPath, { force: true });
+}
+
+/**
+ * If-Range validator: a strong ETag, else Last-Modified (weak ETags are not allowed in If-Range)
+ */
+function validatorOf(response) {
+	const etag = response.headers.get('etag');
+	if (etag && !etag.startsWith('W/')) {
+		return etag;
+	}
+	return response.headers.get('last-modified') || null;
+}
+
+/**
+ * Parse `Content-Range: bytes <start>-<end>/<total>` (a 416 response has `*` instead of the range)
+ */
+function parseContentRange(header) {
+	const match = /^bytes (?:(\d+)-\d+|\*)\/(\d+|\*)$/.exec(header?.trim() ?? '');
+	if (!match) {
+		return null;
+	}
+	return {
+		start: match[1] === undefined ? null : Number(match[1]),
+		total: match[2] === '*' ? null : Number(match[2]),
+	};
+}
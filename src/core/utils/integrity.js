@@ -0,0 +1,111 @@
+/**
+ * Content integrity helpers for model blobs
+ *
+ * SHA-256 digests are handled as lowercase hex. Expected values may carry a
+ * `sha256:` prefix (as in OCI and HuggingFace LFS metadata).
+ *
+ * Usage:
+ *   const digest = verifySha256(blob, job.expectedSha256, job.sourceReference); // throws IntegrityError on mismatch
+ *   checkSha256(await sha256File(filePath), expected, filePath); // same for a file on disk, without loading it
+ *   const expected = parseChecksumFile('9f86d0...  model.onnx\n', 'model.onnx');
+ */
+
+import { createHash } from 'node:crypto';
+import { createReadStream } from 'node:fs';
+import { IntegrityError } from '../errors/ModelFetchErrors.js';
+
+const SHA256_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * SHA-256 of a buffer as lowercase hex
+ * @param {Buffer|Uint8Array|string} data
+ * @returns {string}
+ */
+export function sha256Hex(data) {
+	return createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * SHA-256 of a file as lowercase hex, read as a stream
+ * @param {string} filePath
+ * @returns {Promise<string>}
+ */
+export async function sha256File(filePath) {
+	const hash = createHash('sha256');
+	for await (const chunk of createReadStream(filePath)) {
+		hash.update(chunk);
+	}
+	return hash.digest('hex');
+}
+
+/**
+ * Normalize an expected SHA-256 value
+ * @param {string} value - 64 hex characters, optionally prefixed with "sha256:"
+ * @returns {string} Lowercase hex digest
+ * @throws {Error} If the value is not a SHA-256 digest
+ */
+export function normalizeSha256(value) {
+	const digest = String(value ?? '')
+		.trim()
+		.toLowerCase()
+		.replace(/^sha256:/, '');
+	if (!SHA256_PATTERN.test(digest)) {
+		throw new Error(`Invalid SHA-256 digest: ${value}`);
+	}
+	return digest;
+}
+
+/**
+ * Compute the SHA-256 of data and compare it with an expected digest
+ * @param {Buffer|Uint8Array|string} data
+ * @param {string|null} expected - Expected digest (skipped when null)
+ * @param {string} subject - What is verified, for the error message
+ * @returns {string} Computed digest
+ * @throws {IntegrityError} If the digests differ
+ */
+export function verifySha256(data, expected, subject) {
+	return checkSha256(sha256Hex(data), expected, subject);
+}
+
+/**
+ * Compare a computed SHA-256 with an expected digest
+ * @param {string} actual - Computed digest (hex)
+ * @param {string|null} expected - Expected digest (skipped when null)
+ * @param {string} subject - What is verified, for the error message
+ * @returns {string} The computed digest
+ * @throws {IntegrityError} If the digests differ
+ */
+export function checkSha256(actual, expected, subject) {
+	if (expected) {
+		const normalized = normalizeSha256(expected);
+		if (actual !== normalized) {
+			throw new IntegrityError(subject, normalized, actual);
+		}
+	}
+	return actual;
+}
+
+/**
+ * Read the digest for a file from a checksum file
+ *
+ * Accepts a bare digest or `sha256sum` output ("<digest>  <file>" per line,
+ * "*" before binary file names). With several lines, only the line for
+ * `filename` is used.
+ *
+ * @param {string} text - Checksum file contents
+ * @param {string} [filename] - File the digest is for
+ * @returns {string|null} Lowercase hex digest, or null when none is found
+ */
+export function parseChecksumFile(text, filename = null) {
+	const entries = String(text)
+		.split(/\r?\n/)
+		.map((line) => line.trim().match(/^(?:sha256:)?([0-9a-fA-F]{64})(?:\s+\*?(.+))?$/))
+		.filter(Boolean)
+		.map(([, digest, name]) => ({ digest: digest.toLowerCase(), name: name?.trim() ?? null }));
+
+	const match = filename && entries.find(({ name }) => name === filename || name?.endsWith(`/${filename}`));
+	if (match) {
+		return match.digest;
+	}
+	return entries.length === 1 ? entries[0].digest : null;
+}
@@ -0,0 +1,36 @@
+/**
+ * Lease utilities
+ *
+ * Harper runs ensureInitialized() on every worker thread, so each periodic
+ * task (AlertEvaluator, MetricsAggregator, DeploymentGuard) exists once per
+ * thread. A WorkerLease record names the one instance allowed to run a task:
+ * the owner refreshes `heartbeatAt` on every run, and another instance takes
+ * the task over once the heartbeat is older than `staleAfterMs`. Claims are
+ * written and read back, like BenchmarkWorker job claims, so of two instances
+ * claiming at the same moment only the last writer runs.
+ */
+
+/**
+ * Claim or renew a task lease
+ *
+ * @param {Object} table - WorkerLease table
+ * @param {string} name - Task name (the lease id)
+ * @param {string} ownerId - Id of the claiming instance
+ * @param {number} staleAfterMs - Heartbeat age after which the current owner counts as gone
+ * @returns {Promise<boolean>} True if `ownerId` holds the lease
+ * @example
+ * if (!(await claimLease(tables.WorkerLease, 'alert-evaluator', this.ownerId, 180000))) {
+ *   return []; // another thread evaluates
+ * }
+ */
+export async function claimLease(table, name, ownerId, staleAfterMs) {
+	const now = Date.now();
+	const lease = await table.get(name);
+	if (lease && lease.ownerId !== ownerId && now - (lease.heartbeatAt || 0) <= staleAfterMs) {
+		return false;
+	}
+
+	await table.put({ id: name, ownerId, heartbeatAt: now });
+	const claimed = await table.get(name);
+	return claimed?.ownerId === ownerId;
+}
@@ -0,0 +1,158 @@
+/**
+ * Quality metrics for benchmarking model outputs against expected results
+ *
+ * Pure functions: classification accuracy/F1, recall@k / nDCG@k for ranked
+ * retrieval, and agreement between two models' embedding spaces. Semantic
+ * similarity uses spearmanCorrelation from statistics.js.
+ */
+
+import { cosineDistance, spearmanCorrelation } from './statistics.js';
+
+/**
+ * Accuracy and macro-averaged F1 for predicted labels
+ *
+ * Macro F1 averages per-label F1 over every label that appears in either
+ * list, so rare labels count as much as common ones.
+ *
+ * @param {Array<string>} expected - Gold labels
+ * @param {Array<string|null>} predicted - Predicted labels (same order; null for no prediction)
+ * @returns {{accuracy: number, macroF1: number, count: number}}
+ * @example
+ * classificationMetrics(['a', 'a', 'b'], ['a', 'b', 'b']); // { accuracy: 0.667, macroF1: 0.667, count: 3 }
+ */
+export function classificationMetrics(expected, predicted) {
+	if (expected.length !== predicted.length) {
+		throw new Error('expected and predicted must have the same length');
+	}
+	if (expected.length === 0) {
+		return { accuracy: 0, macroF1: 0, count: 0 };
+	}
+
+	const labels = new Set([...expected, ...predicted].filter((label) => label !== null && label !== undefined));
+	let correct = 0;
+	const truePositives = new Map();
+	const predictedCounts = new Map();
+	const expectedCounts = new Map();
+
+	for (let i = 0; i < expected.length; i++) {
+		expectedCounts.set(expected[i], (expectedCounts.get(expected[i]) || 0) + 1);
+		predictedCounts.set(predicted[i], (predictedCounts.get(predicted[i]) || 0) + 1);
+		if (expected[i] === predicted[i]) {
+			correct++;
+			truePositives.set(expected[i], (truePositives.get(expected[i]) || 0) + 1);
+		}
+	}
+
+	let f1Sum = 0;
+	for (const label of labels) {
+		const tp = truePositives.get(label) || 0;
+		const precision = tp / (predictedCounts.get(label) || 1);
+		const recall = tp / (expectedCounts.get(label) || 1);
+		f1Sum += precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+	}
+
+	return {
+		accuracy: correct / expected.length,
+		macroF1: labels.size > 0 ? f1Sum / labels.size : 0,
+		count: expected.length,
+	};
+}
+
+/**
+ * Share of relevant documents found in the top k results
+ * @param {Array<string|number>} ranked - Document ids, best first
+ * @param {Object<string, number>} relevance - Graded relevance per document id (> 0 is relevant)
+ * @param {number} k
+ * @returns {number|null} Recall in [0, 1]; null when nothing is relevant
+ */
+export function recallAtK(ranked, relevance, k) {
+	const relevant = Object.keys(relevance).filter((id) => relevance[id] > 0);
+	if (relevant.length === 0) {
+		return null;
+	}
+	const found = ranked.slice(0, k).filter((id) => relevance[id] > 0).length;
+	return found / relevant.length;
+}
+
+/**
+ * Normalized discounted cumulative gain of the top k results
+ *
+ * Uses exponential gain (2^rel - 1) and a log2(rank + 1) discount.
+ *
+ * @param {Array<string|number>} ranked - Document ids, best first
+ * @param {Object<string, number>} relevance - Graded relevance per document id
+ * @param {number} k
+ * @returns {number|null} nDCG in [0, 1]; null when nothing is relevant
+ */
+export function ndcgAtK(ranked, relevance, k) {
+	const dcg = (grades) => grades.slice(0, k).reduce((sum, grade, i) => sum + (2 ** grade - 1) / Math.log2(i + 2), 0);
+
+	const ideal = dcg(
+		Object.values(relevance)
+			.filter((grade) => grade > 0)
+			.sort((a, b) => b - a)
+	);
+	if (ideal === 0) {
+		return null;
+	}
+	return dcg(ranked.map((id) => relevance[id] || 0)) / ideal;
+}
+
+/**
+ * How closely two models' embeddings of the same texts agree
+ *
+ * - neighborOverlap: for every text, the share of its k nearest neighbours
+ *   (by cosine similarity, excluding itself) that both models agree on,
+ *   averaged over texts
+ * - spearman: rank correlation of all pairwise cosine similarities, i.e.
+ *   whether both models order every pair of texts the same way
+ *
+ * The embedding dimensions of the two models do not need to match.
+ *
+ * @param {Array<number[]>} embeddingsA - One embedding per text
+ * @param {Array<number[]>} embeddingsB - Same texts in the same order
+ * @param {number} k - Neighbours compared per text (capped at texts - 1)
+ * @returns {{neighborOverlap: number, spearman: number|null, k: number}|null} null with fewer than 3 texts
+ * @example
+ * embeddingAgreement(onnxEmbeddings, tfjsEmbeddings, 5); // { neighborOverlap: 0.92, spearman: 0.97, k: 5 }
+ */
+export function embeddingAgreement(embeddingsA, embeddingsB, k) {
+	if (embeddingsA.length !== embeddingsB.length) {
+		throw new Error('Both models must embed the same texts');
+	}
+	const count = embeddingsA.length;
+	if (count < 3) {
+		return null;
+	}
+	const neighbors = Math.min(k, count - 1);
+
+	const similarities = (embeddings) =>
+		embeddings.map((a, i) => embeddings.map((b, j) => (i === j ? -Infinity : 1 - cosineDistance(a, b))));
+	const simA = similarities(embeddingsA);
+	const simB = similarities(embeddingsB);
+
+	const nearest = (row) =>
+		row
+			.map((similarity, index) => ({ similarity, index }))
+			.sort((x, y) => y.similarity - x.similarity)
+			.slice(0, neighbors)
+			.map(({ index }) => index);
+
+	let overlapSum = 0;
+	const pairsA = [];
+	const pairsB = [];
+	for (let i = 0; i < count; i++) {
+		const nearestB = new Set(nearest(simB[i]));
+		overlapSum += nearest(simA[i]).filter((index) => nearestB.has(index)).length / neighbors;
+		for (let j = i + 1; j < count; j++) {
+			pairsA.push(simA[i][j]);
+			pairsB.push(simB[i][j]);
+		}
+	}
+
+	return {
+		neighborOverlap: overlapSum / count,
+		spearman: spearmanCorrelation(pairsA, pairsB),
+		k: neighbors,
+	};
+}
@@ -0,0 +1,202 @@
+/**
+ * Ranking helpers for hybrid lexical + semantic search
+ *
+ * Pure functions over plain arrays: BM25 keyword scoring over a small candidate
+ * set and the fusion strategies used to combine it with embedding similarity.
+ */
+
+/**
+ * How lexical and semantic scores are combined
+ * - semantic: embedding similarity only
+ * - weighted: (1 - lexicalWeight) * semantic + lexicalWeight * BM25 / max BM25
+ * - rrf: reciprocal rank fusion, sum of 1 / (rrfK + rank) over both rankings
+ */
+export const FUSION_STRATEGIES = ['semantic', 'weighted', 'rrf'];
+
+// Common BM25 defaults (term frequency saturation and length normalization)
+const DEFAULT_K1 = 1.2;
+const DEFAULT_B = 0.75;
+// Rank offset from the original RRF paper (Cormack et al., 2009)
+const DEFAULT_RRF_K = 60;
+
+/**
+ * Split text into lowercase terms
+ *
+ * Letters and digits form terms; dots and apostrophes inside a term are kept so
+ * sizes ("10.5") and brand names ("o'neill") stay whole. Accents are stripped.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ * @example
+ * tokenize("Men's Trail Shoe, size 10.5"); // ["men's", 'trail', 'shoe', 'size', '10.5']
+ */
+export function tokenize(text) {
+	return (
+		String(text ?? '')
+			.normalize('NFKD')
+			.replace(/\p{M}/gu, '')
+			.toLowerCase()
+			.match(/[\p{L}\p{N}]+(?:['.][\p{L}\p{N}]+)*/gu) || []
+	);
+}
+
+/**
+ * Okapi BM25 score of every document for a query
+ *
+ * Document frequencies come from `documents` themselves, so scores are
+ * relative to the candidate set. Repeated query terms count once.
+ *
+ * @param {string} query
+ * @param {string[]} documents
+ * @param {Object} [options]
+ * @param {number} [options.k1=1.2] - Term frequency saturation
+ * @param {number} [options.b=0.75] - Document length normalization (0-1)
+ * @returns {number[]} One non-negative score per document (0 = no query term present)
+ */
+export function bm25Scores(query, documents, { k1 = DEFAULT_K1, b = DEFAULT_B } = {}) {
+	const terms = [...new Set(tokenize(query))];
+	const docs = documents.map((document) => {
+		const counts = new Map();
+		const tokens = tokenize(document);
+		for (const token of tokens) {
+			counts.set(token, (counts.get(token) || 0) + 1);
+		}
+		return { counts, length: tokens.length };
+	});
+	if (terms.length === 0 || docs.length === 0) {
+		return docs.map(() => 0);
+	}
+
+	const avgLength = docs.reduce((sum, doc) => sum + doc.length, 0) / docs.length || 1;
+	const idf = new Map(
+		terms.map((term) => {
+			const df = docs.filter((doc) => doc.counts.has(term)).length;
+			return [term, Math.log(1 + (docs.length - df + 0.5) / (df + 0.5))];
+		})
+	);
+
+	return docs.map(({ counts, length }) =>
+		terms.reduce((score, term) => {
+			const tf = counts.get(term) || 0;
+			if (tf === 0) {
+				return score;
+			}
+			return score + (idf.get(term) * tf * (k1 + 1)) / (tf + k1 * (1 - b + (b * length) / avgLength));
+		}, 0)
+	);
+}
+
+/**
+ * 1-based rank of each score, highest first; ties share the better rank
+ * @param {number[]} scores
+ * @param {Object} [options]
+ * @param {boolean} [options.skipZero=false] - Leave scores <= 0 unranked (null)
+ * @returns {Array<number|null>}
+ */
+export function rankPositions(scores, { skipZero = false } = {}) {
+	const sorted = [...scores].sort((a, b) => b - a);
+	return scores.map((score) => (skipZero && !(score > 0) ? null : sorted.indexOf(score) + 1));
+}
+
+/**
+ * Weighted sum of semantic scores and max-normalized lexical scores
+ * @param {number[]} semanticScores
+ * @param {number[]} lexicalScores - Raw BM25 scores
+ * @param {number} lexicalWeight - Share of the lexical score (0-1)
+ * @returns {number[]}
+ */
+export function weightedFusion(semanticScores, lexicalScores, lexicalWeight) {
+	const maxLexical = Math.max(0, ...lexicalScores);
+	return semanticScores.map((semantic, i) => {
+		const lexical = maxLexical > 0 ? lexicalScores[i] / maxLexical : 0;
+		return (1 - lexicalWeight) * semantic + lexicalWeight * lexical;
+	});
+}
+
+/**
+ * Reciprocal rank fusion of several rankings
+ * @param {Array<Array<number|null>>} rankLists - 1-based ranks per list (null = not ranked by that list)
+ * @param {number} [k=60] - Rank offset; larger values flatten the difference between top ranks
+ * @returns {number[]} Fused score per item
+ */
+export function reciprocalRankFusion(rankLists, k = DEFAULT_RRF_K) {
+	const length = rankLists[0]?.length ?? 0;
+	return Array.from({ length }, (_, i) =>
+		rankLists.reduce((sum, ranks) => (ranks[i] === null ? sum : sum + 1 / (k + ranks[i])), 0)
+	);
+}
+
+/**
+ * Maximal marginal relevance: greedily pick the item with the best trade-off
+ * between relevance and similarity to the items already picked
+ *
+ * MMR(i) = lambda * relevance(i) - (1 - lambda) * max similarity(i, picked)
+ *
+ * @param {number[]} relevance - Relevance per item, ideally scaled to 0-1
+ * @param {Function} similarity - (i, j) => similarity of items i and j
+ * @param {Object} [options]
+ * @param {number} [options.lambda=0.7] - 1 = relevance only, 0 = diversity only
+ * @param {number} [options.limit] - Stop after this many picks (default: all items)
+ * @returns {Object} { order: item indices in pick order, maxSimilarity: per item, to the items picked before it }
+ */
+export function maximalMarginalRelevance(relevance, similarity, { lambda = 0.7, limit = relevance.length } = {}) {
+	const remaining = new Set(relevance.keys());
+	const maxSimilarity = relevance.map(() => 0);
+	const order = [];
+
+	while (remaining.size > 0 && order.length < limit) {
+		let best = null;
+		let bestScore = -Infinity;
+		for (const i of remaining) {
+			const score = lambda * relevance[i] - (1 - lambda) * maxSimilarity[i];
+			if (score > bestScore) {
+				best = i;
+				bestScore = score;
+			}
+		}
+
+		order.push(best);
+		remaining.delete(best);
+		for (const i of remaining) {
+			maxSimilarity[i] = Math.max(maxSimilarity[i], similarity(i, best));
+		}
+	}
+
+	return { order, maxSimilarity };
+}
+
+/**
+ * Validate ranking options and fill in defaults
+ * @param {Object} [ranking]
+ * @param {string} [ranking.fusion='semantic'] - One of FUSION_STRATEGIES
+ * @param {number} [ranking.lexicalWeight=0.3] - For weighted fusion (0-1)
+ * @param {number} [ranking.rrfK=60] - For rrf fusion
+ * @param {number} [ranking.k1=1.2] - BM25 term frequency saturation
+ * @param {number} [ranking.b=0.75] - BM25 length normalization
+ * @returns {Object} { fusion, lexicalWeight, rrfK, k1, b }
+ * @throws {Error} If an option is out of range
+ */
+export function resolveRanking(ranking = {}) {
+	const {
+		fusion = 'semantic',
+		lexicalWeight = 0.3,
+		rrfK = DEFAULT_RRF_K,
+		k1 = DEFAULT_K1,
+		b = DEFAULT_B,
+	} = ranking || {};
+
+	if (!FUSION_STRATEGIES.includes(fusion)) {
+		throw new Error(`ranking.fusion must be one of: ${FUSION_STRATEGIES.join(', ')}`);
+	}
+	if (typeof lexicalWeight !== 'number' || lexicalWeight < 0 || lexicalWeight > 1) {
+		throw new Error('ranking.lexicalWeight must be a number between 0 and 1');
+	}
+	if (typeof rrfK !== 'number' || !(rrfK >= 0)) {
+		throw new Error('ranking.rrfK must be a non-negative number');
+	}
+	if (typeof k1 !== 'number' || !(k1 >= 0) || typeof b !== 'number' || b < 0 || b > 1) {
+		throw new Error('ranking.k1 must be non-negative and ranking.b between 0 and 1');
+	}
+
+	return { fusion, lexicalWeight, rrfK, k1, b };
+}
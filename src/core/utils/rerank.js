@@ -0,0 +1,208 @@
+/**
+ * Business-rule reranking for personalized results
+ *
+ * Runs after scoring, in this order:
+ * 1. Filters: out-of-stock products (`inStockOnly`) and products outside
+ *    `priceRange`. Products without stock or price information are kept.
+ * 2. Category rules: `boost` adds a fixed amount to the score of products in a
+ *    category; `bury` moves a category below every other product.
+ * 3. Diversity: maximal marginal relevance over the remaining products, so
+ *    near-identical products do not fill the top of the list.
+ * 4. `limit` keeps the first N products.
+ *
+ * Categories match case-insensitively. The price range defaults to
+ * `userContext.priceRange`.
+ *
+ * Usage:
+ *   const rules = resolveRerank({ boost: { footwear: 0.1 }, inStockOnly: true, diversity: { lambda: 0.7 } }, userContext);
+ *   const { products, report } = rerankProducts(scoredProducts, rules, { vectors });
+ */
+
+import { itemText } from '../EmbeddingIndex.js';
+import { maximalMarginalRelevance, tokenize } from './ranking.js';
+import { normalizeVector } from './vectorIndex.js';
+
+const DEFAULT_LAMBDA = 0.7;
+
+/**
+ * Validate rerank options and fill in defaults
+ * @param {Object} [rerank]
+ * @param {Object<string, number>} [rerank.boost] - Category -> amount added to the score (negative demotes)
+ * @param {string[]} [rerank.bury] - Categories moved below all other products
+ * @param {boolean} [rerank.inStockOnly=false] - Drop products with inStock === false or stock <= 0
+ * @param {Object} [rerank.priceRange] - { min?, max? } (defaults to userContext.priceRange)
+ * @param {Object|boolean} [rerank.diversity] - true or { lambda=0.7 } to apply maximal marginal relevance
+ * @param {number} [rerank.limit] - Maximum number of products returned
+ * @param {Object} [userContext]
+ * @returns {Object} { boost, bury, inStockOnly, priceRange, diversity, limit }
+ * @throws {Error} If an option is invalid
+ */
+export function resolveRerank(rerank = {}, userContext = {}) {
+	const {
+		boost = {},
+		bury = [],
+		inStockOnly = false,
+		priceRange = userContext?.priceRange ?? null,
+		diversity = null,
+		limit = null,
+	} = rerank || {};
+
+	if (typeof boost !== 'object' || boost === null || Array.isArray(boost)) {
+		throw new Error('rerank.boost must be an object of category -> number');
+	}
+	for (const [category, amount] of Object.entries(boost)) {
+		if (typeof amount !== 'number' || !Number.isFinite(amount)) {
+			throw new Error(`rerank.boost.${category} must be a number`);
+		}
+	}
+	if (!Array.isArray(bury) || bury.some((category) => typeof category !== 'string')) {
+		throw new Error('rerank.bury must be an array of category names');
+	}
+	if (typeof inStockOnly !== 'boolean') {
+		throw new Error('rerank.inStockOnly must be a boolean');
+	}
+	if (priceRange !== null) {
+		if (typeof priceRange !== 'object') {
+			throw new Error('priceRange must be an object: { min?, max? }');
+		}
+		const { min = null, max = null } = priceRange;
+		if ((min !== null && typeof min !== 'number') || (max !== null && typeof max !== 'number')) {
+			throw new Error('priceRange.min and priceRange.max must be numbers');
+		}
+		if (min !== null && max !== null && min > max) {
+			throw new Error('priceRange.min must not be greater than priceRange.max');
+		}
+	}
+
+	let diversityOptions = null;
+	if (diversity) {
+		const { lambda = DEFAULT_LAMBDA } = diversity === true ? {} : diversity;
+		if (typeof lambda !== 'number' || lambda < 0 || lambda > 1) {
+			throw new Error('rerank.diversity.lambda must be a number between 0 and 1');
+		}
+		diversityOptions = { lambda };
+	}
+	if (limit !== null && !(Number.isInteger(limit) && limit > 0)) {
+		throw new Error('rerank.limit must be a positive integer');
+	}
+
+	return {
+		boost: Object.fromEntries(Object.entries(boost).map(([category, amount]) => [category.toLowerCase(), amount])),
+		bury: bury.map((category) => category.toLowerCase()),
+		inStockOnly,
+		priceRange: priceRange && { min: priceRange.min ?? null, max: priceRange.max ?? null },
+		diversity: diversityOptions,
+		limit,
+	};
+}
+
+/**
+ * Apply filters, category rules and diversity to scored products
+ *
+ * Products are ordered by `personalizedScore` plus any boost. Products changed
+ * by a rule get a `rerank` field, e.g. { boost: 0.1 }, { buried: true } or
+ * { maxSimilarity: 0.93 } (similarity to the higher-ranked products, with diversity).
+ *
+ * @param {Array<Object>} products - Products with personalizedScore
+ * @param {Object} rules - From resolveRerank()
+ * @param {Object} [options]
+ * @param {Array<number[]>} [options.vectors] - Product embeddings aligned with products; without them diversity compares product text
+ * @returns {Object} { products, report: { removed: { outOfStock, priceRange }, boosted, buried, diversified } }
+ */
+export function rerankProducts(products, rules, { vectors = null } = {}) {
+	const report = { removed: { outOfStock: 0, priceRange: 0 }, boosted: 0, buried: 0, diversified: false };
+
+	const candidates = [];
+	products.forEach((product, idx) => {
+		if (rules.inStockOnly && isOutOfStock(product)) {
+			report.removed.outOfStock++;
+			return;
+		}
+		if (rules.priceRange && !inPriceRange(product, rules.priceRange)) {
+			report.removed.priceRange++;
+			return;
+		}
+		candidates.push({ product, vector: vectors?.[idx] ?? null, score: product.personalizedScore || 0 });
+	});
+
+	const visible = [];
+	const buried = [];
+	for (const candidate of candidates) {
+		const category = String(candidate.product.category ?? '').toLowerCase();
+		if (rules.bury.includes(category)) {
+			candidate.rerank = { buried: true };
+			buried.push(candidate);
+			continue;
+		}
+		const boost = rules.boost[category];
+		if (boost) {
+			candidate.score += boost;
+			candidate.rerank = { boost };
+			report.boosted++;
+		}
+		visible.push(candidate);
+	}
+	report.buried = buried.length;
+
+	const byScore = (a, b) => b.score - a.score;
+	visible.sort(byScore);
+	buried.sort(byScore);
+
+	let ordered = visible;
+	if (rules.diversity && visible.length > 1) {
+		ordered = diversify(visible, rules.diversity.lambda);
+		report.diversified = true;
+	}
+
+	const ranked = [...ordered, ...buried].map(({ product, rerank }) => (rerank ? { ...product, rerank } : product));
+	return { products: rules.limit ? ranked.slice(0, rules.limit) : ranked, report };
+}
+
+/**
+ * Reorder candidates (sorted by score) with maximal marginal relevance
+ */
+function diversify(candidates, lambda) {
+	// Scores from different fusion strategies have different scales; MMR needs 0-1
+	const scores = candidates.map(({ score }) => score);
+	const min = Math.min(...scores);
+	const range = Math.max(...scores) - min;
+	const relevance = scores.map((score) => (range > 0 ? (score - min) / range : 1));
+
+	const useVectors = candidates.every(({ vector }) => vector && vector.length === candidates[0].vector?.length);
+	const features = candidates.map(({ product, vector }) =>
+		useVectors ? normalizeVector(vector) : new Set(tokenize(itemText(product)))
+	);
+	const similarity = useVectors
+		? (i, j) => features[i].reduce((sum, value, d) => sum + value * features[j][d], 0)
+		: (i, j) => jaccard(features[i], features[j]);
+
+	const { order, maxSimilarity } = maximalMarginalRelevance(relevance, similarity, { lambda });
+	return order.map((i) => ({
+		...candidates[i],
+		rerank: { ...candidates[i].rerank, maxSimilarity: maxSimilarity[i] },
+	}));
+}
+
+function isOutOfStock(product) {
+	return product.inStock === false || (typeof product.stock === 'number' && product.stock <= 0);
+}
+
+function inPriceRange(product, { min, max }) {
+	if (typeof product.price !== 'number') {
+		return true;
+	}
+	return (min === null || product.price >= min) && (max === null || product.price <= max);
+}
+
+function jaccard(a, b) {
+	if (a.size === 0 && b.size === 0) {
+		return 0;
+	}
+	let shared = 0;
+	for (const token of a) {
+		if (b.has(token)) {
+			shared++;
+		}
+	}
+	return shared / (a.size + b.size - shared);
+}
@@ -0,0 +1,671 @@
+/**
+ * Statistical helpers for monitoring, drift detection and experiments
+ *
+ * Pure functions over plain arrays/objects so they can be shared by the
+ * monitoring, drift, experiment and benchmarking code without any table access.
+ */
+
+// Floor for empty histogram bins so PSI stays finite
+const PSI_EPSILON = 1e-4;
+
+/**
+ * Arithmetic mean
+ * @param {number[]} values
+ * @returns {number} Mean, or 0 for an empty array
+ */
+export function mean(values) {
+	if (values.length === 0) {
+		return 0;
+	}
+	return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+/**
+ * Percentile of a pre-sorted array using linear interpolation
+ *
+ * position = (p / 100) * n - 0.5, clamped to the ends of the array.
+ *
+ * @param {number[]} sortedValues - Values sorted ascending
+ * @param {number} p - Percentile (0-100)
+ * @returns {number} Interpolated value (0 for an empty array)
+ * @example
+ * percentile([10, 15, 20, 25, 30], 50); // 20
+ */
+export function percentile(sortedValues, p) {
+	if (sortedValues.length === 0) {
+		return 0;
+	}
+
+	if (sortedValues.length === 1) {
+		return sortedValues[0];
+	}
+
+	const index = (p / 100) * sortedValues.length - 0.5;
+	const lower = Math.floor(index);
+	const upper = Math.ceil(index);
+	const weight = index - lower;
+
+	if (lower === upper) {
+		return sortedValues[lower];
+	}
+
+	// Handle edge cases where index goes beyond array bounds
+	if (lower < 0) {
+		return sortedValues[0];
+	}
+	if (upper >= sortedValues.length) {
+		return sortedValues[sortedValues.length - 1];
+	}
+
+	return sortedValues[lower] * (1 - weight) + sortedValues[upper] * weight;
+}
+
+/**
+ * Two-sample Kolmogorov-Smirnov test
+ *
+ * Compares the empirical CDFs of two samples. The p-value uses the asymptotic
+ * Kolmogorov distribution, which is accurate for samples of ~30+ values.
+ *
+ * @param {number[]} reference - Reference sample
+ * @param {number[]} current - Current sample
+ * @returns {{statistic: number, pValue: number}} D statistic (0-1) and p-value
+ * @example
+ * const { statistic, pValue } = ksTest([0.9, 0.8, 0.85], [0.4, 0.5, 0.45]);
+ */
+export function ksTest(reference, current) {
+	const a = [...reference].sort((x, y) => x - y);
+	const b = [...current].sort((x, y) => x - y);
+	const n = a.length;
+	const m = b.length;
+
+	if (n === 0 || m === 0) {
+		return { statistic: 0, pValue: 1 };
+	}
+
+	let i = 0;
+	let j = 0;
+	let d = 0;
+	while (i < n && j < m) {
+		// Step past every copy of the smallest remaining value so ties move both CDFs together
+		const value = Math.min(a[i], b[j]);
+		while (i < n && a[i] === value) i++;
+		while (j < m && b[j] === value) j++;
+		d = Math.max(d, Math.abs(i / n - j / m));
+	}
+
+	const en = Math.sqrt((n * m) / (n + m));
+	const pValue = kolmogorovSurvival((en + 0.12 + 0.11 / en) * d);
+
+	return { statistic: d, pValue };
+}
+
+/**
+ * Population Stability Index for a numeric feature
+ *
+ * Bins are reference quantiles, so each bin holds roughly the same share of the
+ * reference sample. Rule of thumb: < 0.1 stable, 0.1-0.2 moderate shift,
+ * > 0.2 significant shift.
+ *
+ * @param {number[]} reference - Reference sample
+ * @param {number[]} current - Current sample
+ * @param {Object} [options]
+ * @param {number} [options.bins=10] - Number of quantile bins
+ * @returns {number} PSI (0 when either sample is empty)
+ */
+export function psi(reference, current, options = {}) {
+	const { bins = 10 } = options;
+
+	if (reference.length === 0 || current.length === 0) {
+		return 0;
+	}
+
+	const sorted = [...reference].sort((x, y) => x - y);
+	const edges = [];
+	for (let k = 1; k < bins; k++) {
+		const edge = sorted[Math.floor((k / bins) * sorted.length)];
+		// Collapse duplicate edges (heavily tied references produce fewer bins)
+		if (edges.length === 0 || edge > edges[edges.length - 1]) {
+			edges.push(edge);
+		}
+	}
+
+	const bucket = (value) => {
+		let k = 0;
+		while (k < edges.length && value >= edges[k]) k++;
+		return k;
+	};
+
+	const refCounts = new Array(edges.length + 1).fill(0);
+	const curCounts = new Array(edges.length + 1).fill(0);
+	for (const v of reference) refCounts[bucket(v)]++;
+	for (const v of current) curCounts[bucket(v)]++;
+
+	return psiFromCounts(refCounts, curCounts);
+}
+
+/**
+ * Population Stability Index for a categorical feature
+ *
+ * @param {Object<string, number>} referenceCounts - Category counts in the reference window
+ * @param {Object<string, number>} currentCounts - Category counts in the current window
+ * @returns {number} PSI over the union of categories
+ * @example
+ * categoricalPsi({ tent: 50, stove: 50 }, { tent: 90, stove: 10 }); // ~0.88
+ */
+export function categoricalPsi(referenceCounts, currentCounts) {
+	const categories = unionKeys(referenceCounts, currentCounts);
+	return psiFromCounts(
+		categories.map((c) => referenceCounts[c] || 0),
+		categories.map((c) => currentCounts[c] || 0)
+	);
+}
+
+/**
+ * Chi-square test of homogeneity between two categorical distributions
+ *
+ * Builds a 2 x k contingency table from the two count maps.
+ *
+ * @param {Object<string, number>} referenceCounts - Category counts in the reference window
+ * @param {Object<string, number>} currentCounts - Category counts in the current window
+ * @returns {{statistic: number, degreesOfFreedom: number, pValue: number}}
+ */
+export function chiSquareTest(referenceCounts, currentCounts) {
+	const categories = unionKeys(referenceCounts, currentCounts);
+	const refTotal = categories.reduce((sum, c) => sum + (referenceCounts[c] || 0), 0);
+	const curTotal = categories.reduce((sum, c) => sum + (currentCounts[c] || 0), 0);
+	const total = refTotal + curTotal;
+
+	if (categories.length < 2 || refTotal === 0 || curTotal === 0) {
+		return { statistic: 0, degreesOfFreedom: 0, pValue: 1 };
+	}
+
+	let statistic = 0;
+	for (const c of categories) {
+		const observed = [referenceCounts[c] || 0, currentCounts[c] || 0];
+		const columnTotal = observed[0] + observed[1];
+		const expected = [(refTotal * columnTotal) / total, (curTotal * columnTotal) / total];
+		for (let r = 0; r < 2; r++) {
+			statistic += (observed[r] - expected[r]) ** 2 / expected[r];
+		}
+	}
+
+	const degreesOfFreedom = categories.length - 1;
+	const pValue = 1 - regularizedGammaP(degreesOfFreedom / 2, statistic / 2);
+
+	return { statistic, degreesOfFreedom, pValue: Math.min(1, Math.max(0, pValue)) };
+}
+
+/**
+ * Total variation distance between two categorical distributions (0-1)
+ *
+ * @param {Object<string, number>} referenceCounts
+ * @param {Object<string, number>} currentCounts
+ * @returns {number} Half the L1 distance between the normalized distributions
+ */
+export function totalVariationDistance(referenceCounts, currentCounts) {
+	const categories = unionKeys(referenceCounts, currentCounts);
+	const refTotal = categories.reduce((sum, c) => sum + (referenceCounts[c] || 0), 0);
+	const curTotal = categories.reduce((sum, c) => sum + (currentCounts[c] || 0), 0);
+
+	if (refTotal === 0 || curTotal === 0) {
+		return 0;
+	}
+
+	let l1 = 0;
+	for (const c of categories) {
+		l1 += Math.abs((referenceCounts[c] || 0) / refTotal - (currentCounts[c] || 0) / curTotal);
+	}
+	return l1 / 2;
+}
+
+/**
+ * Two-proportion z-test (pooled, two-sided)
+ *
+ * Tests whether two success rates differ, e.g. the feedback accuracy of two
+ * experiment variants.
+ *
+ * @param {number} successesA - Successes in group A
+ * @param {number} totalA - Trials in group A
+ * @param {number} successesB - Successes in group B
+ * @param {number} totalB - Trials in group B
+ * @returns {{z: number, pValue: number, difference: number}} difference is rateB - rateA
+ * @example
+ * twoProportionZTest(80, 100, 92, 100); // { z: 2.4..., pValue: 0.015..., difference: 0.12 }
+ */
+export function twoProportionZTest(successesA, totalA, successesB, totalB) {
+	if (totalA === 0 || totalB === 0) {
+		return { z: 0, pValue: 1, difference: 0 };
+	}
+
+	const rateA = successesA / totalA;
+	const rateB = successesB / totalB;
+	const pooled = (successesA + successesB) / (totalA + totalB);
+	const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / totalA + 1 / totalB));
+
+	if (standardError === 0) {
+		return { z: 0, pValue: 1, difference: rateB - rateA };
+	}
+
+	const z = (rateB - rateA) / standardError;
+	const pValue = 2 * (1 - normalCdf(Math.abs(z)));
+
+	return { z, pValue: Math.min(1, Math.max(0, pValue)), difference: rateB - rateA };
+}
+
+/**
+ * Standard normal cumulative distribution function
+ * @param {number} z
+ * @returns {number} P(Z <= z)
+ */
+export function normalCdf(z) {
+	return 0.5 * (1 + erf(z / Math.SQRT2));
+}
+
+/**
+ * Seeded pseudo-random generator (mulberry32)
+ *
+ * Bootstrap intervals use it so the same data always yields the same interval.
+ *
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} Generator returning values in [0, 1)
+ */
+export function createRng(seed) {
+	let state = seed >>> 0;
+	return () => {
+		state = (state + 0x6d2b79f5) >>> 0;
+		let t = state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+	};
+}
+
+/**
+ * Percentile bootstrap confidence interval for a statistic
+ *
+ * @param {number[]} values - Observations
+ * @param {Function} [statistic=mean] - Function from a resampled array to a number
+ * @param {Object} [options]
+ * @param {number} [options.samples=1000] - Bootstrap resamples
+ * @param {number} [options.confidenceLevel=0.95] - Interval coverage
+ * @param {Function} [options.random] - Source of [0, 1) values (default: createRng(1))
+ * @returns {{lower: number, upper: number}|null} Interval, or null for an empty array
+ */
+export function bootstrapCI(values, statistic = mean, options = {}) {
+	if (values.length === 0) {
+		return null;
+	}
+
+	const random = options.random || createRng(1);
+	const estimates = resampleEstimates(options.samples || 1000, () => statistic(resample(values, random)));
+
+	return percentileInterval(estimates, options.confidenceLevel ?? 0.95);
+}
+
+/**
+ * Percentile bootstrap confidence interval for statistic(b) - statistic(a)
+ *
+ * Both groups are resampled independently on every iteration.
+ *
+ * @param {number[]} a - Baseline observations
+ * @param {number[]} b - Comparison observations
+ * @param {Function} [statistic=mean]
+ * @param {Object} [options] - Same as bootstrapCI
+ * @returns {{lower: number, upper: number}|null} Interval, or null when either group is empty
+ */
+export function bootstrapDifferenceCI(a, b, statistic = mean, options = {}) {
+	if (a.length === 0 || b.length === 0) {
+		return null;
+	}
+
+	const random = options.random || createRng(1);
+	const estimates = resampleEstimates(
+		options.samples || 1000,
+		() => statistic(resample(b, random)) - statistic(resample(a, random))
+	);
+
+	return percentileInterval(estimates, options.confidenceLevel ?? 0.95);
+}
+
+/**
+ * Element-wise mean of equal-length vectors
+ * @param {number[][]} vectors
+ * @returns {number[]|null} Centroid, or null for an empty list
+ */
+export function centroid(vectors) {
+	if (vectors.length === 0) {
+		return null;
+	}
+	const sum = new Array(vectors[0].length).fill(0);
+	for (const vector of vectors) {
+		for (let k = 0; k < sum.length; k++) {
+			sum[k] += vector[k];
+		}
+	}
+	return sum.map((v) => v / vectors.length);
+}
+
+/**
+ * Cosine distance (1 - cosine similarity) between two vectors
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number} Distance in [0, 2]; 0 when either vector is all zeros
+ */
+export function cosineDistance(a, b) {
+	let dot = 0;
+	let normA = 0;
+	let normB = 0;
+	for (let k = 0; k < a.length; k++) {
+		dot += a[k] * b[k];
+		normA += a[k] * a[k];
+		normB += b[k] * b[k];
+	}
+	if (normA === 0 || normB === 0) {
+		return 0;
+	}
+	return 1 - dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Spearman rank correlation between two paired samples
+ *
+ * Tied values receive their average rank (Pearson correlation of the ranks).
+ *
+ * @param {number[]} x
+ * @param {number[]} y - Same length as x
+ * @returns {number|null} Correlation in [-1, 1]; null with fewer than 2 pairs or a constant sample
+ * @example
+ * spearmanCorrelation([1, 2, 3, 4], [10, 20, 30, 25]); // 0.8
+ */
+export function spearmanCorrelation(x, y) {
+	if (x.length !== y.length) {
+		throw new Error('Samples must have the same length');
+	}
+	if (x.length < 2) {
+		return null;
+	}
+
+	const rankX = ranks(x);
+	const rankY = ranks(y);
+	const meanX = mean(rankX);
+	const meanY = mean(rankY);
+
+	let covariance = 0;
+	let varianceX = 0;
+	let varianceY = 0;
+	for (let i = 0; i < x.length; i++) {
+		covariance += (rankX[i] - meanX) * (rankY[i] - meanY);
+		varianceX += (rankX[i] - meanX) ** 2;
+		varianceY += (rankY[i] - meanY) ** 2;
+	}
+	if (varianceX === 0 || varianceY === 0) {
+		return null;
+	}
+	return covariance / Math.sqrt(varianceX * varianceY);
+}
+
+/**
+ * Mann-Whitney U test (normal approximation with tie and continuity correction)
+ *
+ * Rank-based comparison of two independent samples, so it suits skewed data
+ * such as latencies. With `alternative: 'greater'` it tests whether values in
+ * x tend to be larger than values in y.
+ *
+ * @param {number[]} x
+ * @param {number[]} y
+ * @param {Object} [options]
+ * @param {string} [options.alternative='two-sided'] - two-sided | greater | less
+ * @returns {{u: number, z: number, pValue: number, effectSize: number}|null} U of x, and
+ *   effectSize = U / (nx * ny), the probability that a value from x exceeds one from y;
+ *   null when either sample is empty
+ * @example
+ * mannWhitneyU([12, 14, 15, 18], [9, 10, 11, 13], { alternative: 'greater' }); // { u: 15, pValue: 0.03..., ... }
+ */
+export function mannWhitneyU(x, y, options = {}) {
+	const alternative = options.alternative || 'two-sided';
+	if (!['two-sided', 'greater', 'less'].includes(alternative)) {
+		throw new Error(`Unknown alternative: ${alternative}`);
+	}
+	if (x.length === 0 || y.length === 0) {
+		return null;
+	}
+
+	const nx = x.length;
+	const ny = y.length;
+	const n = nx + ny;
+	const combinedRanks = ranks([...x, ...y]);
+	const rankSumX = combinedRanks.slice(0, nx).reduce((sum, rank) => sum + rank, 0);
+	const u = rankSumX - (nx * (nx + 1)) / 2;
+
+	// Ties shrink the variance of U
+	const tieCounts = new Map();
+	for (const value of [...x, ...y]) {
+		tieCounts.set(value, (tieCounts.get(value) || 0) + 1);
+	}
+	let tieTerm = 0;
+	for (const count of tieCounts.values()) {
+		tieTerm += count ** 3 - count;
+	}
+	const variance = ((nx * ny) / 12) * (n + 1 - tieTerm / (n * (n - 1) || 1));
+	const expected = (nx * ny) / 2;
+	const effectSize = u / (nx * ny);
+
+	if (variance <= 0) {
+		return { u, z: 0, pValue: 1, effectSize };
+	}
+
+	const deviation = u - expected;
+	let z;
+	let pValue;
+	if (alternative === 'greater') {
+		z = (deviation - 0.5) / Math.sqrt(variance);
+		pValue = 1 - normalCdf(z);
+	} else if (alternative === 'less') {
+		z = (deviation + 0.5) / Math.sqrt(variance);
+		pValue = normalCdf(z);
+	} else {
+		z = (deviation - Math.sign(deviation) * 0.5) / Math.sqrt(variance);
+		pValue = 2 * (1 - normalCdf(Math.abs(z)));
+	}
+
+	return { u, z, pValue: Math.min(1, Math.max(0, pValue)), effectSize };
+}
+
+/**
+ * Evenly spaced quantiles that stand in for a large sample
+ *
+ * Keeps the shape of the distribution in a fixed number of values so raw
+ * samples can be stored and compared later (e.g. with mannWhitneyU).
+ *
+ * @param {number[]} values
+ * @param {number} [size=500] - Maximum values kept
+ * @returns {number[]} Sorted values; all of them when there are no more than `size`
+ */
+export function quantileSketch(values, size = 500) {
+	const sorted = [...values].sort((a, b) => a - b);
+	if (sorted.length <= size) {
+		return sorted;
+	}
+	return Array.from({ length: size }, (_, i) => percentile(sorted, ((i + 0.5) / size) * 100));
+}
+
+/**
+ * 1-based ranks with ties averaged
+ * @private
+ */
+function ranks(values) {
+	const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+	const result = new Array(values.length);
+	let i = 0;
+	while (i < order.length) {
+		let j = i;
+		while (j + 1 < order.length && order[j + 1].value === order[i].value) {
+			j++;
+		}
+		const rank = (i + j) / 2 + 1;
+		for (let k = i; k <= j; k++) {
+			result[order[k].index] = rank;
+		}
+		i = j + 1;
+	}
+	return result;
+}
+
+/**
+ * PSI from two aligned histograms
+ * @private
+ */
+function psiFromCounts(refCounts, curCounts) {
+	const refTotal = refCounts.reduce((sum, c) => sum + c, 0);
+	const curTotal = curCounts.reduce((sum, c) => sum + c, 0);
+
+	if (refTotal === 0 || curTotal === 0) {
+		return 0;
+	}
+
+	let total = 0;
+	for (let k = 0; k < refCounts.length; k++) {
+		const expected = Math.max(refCounts[k] / refTotal, PSI_EPSILON);
+		const actual = Math.max(curCounts[k] / curTotal, PSI_EPSILON);
+		total += (actual - expected) * Math.log(actual / expected);
+	}
+	return total;
+}
+
+/**
+ * Sorted union of object keys
+ * @private
+ */
+function unionKeys(a, b) {
+	return [...new Set([...Object.keys(a), ...Object.keys(b)])].sort();
+}
+
+/**
+ * Survival function of the Kolmogorov distribution, Q(lambda)
+ * @private
+ */
+function kolmogorovSurvival(lambda) {
+	if (lambda < 1e-3) {
+		return 1;
+	}
+	let sum = 0;
+	for (let j = 1; j <= 100; j++) {
+		const term = 2 * (j % 2 === 1 ? 1 : -1) * Math.exp(-2 * j * j * lambda * lambda);
+		sum += term;
+		if (Math.abs(term) < 1e-10) {
+			break;
+		}
+	}
+	return Math.min(1, Math.max(0, sum));
+}
+
+/**
+ * Natural log of the gamma function (Lanczos approximation)
+ * @private
+ */
+function logGamma(x) {
+	const coefficients = [
+		76.18009172947146, -86.50532032941678, 24.01409824083091, -1.231739572450155, 0.001208650973866179,
+		-0.000005395239384953,
+	];
+	let y = x;
+	let series = 1.000000000190015;
+	for (const c of coefficients) {
+		series += c / ++y;
+	}
+	const t = x + 5.5;
+	return Math.log((2.5066282746310007 * series) / x) - (t - (x + 0.5) * Math.log(t));
+}
+
+/**
+ * Regularized lower incomplete gamma function P(a, x)
+ *
+ * Series expansion for x < a + 1, continued fraction otherwise.
+ * @private
+ */
+function regularizedGammaP(a, x) {
+	if (x <= 0) {
+		return 0;
+	}
+
+	const gln = logGamma(a);
+
+	if (x < a + 1) {
+		let term = 1 / a;
+		let sum = term;
+		for (let n = 1; n < 500; n++) {
+			term *= x / (a + n);
+			sum += term;
+			if (Math.abs(term) < Math.abs(sum) * 1e-14) {
+				break;
+			}
+		}
+		return sum * Math.exp(-x + a * Math.log(x) - gln);
+	}
+
+	// Lentz's method for the continued fraction of Q(a, x)
+	const tiny = 1e-300;
+	let b = x + 1 - a;
+	let c = 1 / tiny;
+	let d = 1 / b;
+	let h = d;
+	for (let n = 1; n < 500; n++) {
+		const an = -n * (n - a);
+		b += 2;
+		d = an * d + b;
+		if (Math.abs(d) < tiny) d = tiny;
+		c = b + an / c;
+		if (Math.abs(c) < tiny) c = tiny;
+		d = 1 / d;
+		const delta = d * c;
+		h *= delta;
+		if (Math.abs(delta - 1) < 1e-14) {
+			break;
+		}
+	}
+	return 1 - Math.exp(-x + a * Math.log(x) - gln) * h;
+}
+
+/**
+ * Error function (Abramowitz & Stegun 7.1.26, |error| < 1.5e-7)
+ */
+function erf(x) {
+	const sign = x < 0 ? -1 : 1;
+	const ax = Math.abs(x);
+	const t = 1 / (1 + 0.3275911 * ax);
+	const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+	return sign * (1 - poly * Math.exp(-ax * ax));
+}
+
+/**
+ * Sample with replacement, same size as the input
+ */
+function resample(values, random) {
+	const sample = new Array(values.length);
+	for (let i = 0; i < values.length; i++) {
+		sample[i] = values[Math.floor(random() * values.length)];
+	}
+	return sample;
+}
+
+/**
+ * Run a bootstrap estimator `samples` times and return the sorted estimates
+ */
+function resampleEstimates(samples, estimate) {
+	const estimates = new Array(samples);
+	for (let i = 0; i < samples; i++) {
+		estimates[i] = estimate();
+	}
+	return estimates.sort((x, y) => x - y);
+}
+
+/**
+ * Central interval of sorted bootstrap estimates
+ */
+function percentileInterval(sortedEstimates, confidenceLevel) {
+	const tail = ((1 - confidenceLevel) / 2) * 100;
+	return {
+		lower: percentile(sortedEstimates, tail),
+		upper: percentile(sortedEstimates, 100 - tail),
+	};
+}
@@ -0,0 +1,48 @@
+/**
+ * Stream utilities
+ *
+ * Helpers for resources that answer with a stream (e.g. PredictStream's
+ * Server-Sent Events).
+ */
+
+import { Readable } from 'node:stream';
+
+/**
+ * Create a Readable over an async iterable that is aborted when the Readable is destroyed
+ *
+ * The iterable is created with an AbortSignal that fires as soon as the
+ * Readable is destroyed - when the consumer goes away (the client disconnects
+ * and the response is torn down) or after the last chunk - so upstream
+ * requests made while iterating stop with it. Readable.from() cannot be used
+ * here: it only closes once a pending iteration settles, and an iteration
+ * waiting on the upstream request would never settle.
+ *
+ * @param {function(AbortSignal): AsyncIterable} createIterable - Called once with the signal
+ * @returns {Readable}
+ * @example
+ * const stream = abortOnClose((signal) => engine.predictStream(modelName, inputs, version, model, { signal }));
+ */
+export function abortOnClose(createIterable) {
+	const controller = new AbortController();
+	const iterator = createIterable(controller.signal)[Symbol.asyncIterator]();
+
+	return new Readable({
+		objectMode: true,
+		async read() {
+			try {
+				const { value, done } = await iterator.next();
+				this.push(done ? null : value);
+			} catch (error) {
+				this.destroy(error);
+			}
+		},
+		destroy(error, callback) {
+			controller.abort();
+			// Let the iterable finish (e.g. record the aborted request) before the stream closes
+			Promise.resolve(iterator.return?.()).then(
+				() => callback(error),
+				(returnError) => callback(error || returnError)
+			);
+		},
+	});
+}
@@ -0,0 +1,340 @@
+/**
+ * In-memory vector indexes for cosine similarity search
+ *
+ * Both indexes store unit-length copies of the vectors, so cosine similarity is
+ * a dot product. Scores are cosine similarities (1 = same direction).
+ *
+ * - BruteForceIndex scores every vector: exact, O(n) per query.
+ * - HnswIndex is a Hierarchical Navigable Small World graph (Malkov & Yashunin,
+ *   2016): approximate, roughly O(log n) per query for large catalogues.
+ *
+ * Usage:
+ *   const index = createVectorIndex('hnsw', { m: 16 });
+ *   index.add('sku-1', [0.1, 0.3, ...]);
+ *   index.search(queryVector, 10); // [{ id: 'sku-1', score: 0.93 }, ...]
+ */
+
+export const VECTOR_INDEX_TYPES = ['brute-force', 'hnsw'];
+
+/**
+ * Copy a vector scaled to unit length
+ * @param {number[]} vector
+ * @returns {Float32Array} Unit vector (all zeros for a zero vector)
+ */
+export function normalizeVector(vector) {
+	const unit = Float32Array.from(vector);
+	let norm = 0;
+	for (let i = 0; i < unit.length; i++) {
+		norm += unit[i] * unit[i];
+	}
+	norm = Math.sqrt(norm);
+	if (norm > 0) {
+		for (let i = 0; i < unit.length; i++) {
+			unit[i] /= norm;
+		}
+	}
+	return unit;
+}
+
+function dot(a, b) {
+	let sum = 0;
+	for (let i = 0; i < a.length; i++) {
+		sum += a[i] * b[i];
+	}
+	return sum;
+}
+
+/**
+ * Validate a vector and return its unit-length copy
+ */
+function toUnitVector(vector, dimensions) {
+	if (!Array.isArray(vector) && !ArrayBuffer.isView(vector)) {
+		throw new Error('Vector must be an array of numbers');
+	}
+	if (dimensions !== null && vector.length !== dimensions) {
+		throw new Error(`Expected a ${dimensions}-dimensional vector, got ${vector.length}`);
+	}
+	for (let i = 0; i < vector.length; i++) {
+		if (!Number.isFinite(vector[i])) {
+			throw new Error('Vector must contain only finite numbers');
+		}
+	}
+	return normalizeVector(vector);
+}
+
+/**
+ * Exact index: scores every stored vector on each query
+ */
+export class BruteForceIndex {
+	constructor() {
+		this.type = 'brute-force';
+		this.dimensions = null;
+		this.vectors = new Map();
+	}
+
+	get size() {
+		return this.vectors.size;
+	}
+
+	has(id) {
+		return this.vectors.has(id);
+	}
+
+	/**
+	 * Add or replace a vector
+	 * @param {string} id
+	 * @param {number[]} vector - Dimensions must match earlier vectors
+	 */
+	add(id, vector) {
+		const unit = toUnitVector(vector, this.dimensions);
+		this.dimensions ??= unit.length;
+		this.vectors.set(id, unit);
+	}
+
+	/**
+	 * @param {string} id
+	 * @returns {boolean} Whether the id was present
+	 */
+	remove(id) {
+		return this.vectors.delete(id);
+	}
+
+	/**
+	 * Top-k most similar vectors
+	 * @param {number[]} query
+	 * @param {number} k
+	 * @returns {Array<{id: string, score: number}>} Most similar first
+	 */
+	search(query, k) {
+		if (this.vectors.size === 0) {
+			return [];
+		}
+		const unit = toUnitVector(query, this.dimensions);
+		const scored = [];
+		for (const [id, vector] of this.vectors) {
+			scored.push({ id, score: dot(unit, vector) });
+		}
+		return scored.sort((a, b) => b.score - a.score).slice(0, k);
+	}
+}
+
+/**
+ * Approximate index: layered proximity graph searched greedily from the top layer
+ *
+ * Removed vectors stay in the graph as routing points until more than half the
+ * nodes are removed, then the graph is rebuilt from the live vectors.
+ */
+export class HnswIndex {
+	/**
+	 * @param {Object} [options]
+	 * @param {number} [options.m=16] - Neighbours per node (2m on the bottom layer)
+	 * @param {number} [options.efConstruction=200] - Candidate list size while inserting
+	 * @param {number} [options.efSearch=50] - Candidate list size while searching (raised to k when smaller)
+	 * @param {Function} [options.random] - Source of [0, 1) values for level assignment (default: Math.random)
+	 */
+	constructor(options = {}) {
+		this.type = 'hnsw';
+		this.m = options.m || 16;
+		this.efConstruction = options.efConstruction || 200;
+		this.efSearch = options.efSearch || 50;
+		this.random = options.random || Math.random;
+		this.levelMultiplier = 1 / Math.log(Math.max(this.m, 2));
+		this._reset();
+	}
+
+	_reset() {
+		this.dimensions = null;
+		// node: { id, vector, level, neighbors: number[][] (per layer), deleted }
+		this.nodes = [];
+		this.nodeById = new Map();
+		this.entryPoint = -1;
+		this.maxLevel = -1;
+		this.deletedCount = 0;
+	}
+
+	get size() {
+		return this.nodeById.size;
+	}
+
+	has(id) {
+		return this.nodeById.has(id);
+	}
+
+	/**
+	 * Add or replace a vector
+	 * @param {string} id
+	 * @param {number[]} vector - Dimensions must match earlier vectors
+	 */
+	add(id, vector) {
+		const unit = toUnitVector(vector, this.dimensions);
+		this.dimensions ??= unit.length;
+		this.remove(id);
+		this._insert(id, unit);
+	}
+
+	/**
+	 * @param {string} id
+	 * @returns {boolean} Whether the id was present
+	 */
+	remove(id) {
+		const index = this.nodeById.get(id);
+		if (index === undefined) {
+			return false;
+		}
+		this.nodes[index].deleted = true;
+		this.nodeById.delete(id);
+		this.deletedCount++;
+		if (this.deletedCount > this.nodes.length / 2) {
+			this._compact();
+		}
+		return true;
+	}
+
+	/**
+	 * Approximate top-k most similar vectors
+	 * @param {number[]} query
+	 * @param {number} k
+	 * @returns {Array<{id: string, score: number}>} Most similar first
+	 */
+	search(query, k) {
+		if (this.nodeById.size === 0) {
+			return [];
+		}
+		const unit = toUnitVector(query, this.dimensions);
+
+		let entry = this.entryPoint;
+		for (let level = this.maxLevel; level > 0; level--) {
+			entry = this._searchLayer(unit, entry, 1, level)[0].index;
+		}
+
+		// Removed nodes still occupy candidate slots, so widen the search by the share removed
+		const ef = Math.ceil(Math.max(this.efSearch, k) * (this.nodes.length / this.nodeById.size));
+		return this._searchLayer(unit, entry, ef, 0)
+			.filter(({ index }) => !this.nodes[index].deleted)
+			.slice(0, k)
+			.map(({ index, distance }) => ({ id: this.nodes[index].id, score: 1 - distance }));
+	}
+
+	_insert(id, unit) {
+		const level = Math.floor(-Math.log(1 - this.random()) * this.levelMultiplier);
+		const index = this.nodes.length;
+		const node = { id, vector: unit, level, neighbors: Array.from({ length: level + 1 }, () => []), deleted: false };
+		this.nodes.push(node);
+		this.nodeById.set(id, index);
+
+		if (this.entryPoint === -1) {
+			this.entryPoint = index;
+			this.maxLevel = level;
+			return;
+		}
+
+		let entry = this.entryPoint;
+		for (let layer = this.maxLevel; layer > level; layer--) {
+			entry = this._searchLayer(unit, entry, 1, layer)[0].index;
+		}
+
+		for (let layer = Math.min(level, this.maxLevel); layer >= 0; layer--) {
+			const candidates = this._searchLayer(unit, entry, this.efConstruction, layer);
+			const maxNeighbors = layer === 0 ? this.m * 2 : this.m;
+			node.neighbors[layer] = candidates.slice(0, this.m).map((candidate) => candidate.index);
+
+			for (const neighborIndex of node.neighbors[layer]) {
+				const neighbor = this.nodes[neighborIndex];
+				neighbor.neighbors[layer].push(index);
+				if (neighbor.neighbors[layer].length > maxNeighbors) {
+					// Keep the neighbour's closest links
+					neighbor.neighbors[layer] = neighbor.neighbors[layer]
+						.map((other) => ({ other, distance: 1 - dot(neighbor.vector, this.nodes[other].vector) }))
+						.sort((a, b) => a.distance - b.distance)
+						.slice(0, maxNeighbors)
+						.map(({ other }) => other);
+				}
+			}
+			entry = candidates[0].index;
+		}
+
+		if (level > this.maxLevel) {
+			this.entryPoint = index;
+			this.maxLevel = level;
+		}
+	}
+
+	/**
+	 * Best-first search of one layer
+	 * @returns {Array<{index: number, distance: number}>} Up to ef nearest nodes, closest first
+	 */
+	_searchLayer(unit, entryIndex, ef, layer) {
+		const entry = { index: entryIndex, distance: 1 - dot(unit, this.nodes[entryIndex].vector) };
+		const visited = new Set([entryIndex]);
+		// Both lists are kept sorted closest first
+		const candidates = [entry];
+		const results = [entry];
+
+		while (candidates.length > 0) {
+			const current = candidates.shift();
+			if (results.length >= ef && current.distance > results[results.length - 1].distance) {
+				break;
+			}
+			for (const neighborIndex of this.nodes[current.index].neighbors[layer] || []) {
+				if (visited.has(neighborIndex)) {
+					continue;
+				}
+				visited.add(neighborIndex);
+				const distance = 1 - dot(unit, this.nodes[neighborIndex].vector);
+				if (results.length < ef || distance < results[results.length - 1].distance) {
+					const found = { index: neighborIndex, distance };
+					insertSorted(candidates, found);
+					insertSorted(results, found);
+					if (results.length > ef) {
+						results.pop();
+					}
+				}
+			}
+		}
+		return results;
+	}
+
+	/**
+	 * Rebuild the graph from live nodes, dropping removed ones
+	 */
+	_compact() {
+		const live = this.nodes.filter((node) => !node.deleted);
+		const dimensions = this.dimensions;
+		this._reset();
+		this.dimensions = dimensions;
+		for (const node of live) {
+			this._insert(node.id, node.vector);
+		}
+	}
+}
+
+function insertSorted(list, item) {
+	let low = 0;
+	let high = list.length;
+	while (low < high) {
+		const mid = (low + high) >> 1;
+		if (list[mid].distance <= item.distance) {
+			low = mid + 1;
+		} else {
+			high = mid;
+		}
+	}
+	list.splice(low, 0, item);
+}
+
+/**
+ * Create an empty index
+ * @param {string} [type='brute-force'] - 'brute-force' or 'hnsw'
+ * @param {Object} [options] - HnswIndex options
+ * @returns {BruteForceIndex|HnswIndex}
+ * @throws {Error} If the type is unknown
+ */
+export function createVectorIndex(type = 'brute-force', options = {}) {
+	if (type === 'brute-force') {
+		return new BruteForceIndex();
+	}
+	if (type === 'hnsw') {
+		return new HnswIndex(options);
+	}
+	throw new Error(`Unknown vector index type: ${type} (expected one of ${VECTOR_INDEX_TYPES.join(', ')})`);
+}
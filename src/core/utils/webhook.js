@@ -0,0 +1,37 @@
+/**
+ * Webhook utilities
+ *
+ * Best-effort JSON POST used for job notifications (ModelFetchWorker) and
+ * alert delivery (AlertEvaluator). Failures are logged, never thrown.
+ */
+
+/* global logger */
+
+/**
+ * POST a JSON payload to a webhook URL
+ *
+ * @param {string} url - Webhook URL
+ * @param {Object} payload - JSON-serializable payload
+ * @param {string} [logPrefix='[Webhook]'] - Prefix for log messages (e.g. '[ModelFetchWorker]')
+ * @returns {Promise<boolean>} True if the endpoint answered with a 2xx status
+ * @example
+ * const delivered = await postWebhook('https://hooks.example.com/ai', { status: 'completed' });
+ */
+export async function postWebhook(url, payload, logPrefix = '[Webhook]') {
+	try {
+		const response = await fetch(url, {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify(payload),
+		});
+
+		if (!response.ok) {
+			logger.warn(`${logPrefix} Webhook failed: ${response.status} ${response.statusText}`);
+			return false;
+		}
+		return true;
+	} catch (error) {
+		logger.error(`${logPrefix} Error calling webhook:`, error.message);
+		return false;
+	}
+}
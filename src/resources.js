@@ -9,14 +9,30 @@ import { v4 as uuidv4 } from 'uuid';
 import {
 	InferenceEngine,
 	MonitoringBackend,
-	BenchmarkEngine
+	BenchmarkEngine,
+	DriftDetector,
+	AlertEvaluator,
+	MetricsAggregator,
+	ModelRouter,
+	ExperimentManager,
+	DeploymentGuard,
+	ModelLifecycle,
+	EmbeddingIndex,
+	UserProfileBuilder
 } from './core/index.js';
 import { globals } from './globals.js';
 import { ModelFetchWorker } from './core/ModelFetchWorker.js';
+import { BenchmarkWorker } from './core/BenchmarkWorker.js';
 import { LocalFilesystemAdapter } from './core/fetchers/LocalFilesystemAdapter.js';
 import { HttpUrlAdapter } from './core/fetchers/HttpUrlAdapter.js';
 import { HuggingFaceAdapter } from './core/fetchers/HuggingFaceAdapter.js';
+import { OllamaSourceAdapter } from './core/fetchers/OllamaSourceAdapter.js';
+import { S3SourceAdapter } from './core/fetchers/S3SourceAdapter.js';
 import { verifyModelFetchAuth } from './core/utils/auth.js';
+import { normalizeSha256, sha256Hex } from './core/utils/integrity.js';
+import { resolveRanking } from './core/utils/ranking.js';
+import { rerankProducts, resolveRerank } from './core/utils/rerank.js';
+import { abortOnClose } from './core/utils/stream.js';
 
 // Initialize personalization engine (shared across requests)
 const personalizationEngineCache = new Map();
@@ -28,7 +44,8 @@ async function getPersonalizationEngine(modelName, modelVersion) {
 		const engine = new PersonalizationEngine({
 			inferenceEngine,
 			modelName,
-			modelVersion
+			modelVersion,
+			embeddingIndex
 		});
 		await engine.initialize();
 		personalizationEngineCache.set(cacheKey, engine);
@@ -41,7 +58,17 @@ async function getPersonalizationEngine(modelName, modelVersion) {
 let monitoringBackend;
 let inferenceEngine;
 let benchmarkEngine;
+let benchmarkWorker;
+let driftDetector;
+let alertEvaluator;
+let metricsAggregator;
+let modelRouter;
+let experimentManager;
+let deploymentGuard;
+let modelLifecycle;
 let modelFetchWorker;
+let embeddingIndex;
+let userProfileBuilder;
 
 async function ensureInitialized() {
 	if (!inferenceEngine) {
@@ -55,6 +82,73 @@ async function ensureInitialized() {
 	if (!benchmarkEngine) {
 		benchmarkEngine = new BenchmarkEngine(inferenceEngine);
 	}
+	// Rebuild the in-memory vector indexes from stored embeddings and follow table changes (once)
+	if (!embeddingIndex) {
+		embeddingIndex = new EmbeddingIndex(inferenceEngine);
+		try {
+			const { indexes, embeddings } = await embeddingIndex.watch();
+			if (typeof logger !== 'undefined') {
+				logger.info(`[ensureInitialized] EmbeddingIndex loaded ${embeddings} embeddings into ${indexes} indexes`);
+			}
+		} catch (error) {
+			if (typeof logger !== 'undefined') {
+				logger.error('[ensureInitialized] Failed to load EmbeddingIndex:', error);
+			}
+		}
+	}
+	if (!userProfileBuilder) {
+		userProfileBuilder = new UserProfileBuilder(embeddingIndex);
+	}
+	// Initialize Benchmark Worker (once)
+	if (!benchmarkWorker) {
+		benchmarkWorker = new BenchmarkWorker(benchmarkEngine);
+		if (process.env.BENCHMARK_WORKER !== 'false') {
+			try {
+				await benchmarkWorker.start();
+				globals.set('benchmarkWorker', benchmarkWorker);
+			} catch (error) {
+				if (typeof logger !== 'undefined') {
+					logger.error('[ensureInitialized] Failed to start BenchmarkWorker:', error);
+				}
+			}
+		}
+	}
+	if (!driftDetector) {
+		driftDetector = new DriftDetector();
+	}
+	if (!modelRouter) {
+		modelRouter = new ModelRouter();
+	}
+	if (!experimentManager) {
+		experimentManager = new ExperimentManager();
+	}
+	if (!modelLifecycle) {
+		modelLifecycle = new ModelLifecycle(monitoringBackend);
+	}
+	// Initialize Metrics Aggregator (once)
+	if (!metricsAggregator) {
+		metricsAggregator = new MetricsAggregator();
+		if (process.env.METRICS_AGGREGATOR !== 'false') {
+			metricsAggregator.start();
+			globals.set('metricsAggregator', metricsAggregator);
+		}
+	}
+	// Initialize Alert Evaluator (once)
+	if (!alertEvaluator) {
+		alertEvaluator = new AlertEvaluator(monitoringBackend, driftDetector);
+		if (process.env.ALERT_EVALUATOR !== 'false') {
+			alertEvaluator.start();
+			globals.set('alertEvaluator', alertEvaluator);
+		}
+	}
+	// Initialize Deployment Guard (once)
+	if (!deploymentGuard) {
+		deploymentGuard = new DeploymentGuard(monitoringBackend, modelRouter, null, { lifecycle: modelLifecycle });
+		if (process.env.DEPLOYMENT_GUARD !== 'false') {
+			deploymentGuard.start();
+			globals.set('deploymentGuard', deploymentGuard);
+		}
+	}
 	// Initialize Model Fetch Worker (once)
 	if (!modelFetchWorker && process.env.MODEL_FETCH_WORKER !== 'false') {
 		try {
@@ -65,157 +159,1063 @@ async function ensureInitialized() {
 				logger.info('[ensureInitialized] ModelFetchWorker started');
 			}
 		} catch (error) {
-			if (typeof logger !== 'undefined') {
-				logger.error('[ensureInitialized] Failed to start ModelFetchWorker:', error);
-			}
+			if (typeof logger !== 'undefined') {
+				logger.error('[ensureInitialized] Failed to start ModelFetchWorker:', error);
+			}
+		}
+	}
+}
+
+/**
+ * Main resource for product personalization
+ * Supports model selection via query parameters: ?modelName=...&modelVersion=...
+ * POST { products, userContext?, userId?, profileWeight?, ranking?, rerank? }
+ *   With userId, viewed/purchased products and preferred categories are loaded from the Feature table
+ *   (entityId = userId) and a time-decayed profile embedding is blended into the scores
+ *   ranking: { fusion: 'semantic' (default) | 'weighted' | 'rrf', lexicalWeight?, rrfK?, k1?, b? }
+ *   fuses embedding similarity with BM25 keyword scores; products then carry a scoreBreakdown
+ *   rerank: { boost?: { category: amount }, bury?: [category], inStockOnly?, priceRange?: { min?, max? },
+ *     diversity?: true | { lambda }, limit? } runs after scoring; priceRange defaults to userContext.priceRange
+ */
+export class Personalize extends Resource {
+	async post(data, request) {
+		const requestId = uuidv4();
+		const startTime = Date.now();
+
+		try {
+			await ensureInitialized();
+
+			// Parse query parameters for model selection
+			const url = new URL(request.url);
+			const modelName = url.searchParams.get('modelName');
+			const modelVersion = url.searchParams.get('modelVersion');
+
+			if (!modelName || !modelVersion) {
+				return {
+					error: 'modelName and modelVersion query parameters are required',
+					requestId
+				};
+			}
+
+			const { products, userContext, userId, profileWeight, ranking, rerank } = data;
+
+			if (!products || !Array.isArray(products)) {
+				return {
+					error: 'Missing or invalid products array',
+					requestId
+				};
+			}
+
+			// Get AI engine with model selection
+			const engine = await getPersonalizationEngine(modelName, modelVersion);
+
+			if (!engine.isReady()) {
+				return {
+					error: 'AI engine not ready',
+					requestId
+				};
+			}
+
+			const invalidWeight = typeof profileWeight !== 'number' || profileWeight < 0 || profileWeight > 1;
+			if (profileWeight !== undefined && invalidWeight) {
+				return {
+					error: 'profileWeight must be a number between 0 and 1',
+					requestId
+				};
+			}
+
+			let rankingOptions;
+			let rerankRules;
+			try {
+				rankingOptions = resolveRanking(ranking);
+				rerankRules = resolveRerank(rerank, userContext);
+			} catch (error) {
+				return {
+					error: error.message,
+					requestId
+				};
+			}
+
+			// Blend in the user's history when known
+			let context = userContext || {};
+			let profile = null;
+			if (userId) {
+				profile = await userProfileBuilder.build(userId, { modelName, modelVersion });
+				if (profile.preferredCategories.length > 0 && !context.preferredCategories) {
+					context = { ...context, preferredCategories: profile.preferredCategories };
+				}
+			}
+
+			// Score products with personalization
+			const scored = await engine.scoreProducts(products, context, {
+				profileVector: profile?.vector,
+				profileWeight,
+				ranking: rankingOptions
+			});
+
+			// Filter, apply category rules and diversify, then sort by adjusted score
+			const reranked = rerankProducts(scored.products, rerankRules, { vectors: scored.embeddings });
+
+			return {
+				requestId,
+				products: reranked.products,
+				personalized: true,
+				model: `${modelName}:${modelVersion}`,
+				ranking: rankingOptions,
+				rerank: { ...rerankRules, ...reranked.report },
+				profile: profile && {
+					entityId: profile.entityId,
+					applied: profile.vector !== null,
+					itemCount: profile.itemCount,
+					interactionCount: profile.interactionCount,
+					missingItems: profile.missingItems,
+					preferredCategories: profile.preferredCategories
+				},
+				responseTime: Date.now() - startTime
+			};
+		} catch (error) {
+			logger.error('Personalization failed:', error);
+			return {
+				error: error.message,
+				requestId
+			};
+		}
+	}
+}
+
+/**
+ * Embedding index resource
+ * GET /IndexEmbeddings - In-memory indexes with their size and dimensions
+ * POST /IndexEmbeddings { modelName, modelVersion, items: [{ id, text? | name, description, category, ... }], collection?, force? }
+ *   Embeds and stores items once; items with unchanged text are skipped unless force is set
+ * POST /IndexEmbeddings { action: 'remove', modelName, modelVersion, itemIds, collection? } - Remove items
+ * POST /IndexEmbeddings { action: 'rebuild' } - Reload this thread's indexes from the Embedding table
+ *   (other threads apply Embedding changes through their table subscription)
+ */
+export class IndexEmbeddings extends Resource {
+	async get() {
+		try {
+			await ensureInitialized();
+
+			const indexes = embeddingIndex.listIndexes();
+			return {
+				count: indexes.length,
+				indexes
+			};
+		} catch (error) {
+			logger.error('List embedding indexes failed:', error);
+			return {
+				error: error.message
+			};
+		}
+	}
+
+	async post(data) {
+		try {
+			await ensureInitialized();
+
+			const { action = 'index', ...input } = data || {};
+
+			switch (action) {
+				case 'index':
+					return await embeddingIndex.indexItems(input);
+				case 'remove':
+					return await embeddingIndex.removeItems(input);
+				case 'rebuild':
+					return await embeddingIndex.load();
+				default:
+					return { error: `Unknown action: ${action}` };
+			}
+		} catch (error) {
+			logger.error('Index embeddings failed:', error);
+			return {
+				error: error.message
+			};
+		}
+	}
+}
+
+/**
+ * Similarity search resource
+ * POST /SimilaritySearch { query, modelName, modelVersion, k?, collection? }
+ *   Embeds the query with the model the collection was indexed with and returns the top-k items by cosine similarity
+ */
+export class SimilaritySearch extends Resource {
+	async post(data) {
+		const startTime = Date.now();
+
+		try {
+			await ensureInitialized();
+
+			const { query, modelName, modelVersion, k, collection } = data || {};
+			const result = await embeddingIndex.search({ query, modelName, modelVersion, k, collection });
+
+			return {
+				...result,
+				responseTime: Date.now() - startTime
+			};
+		} catch (error) {
+			logger.error('Similarity search failed:', error);
+			return {
+				error: error.message
+			};
+		}
+	}
+}
+
+/**
+ * Health check resource
+ */
+export class Status extends Resource {
+	async get() {
+		return {
+			status: 'healthy',
+			uptime: process.uptime(),
+			memory: process.memoryUsage(),
+			components: {
+				inferenceEngine: 'ready',
+				monitoringBackend: 'ready',
+				benchmarkEngine: 'ready'
+			},
+			// Counters are per thread; null until the first request initializes the engine
+			embeddingCache: inferenceEngine ? inferenceEngine.getEmbeddingCacheStats() : null
+		};
+	}
+}
+
+/**
+ * Predict resource - POST /predict
+ * Run inference with a loaded model
+ * Without modelVersion, the version is picked by a running Experiment or the model's ModelRoute, else v1
+ * Failed inferences are recorded with errorCode/errorMessage and return { error, inferenceId }
+ */
+export class Predict extends Resource {
+	async post(data) {
+		try {
+			await ensureInitialized();
+
+			const { modelName, features, userId, sessionId } = data;
+
+			// Validation
+			if (!modelName || !features) {
+				return {
+					error: 'modelName and features required'
+				};
+			}
+
+			const { modelVersion, assignment } = await resolveModelVersion(data);
+
+			// Fetch model from table
+			const id = `${modelName}:${modelVersion}`;
+
+			// Check if Model table is available
+			if (!tables.Model) {
+				return {
+					error: 'Model table not available. Check schema configuration.'
+				};
+			}
+
+			const model = await tables.Model.get(id);
+
+			if (!model) {
+				return {
+					error: `Model ${id} not found`
+				};
+			}
+
+			// Run inference (failures are recorded so they show up in error rates)
+			const startTime = Date.now();
+			let result;
+			try {
+				result = await inferenceEngine.predict(modelName, features, modelVersion, model);
+			} catch (error) {
+				logger.error('Prediction failed:', error);
+				const inferenceId = await recordFailedInference({
+					modelName,
+					modelVersion,
+					model,
+					features,
+					userId,
+					sessionId,
+					assignment,
+					error,
+					latencyMs: Date.now() - startTime
+				});
+				return {
+					error: error.message,
+					inferenceId
+				};
+			}
+
+			// Record to monitoring
+			const inferenceId = await monitoringBackend.recordInference({
+				modelName,
+				modelVersion: result.modelVersion,
+				framework: result.framework,
+				requestId: `req-${Date.now()}`,
+				userId: userId || null,
+				sessionId: sessionId || null,
+				featuresIn: JSON.stringify(features),
+				prediction: JSON.stringify(result.output),
+				confidence: result.confidence || null,
+				// Embedding cache hits would drag latency percentiles towards 0
+				latencyMs: result.backendLatencyMs,
+				cached: result.backendLatencyMs === null,
+				...assignment
+			});
+
+			return {
+				inferenceId,
+				prediction: result.output,
+				confidence: result.confidence,
+				modelVersion: result.modelVersion,
+				latencyMs: result.latencyMs
+			};
+		} catch (error) {
+			logger.error('Prediction failed:', error);
+			return {
+				error: error.message
+			};
+		}
+	}
+}
+
+/**
+ * PredictStream resource - POST /PredictStream
+ * Run streaming inference (Ollama chat) and return Server-Sent Events:
+ *   event: token  data: {"content": "..."}
+ *   event: done   data: {"inferenceId", "prediction", "modelVersion", "latencyMs", "promptTokens", "completionTokens"}
+ *   event: error  data: {"error": "...", "inferenceId"}
+ * One InferenceEvent is recorded when the stream completes (with errorCode/errorMessage if it fails).
+ */
+export class PredictStream extends Resource {
+	async post(data) {
+		try {
+			await ensureInitialized();
+
+			const { modelName, features, userId, sessionId } = data;
+
+			// Validation
+			if (!modelName || !features) {
+				return {
+					error: 'modelName and features required'
+				};
+			}
+
+			const { modelVersion, assignment } = await resolveModelVersion(data);
+
+			if (!tables.Model) {
+				return {
+					error: 'Model table not available. Check schema configuration.'
+				};
+			}
+
+			const id = `${modelName}:${modelVersion}`;
+			const model = await tables.Model.get(id);
+
+			if (!model) {
+				return {
+					error: `Model ${id} not found`
+				};
+			}
+
+			if (model.framework !== 'ollama') {
+				return {
+					error: `Streaming is not supported for framework ${model.framework}`
+				};
+			}
+
+			// The upstream Ollama request is aborted when the response stream is destroyed (e.g. the client went away)
+			const stream = abortOnClose((signal) =>
+				streamPrediction({ modelName, modelVersion, model, features, userId, sessionId, assignment, signal })
+			);
+
+			return {
+				status: 200,
+				headers: {
+					'Content-Type': 'text/event-stream',
+					'Cache-Control': 'no-cache',
+					'Connection': 'keep-alive'
+				},
+				data: stream
+			};
+		} catch (error) {
+			logger.error('Streaming prediction failed:', error);
+			return {
+				error: error.message
+			};
+		}
+	}
+}
+
+/**
+ * Pick the model version for a Predict request
+ * An explicit modelVersion wins; otherwise a running Experiment assigns a variant, then the model's
+ * ModelRoute decides (both sticky by userId/sessionId), falling back to v1.
+ * `assignment` is recorded on the InferenceEvent.
+ * @returns {Promise<{modelVersion: string, assignment: {routed: boolean, experimentId?: string, variant?: string}}>}
+ */
+async function resolveModelVersion({ modelName, modelVersion, userId, sessionId }) {
+	if (modelVersion) {
+		return { modelVersion, assignment: { routed: false } };
+	}
+
+	const experiment = await experimentManager.assign(modelName, { userId, sessionId });
+	if (experiment) {
+		return {
+			modelVersion: experiment.modelVersion,
+			assignment: { routed: false, experimentId: experiment.experimentId, variant: experiment.variant }
+		};
+	}
+
+	const routedVersion = await modelRouter.resolve(modelName, { userId, sessionId });
+	return { modelVersion: routedVersion || 'v1', assignment: { routed: Boolean(routedVersion) } };
+}
+
+/**
+ * Record a failed inference as an InferenceEvent with an error code/message
+ * @returns {Promise<string|null>} inferenceId, or null if recording also failed
+ */
+async function recordFailedInference({
+	modelName,
+	modelVersion,
+	model,
+	features,
+	userId,
+	sessionId,
+	assignment,
+	error,
+	latencyMs
+}) {
+	try {
+		return await monitoringBackend.recordInference({
+			modelName,
+			modelVersion,
+			framework: model.framework,
+			requestId: `req-${Date.now()}`,
+			userId: userId || null,
+			sessionId: sessionId || null,
+			featuresIn: JSON.stringify(features),
+			prediction: null,
+			latencyMs,
+			errorCode: error.code || 'INFERENCE_ERROR',
+			errorMessage: error.message,
+			...assignment
+		});
+	} catch (recordError) {
+		logger.warn('Failed to record failed inference:', recordError.message);
+		return null;
+	}
+}
+
+/**
+ * Format a Server-Sent Event frame
+ */
+function sseEvent(event, payload) {
+	return `event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`;
+}
+
+/**
+ * Relay inference chunks as SSE frames and record the InferenceEvent on completion
+ * `signal` aborts when the client disconnects; the InferenceEvent is then recorded as CLIENT_DISCONNECTED.
+ */
+async function* streamPrediction({ modelName, modelVersion, model, features, userId, sessionId, assignment, signal }) {
+	const startTime = Date.now();
+	try {
+		for await (const chunk of inferenceEngine.predictStream(modelName, features, modelVersion, model, { signal })) {
+			if (!chunk.done) {
+				yield sseEvent('token', { content: chunk.content });
+				continue;
+			}
+
+			const promptTokens = chunk.output.prompt_eval_count ?? null;
+			const completionTokens = chunk.output.eval_count ?? null;
+
+			const inferenceId = await monitoringBackend.recordInference({
+				modelName,
+				modelVersion: chunk.modelVersion,
+				framework: chunk.framework,
+				requestId: `req-${Date.now()}`,
+				userId: userId || null,
+				sessionId: sessionId || null,
+				featuresIn: JSON.stringify(features),
+				prediction: JSON.stringify(chunk.output),
+				latencyMs: chunk.latencyMs,
+				promptTokens,
+				completionTokens,
+				...assignment
+			});
+
+			yield sseEvent('done', {
+				inferenceId,
+				prediction: chunk.output,
+				modelVersion: chunk.modelVersion,
+				latencyMs: chunk.latencyMs,
+				promptTokens,
+				completionTokens
+			});
+		}
+	} catch (error) {
+		if (signal?.aborted) {
+			logger.warn('Streaming prediction aborted: client disconnected');
+			await recordFailedInference({
+				modelName,
+				modelVersion,
+				model,
+				features,
+				userId,
+				sessionId,
+				assignment,
+				error: { code: 'CLIENT_DISCONNECTED', message: 'Client disconnected before the stream completed' },
+				latencyMs: Date.now() - startTime
+			});
+			return;
+		}
+
+		logger.error('Streaming prediction failed:', error);
+		const inferenceId = await recordFailedInference({
+			modelName,
+			modelVersion,
+			model,
+			features,
+			userId,
+			sessionId,
+			assignment,
+			error,
+			latencyMs: Date.now() - startTime
+		});
+		yield sseEvent('error', { error: error.message, inferenceId });
+	}
+}
+
+/**
+ * ModelRoutes resource
+ * GET /ModelRoutes - List routes
+ * GET /ModelRoutes?modelName=... - Route for a model plus per-version metrics of routed traffic
+ * POST /ModelRoutes - Create or replace a route
+ *   Body: { modelName, versions: [{ modelVersion, weight }] }
+ * Remove a route with DELETE /ModelRoute/<modelName>
+ */
+export class ModelRoutes extends Resource {
+	async get(data, request) {
+		try {
+			await ensureInitialized();
+
+			const url = new URL(request.url);
+			const modelName = url.searchParams.get('modelName');
+
+			if (!modelName) {
+				const routes = await modelRouter.listRoutes();
+				return {
+					count: routes.length,
+					routes
+				};
+			}
+
+			const route = await modelRouter.getRoute(modelName);
+			if (!route) {
+				return {
+					error: `No route for model ${modelName}`
+				};
+			}
+
+			const metrics = await monitoringBackend.getMetrics(modelName, { routed: true });
+
+			return {
+				...route,
+				metrics: metrics.byVersion
+			};
+		} catch (error) {
+			logger.error('Get model route failed:', error);
+			return {
+				error: error.message
+			};
+		}
+	}
+
+	async post(data) {
+		try {
+			await ensureInitialized();
+
+			return await modelRouter.setRoute(data?.modelName, data?.versions);
+		} catch (error) {
+			logger.error('Set model route failed:', error);
+			return {
+				error: error.message
+			};
+		}
+	}
+}
+
+/**
+ * Experiments resource
+ * GET /Experiments?modelName=...&status=running|stopped - List experiments
+ * GET /Experiments?id=...&confidenceLevel=0.95 - Per-variant metrics, significance tests and winner
+ * POST /Experiments - Create and start an experiment
+ *   Body: { modelName, variants: [{ name, modelVersion, weight }], name? } (first variant is the control)
+ * POST /Experiments { action: 'stop', id } - Stop an experiment
+ */
+export class Experiments extends Resource {
+	async get(data, request) {
+		try {
+			await ensureInitialized();
+
+			const url = new URL(request.url);
+			const id = url.searchParams.get('id');
+
+			if (id) {
+				const confidenceLevel = parseFloat(url.searchParams.get('confidenceLevel')) || undefined;
+				return await experimentManager.analyze(id, { confidenceLevel });
+			}
+
+			const experiments = await experimentManager.listExperiments({
+				modelName: url.searchParams.get('modelName'),
+				status: url.searchParams.get('status')
+			});
+
+			return {
+				count: experiments.length,
+				experiments
+			};
+		} catch (error) {
+			logger.error('Get experiments failed:', error);
+			return {
+				error: error.message
+			};
+		}
+	}
+
+	async post(data) {
+		try {
+			await ensureInitialized();
+
+			const { action = 'create', ...input } = data || {};
+
+			if (action === 'create') {
+				return await experimentManager.createExperiment(input);
+			} else if (action === 'stop') {
+				if (!input.id) {
+					return {
+						error: 'id required'
+					};
+				}
+				return await experimentManager.stopExperiment(input.id);
+			}
+
+			return {
+				error: `Unknown action: ${action}. Supported: create, stop`
+			};
+		} catch (error) {
+			logger.error('Experiment action failed:', error);
+			return {
+				error: error.message
+			};
+		}
+	}
+}
+
+/**
+ * Monitoring resource
+ * GET /Monitoring?modelName=... - Compute aggregate metrics (use GET /InferenceEvent for raw events)
+ *   - routed=true: only requests whose version was picked by a ModelRoute (compare arms via byVersion)
+ * GET /Monitoring?modelName=...&startTime=...&endTime=...&granularity=5min|hourly|daily
+ *   - Time-range metrics from ModelMetrics rollups (granularity picked from the range when omitted); the bucket
+ *     in progress and ranges without rollups are computed from raw InferenceEvents
+ *   - startTime/endTime are ms timestamps (default: the last 24 hours); non-numeric or inverted ranges are rejected
+ * GET /Monitoring/drift?modelName=...&limit=... - Stored drift results, most recent first
+ * POST /Monitoring/drift - Run drift detection for a model and store the result
+ */
+export class Monitoring extends Resource {
+	async get(data, request) {
+		try {
+			await ensureInitialized();
+
+			if (!request || !request.url) {
+				return {
+					error: 'Invalid request'
+				};
+			}
+
+			const url = new URL(request.url);
+			const modelName = url.searchParams.get('modelName');
+
+			if (!modelName) {
+				return {
+					error: 'modelName parameter required'
+				};
+			}
+
+			if (isDriftPath(url)) {
+				const limit = parseInt(url.searchParams.get('limit')) || undefined;
+				const history = await driftDetector.getHistory(modelName, { limit });
+
+				return {
+					modelName,
+					count: history.length,
+					results: history
+				};
+			}
+
+			// Time range
+			const startTime = url.searchParams.get('startTime');
+			const endTime = url.searchParams.get('endTime');
+			const granularity = url.searchParams.get('granularity');
+
+			// Time-range queries are answered from rollups, filled in from raw events where there are none
+			if (startTime || endTime || granularity) {
+				const end = endTime ? Number(endTime) : Date.now();
+				const start = startTime ? Number(startTime) : end - 24 * 60 * 60 * 1000;
+				if (!Number.isFinite(start) || !Number.isFinite(end)) {
+					return {
+						error: 'startTime and endTime must be timestamps in milliseconds'
+					};
+				}
+				if (start >= end) {
+					return {
+						error: 'startTime must be before endTime'
+					};
+				}
+
+				const rollups = await metricsAggregator.getRollups(modelName, {
+					startTime: start,
+					endTime: end,
+					granularity
+				});
+
+				return {
+					modelName,
+					startTime: start,
+					endTime: end,
+					...rollups.summary,
+					granularity: rollups.granularity,
+					buckets: rollups.buckets
+				};
+			}
+
+			const routed = url.searchParams.get('routed') === 'true';
+			const metrics = await monitoringBackend.getMetrics(modelName, { routed });
+
+			return {
+				modelName,
+				...metrics
+			};
+		} catch (error) {
+			logger.error('Get metrics failed:', error);
+			return {
+				error: error.message
+			};
+		}
+	}
+
+	async post(data, request) {
+		try {
+			await ensureInitialized();
+
+			if (!request?.url || !isDriftPath(new URL(request.url))) {
+				return {
+					error: 'Unsupported monitoring action. Use POST /Monitoring/drift'
+				};
+			}
+
+			const {
+				modelName,
+				modelVersion,
+				currentWindowMs,
+				referenceWindowMs,
+				currentStart,
+				currentEnd,
+				referenceStart,
+				referenceEnd
+			} = data || {};
+
+			if (!modelName) {
+				return {
+					error: 'modelName is required'
+				};
+			}
+
+			return await driftDetector.detect(modelName, {
+				modelVersion,
+				currentWindowMs,
+				referenceWindowMs,
+				currentStart,
+				currentEnd,
+				referenceStart,
+				referenceEnd
+			});
+		} catch (error) {
+			logger.error('Drift detection failed:', error);
+			return {
+				error: error.message
+			};
+		}
+	}
+}
+
+/**
+ * True when the request targets /Monitoring/drift
+ */
+function isDriftPath(url) {
+	return /\/drift\/?$/i.test(url.pathname);
+}
+
+/**
+ * AlertRules resource
+ * GET /AlertRules?modelName=... - List alert rules
+ * POST /AlertRules - Create a validated alert rule
+ *   Body: { modelName, metric, operator, threshold, severity?, windowMs?, cooldownMs?, webhookUrl?, name? }
+ */
+export class AlertRules extends Resource {
+	async get(data, request) {
+		try {
+			await ensureInitialized();
+
+			const url = new URL(request.url);
+			const modelName = url.searchParams.get('modelName');
+
+			const rules = await alertEvaluator.listRules({ modelName });
+
+			return {
+				count: rules.length,
+				rules
+			};
+		} catch (error) {
+			logger.error('List alert rules failed:', error);
+			return {
+				error: error.message
+			};
+		}
+	}
+
+	async post(data) {
+		try {
+			await ensureInitialized();
+
+			return await alertEvaluator.createRule(data);
+		} catch (error) {
+			logger.error('Create alert rule failed:', error);
+			return {
+				error: error.message
+			};
+		}
+	}
+}
+
+/**
+ * Alerts resource
+ * GET /Alerts?modelName=...&severity=...&limit=... - Fired alerts, most recent first
+ * POST /Alerts - Evaluate all enabled rules now and return the alerts that fired
+ */
+export class Alerts extends Resource {
+	async get(data, request) {
+		try {
+			await ensureInitialized();
+
+			const url = new URL(request.url);
+			const modelName = url.searchParams.get('modelName');
+			const severity = url.searchParams.get('severity');
+			const limit = parseInt(url.searchParams.get('limit')) || 100;
+
+			const events = await alertEvaluator.getEvents({ modelName, severity, limit });
+
+			return {
+				count: events.length,
+				alerts: events
+			};
+		} catch (error) {
+			logger.error('List alerts failed:', error);
+			return {
+				error: error.message
+			};
+		}
+	}
+
+	async post() {
+		try {
+			await ensureInitialized();
+
+			const fired = await alertEvaluator.evaluate();
+
+			return {
+				count: fired.length,
+				alerts: fired
+			};
+		} catch (error) {
+			logger.error('Alert evaluation failed:', error);
+			return {
+				error: error.message
+			};
 		}
 	}
 }
 
 /**
- * Main resource for product personalization
- * Supports model selection via query parameters: ?modelName=...&modelVersion=...
+ * Deployments resource
+ * GET /Deployments?modelName=...&status=... - Deployment watches, most recent first
+ * GET /Deployments/audit?modelName=...&limit=... - Audit trail (watch started, passed, rolled back)
+ * POST /Deployments - Watch a newly promoted version (production versions are also detected automatically)
+ *   Body: { modelName, modelVersion, previousVersion, bakeMs?, thresholds? }
+ * POST /Deployments { action: 'check' } - Run all checks now and return watches that passed or rolled back
  */
-export class Personalize extends Resource {
-	async post(data, request) {
-		const requestId = uuidv4();
-		const startTime = Date.now();
-
+export class Deployments extends Resource {
+	async get(data, request) {
 		try {
-			// Parse query parameters for model selection
+			await ensureInitialized();
+
 			const url = new URL(request.url);
 			const modelName = url.searchParams.get('modelName');
-			const modelVersion = url.searchParams.get('modelVersion');
 
-			if (!modelName || !modelVersion) {
+			if (/\/audit\/?$/i.test(url.pathname)) {
+				const limit = parseInt(url.searchParams.get('limit')) || 100;
+				const audit = await deploymentGuard.getAudit({ modelName, limit });
 				return {
-					error: 'modelName and modelVersion query parameters are required',
-					requestId
+					count: audit.length,
+					audit
 				};
 			}
 
-			const { products, userContext } = data;
+			const watches = await deploymentGuard.getWatches({ modelName, status: url.searchParams.get('status') });
 
-			if (!products || !Array.isArray(products)) {
-				return {
-					error: 'Missing or invalid products array',
-					requestId
-				};
-			}
+			return {
+				count: watches.length,
+				watches
+			};
+		} catch (error) {
+			logger.error('Get deployments failed:', error);
+			return {
+				error: error.message
+			};
+		}
+	}
 
-			// Get AI engine with model selection
-			const engine = await getPersonalizationEngine(modelName, modelVersion);
+	async post(data) {
+		try {
+			await ensureInitialized();
 
-			if (!engine.isReady()) {
+			const { action = 'watch', ...input } = data || {};
+
+			if (action === 'watch') {
+				return await deploymentGuard.watch(input);
+			} else if (action === 'check') {
+				const changed = await deploymentGuard.run();
 				return {
-					error: 'AI engine not ready',
-					requestId
+					count: changed.length,
+					watches: changed
 				};
 			}
 
-			// Enhance products with personalization
-			const enhancedProducts = await engine.enhanceProducts(products, userContext || {});
-
-			// Sort by personalized score
-			const sortedProducts = enhancedProducts.sort((a, b) => (b.personalizedScore || 0) - (a.personalizedScore || 0));
-
 			return {
-				requestId,
-				products: sortedProducts,
-				personalized: true,
-				model: `${modelName}:${modelVersion}`,
-				responseTime: Date.now() - startTime
+				error: `Unknown action: ${action}. Supported: watch, check`
 			};
 		} catch (error) {
-			logger.error('Personalization failed:', error);
+			logger.error('Deployment action failed:', error);
 			return {
-				error: error.message,
-				requestId
+				error: error.message
 			};
 		}
 	}
 }
 
 /**
- * Health check resource
+ * Model promotion resource
+ * GET /PromoteModel?modelName=...&modelVersion=...&limit=... - Stage history, most recent first
+ * POST /PromoteModel - Move a model to candidate, staging, production or archived
+ *   Body: { modelName, modelVersion, toStage, approver, reason?, dryRun? }
+ *   Returns { promoted, gates, demoted, ... }; promoted is false when a gate fails (see gates[].detail)
+ *   A production promotion moves the current production version to staging (listed in demoted)
+ * Production promotions are picked up by the Deployment Guard on its next run.
  */
-export class Status extends Resource {
-	async get() {
-		return {
-			status: 'healthy',
-			uptime: process.uptime(),
-			memory: process.memoryUsage(),
-			components: {
-				inferenceEngine: 'ready',
-				monitoringBackend: 'ready',
-				benchmarkEngine: 'ready'
-			}
-		};
+export class PromoteModel extends Resource {
+	async get(data, request) {
+		try {
+			await ensureInitialized();
+
+			const url = new URL(request.url);
+			const history = await modelLifecycle.getHistory({
+				modelName: url.searchParams.get('modelName'),
+				modelVersion: url.searchParams.get('modelVersion'),
+				limit: parseInt(url.searchParams.get('limit')) || 100
+			});
+
+			return {
+				count: history.length,
+				history
+			};
+		} catch (error) {
+			logger.error('Get stage history failed:', error);
+			return {
+				error: error.message
+			};
+		}
+	}
+
+	async post(data) {
+		try {
+			await ensureInitialized();
+
+			return await modelLifecycle.promote(data);
+		} catch (error) {
+			logger.error('Promotion failed:', error);
+			return {
+				error: error.message
+			};
+		}
 	}
 }
 
 /**
- * Predict resource - POST /predict
- * Run inference with a loaded model
+ * Benchmark resource
+ * POST /benchmark/compare - Queue a comparison of the performance (and quality, when testData has expected
+ *   outputs) of equivalent models. Returns { jobId }; follow it with GET /BenchmarkJobs?id=...
+ *   Body: { taskType, equivalenceGroup, testData, iterations?, warmupIterations?, concurrency?,
+ *           winnerPolicy?, agreement?, runBy?, notes?, webhookUrl? }
+ * GET /benchmark/history - Get historical benchmark results (see BenchmarkRegression for trends)
  */
-export class Predict extends Resource {
+export class Benchmark extends Resource {
 	async post(data) {
 		try {
 			await ensureInitialized();
 
-			const { modelName, modelVersion = 'v1', features, userId, sessionId } = data;
-
-			// Validation
-			if (!modelName || !features) {
-				return {
-					error: 'modelName and features required'
-				};
-			}
-
-			// Fetch model from table
-			const id = `${modelName}:${modelVersion}`;
+			// Benchmarks can outlive the HTTP request, so they run as queued jobs
+			const job = await benchmarkWorker.createJob(data);
 
-			// Check if Model table is available
-			if (!tables.Model) {
-				return {
-					error: 'Model table not available. Check schema configuration.'
-				};
-			}
+			return {
+				jobId: job.id,
+				status: job.status,
+				modelIds: job.modelIds,
+				message: `Benchmark queued. Use GET /BenchmarkJobs?id=${job.id} to track progress.`
+			};
+		} catch (error) {
+			logger.error('Benchmark comparison failed:', error);
+			return {
+				error: error.message
+			};
+		}
+	}
 
-			const model = await tables.Model.get(id);
+	async get(data, request) {
+		try {
+			await ensureInitialized();
 
-			if (!model) {
-				return {
-					error: `Model ${id} not found`
-				};
-			}
+			const url = new URL(request.url);
+			const taskType = url.searchParams.get('taskType');
+			const equivalenceGroup = url.searchParams.get('equivalenceGroup');
 
-			// Run inference
-			const result = await inferenceEngine.predict(modelName, features, modelVersion, model);
+			const filters = {};
+			if (taskType) filters.taskType = taskType;
+			if (equivalenceGroup) filters.equivalenceGroup = equivalenceGroup;
 
-			// Record to monitoring
-			const inferenceId = await monitoringBackend.recordInference({
-				modelName,
-				modelVersion: result.modelVersion,
-				framework: result.framework,
-				requestId: `req-${Date.now()}`,
-				userId: userId || null,
-				sessionId: sessionId || null,
-				featuresIn: JSON.stringify(features),
-				prediction: JSON.stringify(result.output),
-				confidence: result.confidence || null,
-				latencyMs: result.latencyMs
-			});
+			// Raw latency samples only feed regression analysis (see BenchmarkRegression)
+			const history = (await benchmarkEngine.getHistoricalResults(filters)).map(
+				({ latencySamples: _latencySamples, ...result }) => result
+			);
 
 			return {
-				inferenceId,
-				prediction: result.output,
-				confidence: result.confidence,
-				modelVersion: result.modelVersion,
-				latencyMs: result.latencyMs
+				count: history.length,
+				results: history
 			};
 		} catch (error) {
-			logger.error('Prediction failed:', error);
+			logger.error('Get benchmark history failed:', error);
 			return {
 				error: error.message
 			};
@@ -224,144 +1224,107 @@ export class Predict extends Resource {
 }
 
 /**
- * Monitoring resource - GET /monitoring/metrics
- * Compute aggregate metrics (use GET /InferenceEvent for raw events)
+ * Benchmark job resource
+ * GET /BenchmarkJobs?status=...&limit=... - Benchmark jobs, most recent first
+ * GET /BenchmarkJobs?id=... - One job with per-model progress; completed jobs include the full `result`
+ * POST /BenchmarkJobs { jobId, action: 'cancel' } - Cancel a queued or running job
  */
-export class Monitoring extends Resource {
+export class BenchmarkJobs extends Resource {
 	async get(data, request) {
 		try {
 			await ensureInitialized();
 
-			if (!request || !request.url) {
-				return {
-					error: 'Invalid request'
-				};
-			}
-
 			const url = new URL(request.url);
-			const modelName = url.searchParams.get('modelName');
-
-			if (!modelName) {
-				return {
-					error: 'modelName parameter required'
-				};
-			}
-
-			// Time range
-			let startTime = url.searchParams.get('startTime');
-			let endTime = url.searchParams.get('endTime');
+			const jobId = url.searchParams.get('id');
 
-			if (startTime) {
-				startTime = new Date(parseInt(startTime));
-			}
-			if (endTime) {
-				endTime = new Date(parseInt(endTime));
+			if (jobId) {
+				const job = await benchmarkWorker.getJob(jobId);
+				if (!job) {
+					return {
+						error: `Job ${jobId} not found`
+					};
+				}
+				if (job.resultId) {
+					const result = await tables.BenchmarkResult.get(job.resultId);
+					job.result = result ? parseBenchmarkResult(result) : null;
+				}
+				return job;
 			}
 
-			const metrics = await monitoringBackend.getMetrics(modelName, {
-				startTime,
-				endTime
+			const jobs = await benchmarkWorker.listJobs({
+				status: url.searchParams.get('status'),
+				limit: parseInt(url.searchParams.get('limit')) || 50
 			});
 
 			return {
-				modelName,
-				...metrics
+				count: jobs.length,
+				jobs
 			};
 		} catch (error) {
-			logger.error('Get metrics failed:', error);
+			logger.error('Get benchmark jobs failed:', error);
 			return {
 				error: error.message
 			};
 		}
 	}
-}
 
-/**
- * Benchmark resource
- * POST /benchmark/compare - Compare performance of equivalent models
- * GET /benchmark/history - Get historical benchmark results
- */
-export class Benchmark extends Resource {
 	async post(data) {
 		try {
 			await ensureInitialized();
 
-			const {
-				taskType,
-				equivalenceGroup,
-				testData,
-				iterations = 10,
-				runBy,
-				notes
-			} = data;
-
-			// Validation
-			if (!taskType || !equivalenceGroup) {
-				return {
-					error: 'taskType and equivalenceGroup are required'
-				};
-			}
+			const { jobId, action = 'cancel' } = data || {};
 
-			if (!testData || !Array.isArray(testData) || testData.length === 0) {
+			if (!jobId) {
 				return {
-					error: 'testData must be a non-empty array'
+					error: 'Missing required field: jobId'
 				};
 			}
 
-			// Find equivalent models
-			const models = await benchmarkEngine.findEquivalentModels(
-				taskType,
-				equivalenceGroup
-			);
-
-			if (models.length < 2) {
-				return {
-					error: `Not enough models found. Found ${models.length} models with taskType="${taskType}" and equivalenceGroup="${equivalenceGroup}". At least 2 models are required.`
-				};
+			if (action === 'cancel') {
+				return await benchmarkWorker.cancelJob(jobId);
 			}
 
-			// Run benchmark
-			const result = await benchmarkEngine.compareBenchmark(
-				models,
-				testData,
-				{
-					iterations,
-					taskType,
-					equivalenceGroup,
-					runBy: runBy || 'api',
-					notes: notes || ''
-				}
-			);
-
-			return result;
+			return {
+				error: `Unknown action: ${action}. Supported: cancel`
+			};
 		} catch (error) {
-			logger.error('Benchmark comparison failed:', error);
+			logger.error('Benchmark job action failed:', error);
 			return {
 				error: error.message
 			};
 		}
 	}
+}
 
+/**
+ * Benchmark regression resource
+ * GET /BenchmarkRegression?comparisonId=... - Compare a run with the rolling baseline of earlier runs
+ * GET /BenchmarkRegression?taskType=...&equivalenceGroup=... - Same, for the latest run of the group
+ *   Optional: baselineRuns (default 5), alpha (default 0.05), minSlowdown (default 0.1), trendRuns (default 20)
+ *   Returns per-model Mann-Whitney results, the regressed modelIds and a per-run trend series
+ */
+export class BenchmarkRegression extends Resource {
 	async get(data, request) {
 		try {
 			await ensureInitialized();
 
 			const url = new URL(request.url);
-			const taskType = url.searchParams.get('taskType');
-			const equivalenceGroup = url.searchParams.get('equivalenceGroup');
-
-			const filters = {};
-			if (taskType) filters.taskType = taskType;
-			if (equivalenceGroup) filters.equivalenceGroup = equivalenceGroup;
-
-			const history = await benchmarkEngine.getHistoricalResults(filters);
+			const options = {};
+			for (const name of ['baselineRuns', 'alpha', 'minSlowdown', 'trendRuns']) {
+				const value = parseFloat(url.searchParams.get(name));
+				if (!Number.isNaN(value)) options[name] = value;
+			}
 
-			return {
-				count: history.length,
-				results: history
-			};
+			return await benchmarkEngine.analyzeRegression(
+				{
+					comparisonId: url.searchParams.get('comparisonId'),
+					taskType: url.searchParams.get('taskType'),
+					equivalenceGroup: url.searchParams.get('equivalenceGroup')
+				},
+				options
+			);
 		} catch (error) {
-			logger.error('Get benchmark history failed:', error);
+			logger.error('Benchmark regression analysis failed:', error);
 			return {
 				error: error.message
 			};
@@ -369,6 +1332,27 @@ export class Benchmark extends Resource {
 	}
 }
 
+/**
+ * Shape a stored BenchmarkResult like the compareBenchmark() return value
+ *
+ * Raw latency samples are left out; they only feed regression analysis.
+ */
+function parseBenchmarkResult(record) {
+	const parse = (value) => (value ? JSON.parse(value) : null);
+	const result = {
+		...record,
+		comparisonId: record.id,
+		modelIds: parse(record.modelIds),
+		results: parse(record.results),
+		winner: parse(record.winner),
+		winnerPolicy: parse(record.winnerPolicy),
+		agreement: parse(record.agreement),
+		testDataSummary: parse(record.testDataSummary)
+	};
+	delete result.latencySamples;
+	return result;
+}
+
 /**
  * Upload Model Blob Resource
  *
@@ -385,7 +1369,11 @@ export class Benchmark extends Resource {
  *   - modelName (required): Model name
  *   - modelVersion (optional): Model version (default: v1)
  *   - framework (required): onnx|tensorflow|ollama
- *   - stage (optional): development|staging|production (default: development)
+ *   - stage (optional): lifecycle stage development|candidate|staging|production|archived (default: development)
+ *     The upload stores the stage as given. Later changes go through POST /PromoteModel, which only allows the
+ *     transitions in STAGE_TRANSITIONS (src/core/ModelLifecycle.js), e.g. development -> candidate -> staging
+ *     -> production, and checks each stage's gates. Other values (the testing/benchmarking profile stages)
+ *     are stored too but cannot be promoted
  *   - metadata (optional): URL-encoded JSON string with taskType, equivalenceGroup, etc.
  */
 export class UploadModelBlob extends Resource {
@@ -408,6 +1396,7 @@ export class UploadModelBlob extends Resource {
 
 			// Binary blob data is in the data parameter as a Buffer
 			const blobBuffer = data;
+			const blobSha256 = sha256Hex(blobBuffer);
 			const id = `${modelName}:${modelVersion}`;
 
 			// Use Harper's native tables API - triggers file-backed blob storage for large files
@@ -420,12 +1409,18 @@ export class UploadModelBlob extends Resource {
 				metadata,
 				modelBlob: blobBuffer,
 				blobSize: blobBuffer.length,
+				blobSha256
 			});
 
+			// Embeddings are keyed by blob digest; drop the replaced blob's entries early
+			await ensureInitialized();
+			await inferenceEngine.embeddingCache.clear(modelName, modelVersion);
+
 			return {
 				success: true,
 				id,
-				size: blobBuffer.length
+				size: blobBuffer.length,
+				sha256: blobSha256
 			};
 		} catch (error) {
 			logger.error('UploadModelBlob failed:', error);
@@ -500,9 +1495,10 @@ export class ModelList extends Resource {
  * Returns framework, available variants, and inferred metadata.
  *
  * Query Parameters:
- *   - source (required): "filesystem" | "url" | "huggingface"
- *   - sourceReference (required): file path, URL, or HuggingFace model ID
- *   - variant (optional): variant name (for HuggingFace: "default" | "quantized")
+ *   - source (required): "filesystem" | "url" | "huggingface" | "ollama" | "s3"
+ *   - sourceReference (required): file path, URL, HuggingFace model ID, Ollama model name, or s3://bucket/key
+ *   - variant (optional): variant name (for HuggingFace: "default" | "quantized" | "fp16" | ..., one per ONNX file;
+ *     for Ollama: "embeddings" | "chat"; for S3: a model file name under the prefix)
  */
 export class InspectModel extends Resource {
 	async get(data, request) {
@@ -533,13 +1529,15 @@ export class InspectModel extends Resource {
 			const adapters = {
 				filesystem: new LocalFilesystemAdapter(),
 				url: new HttpUrlAdapter(),
-				huggingface: new HuggingFaceAdapter()
+				huggingface: new HuggingFaceAdapter(),
+				ollama: new OllamaSourceAdapter(),
+				s3: new S3SourceAdapter()
 			};
 
 			const adapter = adapters[source];
 			if (!adapter) {
 				return {
-					error: `Unsupported source: ${source}. Supported: filesystem, url, huggingface`
+					error: `Unsupported source: ${source}. Supported: filesystem, url, huggingface, ollama, s3`
 				};
 			}
 
@@ -586,6 +1584,12 @@ export class InspectModel extends Resource {
 				// For HuggingFace, use the repo name
 				const parts = sourceReference.split('/');
 				suggestedModelName = parts[parts.length - 1];
+			} else if (source === 's3' && sourceReference.endsWith('/')) {
+				// For an S3 prefix, use the last directory name
+				suggestedModelName = sourceReference.split('/').filter(Boolean).pop();
+			} else if (source === 'ollama') {
+				// For Ollama, keep the tag: "llama3.2:1b" -> "llama3.2-1b"
+				suggestedModelName = sourceReference.split('/').pop().replace(':', '-');
 			}
 
 			return {
@@ -616,17 +1620,25 @@ export class InspectModel extends Resource {
  *
  * Request Body:
  *   {
- *     source: "filesystem" | "url" | "huggingface",
- *     sourceReference: "path/to/model.onnx" | "https://..." | "Xenova/all-MiniLM-L6-v2",
- *     variant: "default" | "quantized" (optional, for HuggingFace),
+ *     source: "filesystem" | "url" | "huggingface" | "ollama" | "s3",
+ *     sourceReference: "path/to/model.onnx" | "https://..." | "Xenova/all-MiniLM-L6-v2" | "nomic-embed-text" | "s3://models/minilm/",
+ *     variant: "default" | "quantized" | "fp16" | ... (optional, for HuggingFace) | "embeddings" | "chat" (optional, for Ollama)
+ *       | model file name under the prefix (for S3),
  *     modelName: "my-model" (required),
  *     modelVersion: "v1" (optional, default: "v1"),
  *     framework: "onnx" | "tensorflow" | "transformers" (optional, auto-detected if omitted),
  *     stage: "development" | "staging" | "production" (optional, default: "development"),
  *     metadata: { taskType, equivalenceGroup, ... } (optional, merged with inferred metadata),
  *     webhookUrl: "https://..." (optional, called on completion/failure),
- *     maxRetries: 3 (optional, default: 3)
+ *     maxRetries: 3 (optional, default: 3),
+ *     sha256: "9f86d0..." (optional, hex digest the downloaded blob must match)
  *   }
+ *
+ * Without sha256, URL sources are checked against a `<url>.sha256` sidecar when one exists,
+ * HuggingFace ONNX files against their LFS oids, and S3 objects against their x-amz-checksum-sha256.
+ * A mismatch fails the job with errorCode INTEGRITY_MISMATCH. The blob digest is stored as Model.blobSha256.
+ *
+ * S3 credentials come from S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY, never from the request body.
  */
 
 export class FetchModel extends Resource {
@@ -650,7 +1662,8 @@ export class FetchModel extends Resource {
 				stage = 'development',
 				metadata = {},
 				webhookUrl = null,
-				maxRetries = 3
+				maxRetries = 3,
+				sha256 = null
 			} = data;
 
 			// Validation
@@ -660,13 +1673,24 @@ export class FetchModel extends Resource {
 				};
 			}
 
-			const supportedSources = ['filesystem', 'url', 'huggingface'];
+			const supportedSources = ['filesystem', 'url', 'huggingface', 'ollama', 's3'];
 			if (!supportedSources.includes(source)) {
 				return {
 					error: `Unsupported source: ${source}. Supported: ${supportedSources.join(', ')}`
 				};
 			}
 
+			let expectedSha256 = null;
+			if (sha256) {
+				try {
+					expectedSha256 = normalizeSha256(sha256);
+				} catch (error) {
+					return {
+						error: error.message
+					};
+				}
+			}
+
 			const modelId = `${modelName}:${modelVersion}`;
 
 			// Check if model already exists
@@ -713,7 +1737,9 @@ export class FetchModel extends Resource {
 				const adapters = {
 					filesystem: new LocalFilesystemAdapter(),
 					url: new HttpUrlAdapter(),
-					huggingface: new HuggingFaceAdapter()
+					huggingface: new HuggingFaceAdapter(),
+					ollama: new OllamaSourceAdapter(),
+					s3: new S3SourceAdapter()
 				};
 
 				const adapter = adapters[source];
@@ -741,7 +1767,9 @@ export class FetchModel extends Resource {
 				const adapters = {
 					filesystem: new LocalFilesystemAdapter(),
 					url: new HttpUrlAdapter(),
-					huggingface: new HuggingFaceAdapter()
+					huggingface: new HuggingFaceAdapter(),
+					ollama: new OllamaSourceAdapter(),
+					s3: new S3SourceAdapter()
 				};
 				const adapter = adapters[source];
 				inferredMetadata = await adapter.inferMetadata(sourceReference, variant);
@@ -757,6 +1785,7 @@ export class FetchModel extends Resource {
 				source,
 				sourceReference,
 				variant,
+				expectedSha256,
 				modelName,
 				modelVersion,
 				framework: detectedFramework,
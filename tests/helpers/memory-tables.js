@@ -0,0 +1,163 @@
+/**
+ * In-Memory Tables Helper for Tests
+ *
+ * Lightweight stand-in for Harper's `tables` global so core classes that take a
+ * `tablesParam` can be unit tested without a running Harper instance.
+ *
+ * Supported table methods: get, put, delete, search, subscribe.
+ * search() accepts an equality object ({ modelName: 'x' }), Harper's
+ * `{ filter: [attr, '=', value, 'and', attr2, '=', value2] }` form, or
+ * `{ conditions: [{ attribute, comparator, value }] }` with the equals,
+ * greater_than(_equal) and less_than(_equal) comparators.
+ * subscribe() returns an async iterable of `{ type: 'put', id, value }` and
+ * `{ type: 'delete', id }` events for later writes, like a Harper table
+ * subscription with `omitCurrent`; end it with `return()`.
+ *
+ * Usage:
+ *   import { createMemoryTables } from '../helpers/memory-tables.js';
+ *   const tables = createMemoryTables();
+ *   await tables.InferenceEvent.put({ id: 'e1', modelName: 'm' });
+ *   const detector = new DriftDetector(tables);
+ */
+
+/**
+ * Create an in-memory table
+ * @returns {Object} Table with get/put/delete/search/subscribe and a `records` Map for assertions
+ */
+export function createMemoryTable() {
+	const records = new Map();
+	const subscriptions = new Set();
+	const publish = (event) => subscriptions.forEach((subscription) => subscription.push(event));
+
+	return {
+		records,
+
+		async get(id) {
+			const record = records.get(id);
+			return record ? { ...record } : undefined;
+		},
+
+		async put(record) {
+			if (record.id === undefined || record.id === null) {
+				throw new Error('Memory table records require an id');
+			}
+			records.set(record.id, { ...record });
+			publish({ type: 'put', id: record.id, value: { ...record } });
+			return { ...record };
+		},
+
+		async delete(id) {
+			const deleted = records.delete(id);
+			if (deleted) {
+				publish({ type: 'delete', id });
+			}
+			return deleted;
+		},
+
+		subscribe() {
+			const subscription = createSubscription(() => subscriptions.delete(subscription));
+			subscriptions.add(subscription);
+			return subscription;
+		},
+
+		async *search(query = {}) {
+			const conditions = toConditions(query);
+			for (const record of [...records.values()]) {
+				if (conditions.every(([attr, compare, value]) => COMPARATORS[compare](record[attr], value))) {
+					yield { ...record };
+				}
+			}
+		},
+	};
+}
+
+/**
+ * Create an in-memory `tables` object; tables are created on first access
+ * @returns {Proxy} tables.<Name> returns the same in-memory table for each name
+ */
+export function createMemoryTables() {
+	const cache = new Map();
+
+	return new Proxy(
+		{},
+		{
+			get(target, prop) {
+				if (typeof prop !== 'string') {
+					return undefined;
+				}
+				if (!cache.has(prop)) {
+					cache.set(prop, createMemoryTable());
+				}
+				return cache.get(prop);
+			},
+		}
+	);
+}
+
+/**
+ * Async iterable event queue
+ * @param {Function} onEnd - Called once when the subscription ends
+ */
+function createSubscription(onEnd) {
+	const queue = [];
+	let wake = null;
+	let ended = false;
+
+	return {
+		push(event) {
+			queue.push(event);
+			wake?.();
+		},
+		async next() {
+			while (queue.length === 0 && !ended) {
+				await new Promise((resolve) => (wake = resolve));
+			}
+			return queue.length > 0 ? { value: queue.shift(), done: false } : { value: undefined, done: true };
+		},
+		async return() {
+			if (!ended) {
+				ended = true;
+				onEnd();
+				wake?.();
+			}
+			return { value: undefined, done: true };
+		},
+		[Symbol.asyncIterator]() {
+			return this;
+		},
+	};
+}
+
+const COMPARATORS = {
+	equals: (a, b) => a === b,
+	greater_than: (a, b) => a > b,
+	greater_than_equal: (a, b) => a >= b,
+	less_than: (a, b) => a < b,
+	less_than_equal: (a, b) => a <= b,
+};
+
+/**
+ * Normalize a search query into [attribute, comparator, value] triples
+ */
+function toConditions(query) {
+	if (Array.isArray(query.conditions)) {
+		return query.conditions.map(({ attribute, comparator = 'equals', value }) => {
+			if (!COMPARATORS[comparator]) {
+				throw new Error(`Memory tables do not support the '${comparator}' comparator`);
+			}
+			return [attribute, comparator, value];
+		});
+	}
+	if (Array.isArray(query.filter)) {
+		const conditions = [];
+		for (let i = 0; i < query.filter.length; i += 4) {
+			const [attr, op, value] = query.filter.slice(i, i + 3);
+			if (op !== '=') {
+				throw new Error(`Memory tables only support '=' filters (got '${op}')`);
+			}
+			conditions.push([attr, 'equals', value]);
+		}
+		return conditions;
+	}
+	return Object.entries(query).map(([attr, value]) => [attr, 'equals', value]);
+}
@@ -8,6 +8,7 @@
  * Harper REST API Endpoints:
  * - GET /{table}/{id}          - Get single record by ID
  * - GET /{table}/?property=val - Query records by property
+ * - GET /{table}/?property=ge=val - Range query (gt, ge, lt, le), used for search conditions
  * - PUT /{table}/{id}          - Create or replace record with known ID
  * - POST /{table}/             - Create record with auto-assigned ID
  * - DELETE /{table}/{id}       - Delete record by ID
@@ -26,6 +27,14 @@ const BASE_URL = process.env.HARPER_URL || 'http://localhost:9926';
 const USERNAME = process.env.HARPER_USERNAME || process.env.CLI_TARGET_USERNAME || null;
 const PASSWORD = process.env.HARPER_PASSWORD || process.env.CLI_TARGET_PASSWORD || null;
 
+// Search condition comparators as Harper REST query operators (equals needs none)
+const REST_COMPARATORS = {
+	greater_than: 'gt',
+	greater_than_equal: 'ge',
+	less_than: 'lt',
+	less_than_equal: 'le',
+};
+
 /**
  * Create Basic Auth header (optional)
  */
@@ -213,6 +222,15 @@ export function createRestTable(tableName) {
 			if (Object.keys(query).length === 0) {
 				// No query params - get all records (trailing slash)
 				records = await harperFetch(`/${tableName}/`);
+			} else if (Array.isArray(query.conditions)) {
+				// { conditions: [{ attribute, comparator, value }] } -> ?attr=value&attr=ge=value
+				const queryString = query.conditions
+					.map(({ attribute, comparator = 'equals', value }) => {
+						const operator = REST_COMPARATORS[comparator];
+						return `${encodeURIComponent(attribute)}=${operator ? `${operator}=` : ''}${encodeURIComponent(value)}`;
+					})
+					.join('&');
+				records = await harperFetch(`/${tableName}/?${queryString}`);
 			} else {
 				// Use Harper's native query parameters: GET /table/?property=value
 				const queryString = new URLSearchParams(query).toString();
@@ -175,7 +175,20 @@ async function runBenchmark(taskType, equivalenceGroup, iterations = TEST_ITERAT
 		throw new Error(result.error);
 	}
 
-	return result;
+	// Benchmarks run as queued jobs; poll until the job finishes
+	while (true) {
+		const jobResponse = await fetch(`${HARPER_URL}/BenchmarkJobs?id=${result.jobId}`);
+		const job = await jobResponse.json();
+
+		if (job.status === 'completed') {
+			return job.result;
+		}
+		if (job.error || job.status === 'failed' || job.status === 'cancelled') {
+			throw new Error(`Benchmark job ${job.status || 'lookup'} failed: ${job.lastError || job.error}`);
+		}
+
+		await new Promise((resolve) => setTimeout(resolve, 500));
+	}
 }
 
 /**
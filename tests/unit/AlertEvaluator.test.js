@@ -0,0 +1,288 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { AlertEvaluator } from '../../src/core/AlertEvaluator.js';
+import { createMemoryTables } from '../helpers/memory-tables.js';
+
+const NOW = 1_700_000_000_000;
+
+describe('AlertEvaluator', () => {
+	let tables;
+	let metrics;
+	let driftHistory;
+	let monitoringBackend;
+	let driftDetector;
+	let evaluator;
+	let originalFetch;
+	let originalLogger;
+
+	before(() => {
+		originalFetch = global.fetch;
+		originalLogger = global.logger;
+		global.logger = { info() {}, warn() {}, error() {}, debug() {} };
+	});
+
+	after(() => {
+		global.fetch = originalFetch;
+		global.logger = originalLogger;
+	});
+
+	beforeEach(() => {
+		tables = createMemoryTables();
+		metrics = { count: 10, avgLatency: 120, avgConfidence: 0.9, accuracy: 0.95 };
+		driftHistory = [];
+		monitoringBackend = {
+			getMetrics: mock.fn(async () => metrics),
+		};
+		driftDetector = {
+			getHistory: mock.fn(async () => driftHistory),
+		};
+		evaluator = new AlertEvaluator(monitoringBackend, driftDetector, tables, { defaultWebhookUrl: null });
+	});
+
+	afterEach(() => {
+		evaluator.stop();
+	});
+
+	describe('constructor', () => {
+		it('should require dependencies', () => {
+			assert.throws(() => new AlertEvaluator(null, driftDetector, tables), /Monitoring backend is required/);
+			assert.throws(() => new AlertEvaluator(monitoringBackend, null, tables), /Drift detector is required/);
+			assert.throws(() => new AlertEvaluator(monitoringBackend, driftDetector), /tables object is required/);
+		});
+	});
+
+	describe('createRule', () => {
+		it('should store a rule with defaults', async () => {
+			const rule = await evaluator.createRule({
+				modelName: 'minilm',
+				metric: 'avgLatency',
+				operator: '>',
+				threshold: 100,
+			});
+
+			assert.equal(rule.severity, 'warning');
+			assert.equal(rule.enabled, true);
+			assert.equal(rule.windowMs, 60 * 60 * 1000);
+			assert.equal(rule.name, 'minilm avgLatency > 100');
+			assert.deepEqual(await tables.AlertRule.get(rule.id), rule);
+		});
+
+		it('should reject invalid rules', async () => {
+			const base = { modelName: 'm', metric: 'avgLatency', operator: '>', threshold: 1 };
+
+			await assert.rejects(() => evaluator.createRule({ ...base, metric: undefined }), /modelName and metric/);
+			await assert.rejects(() => evaluator.createRule({ ...base, metric: 'latency' }), /metric must be one of/);
+			await assert.rejects(() => evaluator.createRule({ ...base, operator: '!=' }), /operator must be one of/);
+			await assert.rejects(() => evaluator.createRule({ ...base, threshold: '5' }), /threshold must be a number/);
+			await assert.rejects(() => evaluator.createRule({ ...base, severity: 'urgent' }), /severity must be one of/);
+		});
+	});
+
+	describe('evaluate', () => {
+		it('should fire when the metric crosses the threshold', async () => {
+			const rule = await evaluator.createRule({
+				modelName: 'minilm',
+				metric: 'avgLatency',
+				operator: '>',
+				threshold: 100,
+				severity: 'critical',
+			});
+
+			const fired = await evaluator.evaluate(NOW);
+
+			assert.equal(fired.length, 1);
+			assert.equal(fired[0].ruleId, rule.id);
+			assert.equal(fired[0].value, 120);
+			assert.equal(fired[0].severity, 'critical');
+			assert.equal(fired[0].delivered, null);
+			assert.ok(await tables.AlertEvent.get(fired[0].id));
+			assert.equal((await tables.AlertRule.get(rule.id)).lastTriggeredAt, NOW);
+
+			const [, options] = monitoringBackend.getMetrics.mock.calls[0].arguments;
+			assert.equal(options.startTime.getTime(), NOW - 60 * 60 * 1000);
+			assert.equal(options.endTime.getTime(), NOW);
+		});
+
+		it('should not fire when the metric is within the threshold', async () => {
+			await evaluator.createRule({ modelName: 'minilm', metric: 'accuracy', operator: '<', threshold: 0.9 });
+
+			assert.deepEqual(await evaluator.evaluate(NOW), []);
+		});
+
+		it('should skip rules when there is no data', async () => {
+			metrics = { count: 0, avgLatency: 0, avgConfidence: 0, accuracy: null };
+			await evaluator.createRule({ modelName: 'minilm', metric: 'avgLatency', operator: '<', threshold: 10 });
+
+			assert.deepEqual(await evaluator.evaluate(NOW), []);
+		});
+
+		it('should respect the cooldown', async () => {
+			await evaluator.createRule({
+				modelName: 'minilm',
+				metric: 'avgLatency',
+				operator: '>=',
+				threshold: 100,
+				cooldownMs: 60000,
+			});
+
+			assert.equal((await evaluator.evaluate(NOW)).length, 1);
+			assert.equal((await evaluator.evaluate(NOW + 30000)).length, 0);
+			assert.equal((await evaluator.evaluate(NOW + 60000)).length, 1);
+		});
+
+		it('should ignore disabled rules', async () => {
+			await evaluator.createRule({
+				modelName: 'minilm',
+				metric: 'avgLatency',
+				operator: '>',
+				threshold: 1,
+				enabled: false,
+			});
+
+			assert.deepEqual(await evaluator.evaluate(NOW), []);
+		});
+
+		it('should read driftScore from the latest drift result in the window', async () => {
+			await evaluator.createRule({ modelName: 'minilm', metric: 'driftScore', operator: '>', threshold: 0.3 });
+
+			driftHistory = [{ driftScore: 0.5, timestamp: NOW - 2 * 60 * 60 * 1000 }];
+			assert.equal((await evaluator.evaluate(NOW)).length, 0, 'stale drift results are ignored');
+
+			driftHistory = [{ driftScore: 0.5, timestamp: NOW - 1000 }];
+			const fired = await evaluator.evaluate(NOW);
+			assert.equal(fired.length, 1);
+			assert.equal(fired[0].value, 0.5);
+			assert.equal(monitoringBackend.getMetrics.mock.callCount(), 0);
+		});
+
+		it('should deliver alerts to the rule webhook', async () => {
+			global.fetch = mock.fn(async () => ({ ok: true, status: 200 }));
+			await evaluator.createRule({
+				modelName: 'minilm',
+				metric: 'avgLatency',
+				operator: '>',
+				threshold: 100,
+				webhookUrl: 'https://hooks.example.com/alerts',
+			});
+
+			const [event] = await evaluator.evaluate(NOW);
+
+			assert.equal(event.delivered, true);
+			const [url, options] = global.fetch.mock.calls[0].arguments;
+			assert.equal(url, 'https://hooks.example.com/alerts');
+			const payload = JSON.parse(options.body);
+			assert.equal(payload.id, event.id);
+			assert.equal(payload.metric, 'avgLatency');
+			assert.equal(payload.value, 120);
+		});
+
+		it('should record failed webhook deliveries without throwing', async () => {
+			global.fetch = mock.fn(async () => {
+				throw new Error('connection refused');
+			});
+			evaluator.defaultWebhookUrl = 'https://hooks.example.com/default';
+			await evaluator.createRule({ modelName: 'minilm', metric: 'avgLatency', operator: '>', threshold: 100 });
+
+			const [event] = await evaluator.evaluate(NOW);
+
+			assert.equal(event.delivered, false);
+			assert.equal((await tables.AlertEvent.get(event.id)).delivered, false);
+		});
+
+		it('should skip stored rules with an unknown metric', async () => {
+			await tables.AlertRule.put({ id: 'legacy', modelName: 'minilm', metric: 'latency', operator: '>', threshold: 1 });
+
+			assert.deepEqual(await evaluator.evaluate(NOW), []);
+			assert.equal(monitoringBackend.getMetrics.mock.callCount(), 0);
+		});
+
+		it('should start the cooldown before delivering the webhook', async () => {
+			let storedRule;
+			global.fetch = mock.fn(async () => {
+				storedRule = await tables.AlertRule.get(rule.id);
+				return { ok: true, status: 200 };
+			});
+			const rule = await evaluator.createRule({
+				modelName: 'minilm',
+				metric: 'avgLatency',
+				operator: '>',
+				threshold: 100,
+				webhookUrl: 'https://hooks.example.com/alerts',
+			});
+
+			await evaluator.evaluate(NOW);
+
+			assert.equal(storedRule.lastTriggeredAt, NOW);
+		});
+
+		it('should fire once when evaluators on several threads share the tables', async () => {
+			global.fetch = mock.fn(async () => ({ ok: true, status: 200 }));
+			const other = new AlertEvaluator(monitoringBackend, driftDetector, tables, { defaultWebhookUrl: null });
+			await evaluator.createRule({
+				modelName: 'minilm',
+				metric: 'avgLatency',
+				operator: '>',
+				threshold: 100,
+				webhookUrl: 'https://hooks.example.com/alerts',
+			});
+
+			const fired = await Promise.all([evaluator.evaluate(NOW), other.evaluate(NOW)]);
+
+			assert.equal(fired.flat().length, 1);
+			assert.equal(tables.AlertEvent.records.size, 1);
+			assert.equal(global.fetch.mock.callCount(), 1);
+
+			// The lease stays with the owner, even once the cooldown is over
+			const loser = fired[0].length > 0 ? other : evaluator;
+			assert.deepEqual(await loser.evaluate(NOW + 60 * 60 * 1000), []);
+		});
+
+		it('should keep evaluating other rules when one fails', async () => {
+			await evaluator.createRule({
+				id: 'broken',
+				modelName: 'broken',
+				metric: 'avgLatency',
+				operator: '>',
+				threshold: 1,
+			});
+			await evaluator.createRule({ id: 'ok', modelName: 'minilm', metric: 'avgLatency', operator: '>', threshold: 1 });
+			monitoringBackend.getMetrics = mock.fn(async (modelName) => {
+				if (modelName === 'broken') throw new Error('boom');
+				return metrics;
+			});
+
+			const fired = await evaluator.evaluate(NOW);
+
+			assert.deepEqual(
+				fired.map((e) => e.ruleId),
+				['ok']
+			);
+		});
+	});
+
+	describe('getEvents', () => {
+		it('should filter by severity and sort most recent first', async () => {
+			await tables.AlertEvent.put({ id: 'a', modelName: 'm', severity: 'warning', timestamp: 1 });
+			await tables.AlertEvent.put({ id: 'b', modelName: 'm', severity: 'critical', timestamp: 2 });
+			await tables.AlertEvent.put({ id: 'c', modelName: 'm', severity: 'warning', timestamp: 3 });
+
+			const events = await evaluator.getEvents({ modelName: 'm', severity: 'warning' });
+
+			assert.deepEqual(
+				events.map((e) => e.id),
+				['c', 'a']
+			);
+		});
+	});
+
+	describe('start/stop', () => {
+		it('should schedule an unref-ed timer and clear it on stop', () => {
+			evaluator.start();
+			assert.ok(evaluator.intervalHandle);
+			assert.equal(evaluator.intervalHandle.hasRef(), false);
+
+			evaluator.stop();
+			assert.equal(evaluator.intervalHandle, null);
+		});
+	});
+});
@@ -3,6 +3,7 @@ import assert from 'node:assert/strict';
 import { BenchmarkEngine } from '../../src/core/BenchmarkEngine.js';
 import { createBenchmarkTestContext } from '../helpers/test-context.js';
 import { createRestTable } from '../helpers/rest-api.js';
+import { createMemoryTables } from '../helpers/memory-tables.js';
 import {
 	createMockModel,
 	createMockInferenceEngine,
@@ -568,3 +569,444 @@ describe('BenchmarkEngine', () => {
 		});
 	});
 });
+
+describe('BenchmarkEngine quality', () => {
+	let tables;
+	let benchmarkEngine;
+
+	// Embeddings per model: 'good' separates the topics, 'fast' confuses them
+	const VECTORS = {
+		good: { cat: [1, 0], kitten: [0.9, 0.1], stocks: [0, 1], animals: [1, 0], finance: [0, 1] },
+		fast: { cat: [1, 1], kitten: [0, 1], stocks: [1, 1], animals: [1, 0], finance: [0, 1] },
+	};
+
+	const models = ['good', 'fast'].map((modelName) => ({
+		id: `${modelName}:v1`,
+		modelName,
+		modelVersion: 'v1',
+		framework: 'onnx',
+		parsedMetadata: { taskType: 'text-embedding', equivalenceGroup: 'quality', outputDimensions: [2] },
+	}));
+
+	const testData = [
+		{ texts: ['cat', 'stocks'], expected: { labels: ['animals', 'finance'] } },
+		{
+			texts: ['cat', 'kitten', 'stocks'],
+			expected: {
+				pairs: [
+					{ a: 0, b: 1, score: 5 },
+					{ a: 0, b: 2, score: 0 },
+					{ a: 1, b: 2, score: 1 },
+				],
+				queries: [{ query: 0, relevant: [1] }],
+				k: 1,
+			},
+		},
+	];
+
+	beforeEach(() => {
+		tables = createMemoryTables();
+		benchmarkEngine = new BenchmarkEngine(
+			{
+				async predict(modelName, inputs) {
+					await new Promise((resolve) => setTimeout(resolve, modelName === 'fast' ? 5 : 10));
+					return { output: { embeddings: inputs.texts.map((text) => VECTORS[modelName][text]) } };
+				},
+			},
+			tables
+		);
+	});
+
+	const run = (winnerPolicy, data = testData) =>
+		benchmarkEngine.compareBenchmark(models, data, {
+			iterations: 2,
+			taskType: 'text-embedding',
+			equivalenceGroup: 'quality',
+			winnerPolicy,
+		});
+
+	it('should score classification, similarity and retrieval quality', async () => {
+		const result = await run('latency');
+		const good = result.results['good:v1'].quality;
+
+		assert.deepEqual(good.classification, { accuracy: 1, macroF1: 1, count: 2 });
+		assert.equal(good.similarity.spearman, 1);
+		assert.deepEqual(good.retrieval, { recallAtK: 1, ndcgAtK: 1, queryCount: 1 });
+		assert.equal(good.score, 1);
+		assert.equal(good.evaluatedSamples, 2);
+		assert.ok(result.results['fast:v1'].quality.score < 0.5);
+	});
+
+	it('should pick the fastest model under the latency policy', async () => {
+		const result = await run('latency');
+
+		assert.equal(result.winner.modelId, 'fast:v1');
+		assert.equal(result.winnerPolicy.strategy, 'latency');
+	});
+
+	it('should default to the weighted policy when testData has expected outputs', async () => {
+		const result = await run();
+
+		assert.equal(result.winnerPolicy.strategy, 'weighted');
+		assert.equal(result.winner.modelId, 'good:v1');
+		assert.equal(result.winner.qualityScore, 1);
+
+		const stored = await tables.BenchmarkResult.get(result.comparisonId);
+		assert.equal(JSON.parse(stored.winner).modelId, 'good:v1');
+		assert.equal(JSON.parse(stored.winnerPolicy).strategy, 'weighted');
+	});
+
+	it('should exclude models below minQuality', async () => {
+		const result = await run({ strategy: 'latency', minQuality: 0.9 });
+
+		assert.equal(result.winner.modelId, 'good:v1');
+	});
+
+	it('should reject quality policies without expected outputs', async () => {
+		const plain = testData.map(({ texts }) => ({ texts }));
+
+		await assert.rejects(() => run('quality', plain), /require testData with expected outputs/);
+		await assert.rejects(() => run({ strategy: 'fastest' }), /strategy must be one of/);
+		await assert.rejects(() => run({ qualityWeight: 2 }), /between 0 and 1/);
+
+		const result = await run(undefined, plain);
+		assert.equal(result.results['good:v1'].quality, null);
+		assert.equal(result.winner.modelId, 'fast:v1');
+	});
+});
+
+describe('BenchmarkEngine load', () => {
+	const models = ['a', 'b'].map((modelName) => ({
+		id: `${modelName}:v1`,
+		modelName,
+		modelVersion: 'v1',
+		framework: 'onnx',
+		parsedMetadata: { taskType: 'text-embedding', equivalenceGroup: 'load', outputDimensions: [2] },
+	}));
+	const testData = [{ texts: ['one'] }, { texts: ['two'] }];
+
+	/**
+	 * Engine whose first call per model is slow (cold load) and that tracks calls in flight
+	 */
+	function createLoadEngine() {
+		const engine = { calls: {}, inFlight: 0, maxInFlight: 0, cachedCalls: 0 };
+		engine.predict = async (modelName, inputs, modelVersion, modelRecord, options) => {
+			engine.calls[modelName] = (engine.calls[modelName] || 0) + 1;
+			if (options?.cache !== false) engine.cachedCalls++;
+			engine.inFlight++;
+			engine.maxInFlight = Math.max(engine.maxInFlight, engine.inFlight);
+			await new Promise((resolve) => setTimeout(resolve, engine.calls[modelName] === 1 ? 100 : 5));
+			engine.inFlight--;
+			return { output: { embeddings: [[1, 0]] } };
+		};
+		return engine;
+	}
+
+	const run = (engine, options) =>
+		new BenchmarkEngine(engine, createMemoryTables()).compareBenchmark(models, testData, {
+			iterations: 4,
+			taskType: 'text-embedding',
+			equivalenceGroup: 'load',
+			...options,
+		});
+
+	it('should exclude warmup iterations from latency metrics', async () => {
+		const engine = createLoadEngine();
+		const result = await run(engine, { warmupIterations: 1 });
+
+		assert.equal(engine.calls.a, 10);
+		assert.equal(result.results['a:v1'].successCount, 8);
+		assert.ok(result.results['a:v1'].maxLatency < 100);
+		assert.equal(result.warmupIterations, 1);
+		// Measured predictions must not be answered from the embedding cache
+		assert.equal(engine.cachedCalls, 0);
+	});
+
+	it('should include the cold call without warmup', async () => {
+		const result = await run(createLoadEngine(), { warmupIterations: 0 });
+
+		assert.ok(result.results['a:v1'].maxLatency >= 90);
+		assert.equal(result.results['a:v1'].successCount, 8);
+	});
+
+	it('should keep up to concurrency predictions in flight and report throughput', async () => {
+		const sequential = createLoadEngine();
+		const sequentialResult = await run(sequential, { concurrency: 1 });
+		const concurrent = createLoadEngine();
+		const concurrentResult = await run(concurrent, { concurrency: 4 });
+
+		assert.equal(sequential.maxInFlight, 1);
+		assert.equal(concurrent.maxInFlight, 4);
+		assert.equal(concurrentResult.concurrency, 4);
+		assert.ok(concurrentResult.results['a:v1'].throughput > sequentialResult.results['a:v1'].throughput);
+		assert.ok(concurrentResult.results['a:v1'].durationMs > 0);
+	});
+
+	it('should use sub-millisecond timing and sample memory', async () => {
+		const result = await run(createLoadEngine());
+		const metrics = result.results['a:v1'];
+
+		assert.ok(!Number.isInteger(metrics.avgLatency));
+		assert.equal(typeof metrics.memory.rssDeltaBytes, 'number');
+		assert.equal(typeof metrics.memory.heapUsedDeltaBytes, 'number');
+		assert.ok(metrics.memory.peakRssBytes > 0);
+	});
+
+	it('should validate warmup and concurrency', async () => {
+		await assert.rejects(() => run(createLoadEngine(), { warmupIterations: -1 }), /warmupIterations/);
+		await assert.rejects(() => run(createLoadEngine(), { concurrency: 0 }), /concurrency must be a positive integer/);
+	});
+
+	it('should report progress per model and phase', async () => {
+		const events = [];
+		await run(createLoadEngine(), { warmupIterations: 1, onProgress: (event) => events.push(event) });
+
+		const forA = events.filter((event) => event.modelId === 'a:v1');
+		assert.deepEqual([...new Set(forA.map((event) => event.phase))], ['warmup', 'measure']);
+		assert.deepEqual(forA.at(-1), {
+			modelId: 'a:v1',
+			modelIndex: 0,
+			modelCount: 2,
+			phase: 'measure',
+			completed: 10,
+			total: 10,
+		});
+		assert.equal(events.at(-1).modelIndex, 1);
+	});
+
+	it('should stop when the signal is aborted', async () => {
+		const engine = createLoadEngine();
+		const controller = new AbortController();
+		const onProgress = ({ completed }) => completed === 2 && controller.abort();
+
+		await assert.rejects(
+			() => run(engine, { warmupIterations: 0, signal: controller.signal, onProgress }),
+			(error) => error.name === 'AbortError'
+		);
+		assert.ok(engine.calls.a < 8);
+		assert.equal(engine.calls.b, undefined);
+	});
+});
+
+describe('BenchmarkEngine regression', () => {
+	const MODEL_IDS = ['a:v1', 'b:v1'];
+	let tables;
+	let engine;
+
+	beforeEach(() => {
+		tables = createMemoryTables();
+		engine = new BenchmarkEngine({ predict: async () => ({ output: {} }) }, tables);
+	});
+
+	/**
+	 * Latencies spread evenly around `center` (deterministic, no ties across runs)
+	 */
+	const latencies = (center, offset = 0) => Array.from({ length: 40 }, (_, i) => center - 2 + i / 10 + offset / 1000);
+
+	/**
+	 * Store a run; `centers` gives each model's typical latency
+	 */
+	async function addRun(id, timestamp, centers, { modelIds = MODEL_IDS, withSamples = true } = {}) {
+		const results = {};
+		const samples = {};
+		for (const [index, modelId] of modelIds.entries()) {
+			results[modelId] = { avgLatency: centers[index], p50Latency: centers[index], p95Latency: centers[index] + 2 };
+			samples[modelId] = latencies(centers[index], timestamp);
+		}
+		await tables.BenchmarkResult.put({
+			id,
+			taskType: 'text-embedding',
+			equivalenceGroup: 'trend',
+			modelIds: JSON.stringify(modelIds),
+			results: JSON.stringify(results),
+			latencySamples: withSamples ? JSON.stringify(samples) : undefined,
+			timestamp,
+		});
+	}
+
+	it('should flag significant slowdowns against the rolling baseline', async () => {
+		await addRun('r1', 1, [10, 20]);
+		await addRun('r2', 2, [10, 20]);
+		await addRun('r3', 3, [10, 20]);
+		await addRun('r4', 4, [14, 20]);
+
+		const analysis = await engine.analyzeRegression({ comparisonId: 'r4' }, { baselineRuns: 2 });
+
+		assert.deepEqual(analysis.baseline.comparisonIds, ['r3', 'r2']);
+		assert.deepEqual(analysis.regressions, ['a:v1']);
+		assert.equal(analysis.models['a:v1'].status, 'regression');
+		assert.ok(analysis.models['a:v1'].pValue < 0.001);
+		assert.ok(Math.abs(analysis.models['a:v1'].change - 0.4) < 0.01);
+		assert.equal(analysis.models['a:v1'].baselineSampleCount, 80);
+		assert.equal(analysis.models['b:v1'].status, 'ok');
+		assert.ok(analysis.models['b:v1'].pValue > 0.05);
+	});
+
+	it('should ignore significant but small slowdowns', async () => {
+		await addRun('r1', 1, [10, 20]);
+		await addRun('r2', 2, [10.5, 20]);
+
+		const analysis = await engine.analyzeRegression({ comparisonId: 'r2' });
+
+		assert.ok(analysis.models['a:v1'].pValue < 0.05);
+		assert.equal(analysis.models['a:v1'].status, 'ok');
+		assert.deepEqual(analysis.regressions, []);
+	});
+
+	it('should only use earlier runs of the same model set', async () => {
+		await addRun('other-models', 1, [30, 30, 30], { modelIds: ['a:v1', 'b:v1', 'c:v1'] });
+		await addRun('r1', 2, [10, 20]);
+		await addRun('later', 5, [5, 5]);
+		await addRun('r2', 3, [10, 20]);
+
+		const analysis = await engine.analyzeRegression({ comparisonId: 'r2' });
+
+		assert.deepEqual(analysis.baseline.comparisonIds, ['r1']);
+		assert.deepEqual(
+			analysis.trend.map((point) => point.comparisonId),
+			['r1', 'r2']
+		);
+	});
+
+	it('should analyze the latest run of a group and return a trend series', async () => {
+		await addRun('r1', 1, [10, 20], { withSamples: false });
+		await addRun('r2', 2, [11, 20]);
+		await addRun('r3', 3, [12, 21]);
+
+		const analysis = await engine.analyzeRegression({ taskType: 'text-embedding', equivalenceGroup: 'trend' });
+
+		assert.equal(analysis.comparisonId, 'r3');
+		assert.deepEqual(
+			analysis.trend.map((point) => point.models['a:v1'].avgLatency),
+			[10, 11, 12]
+		);
+		assert.equal(analysis.trend[2].models['b:v1'].p95Latency, 23);
+		// r1 has no stored samples, so only r2 feeds the test
+		assert.equal(analysis.models['a:v1'].baselineSampleCount, 40);
+	});
+
+	it('should report insufficient data without a baseline', async () => {
+		await addRun('r1', 1, [10, 20]);
+
+		const analysis = await engine.analyzeRegression({ comparisonId: 'r1' });
+
+		assert.equal(analysis.baseline.runCount, 0);
+		assert.equal(analysis.models['a:v1'].status, 'insufficient-data');
+		await assert.rejects(() => engine.analyzeRegression({ comparisonId: 'missing' }), /Benchmark missing not found/);
+		await assert.rejects(() => engine.analyzeRegression({}), /comparisonId or taskType and equivalenceGroup/);
+	});
+
+	it('should store latency samples with each run', async () => {
+		const models = MODEL_IDS.map((id) => ({
+			id,
+			modelName: id.split(':')[0],
+			modelVersion: 'v1',
+			framework: 'onnx',
+			parsedMetadata: { taskType: 'text-embedding', equivalenceGroup: 'trend', outputDimensions: [2] },
+		}));
+
+		const result = await engine.compareBenchmark(models, [{ texts: ['x'] }], {
+			iterations: 3,
+			taskType: 'text-embedding',
+			equivalenceGroup: 'trend',
+		});
+
+		const stored = await tables.BenchmarkResult.get(result.comparisonId);
+		const samples = JSON.parse(stored.latencySamples);
+		assert.equal(samples['a:v1'].length, 3);
+		assert.equal(result.latencySamples, undefined);
+	});
+});
+
+describe('BenchmarkEngine agreement', () => {
+	const TEXT_VECTORS = {
+		'trail shoes': [1, 0],
+		'running shoes': [0.9, 0.1],
+		'rain jacket': [0, 1],
+		'waterproof shell': [0.1, 0.9],
+	};
+	const testData = [{ texts: ['trail shoes', 'running shoes'] }, { texts: ['rain jacket', 'waterproof shell'] }];
+
+	const createModels = (names) =>
+		names.map((modelName) => ({
+			id: `${modelName}:v1`,
+			modelName,
+			modelVersion: 'v1',
+			framework: 'onnx',
+			parsedMetadata: { taskType: 'text-embedding', equivalenceGroup: 'agree', outputDimensions: [2] },
+		}));
+
+	/**
+	 * `rotated` embeds the same space turned 90°, `shuffled` pairs texts differently,
+	 * `flaky` fails on the second sample
+	 */
+	const inferenceEngine = {
+		async predict(modelName, { texts }) {
+			if (modelName === 'flaky' && texts[0] === 'rain jacket') {
+				throw new Error('backend unavailable');
+			}
+			const embeddings = texts.map((text) => {
+				const [x, y] = TEXT_VECTORS[text];
+				if (modelName === 'rotated') return [-y, x];
+				if (modelName === 'shuffled')
+					return text === 'running shoes' ? [0, 1] : text === 'rain jacket' ? [0.9, 0.1] : [x, y];
+				return [x, y];
+			});
+			return { output: { embeddings } };
+		},
+	};
+
+	const run = (names, agreement = true) =>
+		new BenchmarkEngine(inferenceEngine, createMemoryTables()).compareBenchmark(createModels(names), testData, {
+			iterations: 1,
+			warmupIterations: 0,
+			taskType: 'text-embedding',
+			equivalenceGroup: 'agree',
+			agreement,
+		});
+
+	it('should report interchangeable embedding spaces and store the report', async () => {
+		const engine = new BenchmarkEngine(inferenceEngine, createMemoryTables());
+		const result = await engine.compareBenchmark(createModels(['base', 'rotated']), testData, {
+			iterations: 1,
+			taskType: 'text-embedding',
+			equivalenceGroup: 'agree',
+			agreement: { k: 1 },
+		});
+
+		assert.equal(result.agreement.verdict, 'interchangeable');
+		assert.equal(result.agreement.textCount, 4);
+		assert.equal(result.agreement.k, 1);
+		const [pair] = result.agreement.pairs;
+		assert.equal(pair.modelA, 'base:v1');
+		assert.equal(pair.modelB, 'rotated:v1');
+		assert.ok(Math.abs(pair.score - 1) < 1e-9);
+
+		const stored = await engine.tables.BenchmarkResult.get(result.comparisonId);
+		assert.deepEqual(JSON.parse(stored.agreement), result.agreement);
+	});
+
+	it('should flag models that rank neighbours differently', async () => {
+		const result = await run(['base', 'rotated', 'shuffled'], { k: 1 });
+
+		assert.equal(result.agreement.pairs.length, 3);
+		const shuffledPairs = result.agreement.pairs.filter((pair) => pair.modelB === 'shuffled:v1');
+		assert.ok(shuffledPairs.every((pair) => pair.verdict === 'different'));
+		assert.equal(result.agreement.verdict, 'different');
+		assert.equal(result.agreement.minScore, Math.min(...result.agreement.pairs.map((pair) => pair.score)));
+	});
+
+	it('should skip texts a model failed to embed', async () => {
+		const result = await run(['base', 'flaky', 'rotated']);
+
+		assert.equal(result.agreement.textCount, 2);
+		assert.equal(result.agreement.skippedTexts, 2);
+		assert.equal(result.agreement.verdict, 'insufficient-data');
+		assert.ok(result.agreement.pairs.every((pair) => pair.score === null));
+	});
+
+	it('should be off by default and validate k', async () => {
+		assert.equal((await run(['base', 'rotated'], false)).agreement, null);
+		await assert.rejects(() => run(['base', 'rotated'], { k: 0 }), /agreement.k must be a positive integer/);
+	});
+});
@@ -0,0 +1,357 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { BenchmarkWorker } from '../../src/core/BenchmarkWorker.js';
+import { createMemoryTables } from '../helpers/memory-tables.js';
+
+const MODELS = [
+	{ id: 'minilm-onnx:v1', framework: 'onnx' },
+	{ id: 'minilm-tfjs:v1', framework: 'tensorflow' },
+];
+
+const INPUT = {
+	taskType: 'text-embedding',
+	equivalenceGroup: 'minilm',
+	testData: [{ texts: ['a'] }, { texts: ['b'] }],
+	iterations: 2,
+};
+
+/**
+ * Engine stand-in; compareBenchmark reports progress per prediction and
+ * honours the abort signal. `hold` keeps it reporting progress on the last
+ * model until released or aborted.
+ */
+function createFakeEngine({ models = MODELS, hold = false, fail = null } = {}) {
+	const engine = {
+		calls: [],
+		release: null,
+		async findEquivalentModels() {
+			return models;
+		},
+		validateModelsForComparison() {},
+		async compareBenchmark(models, testData, options) {
+			engine.calls.push({ models, testData, options });
+			const total = testData.length * options.iterations;
+			const report = async (modelIndex, completed) => {
+				options.signal.throwIfAborted();
+				options.onProgress({
+					modelId: models[modelIndex].id,
+					modelIndex,
+					modelCount: models.length,
+					phase: 'measure',
+					completed,
+					total,
+				});
+				await new Promise((resolve) => setTimeout(resolve, 1));
+			};
+
+			for (let modelIndex = 0; modelIndex < models.length; modelIndex++) {
+				for (let completed = 1; completed <= total; completed++) {
+					await report(modelIndex, completed);
+				}
+			}
+			if (hold) {
+				let released = false;
+				engine.release = () => (released = true);
+				while (!released) {
+					await report(models.length - 1, total);
+				}
+			}
+			if (fail) {
+				throw new Error(fail);
+			}
+			return {
+				comparisonId: 'result-1',
+				winner: { modelId: models[0].id, avgLatency: 5 },
+			};
+		},
+	};
+	return engine;
+}
+
+/**
+ * Wait until `predicate` returns true
+ */
+async function waitFor(predicate, timeoutMs = 2000) {
+	const deadline = Date.now() + timeoutMs;
+	while (!(await predicate())) {
+		if (Date.now() > deadline) {
+			throw new Error('Timed out waiting for condition');
+		}
+		await new Promise((resolve) => setTimeout(resolve, 5));
+	}
+}
+
+describe('BenchmarkWorker', () => {
+	let tables;
+	let engine;
+	let worker;
+	let originalLogger;
+
+	before(() => {
+		originalLogger = global.logger;
+		global.logger = { info() {}, warn() {}, error() {}, debug() {} };
+	});
+
+	after(() => {
+		global.logger = originalLogger;
+	});
+
+	beforeEach(() => {
+		tables = createMemoryTables();
+		engine = createFakeEngine();
+		worker = new BenchmarkWorker(engine, tables, { progressIntervalMs: 0 });
+	});
+
+	afterEach(async () => {
+		engine.release?.();
+		await worker.stop();
+	});
+
+	const finished = (jobId) => async () =>
+		['completed', 'failed', 'cancelled'].includes((await worker.getJob(jobId)).status);
+
+	it('should require an engine and tables', () => {
+		assert.throws(() => new BenchmarkWorker(null, tables), /Benchmark engine is required/);
+		assert.throws(() => new BenchmarkWorker(engine), /tables object is required/);
+	});
+
+	it('should validate requests before queueing', async () => {
+		await assert.rejects(() => worker.createJob({ taskType: 'text-embedding' }), /are required/);
+		await assert.rejects(() => worker.createJob({ ...INPUT, testData: [] }), /non-empty array/);
+
+		worker = new BenchmarkWorker(createFakeEngine({ models: MODELS.slice(0, 1) }), tables);
+		await assert.rejects(() => worker.createJob(INPUT), /Not enough models found. Found 1 models/);
+		assert.equal(tables.BenchmarkJob.records.size, 0);
+	});
+
+	it('should queue a job without running it until started', async () => {
+		const job = await worker.createJob(INPUT);
+
+		assert.equal(job.status, 'queued');
+		assert.deepEqual(job.modelIds, ['minilm-onnx:v1', 'minilm-tfjs:v1']);
+		assert.equal(job.request.sampleCount, 2);
+		assert.equal(job.request.testData, undefined);
+		assert.deepEqual(job.modelProgress['minilm-onnx:v1'], { phase: 'queued', completed: 0, total: null });
+		assert.equal(engine.calls.length, 0);
+	});
+
+	it('should run the job and link the BenchmarkResult', async () => {
+		await worker.start();
+		const { id } = await worker.createJob({
+			...INPUT,
+			warmupIterations: 0,
+			winnerPolicy: 'latency',
+			agreement: { k: 3 },
+		});
+		await waitFor(finished(id));
+
+		const job = await worker.getJob(id);
+		assert.equal(job.status, 'completed');
+		assert.equal(job.progress, 100);
+		assert.equal(job.resultId, 'result-1');
+		assert.equal(job.winner.modelId, 'minilm-onnx:v1');
+		assert.ok(Object.values(job.modelProgress).every((progress) => progress.phase === 'done'));
+
+		const { options, testData } = engine.calls[0];
+		assert.equal(testData.length, 2);
+		assert.equal(options.iterations, 2);
+		assert.equal(options.warmupIterations, 0);
+		assert.equal(options.winnerPolicy, 'latency');
+		assert.deepEqual(options.agreement, { k: 3 });
+		assert.equal(options.taskType, 'text-embedding');
+	});
+
+	it('should write per-model progress while running', async () => {
+		engine = createFakeEngine({ hold: true });
+		worker = new BenchmarkWorker(engine, tables, { progressIntervalMs: 0 });
+		await worker.start();
+		const { id } = await worker.createJob(INPUT);
+
+		await waitFor(() => engine.release !== null);
+		await waitFor(async () => (await worker.getJob(id)).modelProgress['minilm-tfjs:v1'].completed === 4);
+
+		const job = await worker.getJob(id);
+		assert.equal(job.status, 'running');
+		assert.equal(job.progress, 100);
+		assert.equal(job.currentModelId, 'minilm-tfjs:v1');
+		assert.deepEqual(job.modelProgress['minilm-onnx:v1'], { phase: 'measure', completed: 4, total: 4 });
+		assert.deepEqual(job.modelProgress['minilm-tfjs:v1'], { phase: 'measure', completed: 4, total: 4 });
+	});
+
+	it('should record failures', async () => {
+		engine = createFakeEngine({ fail: 'Ollama unreachable' });
+		worker = new BenchmarkWorker(engine, tables, { progressIntervalMs: 0 });
+		await worker.start();
+		const { id } = await worker.createJob(INPUT);
+		await waitFor(finished(id));
+
+		const job = await worker.getJob(id);
+		assert.equal(job.status, 'failed');
+		assert.equal(job.lastError, 'Ollama unreachable');
+		assert.equal(job.resultId, null);
+	});
+
+	it('should cancel queued jobs immediately', async () => {
+		const { id } = await worker.createJob(INPUT);
+
+		const job = await worker.cancelJob(id);
+
+		assert.equal(job.status, 'cancelled');
+		await worker.start();
+		assert.equal(engine.calls.length, 0);
+		await assert.rejects(() => worker.cancelJob(id), /already finished \(status: cancelled\)/);
+		await assert.rejects(() => worker.cancelJob('missing'), /Job missing not found/);
+	});
+
+	it('should cancel a running job when another thread requests it', async () => {
+		engine = createFakeEngine({ hold: true });
+		worker = new BenchmarkWorker(engine, tables, { progressIntervalMs: 0 });
+		await worker.start();
+		const { id } = await worker.createJob(INPUT);
+		await waitFor(async () => (await worker.getJob(id)).status === 'running');
+
+		// A second worker instance has no local controller for the job
+		const other = new BenchmarkWorker(engine, tables);
+		const requested = await other.cancelJob(id);
+		assert.equal(requested.cancelRequested, true);
+
+		// The running job sees the flag on its next progress write
+		await waitFor(finished(id));
+		const job = await worker.getJob(id);
+		assert.equal(job.status, 'cancelled');
+		assert.equal(job.resultId, null);
+	});
+
+	it('should run queued jobs one at a time in creation order', async () => {
+		engine = createFakeEngine({ hold: true });
+		worker = new BenchmarkWorker(engine, tables, { progressIntervalMs: 0 });
+		await worker.start();
+		const first = await worker.createJob(INPUT);
+		const second = await worker.createJob({ ...INPUT, notes: 'second' });
+
+		await waitFor(() => engine.release !== null);
+		assert.equal((await worker.getJob(second.id)).status, 'queued');
+
+		engine.release();
+		await waitFor(finished(first.id));
+		await waitFor(() => engine.calls.length === 2);
+		assert.equal(engine.calls[1].options.notes, 'second');
+	});
+
+	it('should run again jobs whose owner stopped heartbeating', async () => {
+		const { id } = await worker.createJob(INPUT);
+		const record = await tables.BenchmarkJob.get(id);
+		await tables.BenchmarkJob.put({
+			...record,
+			status: 'running',
+			progress: 40,
+			ownerId: 'crashed-worker',
+			heartbeatAt: Date.now() - 10 * 60 * 1000,
+		});
+
+		await worker.start();
+		await waitFor(finished(id));
+
+		const job = await worker.getJob(id);
+		assert.equal(job.status, 'completed');
+		assert.equal(job.ownerId, worker.workerId);
+		assert.equal(engine.calls.length, 1);
+	});
+
+	it('should leave jobs running on another live worker alone', async () => {
+		engine = createFakeEngine({ hold: true });
+		const owner = new BenchmarkWorker(engine, tables, { progressIntervalMs: 0 });
+		await owner.start();
+		const { id } = await owner.createJob(INPUT);
+		await waitFor(() => engine.release !== null);
+
+		// Another thread's worker starts while the job runs
+		worker = new BenchmarkWorker(engine, tables, { progressIntervalMs: 0 });
+		await worker.start();
+		await worker.processQueue();
+
+		assert.equal(engine.calls.length, 1);
+		assert.equal((await worker.getJob(id)).ownerId, owner.workerId);
+
+		engine.release();
+		await waitFor(finished(id));
+		assert.equal((await worker.getJob(id)).status, 'completed');
+		await owner.stop();
+	});
+
+	it('should count jobs of other workers against maxConcurrent', async () => {
+		engine = createFakeEngine({ hold: true });
+		const owner = new BenchmarkWorker(engine, tables, { progressIntervalMs: 0 });
+		await owner.start();
+		const first = await owner.createJob(INPUT);
+		await waitFor(() => engine.release !== null);
+
+		worker = new BenchmarkWorker(engine, tables, { progressIntervalMs: 0 });
+		await worker.start();
+		const second = await worker.createJob(INPUT);
+		await worker.processQueue();
+		assert.equal((await worker.getJob(second.id)).status, 'queued');
+
+		// The owner picks up the next job once its own finishes
+		engine.release();
+		await waitFor(finished(first.id));
+		await waitFor(async () => (await worker.getJob(second.id)).status === 'running');
+		assert.equal((await worker.getJob(second.id)).ownerId, owner.workerId);
+		await owner.stop();
+	});
+
+	it('should run a job only once when two workers pick it up together', async () => {
+		const other = new BenchmarkWorker(engine, tables, { progressIntervalMs: 0 });
+		const { id } = await worker.createJob(INPUT);
+
+		await Promise.all([worker.start(), other.start()]);
+		await waitFor(finished(id));
+		await other.stop();
+
+		assert.equal(engine.calls.length, 1);
+		assert.equal((await worker.getJob(id)).status, 'completed');
+	});
+
+	it('should drop its run when another worker took the job over', async () => {
+		engine = createFakeEngine({ hold: true });
+		worker = new BenchmarkWorker(engine, tables, { progressIntervalMs: 0 });
+		await worker.start();
+		const { id } = await worker.createJob(INPUT);
+		await waitFor(() => engine.release !== null);
+
+		const record = await tables.BenchmarkJob.get(id);
+		await tables.BenchmarkJob.put({ ...record, ownerId: 'other-worker', heartbeatAt: Date.now() });
+		await waitFor(() => !worker.activeJobs.has(id));
+
+		const job = await worker.getJob(id);
+		assert.equal(job.status, 'running');
+		assert.equal(job.ownerId, 'other-worker');
+	});
+
+	it('should cancel a job whose owner is gone instead of running it', async () => {
+		const { id } = await worker.createJob(INPUT);
+		const record = await tables.BenchmarkJob.get(id);
+		await tables.BenchmarkJob.put({ ...record, status: 'running', ownerId: 'crashed-worker', cancelRequested: true });
+
+		await worker.start();
+
+		assert.equal((await worker.getJob(id)).status, 'cancelled');
+		assert.equal(engine.calls.length, 0);
+	});
+
+	it('should list jobs most recent first with a status filter', async () => {
+		const first = await worker.createJob(INPUT);
+		await new Promise((resolve) => setTimeout(resolve, 2));
+		const second = await worker.createJob(INPUT);
+		await worker.cancelJob(first.id);
+
+		assert.deepEqual(
+			(await worker.listJobs()).map((job) => job.id),
+			[second.id, first.id]
+		);
+		assert.deepEqual(
+			(await worker.listJobs({ status: 'cancelled' })).map((job) => job.id),
+			[first.id]
+		);
+	});
+});
@@ -0,0 +1,366 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { DeploymentGuard } from '../../src/core/DeploymentGuard.js';
+import { MonitoringBackend } from '../../src/core/MonitoringBackend.js';
+import { ModelRouter } from '../../src/core/ModelRouter.js';
+import { createMemoryTables } from '../helpers/memory-tables.js';
+
+const HOUR = 60 * 60 * 1000;
+const PROMOTED_AT = 1_700_000_000_000;
+
+describe('DeploymentGuard', () => {
+	let tables;
+	let monitoringBackend;
+	let modelRouter;
+	let guard;
+	let originalLogger;
+
+	before(() => {
+		originalLogger = global.logger;
+		global.logger = { info() {}, warn() {}, error() {}, debug() {} };
+	});
+
+	after(() => {
+		global.logger = originalLogger;
+	});
+
+	beforeEach(async () => {
+		tables = createMemoryTables();
+		monitoringBackend = new MonitoringBackend(tables);
+		modelRouter = new ModelRouter(tables);
+		guard = new DeploymentGuard(monitoringBackend, modelRouter, tables, { bakeMs: HOUR, minRequests: 10 });
+		await tables.Model.put({
+			id: 'minilm:v1',
+			modelName: 'minilm',
+			modelVersion: 'v1',
+			stage: 'production',
+			uploadedAt: 1,
+		});
+		await tables.Model.put({
+			id: 'minilm:v2',
+			modelName: 'minilm',
+			modelVersion: 'v2',
+			stage: 'production',
+			uploadedAt: 2,
+		});
+	});
+
+	afterEach(() => {
+		guard.stop();
+	});
+
+	/**
+	 * Store `count` events for a version, `errors` of them failed
+	 */
+	async function addEvents(modelVersion, { count, errors = 0, latencyMs = 100, start }) {
+		for (let i = 0; i < count; i++) {
+			await tables.InferenceEvent.put({
+				id: `${modelVersion}-${start}-${i}`,
+				modelName: 'minilm',
+				modelVersion,
+				framework: 'onnx',
+				latencyMs,
+				errorCode: i < errors ? 'INFERENCE_ERROR' : null,
+				timestamp: start + i,
+			});
+		}
+	}
+
+	it('should require dependencies', () => {
+		assert.throws(() => new DeploymentGuard(null, modelRouter, tables), /Monitoring backend is required/);
+		assert.throws(() => new DeploymentGuard(monitoringBackend, null, tables), /Model router is required/);
+		assert.throws(() => new DeploymentGuard(monitoringBackend, modelRouter), /tables object is required/);
+	});
+
+	describe('watch', () => {
+		it('should open a watch and audit it', async () => {
+			const watch = await guard.watch({ modelName: 'minilm', modelVersion: 'v2', previousVersion: 'v1' }, PROMOTED_AT);
+
+			assert.equal(watch.status, 'watching');
+			assert.equal(watch.bakeUntil, PROMOTED_AT + HOUR);
+			assert.equal(watch.thresholds.latencyRatio, 1.5);
+
+			const [audit] = await guard.getAudit({ modelName: 'minilm' });
+			assert.equal(audit.action, 'watch_started');
+		});
+
+		it('should validate versions', async () => {
+			await assert.rejects(() => guard.watch({ modelName: 'minilm', modelVersion: 'v2' }), /are required/);
+			await assert.rejects(
+				() => guard.watch({ modelName: 'minilm', modelVersion: 'v2', previousVersion: 'v2' }),
+				/must differ/
+			);
+			await assert.rejects(
+				() => guard.watch({ modelName: 'minilm', modelVersion: 'v9', previousVersion: 'v1' }),
+				/minilm:v9 not found/
+			);
+		});
+	});
+
+	describe('run', () => {
+		beforeEach(async () => {
+			await guard.watch({ modelName: 'minilm', modelVersion: 'v2', previousVersion: 'v1' }, PROMOTED_AT);
+			await addEvents('v1', { count: 50, errors: 1, latencyMs: 100, start: PROMOTED_AT - HOUR / 2 });
+		});
+
+		it('should roll back on an error rate regression', async () => {
+			await addEvents('v2', { count: 20, errors: 5, start: PROMOTED_AT + 1000 });
+
+			const [rolledBack] = await guard.run(PROMOTED_AT + 10 * 60 * 1000);
+
+			assert.equal(rolledBack.status, 'rolled_back');
+			assert.match(rolledBack.reason, /error rate 25\.0%/);
+			assert.equal((await tables.Model.get('minilm:v2')).stage, 'staging');
+			assert.equal((await tables.Model.get('minilm:v1')).stage, 'production');
+			assert.deepEqual((await modelRouter.getRoute('minilm')).versions, [{ modelVersion: 'v1', weight: 1 }]);
+
+			const [audit] = await guard.getAudit({ modelName: 'minilm' });
+			assert.equal(audit.action, 'rolled_back');
+			assert.equal(audit.metrics.candidate.errorCount, 5);
+			assert.equal(audit.metrics.previous.count, 50);
+
+			const [history] = await guard.lifecycle.getHistory({ modelName: 'minilm', modelVersion: 'v2' });
+			assert.equal(history.fromStage, 'production');
+			assert.equal(history.toStage, 'staging');
+			assert.equal(history.approver, 'deployment-guard');
+			assert.equal(history.automated, true);
+		});
+
+		it('should roll back on a p95 latency regression', async () => {
+			await addEvents('v2', { count: 20, latencyMs: 400, start: PROMOTED_AT + 1000 });
+
+			const [rolledBack] = await guard.run(PROMOTED_AT + 10 * 60 * 1000);
+
+			assert.equal(rolledBack.status, 'rolled_back');
+			assert.match(rolledBack.reason, /p95 latency 400ms vs 100ms/);
+		});
+
+		it('should zero only the candidate in an existing route and audit the route it replaced', async () => {
+			await tables.Model.put({ id: 'minilm:v3', modelName: 'minilm', modelVersion: 'v3', stage: 'staging' });
+			const configured = [
+				{ modelVersion: 'v1', weight: 80 },
+				{ modelVersion: 'v2', weight: 10 },
+				{ modelVersion: 'v3', weight: 10 },
+			];
+			await modelRouter.setRoute('minilm', configured);
+			await addEvents('v2', { count: 20, errors: 5, start: PROMOTED_AT + 1000 });
+
+			await guard.run(PROMOTED_AT + 10 * 60 * 1000);
+
+			assert.deepEqual((await modelRouter.getRoute('minilm')).versions, [
+				{ modelVersion: 'v1', weight: 80 },
+				{ modelVersion: 'v2', weight: 0 },
+				{ modelVersion: 'v3', weight: 10 },
+			]);
+			const [audit] = await guard.getAudit({ modelName: 'minilm' });
+			assert.deepEqual(audit.previousRoute, configured);
+		});
+
+		it('should move the candidate weight to the previous version when nothing else gets traffic', async () => {
+			await modelRouter.setRoute('minilm', [{ modelVersion: 'v2', weight: 100 }]);
+			await addEvents('v2', { count: 20, errors: 5, start: PROMOTED_AT + 1000 });
+
+			await guard.run(PROMOTED_AT + 10 * 60 * 1000);
+
+			assert.deepEqual((await modelRouter.getRoute('minilm')).versions, [
+				{ modelVersion: 'v2', weight: 0 },
+				{ modelVersion: 'v1', weight: 100 },
+			]);
+		});
+
+		it('should roll back once when guards on several threads share the tables', async () => {
+			const other = new DeploymentGuard(monitoringBackend, modelRouter, tables, { bakeMs: HOUR, minRequests: 10 });
+			await addEvents('v2', { count: 20, errors: 5, start: PROMOTED_AT + 1000 });
+
+			const changed = await Promise.all([
+				guard.run(PROMOTED_AT + 10 * 60 * 1000),
+				other.run(PROMOTED_AT + 10 * 60 * 1000),
+			]);
+
+			assert.equal(changed.flat().length, 1);
+			const audit = await guard.getAudit({ modelName: 'minilm' });
+			assert.equal(audit.filter((a) => a.action === 'rolled_back').length, 1);
+			const history = await guard.lifecycle.getHistory({ modelName: 'minilm', modelVersion: 'v2' });
+			assert.equal(history.length, 1);
+		});
+
+		it('should only read events inside the compared windows', async () => {
+			await addEvents('v2', { count: 20, latencyMs: 110, start: PROMOTED_AT + 1000 });
+			const search = mock.method(tables.InferenceEvent, 'search');
+
+			await guard.run(PROMOTED_AT + 10 * 60 * 1000);
+
+			const ranges = search.mock.calls.map(({ arguments: [query] }) =>
+				query.conditions.filter((c) => c.attribute === 'timestamp').map((c) => c.value)
+			);
+			assert.deepEqual(ranges, [
+				[PROMOTED_AT, PROMOTED_AT + 10 * 60 * 1000],
+				[PROMOTED_AT - HOUR, PROMOTED_AT],
+			]);
+		});
+
+		it('should leave embedding cache hits out of the latency comparison', async () => {
+			await addEvents('v2', { count: 20, latencyMs: 400, start: PROMOTED_AT + 1000 });
+			await addEvents('v2', { count: 80, latencyMs: null, start: PROMOTED_AT + 2000 });
+
+			const [rolledBack] = await guard.run(PROMOTED_AT + 10 * 60 * 1000);
+
+			assert.equal(rolledBack.status, 'rolled_back');
+			assert.match(rolledBack.reason, /p95 latency 400ms vs 100ms/);
+		});
+
+		it('should wait for enough traffic before judging', async () => {
+			await addEvents('v2', { count: 5, errors: 5, start: PROMOTED_AT + 1000 });
+
+			assert.deepEqual(await guard.run(PROMOTED_AT + 10 * 60 * 1000), []);
+			const [watch] = await guard.getWatches({ status: 'watching' });
+			assert.equal(watch.lastCheckedAt, PROMOTED_AT + 10 * 60 * 1000);
+		});
+
+		it('should keep watching after the bake period until enough requests were served', async () => {
+			await addEvents('v2', { count: 5, latencyMs: 110, start: PROMOTED_AT + 1000 });
+
+			assert.deepEqual(await guard.run(PROMOTED_AT + HOUR), []);
+			const [watch] = await guard.getWatches({ status: 'watching' });
+			assert.match(watch.reason, /only 5 of 10 requests; still watching/);
+
+			await addEvents('v2', { count: 5, latencyMs: 110, start: PROMOTED_AT + HOUR });
+			const [passed] = await guard.run(PROMOTED_AT + 2 * HOUR);
+			assert.equal(passed.status, 'passed');
+			assert.match(passed.reason, /10 requests/);
+		});
+
+		it('should pass a healthy version after the bake period', async () => {
+			await addEvents('v2', { count: 30, latencyMs: 110, start: PROMOTED_AT + 1000 });
+
+			assert.deepEqual(await guard.run(PROMOTED_AT + HOUR / 2), []);
+			const [passed] = await guard.run(PROMOTED_AT + HOUR);
+
+			assert.equal(passed.status, 'passed');
+			assert.match(passed.reason, /No regression/);
+			assert.equal((await tables.Model.get('minilm:v2')).stage, 'production');
+			assert.equal(await modelRouter.getRoute('minilm'), null);
+		});
+	});
+
+	describe('promotion detection', () => {
+		it('should record the first production version as the baseline and watch later ones', async () => {
+			await tables.Model.delete('minilm:v2');
+
+			await guard.run(PROMOTED_AT);
+			const [baseline] = await guard.getWatches({ modelName: 'minilm' });
+			assert.equal(baseline.modelVersion, 'v1');
+			assert.equal(baseline.status, 'baseline');
+
+			await tables.Model.put({
+				id: 'minilm:v2',
+				modelName: 'minilm',
+				modelVersion: 'v2',
+				stage: 'production',
+				uploadedAt: 2,
+			});
+			await guard.run(PROMOTED_AT + 1000);
+
+			const [watch] = await guard.getWatches({ modelName: 'minilm', status: 'watching' });
+			assert.equal(watch.modelVersion, 'v2');
+			assert.equal(watch.previousVersion, 'v1');
+			assert.equal(watch.startedAt, PROMOTED_AT + 1000);
+		});
+
+		it('should compare existing production versions oldest first', async () => {
+			await guard.run(PROMOTED_AT);
+
+			const watches = await guard.getWatches({ modelName: 'minilm' });
+			const byVersion = Object.fromEntries(watches.map((w) => [w.modelVersion, w]));
+			assert.equal(byVersion.v1.status, 'baseline');
+			assert.equal(byVersion.v2.status, 'watching');
+			assert.equal(byVersion.v2.previousVersion, 'v1');
+		});
+
+		it('should take promotion order from the stage history', async () => {
+			await tables.Model.put({
+				id: 'minilm:v3',
+				modelName: 'minilm',
+				modelVersion: 'v3',
+				stage: 'production',
+				uploadedAt: 3,
+			});
+			// v3 was promoted before v2, although it was uploaded later
+			const promote = (modelVersion, timestamp) =>
+				tables.ModelStageHistory.put({
+					id: `promote-${modelVersion}`,
+					modelId: `minilm:${modelVersion}`,
+					modelName: 'minilm',
+					modelVersion,
+					fromStage: 'staging',
+					toStage: 'production',
+					timestamp,
+				});
+			await promote('v3', PROMOTED_AT - 2000);
+			await promote('v2', PROMOTED_AT - 1000);
+
+			await guard.run(PROMOTED_AT);
+
+			const watches = await guard.getWatches({ modelName: 'minilm' });
+			const byVersion = Object.fromEntries(watches.map((w) => [w.modelVersion, w]));
+			assert.equal(byVersion.v1.status, 'baseline');
+			assert.equal(byVersion.v3.previousVersion, 'v1');
+			assert.equal(byVersion.v2.previousVersion, 'v3');
+		});
+
+		it('should compare with the version restored by a rollback', async () => {
+			const change = (modelVersion, fromStage, toStage, timestamp) =>
+				tables.ModelStageHistory.put({
+					id: `${modelVersion}-${timestamp}`,
+					modelId: `minilm:${modelVersion}`,
+					modelName: 'minilm',
+					modelVersion,
+					fromStage,
+					toStage,
+					timestamp,
+				});
+			await tables.Model.put({ id: 'minilm:v3', modelName: 'minilm', modelVersion: 'v3', stage: 'production' });
+			await change('v2', 'staging', 'production', PROMOTED_AT - 3000);
+			await change('v2', 'production', 'staging', PROMOTED_AT - 2000);
+			await change('v3', 'staging', 'production', PROMOTED_AT - 1000);
+			await tables.Model.put({ ...(await tables.Model.get('minilm:v2')), stage: 'staging' });
+
+			await guard.run(PROMOTED_AT);
+
+			const [watch] = await guard.getWatches({ modelName: 'minilm', status: 'watching' });
+			assert.equal(watch.modelVersion, 'v3');
+			assert.equal(watch.previousVersion, 'v1');
+		});
+
+		it('should compare with the version a lifecycle promotion replaced', async () => {
+			await tables.Model.put({ ...(await tables.Model.get('minilm:v2')), stage: 'staging' });
+			await guard.run(PROMOTED_AT);
+			await guard.lifecycle.setStage(await tables.Model.get('minilm:v2'), 'production');
+			await guard.lifecycle.setStage(await tables.Model.get('minilm:v1'), 'staging');
+
+			await guard.run(PROMOTED_AT + 1000);
+
+			const [watch] = await guard.getWatches({ modelName: 'minilm', status: 'watching' });
+			assert.equal(watch.modelVersion, 'v2');
+			assert.equal(watch.previousVersion, 'v1');
+		});
+
+		it('should ignore models that are not in production', async () => {
+			await tables.Model.put({ id: 'other:v1', modelName: 'other', modelVersion: 'v1', stage: 'staging' });
+
+			await guard.run(PROMOTED_AT);
+
+			assert.deepEqual(await guard.getWatches({ modelName: 'other' }), []);
+		});
+	});
+
+	describe('start/stop', () => {
+		it('should schedule an unref-ed timer and clear it on stop', () => {
+			guard.start();
+			assert.equal(guard.intervalHandle.hasRef(), false);
+
+			guard.stop();
+			assert.equal(guard.intervalHandle, null);
+		});
+	});
+});
@@ -0,0 +1,209 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { DriftDetector } from '../../src/core/DriftDetector.js';
+import { createMemoryTables } from '../helpers/memory-tables.js';
+
+const HOUR = 60 * 60 * 1000;
+const NOW = 1_700_000_000_000;
+
+/**
+ * Insert `count` InferenceEvents spread across [start, start + HOUR)
+ */
+async function seedEvents(tables, { start, count, prediction, confidence, modelName = 'drift-model', prefix }) {
+	for (let i = 0; i < count; i++) {
+		await tables.InferenceEvent.put({
+			id: `${prefix}-${i}`,
+			modelName,
+			modelVersion: 'v1',
+			timestamp: start + Math.floor((i / count) * HOUR),
+			prediction: JSON.stringify(typeof prediction === 'function' ? prediction(i) : prediction),
+			confidence: typeof confidence === 'function' ? confidence(i) : confidence,
+		});
+	}
+}
+
+describe('DriftDetector', () => {
+	let tables;
+	let detector;
+
+	beforeEach(() => {
+		tables = createMemoryTables();
+		detector = new DriftDetector(tables);
+	});
+
+	describe('constructor', () => {
+		it('should throw without tables', () => {
+			assert.throws(() => new DriftDetector(), /tables object is required/);
+		});
+	});
+
+	describe('detect', () => {
+		it('should require modelName', async () => {
+			await assert.rejects(() => detector.detect(''), /modelName is required/);
+		});
+
+		it('should report no drift for stable confidence and labels', async () => {
+			const prediction = (i) => ({ label: i % 2 === 0 ? 'tent' : 'stove' });
+			const confidence = (i) => 0.5 + (i % 10) / 20;
+			await seedEvents(tables, { prefix: 'ref', start: NOW - 2 * HOUR, count: 100, prediction, confidence });
+			await seedEvents(tables, { prefix: 'cur', start: NOW - HOUR, count: 100, prediction, confidence });
+
+			const result = await detector.detect('drift-model', { now: NOW, referenceWindowMs: HOUR });
+
+			assert.equal(result.referenceCount, 100);
+			assert.equal(result.currentCount, 100);
+			assert.equal(result.driftDetected, false);
+			assert.equal(result.checks.label.score, 0);
+			assert.equal(result.checks.confidence.ks.statistic, 0);
+			assert.equal(result.checks.embedding, undefined);
+		});
+
+		it('should flag label distribution shift', async () => {
+			await seedEvents(tables, {
+				prefix: 'ref',
+				start: NOW - 2 * HOUR,
+				count: 100,
+				prediction: (i) => ({ label: i % 2 === 0 ? 'tent' : 'stove' }),
+			});
+			await seedEvents(tables, {
+				prefix: 'cur',
+				start: NOW - HOUR,
+				count: 100,
+				prediction: (i) => ({ label: i % 10 === 0 ? 'stove' : 'tent' }),
+			});
+
+			const result = await detector.detect('drift-model', { now: NOW, referenceWindowMs: HOUR });
+
+			assert.equal(result.driftDetected, true);
+			assert.ok(result.checks.label.chiSquare.pValue < 0.05);
+			assert.deepEqual(result.checks.label.currentDistribution, { stove: 10, tent: 90 });
+			assert.ok(Math.abs(result.driftScore - 0.4) < 1e-9);
+		});
+
+		it('should read top labels from pipeline-style predictions', async () => {
+			const prediction = [
+				{ label: 'positive', score: 0.2 },
+				{ label: 'negative', score: 0.8 },
+			];
+			await seedEvents(tables, { prefix: 'ref', start: NOW - 2 * HOUR, count: 40, prediction });
+			await seedEvents(tables, { prefix: 'cur', start: NOW - HOUR, count: 40, prediction });
+
+			const result = await detector.detect('drift-model', { now: NOW, referenceWindowMs: HOUR });
+
+			assert.deepEqual(result.checks.label.referenceDistribution, { negative: 40 });
+		});
+
+		it('should flag confidence distribution shift', async () => {
+			await seedEvents(tables, {
+				prefix: 'ref',
+				start: NOW - 2 * HOUR,
+				count: 60,
+				prediction: {},
+				confidence: (i) => 0.8 + (i % 20) / 100,
+			});
+			await seedEvents(tables, {
+				prefix: 'cur',
+				start: NOW - HOUR,
+				count: 60,
+				prediction: {},
+				confidence: (i) => 0.4 + (i % 20) / 100,
+			});
+
+			const result = await detector.detect('drift-model', { now: NOW, referenceWindowMs: HOUR });
+
+			assert.equal(result.driftDetected, true);
+			assert.equal(result.checks.confidence.ks.statistic, 1);
+			assert.ok(result.checks.confidence.psi > 0.2);
+		});
+
+		it('should flag embedding centroid shift', async () => {
+			await seedEvents(tables, {
+				prefix: 'ref',
+				start: NOW - 2 * HOUR,
+				count: 30,
+				prediction: { embeddings: [[1, 0, 0]], embedding: [1, 0, 0] },
+			});
+			await seedEvents(tables, {
+				prefix: 'cur',
+				start: NOW - HOUR,
+				count: 30,
+				prediction: { embeddings: [[0.6, 0.8, 0]], embedding: [0.6, 0.8, 0] },
+			});
+
+			const result = await detector.detect('drift-model', { now: NOW, referenceWindowMs: HOUR });
+
+			assert.equal(result.driftDetected, true);
+			assert.ok(Math.abs(result.checks.embedding.centroidDistance - 0.4) < 1e-9);
+		});
+
+		it('should skip checks below minSamples', async () => {
+			await seedEvents(tables, { prefix: 'ref', start: NOW - 2 * HOUR, count: 5, prediction: { label: 'a' } });
+			await seedEvents(tables, { prefix: 'cur', start: NOW - HOUR, count: 5, prediction: { label: 'b' } });
+
+			const result = await detector.detect('drift-model', { now: NOW, referenceWindowMs: HOUR });
+
+			assert.deepEqual(result.checks, {});
+			assert.equal(result.driftScore, 0);
+			assert.equal(result.driftDetected, false);
+		});
+
+		it('should only compare the requested model version', async () => {
+			await seedEvents(tables, { prefix: 'ref', start: NOW - 2 * HOUR, count: 40, prediction: { label: 'a' } });
+			await seedEvents(tables, { prefix: 'cur', start: NOW - HOUR, count: 40, prediction: { label: 'a' } });
+
+			const result = await detector.detect('drift-model', {
+				now: NOW,
+				referenceWindowMs: HOUR,
+				modelVersion: 'v2',
+			});
+
+			assert.equal(result.referenceCount, 0);
+			assert.equal(result.currentCount, 0);
+			assert.equal(result.modelVersion, 'v2');
+		});
+
+		it('should reject inverted windows', async () => {
+			await assert.rejects(
+				() => detector.detect('drift-model', { currentStart: NOW, currentEnd: NOW - 1 }),
+				/start < end/
+			);
+		});
+
+		it('should persist results to DriftMetrics', async () => {
+			const result = await detector.detect('drift-model', { now: NOW });
+
+			const stored = await tables.DriftMetrics.get(result.id);
+			assert.equal(stored.modelName, 'drift-model');
+			assert.equal(typeof stored.checks, 'string');
+			assert.equal(stored.currentEnd, NOW);
+			assert.equal(stored.currentStart, NOW - HOUR);
+			assert.equal(stored.referenceStart, NOW - 25 * HOUR);
+		});
+	});
+
+	describe('getHistory', () => {
+		it('should return parsed results most recent first', async () => {
+			await tables.DriftMetrics.put({ id: 'old', modelName: 'm', timestamp: 1, checks: '{}' });
+			await tables.DriftMetrics.put({ id: 'new', modelName: 'm', timestamp: 2, checks: '{"label":{"score":1}}' });
+			await tables.DriftMetrics.put({ id: 'other', modelName: 'n', timestamp: 3, checks: '{}' });
+
+			const history = await detector.getHistory('m');
+
+			assert.deepEqual(
+				history.map((r) => r.id),
+				['new', 'old']
+			);
+			assert.equal(history[0].checks.label.score, 1);
+		});
+
+		it('should apply limit', async () => {
+			await tables.DriftMetrics.put({ id: 'a', modelName: 'm', timestamp: 1, checks: '{}' });
+			await tables.DriftMetrics.put({ id: 'b', modelName: 'm', timestamp: 2, checks: '{}' });
+
+			const history = await detector.getHistory('m', { limit: 1 });
+
+			assert.equal(history.length, 1);
+			assert.equal(history[0].id, 'b');
+		});
+	});
+});
@@ -0,0 +1,270 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { EmbeddingIndex, itemText } from '../../src/core/EmbeddingIndex.js';
+import { createMemoryTables } from '../helpers/memory-tables.js';
+
+// Toy 3-d embedding space: footwear, outerwear, camping
+const KEYWORDS = [
+	['shoe', 'boot', 'running'],
+	['jacket', 'rain', 'shell'],
+	['tent', 'camping', 'sleeping'],
+];
+
+const PRODUCTS = [
+	{ id: 'sku-1', name: 'Trail Runner', description: 'Lightweight running shoe', category: 'footwear', price: 120 },
+	{ id: 'sku-2', name: 'Summit Boot', description: 'Waterproof hiking boot', category: 'footwear', price: 180 },
+	{ id: 'sku-3', name: 'Storm Shell', description: 'Rain jacket', category: 'outerwear', price: 220 },
+	{ id: 'sku-4', name: 'Basecamp 2', description: 'Two person tent', category: 'camping', price: 340 },
+];
+
+/**
+ * Inference stand-in that counts keyword hits per dimension and records every predict call
+ */
+function createInferenceEngine() {
+	const engine = {
+		calls: [],
+		async predict(modelName, { texts }, modelVersion) {
+			engine.calls.push({ modelName, modelVersion, texts });
+			const embeddings = texts.map((text) =>
+				KEYWORDS.map((words) => words.filter((word) => text.toLowerCase().includes(word)).length + 0.01)
+			);
+			return { output: { embeddings } };
+		},
+	};
+	return engine;
+}
+
+const MODEL = { modelName: 'minilm', modelVersion: 'v1' };
+
+describe('EmbeddingIndex', () => {
+	let tables;
+	let inferenceEngine;
+	let index;
+
+	beforeEach(() => {
+		tables = createMemoryTables();
+		inferenceEngine = createInferenceEngine();
+		index = new EmbeddingIndex(inferenceEngine, tables);
+	});
+
+	it('should require an inference engine, tables and a known index type', () => {
+		assert.throws(() => new EmbeddingIndex(null, tables), /Inference engine is required/);
+		assert.throws(() => new EmbeddingIndex(inferenceEngine), /tables object is required/);
+		assert.throws(() => new EmbeddingIndex(inferenceEngine, tables, { indexType: 'ivf' }), /Unknown vector index type/);
+	});
+
+	it('should build item text from name, description and category unless text is given', () => {
+		assert.equal(itemText(PRODUCTS[0]), 'Trail Runner Lightweight running shoe footwear');
+		assert.equal(itemText({ text: ' custom ', name: 'ignored' }), 'custom');
+	});
+
+	it('should embed items in batches and store them', async () => {
+		index = new EmbeddingIndex(inferenceEngine, tables, { batchSize: 3 });
+
+		const result = await index.indexItems({ ...MODEL, items: PRODUCTS });
+
+		assert.deepEqual(result, {
+			collection: 'products',
+			...MODEL,
+			indexed: 4,
+			skipped: 0,
+			dimensions: 3,
+			size: 4,
+		});
+		assert.deepEqual(
+			inferenceEngine.calls.map((call) => call.texts.length),
+			[3, 1]
+		);
+		const stored = tables.Embedding.records.get('products:minilm:v1:sku-3');
+		assert.equal(stored.itemId, 'sku-3');
+		assert.equal(stored.text, 'Storm Shell Rain jacket outerwear');
+		assert.deepEqual(JSON.parse(stored.metadata), {
+			name: 'Storm Shell',
+			description: 'Rain jacket',
+			category: 'outerwear',
+			price: 220,
+		});
+		assert.equal(JSON.parse(stored.vector).length, 3);
+	});
+
+	it('should return the top-k items for a query text', async () => {
+		await index.indexItems({ ...MODEL, items: PRODUCTS });
+
+		const result = await index.search({ ...MODEL, query: 'boots and running shoes', k: 2 });
+
+		assert.equal(result.indexType, 'brute-force');
+		assert.equal(result.size, 4);
+		assert.deepEqual(
+			result.results.map((hit) => hit.itemId),
+			['sku-1', 'sku-2']
+		);
+		assert.ok(result.results[0].score >= result.results[1].score);
+		assert.equal(result.results[0].metadata.price, 120);
+		assert.deepEqual(inferenceEngine.calls.at(-1).texts, ['boots and running shoes']);
+	});
+
+	it('should search by vector with an HNSW index', async () => {
+		index = new EmbeddingIndex(inferenceEngine, tables, { indexType: 'hnsw', hnsw: { m: 4 } });
+		await index.indexItems({ ...MODEL, items: PRODUCTS });
+		const calls = inferenceEngine.calls.length;
+
+		const result = await index.search({ ...MODEL, vector: [0, 0, 1], k: 1 });
+
+		assert.equal(result.indexType, 'hnsw');
+		assert.equal(result.results[0].itemId, 'sku-4');
+		assert.equal(inferenceEngine.calls.length, calls);
+	});
+
+	it('should skip unchanged items but keep their metadata current', async () => {
+		await index.indexItems({ ...MODEL, items: PRODUCTS });
+		inferenceEngine.calls = [];
+
+		const result = await index.indexItems({
+			...MODEL,
+			items: [
+				{ ...PRODUCTS[0], price: 99 },
+				{ ...PRODUCTS[1], description: 'Insulated winter boot' },
+			],
+		});
+
+		assert.equal(result.indexed, 1);
+		assert.equal(result.skipped, 1);
+		assert.deepEqual(inferenceEngine.calls[0].texts, ['Summit Boot Insulated winter boot footwear']);
+		assert.equal(JSON.parse(tables.Embedding.records.get('products:minilm:v1:sku-1').metadata).price, 99);
+		const [hit] = (await index.search({ ...MODEL, vector: [1, 0, 0], k: 1 })).results;
+		assert.equal(hit.metadata.price, 99);
+
+		assert.equal((await index.indexItems({ ...MODEL, items: PRODUCTS, force: true })).indexed, 4);
+	});
+
+	it('should keep collections and models separate', async () => {
+		await index.indexItems({ ...MODEL, items: PRODUCTS });
+		await index.indexItems({ ...MODEL, collection: 'articles', items: [{ id: 'a1', text: 'How to pitch a tent' }] });
+
+		assert.deepEqual(
+			index.listIndexes().map(({ collection, size }) => [collection, size]),
+			[
+				['products', 4],
+				['articles', 1],
+			]
+		);
+		await assert.rejects(
+			() => index.search({ modelName: 'minilm', modelVersion: 'v2', query: 'tent' }),
+			/Collection products has no embeddings for minilm:v2/
+		);
+	});
+
+	it('should remove items from the table and the index', async () => {
+		await index.indexItems({ ...MODEL, items: PRODUCTS });
+
+		const result = await index.removeItems({ ...MODEL, itemIds: ['sku-1', 'missing'] });
+
+		assert.deepEqual(result, { removed: 1, size: 3 });
+		assert.equal(tables.Embedding.records.has('products:minilm:v1:sku-1'), false);
+		const { results } = await index.search({ ...MODEL, query: 'running shoe', k: 4 });
+		assert.ok(results.every((hit) => hit.itemId !== 'sku-1'));
+	});
+
+	it('should rebuild indexes from the table on load', async () => {
+		await index.indexItems({ ...MODEL, items: PRODUCTS });
+		await tables.Embedding.put({ id: 'broken', collection: 'products', itemId: 'x', ...MODEL, vector: 'not json' });
+
+		const restarted = new EmbeddingIndex(inferenceEngine, tables);
+		const loaded = await restarted.load();
+
+		assert.deepEqual(loaded, { indexes: 1, embeddings: 4 });
+		assert.deepEqual(restarted.getVectors(MODEL, ['sku-3', 'missing']), new Map([['sku-3', [0.01, 3.01, 0.01]]]));
+		const { results } = await restarted.search({ ...MODEL, query: 'camping tent', k: 1 });
+		assert.equal(results[0].itemId, 'sku-4');
+	});
+
+	it('should validate input', async () => {
+		await assert.rejects(() => index.indexItems({ items: PRODUCTS }), /modelName and modelVersion are required/);
+		await assert.rejects(() => index.indexItems({ ...MODEL, items: [] }), /non-empty array/);
+		await assert.rejects(() => index.indexItems({ ...MODEL, items: [{ name: 'x' }] }), /Item 0 requires an id/);
+		await assert.rejects(() => index.indexItems({ ...MODEL, items: [{ id: 1 }] }), /Item 1 has no text to embed/);
+		await assert.rejects(
+			() => index.indexItems({ ...MODEL, items: [PRODUCTS[0], PRODUCTS[0]] }),
+			/Duplicate item id: sku-1/
+		);
+		await index.indexItems({ ...MODEL, items: PRODUCTS });
+		await assert.rejects(() => index.search({ ...MODEL, query: ' ' }), /query text or vector is required/);
+		await assert.rejects(
+			() => index.search({ ...MODEL, query: 'tent', k: 0 }),
+			/k must be an integer between 1 and 100/
+		);
+	});
+
+	it('should reject embeddings with a different dimension than the index', async () => {
+		await index.indexItems({ ...MODEL, items: PRODUCTS });
+		inferenceEngine.predict = async (modelName, { texts }) => ({ output: { embeddings: texts.map(() => [1, 0]) } });
+
+		await assert.rejects(
+			() => index.indexItems({ ...MODEL, items: [{ id: 'sku-5', text: 'gloves' }] }),
+			/returned embeddings of differing dimensions/
+		);
+		assert.equal(tables.Embedding.records.has('products:minilm:v1:sku-5'), false);
+	});
+
+	describe('watch', () => {
+		// Two worker threads: each has its own EmbeddingIndex over the same table
+		let other;
+
+		beforeEach(async () => {
+			await index.watch();
+			other = new EmbeddingIndex(inferenceEngine, tables);
+			await other.watch();
+		});
+
+		afterEach(() => {
+			index.stop();
+			other.stop();
+		});
+
+		// Let the subscriptions deliver pending events
+		const drain = () => new Promise((resolve) => setImmediate(resolve));
+
+		it('should apply items indexed on another thread', async () => {
+			await index.indexItems({ ...MODEL, items: PRODUCTS });
+			await drain();
+
+			const { results } = await other.search({ ...MODEL, query: 'rain jacket', k: 1 });
+			assert.equal(results[0].itemId, 'sku-3');
+
+			await index.removeItems({ ...MODEL, itemIds: ['sku-3'] });
+			await drain();
+			assert.equal(other.getVectors(MODEL, ['sku-3']).size, 0);
+		});
+
+		it('should apply writes made through the table', async () => {
+			await tables.Embedding.put({
+				id: 'products:minilm:v1:sku-9',
+				collection: 'products',
+				itemId: 'sku-9',
+				...MODEL,
+				text: 'Hammock',
+				vector: JSON.stringify([0, 0, 1]),
+				metadata: JSON.stringify({ category: 'camping' }),
+				updatedAt: Date.now(),
+			});
+			await drain();
+
+			for (const thread of [index, other]) {
+				const { results } = await thread.search({ ...MODEL, vector: [0, 0, 1], k: 1 });
+				assert.deepEqual(results[0], { itemId: 'sku-9', score: 1, text: 'Hammock', metadata: { category: 'camping' } });
+			}
+
+			await tables.Embedding.delete('products:minilm:v1:sku-9');
+			await drain();
+			await assert.rejects(() => other.search({ ...MODEL, vector: [0, 0, 1] }), /has no embeddings/);
+		});
+
+		it('should not apply changes after stop', async () => {
+			other.stop();
+			await index.indexItems({ ...MODEL, items: PRODUCTS });
+			await drain();
+
+			assert.deepEqual(other.listIndexes(), []);
+		});
+	});
+});
@@ -0,0 +1,214 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ExperimentManager } from '../../src/core/ExperimentManager.js';
+import { createMemoryTables } from '../helpers/memory-tables.js';
+
+const VARIANTS = [
+	{ name: 'control', modelVersion: 'v1', weight: 50 },
+	{ name: 'candidate', modelVersion: 'v2', weight: 50 },
+];
+
+describe('ExperimentManager', () => {
+	let tables;
+	let manager;
+
+	beforeEach(async () => {
+		tables = createMemoryTables();
+		manager = new ExperimentManager(tables, { bootstrapSamples: 200 });
+		await tables.Model.put({ id: 'minilm:v1', modelName: 'minilm', modelVersion: 'v1' });
+		await tables.Model.put({ id: 'minilm:v2', modelName: 'minilm', modelVersion: 'v2' });
+	});
+
+	/**
+	 * Store `count` events for a variant, the first `correct` of them labelled correct
+	 */
+	async function addEvents(experimentId, variant, { count, correct, latencyMs = 100, confidence = 0.8 }) {
+		for (let i = 0; i < count; i++) {
+			await tables.InferenceEvent.put({
+				id: `${variant}-${i}`,
+				modelName: 'minilm',
+				experimentId,
+				variant,
+				latencyMs: latencyMs + (i % 5),
+				confidence,
+				correct: i < correct,
+			});
+		}
+	}
+
+	it('should require tables', () => {
+		assert.throws(() => new ExperimentManager(), /tables object is required/);
+	});
+
+	describe('createExperiment', () => {
+		it('should store a running experiment with variants as JSON', async () => {
+			const experiment = await manager.createExperiment({ modelName: 'minilm', variants: VARIANTS });
+
+			assert.equal(experiment.status, 'running');
+			assert.equal(experiment.name, 'minilm control vs candidate');
+			assert.deepEqual(experiment.variants, VARIANTS);
+			assert.equal(typeof (await tables.Experiment.get(experiment.id)).variants, 'string');
+		});
+
+		it('should reject invalid experiments', async () => {
+			await assert.rejects(
+				() => manager.createExperiment({ modelName: 'minilm', variants: [VARIANTS[0]] }),
+				/at least two/
+			);
+			await assert.rejects(
+				() => manager.createExperiment({ modelName: 'minilm', variants: [VARIANTS[0], VARIANTS[0]] }),
+				/Duplicate variant name/
+			);
+			await assert.rejects(
+				() =>
+					manager.createExperiment({
+						modelName: 'minilm',
+						variants: [VARIANTS[0], { name: 'x', modelVersion: 'v9' }],
+					}),
+				/minilm:v9 not found/
+			);
+		});
+
+		it('should allow one running experiment per model', async () => {
+			const first = await manager.createExperiment({ modelName: 'minilm', variants: VARIANTS });
+			await assert.rejects(
+				() => manager.createExperiment({ modelName: 'minilm', variants: VARIANTS }),
+				/already has a running experiment/
+			);
+
+			await manager.stopExperiment(first.id);
+			await manager.createExperiment({ modelName: 'minilm', variants: VARIANTS });
+
+			assert.equal((await manager.listExperiments({ modelName: 'minilm' })).length, 2);
+			assert.equal((await manager.listExperiments({ status: 'stopped' })).length, 1);
+		});
+	});
+
+	describe('assign', () => {
+		it('should return null without a running experiment', async () => {
+			assert.equal(await manager.assign('minilm', { userId: 'u1' }), null);
+		});
+
+		it('should look the running experiment up by model and status', async () => {
+			const experiment = await manager.createExperiment({ modelName: 'minilm', variants: VARIANTS });
+			const queries = [];
+			const search = tables.Experiment.search;
+			tables.Experiment.search = (query) => {
+				queries.push(query);
+				return search(query);
+			};
+
+			assert.equal((await manager.assign('minilm', { userId: 'u1' })).experimentId, experiment.id);
+			assert.deepEqual(queries, [
+				{
+					conditions: [
+						{ attribute: 'modelName', value: 'minilm' },
+						{ attribute: 'status', value: 'running' },
+					],
+				},
+			]);
+		});
+
+		it('should assign users deterministically across both variants', async () => {
+			const experiment = await manager.createExperiment({ modelName: 'minilm', variants: VARIANTS });
+
+			const counts = { control: 0, candidate: 0 };
+			for (let i = 0; i < 200; i++) {
+				const assignment = await manager.assign('minilm', { userId: `user-${i}` });
+				assert.deepEqual(await manager.assign('minilm', { userId: `user-${i}` }), assignment);
+				assert.equal(assignment.experimentId, experiment.id);
+				assert.equal(assignment.modelVersion, assignment.variant === 'control' ? 'v1' : 'v2');
+				counts[assignment.variant]++;
+			}
+
+			assert.ok(counts.control > 70 && counts.candidate > 70, JSON.stringify(counts));
+		});
+
+		it('should stop assigning once the experiment is stopped', async () => {
+			const experiment = await manager.createExperiment({ modelName: 'minilm', variants: VARIANTS });
+			await manager.stopExperiment(experiment.id);
+
+			assert.equal(await manager.assign('minilm', { userId: 'u1' }), null);
+		});
+	});
+
+	describe('analyze', () => {
+		it('should declare a significantly more accurate challenger the winner', async () => {
+			const experiment = await manager.createExperiment({ modelName: 'minilm', variants: VARIANTS });
+			await addEvents(experiment.id, 'control', { count: 200, correct: 140, latencyMs: 100 });
+			await addEvents(experiment.id, 'candidate', { count: 200, correct: 180, latencyMs: 150 });
+
+			const analysis = await manager.analyze(experiment.id);
+
+			const [control, candidate] = analysis.variants;
+			assert.equal(control.accuracy, 0.7);
+			assert.equal(candidate.accuracy, 0.9);
+			assert.ok(candidate.accuracyCI.lower < 0.9 && candidate.accuracyCI.upper > 0.9);
+
+			const [comparison] = analysis.comparisons;
+			assert.equal(comparison.variant, 'candidate');
+			assert.ok(comparison.accuracy.pValue < 0.001);
+			assert.equal(comparison.accuracy.significant, true);
+			assert.ok(Math.abs(comparison.latency.difference - 50) < 1e-9);
+			assert.equal(comparison.latency.significant, true);
+			assert.equal(comparison.confidence.significant, false);
+
+			assert.equal(analysis.conclusion.winner, 'candidate');
+		});
+
+		it('should not declare a winner without a significant difference', async () => {
+			const experiment = await manager.createExperiment({ modelName: 'minilm', variants: VARIANTS });
+			await addEvents(experiment.id, 'control', { count: 100, correct: 80 });
+			await addEvents(experiment.id, 'candidate', { count: 100, correct: 82 });
+
+			const analysis = await manager.analyze(experiment.id);
+
+			assert.equal(analysis.comparisons[0].accuracy.significant, false);
+			assert.equal(analysis.conclusion.winner, null);
+			assert.match(analysis.conclusion.reason, /No significant/);
+		});
+
+		it('should wait for enough feedback in every variant', async () => {
+			const experiment = await manager.createExperiment({ modelName: 'minilm', variants: VARIANTS });
+			await addEvents(experiment.id, 'control', { count: 100, correct: 10 });
+			await addEvents(experiment.id, 'candidate', { count: 10, correct: 10 });
+
+			const analysis = await manager.analyze(experiment.id);
+
+			assert.equal(analysis.conclusion.winner, null);
+			assert.match(analysis.conclusion.reason, /Insufficient feedback: candidate/);
+		});
+
+		it('should exclude failed inferences from accuracy and latency', async () => {
+			const experiment = await manager.createExperiment({ modelName: 'minilm', variants: VARIANTS });
+			await addEvents(experiment.id, 'control', { count: 10, correct: 10 });
+			await tables.InferenceEvent.put({
+				id: 'failed',
+				experimentId: experiment.id,
+				variant: 'control',
+				latencyMs: 9999,
+				correct: false,
+				errorCode: 'INFERENCE_ERROR',
+			});
+
+			const [control] = (await manager.analyze(experiment.id)).variants;
+
+			assert.equal(control.count, 11);
+			assert.equal(control.errorCount, 1);
+			assert.equal(control.accuracy, 1);
+			assert.ok(control.avgLatency < 200);
+		});
+
+		it('should be reproducible', async () => {
+			const experiment = await manager.createExperiment({ modelName: 'minilm', variants: VARIANTS });
+			await addEvents(experiment.id, 'control', { count: 50, correct: 30 });
+			await addEvents(experiment.id, 'candidate', { count: 50, correct: 35 });
+
+			assert.deepEqual(await manager.analyze(experiment.id), await manager.analyze(experiment.id));
+		});
+
+		it('should throw for unknown experiments', async () => {
+			await assert.rejects(() => manager.analyze('missing'), /Experiment missing not found/);
+		});
+	});
+});
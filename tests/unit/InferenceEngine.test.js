@@ -3,6 +3,10 @@ import assert from 'node:assert';
 import { getTestOnnxModel } from '../fixtures/test-models.js';
 import { setupInferenceEngine, cleanupModels } from '../helpers/setup.js';
 import { createRestTable } from '../helpers/rest-api.js';
+import { InferenceEngine } from '../../src/core/InferenceEngine.js';
+import { BaseBackend } from '../../src/core/backends/Base.js';
+import { IntegrityError } from '../../src/core/errors/ModelFetchErrors.js';
+import { sha256Hex } from '../../src/core/utils/integrity.js';
 
 describe('InferenceEngine', () => {
 	let engine;
@@ -60,9 +64,14 @@ describe('InferenceEngine', () => {
 
 		// Use Input3 as the model expects (based on test-model.onnx)
 		// Pass with explicit shape to get rank 4 tensor
-		const result = await engine.predict('test-onnx-inference', {
-			Input3: { data: inputData, shape: [1, 1, 28, 28] },
-		}, 'v1', modelRecord);
+		const result = await engine.predict(
+			'test-onnx-inference',
+			{
+				Input3: { data: inputData, shape: [1, 1, 28, 28] },
+			},
+			'v1',
+			modelRecord
+		);
 
 		assert.ok(result);
 		// ONNX models return outputs by tensor name, not a generic "output" field
@@ -81,3 +90,214 @@ describe('InferenceEngine', () => {
 		assert.strictEqual(tfBackend.name, 'TensorFlowBackend');
 	});
 });
+
+describe('InferenceEngine embedding cache', () => {
+	/**
+	 * Register a fake backend as an already loaded model and record what it is asked to embed
+	 */
+	function createEngine({ output, blobSha256 = 'digest-1' } = {}) {
+		const engine = new InferenceEngine();
+		const calls = [];
+		const backend = {
+			unloaded: [],
+			async predict(modelKey, inputs) {
+				calls.push(inputs);
+				if (output) return output;
+				const texts = inputs.texts || [inputs.text];
+				const embeddings = texts.map((text) => [text.length, 1]);
+				return { embeddings, embedding: embeddings[0] };
+			},
+			async unload(modelKey) {
+				backend.unloaded.push(modelKey);
+			},
+		};
+		const register = (digest) =>
+			engine.cache.set('minilm:v1', {
+				backend,
+				metadata: { modelName: 'minilm', modelVersion: 'v1', framework: 'onnx', blobSha256: digest },
+				lastUsed: Date.now(),
+			});
+		register(blobSha256);
+		// Loading a record just registers its digest
+		engine.loadModel = async (modelName, modelVersion, modelRecord) => register(modelRecord.blobSha256);
+		return { engine, calls, backend };
+	}
+
+	test('should embed only texts missing from the cache', async () => {
+		const { engine, calls } = createEngine();
+
+		const first = await engine.predict('minilm', { texts: ['tent', 'stove'] }, 'v1');
+		const second = await engine.predict('minilm', { texts: ['stove', 'jacket', 'jacket'] }, 'v1');
+
+		assert.deepStrictEqual(calls, [{ texts: ['tent', 'stove'] }, { texts: ['jacket'] }]);
+		assert.deepStrictEqual(first.cache, { hits: 0, misses: 2 });
+		assert.deepStrictEqual(second.cache, { hits: 1, misses: 2 });
+		assert.deepStrictEqual(second.output.embeddings, [
+			[5, 1],
+			[6, 1],
+			[6, 1],
+		]);
+		assert.deepStrictEqual(second.output.embedding, [5, 1]);
+		assert.strictEqual(engine.getEmbeddingCacheStats().hits, 1);
+	});
+
+	test('should answer a single cached text without the backend', async () => {
+		const { engine, calls } = createEngine();
+		await engine.predict('minilm', { text: 'tent' }, 'v1');
+
+		const result = await engine.predict('minilm', { text: ' tent ' }, 'v1');
+
+		assert.strictEqual(calls.length, 1);
+		assert.deepStrictEqual(result.output.embeddings, [[4, 1]]);
+		assert.strictEqual(result.framework, 'onnx');
+	});
+
+	test('should bypass the cache when asked and for non-text inputs', async () => {
+		const { engine, calls } = createEngine();
+		await engine.predict('minilm', { texts: ['tent'] }, 'v1');
+
+		const bypassed = await engine.predict('minilm', { texts: ['tent'] }, 'v1', null, { cache: false });
+		await engine.predict('minilm', { texts: ['tent'], pooling: 'cls' }, 'v1');
+
+		assert.strictEqual(calls.length, 3);
+		assert.strictEqual(bypassed.cache, undefined);
+	});
+
+	test('should report backend latency only when the backend ran', async () => {
+		const { engine } = createEngine();
+
+		const miss = await engine.predict('minilm', { texts: ['tent'] }, 'v1');
+		const hit = await engine.predict('minilm', { texts: ['tent'] }, 'v1');
+
+		assert.strictEqual(typeof miss.backendLatencyMs, 'number');
+		assert.strictEqual(hit.backendLatencyMs, null);
+		assert.strictEqual(typeof hit.latencyMs, 'number');
+	});
+
+	test('should reload the model and miss the cache after its blob is replaced', async () => {
+		const { engine, calls, backend } = createEngine();
+		const record = { id: 'minilm:v1', modelName: 'minilm', modelVersion: 'v1', blobSha256: 'digest-1' };
+		await engine.predict('minilm', { texts: ['tent'] }, 'v1', record);
+		await engine.predict('minilm', { texts: ['tent'] }, 'v1', record);
+
+		const result = await engine.predict('minilm', { texts: ['tent'] }, 'v1', { ...record, blobSha256: 'digest-2' });
+
+		assert.deepStrictEqual(backend.unloaded, ['minilm:v1']);
+		assert.strictEqual(calls.length, 2);
+		assert.deepStrictEqual(result.cache, { hits: 0, misses: 1 });
+	});
+
+	test('should pass through outputs that are not embeddings', async () => {
+		const { engine, calls } = createEngine({ output: { label: 'positive' } });
+
+		await engine.predict('minilm', { text: 'great tent' }, 'v1');
+		const result = await engine.predict('minilm', { text: 'great tent' }, 'v1');
+
+		assert.strictEqual(calls.length, 2);
+		assert.deepStrictEqual(result.output, { label: 'positive' });
+		assert.strictEqual(engine.getEmbeddingCacheStats().size, 0);
+	});
+});
+
+describe('InferenceEngine streaming', () => {
+	/**
+	 * Register a backend as an already loaded model
+	 */
+	function createEngine(backend) {
+		const engine = new InferenceEngine();
+		engine.cache.set('chat:v1', {
+			backend,
+			metadata: { modelName: 'chat', modelVersion: 'v1', framework: 'ollama' },
+			lastUsed: Date.now(),
+		});
+		return engine;
+	}
+
+	async function collect(iterable) {
+		const chunks = [];
+		for await (const chunk of iterable) {
+			chunks.push(chunk);
+		}
+		return chunks;
+	}
+
+	test('should pass the abort signal to the backend', async () => {
+		const signals = [];
+		const engine = createEngine({
+			async *predictStream(modelKey, inputs, { signal }) {
+				signals.push(signal);
+				yield { content: 'Hi', done: false };
+				yield { done: true, response: 'Hi' };
+			},
+		});
+		const controller = new AbortController();
+
+		const chunks = await collect(
+			engine.predictStream('chat', { prompt: 'x' }, 'v1', null, { signal: controller.signal })
+		);
+
+		assert.deepStrictEqual(signals, [controller.signal]);
+		assert.strictEqual(chunks[1].output.response, 'Hi');
+	});
+
+	test('should reject when the backend does not support streaming', async () => {
+		const engine = createEngine(new BaseBackend('onnx'));
+
+		await assert.rejects(
+			async () => collect(engine.predictStream('chat', { prompt: 'x' }, 'v1')),
+			/onnx does not support streaming predictions/
+		);
+	});
+});
+
+describe('InferenceEngine blob integrity', () => {
+	const blob = Buffer.from('{"modelName":"llama2"}');
+
+	function createEngine() {
+		const engine = new InferenceEngine();
+		const loaded = [];
+		engine.backends.set('ollama', {
+			async loadModel(modelKey, modelData) {
+				loaded.push(modelKey);
+				return { loaded: true, modelData };
+			},
+		});
+		return { engine, loaded };
+	}
+
+	const record = (extra) => ({
+		id: 'llama2:v1',
+		modelName: 'llama2',
+		modelVersion: 'v1',
+		framework: 'ollama',
+		modelBlob: blob,
+		...extra,
+	});
+
+	test('should load blobs matching their stored digest', async () => {
+		const { engine, loaded } = createEngine();
+
+		await engine.loadModel('llama2', 'v1', record({ blobSha256: sha256Hex(blob) }));
+
+		assert.deepStrictEqual(loaded, ['llama2:v1']);
+	});
+
+	test('should refuse blobs that no longer match their stored digest', async () => {
+		const { engine, loaded } = createEngine();
+
+		await assert.rejects(
+			engine.loadModel('llama2', 'v1', record({ blobSha256: sha256Hex('original blob') })),
+			(error) => error instanceof IntegrityError && /SHA-256 mismatch for model llama2:v1/.test(error.message)
+		);
+		assert.deepStrictEqual(loaded, []);
+		assert.equal(engine.cache.has('llama2:v1'), false);
+	});
+
+	test('should load blobs without a stored digest', async () => {
+		const { engine, loaded } = createEngine();
+
+		await engine.loadModel('llama2', 'v1', record());
+
+		assert.deepStrictEqual(loaded, ['llama2:v1']);
+	});
+});
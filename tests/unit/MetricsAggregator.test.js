@@ -0,0 +1,279 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MetricsAggregator, pickGranularity, summarizeBuckets } from '../../src/core/MetricsAggregator.js';
+import { createMemoryTables } from '../helpers/memory-tables.js';
+
+const MIN = 60 * 1000;
+const HOUR = 60 * MIN;
+const DAY = 24 * HOUR;
+// Aligned to a day boundary so bucket math is easy to read
+const DAY_START = 1_699_920_000_000;
+
+describe('MetricsAggregator', () => {
+	let tables;
+	let aggregator;
+	let originalLogger;
+
+	before(() => {
+		originalLogger = global.logger;
+		global.logger = { info() {}, warn() {}, error() {}, debug() {} };
+	});
+
+	after(() => {
+		global.logger = originalLogger;
+	});
+
+	beforeEach(async () => {
+		tables = createMemoryTables();
+		aggregator = new MetricsAggregator(tables);
+		await tables.Model.put({ id: 'minilm:v1', modelName: 'minilm' });
+		await tables.Model.put({ id: 'minilm:v2', modelName: 'minilm' });
+	});
+
+	async function addEvent(id, timestamp, fields = {}) {
+		await tables.InferenceEvent.put({ id, modelName: 'minilm', timestamp, latencyMs: 10, ...fields });
+	}
+
+	it('should require tables', () => {
+		assert.throws(() => new MetricsAggregator(), /tables object is required/);
+	});
+
+	describe('aggregateModel', () => {
+		it('should write closed buckets for every granularity', async () => {
+			await addEvent('a', DAY_START + 1 * MIN, { latencyMs: 10, confidence: 0.8, correct: true });
+			await addEvent('b', DAY_START + 2 * MIN, { latencyMs: 30, confidence: 0.6, correct: false });
+			await addEvent('c', DAY_START + 7 * MIN, { latencyMs: 20, errorCode: 'INFERENCE_FAILED' });
+
+			const written = await aggregator.aggregateModel('minilm', DAY_START + DAY + 1);
+
+			// two 5min buckets, one hourly, one daily
+			assert.equal(written, 4);
+
+			const first = await tables.ModelMetrics.get(`minilm:5min:${DAY_START}`);
+			assert.equal(first.count, 2);
+			assert.equal(first.errorCount, 0);
+			assert.equal(first.avgLatency, 20);
+			assert.equal(first.p50Latency, 20);
+			assert.ok(Math.abs(first.avgConfidence - 0.7) < 1e-9);
+			assert.equal(first.accuracy, 0.5);
+			assert.equal(first.bucketEnd, DAY_START + 5 * MIN);
+
+			const hourly = await tables.ModelMetrics.get(`minilm:hourly:${DAY_START}`);
+			assert.equal(hourly.count, 3);
+			assert.equal(hourly.errorCount, 1);
+
+			const daily = await tables.ModelMetrics.get(`minilm:daily:${DAY_START}`);
+			assert.equal(daily.count, 3);
+		});
+
+		it('should leave open buckets for the next run', async () => {
+			await addEvent('a', DAY_START + 1 * MIN);
+			await addEvent('b', DAY_START + 6 * MIN);
+
+			await aggregator.aggregateModel('minilm', DAY_START + 7 * MIN);
+
+			assert.ok(await tables.ModelMetrics.get(`minilm:5min:${DAY_START}`));
+			assert.equal(await tables.ModelMetrics.get(`minilm:5min:${DAY_START + 5 * MIN}`), undefined);
+			assert.equal(await tables.ModelMetrics.get(`minilm:hourly:${DAY_START}`), undefined);
+		});
+
+		it('should recompute stored buckets that received feedback since the last run', async () => {
+			await addEvent('a', DAY_START + 1 * MIN, { latencyMs: 10 });
+			await addEvent('b', DAY_START + 6 * MIN);
+			await aggregator.aggregateModel('minilm', DAY_START + 10 * MIN);
+			assert.equal((await tables.ModelMetrics.get(`minilm:5min:${DAY_START}`)).accuracy, null);
+
+			// Feedback for the first, already-written bucket
+			await addEvent('a', DAY_START + 1 * MIN, {
+				latencyMs: 10,
+				correct: true,
+				feedbackTimestamp: DAY_START + 12 * MIN,
+			});
+			await addEvent('c', DAY_START + 11 * MIN);
+			const written = await aggregator.aggregateModel('minilm', DAY_START + 15 * MIN);
+
+			// the bucket with feedback and the newly closed one; the untouched bucket is not rewritten
+			assert.equal(written, 2);
+			const first = await tables.ModelMetrics.get(`minilm:5min:${DAY_START}`);
+			assert.equal(first.feedbackCount, 1);
+			assert.equal(first.accuracy, 1);
+			assert.equal(first.computedAt, DAY_START + 15 * MIN);
+			assert.equal(
+				(await tables.ModelMetrics.get(`minilm:5min:${DAY_START + 5 * MIN}`)).computedAt,
+				DAY_START + 10 * MIN
+			);
+			assert.equal((await tables.ModelMetrics.get(`minilm:5min:${DAY_START + 10 * MIN}`)).count, 1);
+
+			// No new buckets or feedback: nothing is rewritten
+			assert.equal(await aggregator.aggregateModel('minilm', DAY_START + 19 * MIN), 0);
+		});
+
+		it('should look back recomputeMs for feedback on its first run', async () => {
+			await addEvent('a', DAY_START + 1 * MIN);
+			await aggregator.aggregateModel('minilm', DAY_START + 5 * MIN);
+			await addEvent('a', DAY_START + 1 * MIN, { correct: false, feedbackTimestamp: DAY_START + 6 * MIN });
+			await addEvent('b', DAY_START + 1 * MIN + 1, { correct: true, feedbackTimestamp: DAY_START + 15 * MIN });
+
+			// e.g. another thread took over the lease
+			aggregator = new MetricsAggregator(tables, { recomputeMs: 5 * MIN });
+			await aggregator.aggregateModel('minilm', DAY_START + 20 * MIN);
+
+			const first = await tables.ModelMetrics.get(`minilm:5min:${DAY_START}`);
+			assert.equal(first.count, 2);
+			assert.equal(first.accuracy, 0.5);
+		});
+
+		it('should not rewrite buckets for feedback older than the lookback', async () => {
+			aggregator = new MetricsAggregator(tables, { recomputeMs: 5 * MIN });
+			await addEvent('a', DAY_START + 1 * MIN);
+			await aggregator.aggregateModel('minilm', DAY_START + 5 * MIN);
+
+			aggregator = new MetricsAggregator(tables, { recomputeMs: 5 * MIN });
+			await addEvent('a', DAY_START + 1 * MIN, { correct: false, feedbackTimestamp: DAY_START + 6 * MIN });
+			await aggregator.aggregateModel('minilm', DAY_START + 20 * MIN);
+
+			assert.equal((await tables.ModelMetrics.get(`minilm:5min:${DAY_START}`)).accuracy, null);
+		});
+
+		it('should ignore events older than the backfill window on the first run', async () => {
+			aggregator = new MetricsAggregator(tables, { backfillMs: { '5min': HOUR } });
+			await addEvent('old', DAY_START);
+			await addEvent('recent', DAY_START + DAY - 10 * MIN);
+
+			await aggregator.aggregateModel('minilm', DAY_START + DAY);
+
+			assert.equal(await tables.ModelMetrics.get(`minilm:5min:${DAY_START}`), undefined);
+			assert.ok(await tables.ModelMetrics.get(`minilm:5min:${DAY_START + DAY - 10 * MIN}`));
+			// hourly backfill (7 days) still covers the old event
+			assert.ok(await tables.ModelMetrics.get(`minilm:hourly:${DAY_START}`));
+		});
+	});
+
+	describe('run', () => {
+		it('should aggregate each model from the Model table once', async () => {
+			await addEvent('a', DAY_START + 1 * MIN);
+
+			const written = await aggregator.run(DAY_START + DAY);
+
+			assert.equal(written, 3);
+		});
+
+		it('should aggregate on one thread when aggregators share the tables', async () => {
+			const other = new MetricsAggregator(tables);
+			await addEvent('a', DAY_START + 1 * MIN);
+
+			const written = await Promise.all([aggregator.run(DAY_START + DAY), other.run(DAY_START + DAY)]);
+
+			assert.deepEqual(
+				written.sort((a, b) => a - b),
+				[0, 3]
+			);
+		});
+	});
+
+	describe('getRollups', () => {
+		beforeEach(async () => {
+			await addEvent('a', DAY_START + 1 * MIN, { latencyMs: 10, confidence: 1 });
+			await addEvent('b', DAY_START + 6 * MIN, { latencyMs: 40, confidence: 0.5, errorCode: 'X' });
+			await addEvent('c', DAY_START + 7 * MIN, { latencyMs: 40, confidence: 0.5 });
+			await aggregator.aggregateModel('minilm', DAY_START + DAY);
+		});
+
+		it('should return buckets in order with a weighted summary', async () => {
+			const result = await aggregator.getRollups('minilm', {
+				startTime: DAY_START,
+				endTime: DAY_START + HOUR,
+				granularity: '5min',
+			});
+
+			assert.equal(result.granularity, '5min');
+			assert.deepEqual(
+				result.buckets.map((b) => b.bucketStart),
+				[DAY_START, DAY_START + 5 * MIN]
+			);
+			assert.equal(result.summary.count, 3);
+			assert.equal(result.summary.errorCount, 1);
+			// the failed inference only counts towards errorCount
+			assert.equal(result.summary.avgLatency, 25);
+			assert.equal(result.summary.avgConfidence, 0.75);
+			assert.equal(result.summary.accuracy, null);
+		});
+
+		it('should pick granularity from the range', async () => {
+			const result = await aggregator.getRollups('minilm', { startTime: DAY_START, endTime: DAY_START + 2 * DAY });
+
+			assert.equal(result.granularity, 'hourly');
+			assert.equal(result.buckets.length, 1);
+			assert.equal(result.buckets[0].count, 3);
+		});
+
+		it('should fill the bucket in progress from raw events', async () => {
+			await addEvent('d', DAY_START + DAY + 2 * MIN, { latencyMs: 70 });
+
+			const result = await aggregator.getRollups('minilm', {
+				startTime: DAY_START,
+				endTime: DAY_START + DAY + 3 * MIN,
+				granularity: 'hourly',
+			});
+
+			assert.deepEqual(
+				result.buckets.map((b) => [b.bucketStart, b.source, b.count]),
+				[
+					[DAY_START, 'rollup', 3],
+					[DAY_START + DAY, 'events', 1],
+				]
+			);
+			assert.equal(result.summary.count, 4);
+		});
+
+		it('should compute ranges without rollups from raw events', async () => {
+			// Older than any backfill window, and never aggregated
+			await addEvent('old', DAY_START - 60 * DAY, { latencyMs: 5 });
+			const old = await aggregator.getRollups('minilm', {
+				startTime: DAY_START - 61 * DAY,
+				endTime: DAY_START - 59 * DAY,
+				granularity: 'daily',
+			});
+			assert.deepEqual(
+				old.buckets.map((b) => [b.source, b.count]),
+				[['events', 1]]
+			);
+
+			// Aggregator disabled: nothing stored at all
+			const fresh = createMemoryTables();
+			await fresh.InferenceEvent.put({ id: 'a', modelName: 'minilm', timestamp: DAY_START + MIN, latencyMs: 10 });
+			const result = await new MetricsAggregator(fresh).getRollups('minilm', {
+				startTime: DAY_START,
+				endTime: DAY_START + HOUR,
+			});
+			assert.equal(result.summary.count, 1);
+			assert.equal(result.buckets[0].source, 'events');
+		});
+
+		it('should validate granularity and range', async () => {
+			await assert.rejects(
+				() => aggregator.getRollups('minilm', { startTime: 0, endTime: 1, granularity: 'weekly' }),
+				/granularity must be one of/
+			);
+			await assert.rejects(
+				() => aggregator.getRollups('minilm', { startTime: 2, endTime: 1, granularity: 'hourly' }),
+				/startTime must be before endTime/
+			);
+		});
+	});
+
+	describe('helpers', () => {
+		it('pickGranularity should scale with range', () => {
+			assert.equal(pickGranularity(6 * HOUR), '5min');
+			assert.equal(pickGranularity(7 * DAY), 'hourly');
+			assert.equal(pickGranularity(90 * DAY), 'daily');
+		});
+
+		it('summarizeBuckets should handle no buckets', () => {
+			const summary = summarizeBuckets([]);
+			assert.equal(summary.count, 0);
+			assert.equal(summary.errorRate, 0);
+			assert.equal(summary.accuracy, null);
+		});
+	});
+});
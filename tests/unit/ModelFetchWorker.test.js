@@ -7,8 +7,13 @@
 
 import { describe, it, beforeEach, afterEach, mock } from 'node:test';
 import assert from 'node:assert/strict';
+import { access, mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
 import { ModelFetchWorker } from '../../src/core/ModelFetchWorker.js';
 import { NetworkError, ModelNotFoundError, SecurityError } from '../../src/core/errors/ModelFetchErrors.js';
+import { sha256Hex } from '../../src/core/utils/integrity.js';
+import { createMemoryTables } from '../helpers/memory-tables.js';
 
 /**
  * Create mock tables object for testing
@@ -540,3 +545,231 @@ describe('ModelFetchWorker', () => {
 		});
 	});
 });
+
+describe('ModelFetchWorker integrity', () => {
+	let worker;
+	let tables;
+	let originalTables;
+	let originalLogger;
+
+	const blob = Buffer.from('mock model data');
+
+	const createJob = async (extra = {}) => {
+		const job = {
+			id: 'job-1',
+			source: 'url',
+			sourceReference: 'https://models.example.com/model.onnx',
+			variant: null,
+			modelName: 'model',
+			modelVersion: 'v1',
+			framework: 'onnx',
+			status: 'queued',
+			retryCount: 0,
+			maxRetries: 3,
+			...extra,
+		};
+		await tables.ModelFetchJob.put(job);
+		return job;
+	};
+
+	beforeEach(() => {
+		originalTables = globalThis.tables;
+		originalLogger = globalThis.logger;
+		tables = createMemoryTables();
+		globalThis.tables = tables;
+		globalThis.logger = { info() {}, warn() {}, error() {} };
+
+		worker = new ModelFetchWorker();
+		worker.adapters.url = createMockAdapter({ modelBlob: blob });
+	});
+
+	afterEach(() => {
+		globalThis.tables = originalTables;
+		globalThis.logger = originalLogger;
+	});
+
+	it('should store the digest of a blob matching the requested checksum', async () => {
+		const job = await createJob({ expectedSha256: sha256Hex(blob) });
+
+		await worker.processJob(job);
+
+		const model = tables.Model.records.get('model:v1');
+		assert.equal(model.blobSha256, sha256Hex(blob));
+		assert.equal(JSON.parse(model.metadata).checksumSource, 'request');
+		assert.equal(tables.ModelFetchJob.records.get('job-1').status, 'completed');
+	});
+
+	it('should fall back to the checksum published by the source', async () => {
+		worker.adapters.url.getExpectedChecksum = mock.fn(async () => sha256Hex(blob));
+		const job = await createJob();
+
+		await worker.processJob(job);
+
+		assert.equal(worker.adapters.url.getExpectedChecksum.mock.callCount(), 1);
+		assert.equal(JSON.parse(tables.Model.records.get('model:v1').metadata).checksumSource, 'url');
+	});
+
+	it('should fail the job without retrying on a checksum mismatch', async () => {
+		const job = await createJob({ expectedSha256: '0'.repeat(64) });
+
+		await worker.processJob(job);
+
+		const failed = tables.ModelFetchJob.records.get('job-1');
+		assert.equal(failed.status, 'failed');
+		assert.equal(failed.errorCode, 'INTEGRITY_MISMATCH');
+		assert.equal(failed.retryable, false);
+		assert.equal(tables.Model.records.size, 0);
+	});
+
+	it('should record the digest when no checksum is available', async () => {
+		await worker.processJob(await createJob());
+
+		const model = tables.Model.records.get('model:v1');
+		assert.equal(model.blobSha256, sha256Hex(blob));
+		assert.equal(JSON.parse(model.metadata).checksumSource, null);
+	});
+});
+
+describe('ModelFetchWorker staged downloads', () => {
+	let worker;
+	let tables;
+	let originalTables;
+	let originalLogger;
+	let stagingRoot;
+	let originalCreateBlob;
+
+	const blob = Buffer.from('staged model data');
+	const job = {
+		id: 'job-1',
+		source: 'url',
+		sourceReference: 'https://models.example.com/model.onnx',
+		variant: null,
+		modelName: 'model',
+		modelVersion: 'v1',
+		framework: 'onnx',
+		status: 'queued',
+		retryCount: 0,
+		maxRetries: 3,
+	};
+	const exists = (filePath) =>
+		access(filePath).then(
+			() => true,
+			() => false
+		);
+
+	beforeEach(async () => {
+		originalTables = globalThis.tables;
+		originalLogger = globalThis.logger;
+		tables = createMemoryTables();
+		globalThis.tables = tables;
+		globalThis.logger = { info() {}, warn() {}, error() {} };
+		// Harper's createBlob; the stand-in reads the stream right away
+		originalCreateBlob = globalThis.createBlob;
+		globalThis.createBlob = mock.fn((stream, options) => ({ options, content: stream.toArray().then(Buffer.concat) }));
+
+		worker = new ModelFetchWorker();
+		stagingRoot = await mkdtemp(path.join(os.tmpdir(), 'fetch-worker-'));
+		worker.stagingDir = stagingRoot;
+		await tables.ModelFetchJob.put({ ...job });
+	});
+
+	afterEach(async () => {
+		globalThis.tables = originalTables;
+		globalThis.logger = originalLogger;
+		globalThis.createBlob = originalCreateBlob;
+		await rm(stagingRoot, { recursive: true, force: true });
+	});
+
+	// Adapter that writes the blob into the job's staging directory
+	const stagingAdapter = (error = null) => ({
+		download: mock.fn(async (sourceReference, variant, onProgress, framework, { stagingDir }) => {
+			await mkdir(stagingDir, { recursive: true });
+			const filePath = path.join(stagingDir, 'model.onnx');
+			await writeFile(filePath, blob);
+			if (error) {
+				throw error;
+			}
+			return { filePath, size: blob.length, resumedFrom: 4 };
+		}),
+	});
+
+	it('should store a staged file and remove the staging directory', async () => {
+		worker.adapters.url = stagingAdapter();
+
+		await worker.processJob({ ...job });
+
+		const [, , , , options] = worker.adapters.url.download.mock.calls[0].arguments;
+		assert.equal(options.stagingDir, path.join(stagingRoot, 'job-1'));
+		const model = tables.Model.records.get('model:v1');
+		const [stream] = globalThis.createBlob.mock.calls[0].arguments;
+		assert.equal(stream.path, path.join(options.stagingDir, 'model.onnx'));
+		assert.deepEqual(model.modelBlob.options, { saveBeforeCommit: true });
+		assert.deepEqual(await model.modelBlob.content, blob);
+		assert.equal(model.blobSize, blob.length);
+		assert.equal(model.blobSha256, sha256Hex(blob));
+		assert.equal(await exists(options.stagingDir), false);
+	});
+
+	it('should keep partial files for a retry and remove them when the job fails for good', async () => {
+		worker.adapters.url = stagingAdapter(new NetworkError('Connection reset'));
+
+		await worker.processJob({ ...job });
+		assert.equal(tables.ModelFetchJob.records.get('job-1').status, 'queued');
+		assert.equal(await exists(path.join(stagingRoot, 'job-1', 'model.onnx')), true);
+
+		worker.adapters.url = stagingAdapter(new ModelNotFoundError('model.onnx'));
+		await worker.processJob(tables.ModelFetchJob.records.get('job-1'));
+		assert.equal(tables.ModelFetchJob.records.get('job-1').status, 'failed');
+		assert.equal(await exists(path.join(stagingRoot, 'job-1')), false);
+	});
+});
+
+describe('ModelFetchWorker metadata after download', () => {
+	let originalTables;
+	let originalLogger;
+
+	beforeEach(() => {
+		originalTables = globalThis.tables;
+		originalLogger = globalThis.logger;
+		globalThis.tables = createMemoryTables();
+		globalThis.logger = { info() {}, warn() {}, error() {} };
+	});
+
+	afterEach(() => {
+		globalThis.tables = originalTables;
+		globalThis.logger = originalLogger;
+	});
+
+	it('should infer metadata again for sources that describe models once pulled', async () => {
+		const worker = new ModelFetchWorker();
+		const job = {
+			id: 'job-1',
+			source: 'ollama',
+			sourceReference: 'nomic-embed-text',
+			variant: null,
+			modelName: 'nomic',
+			modelVersion: 'v1',
+			framework: 'ollama',
+			status: 'queued',
+			retryCount: 0,
+			maxRetries: 3,
+			inferredMetadata: JSON.stringify({ tags: ['ollama'], sourceModel: 'nomic-embed-text' }),
+			userMetadata: JSON.stringify({ equivalenceGroup: 'embeddings' }),
+		};
+		await globalThis.tables.ModelFetchJob.put(job);
+		worker.adapters.ollama = {
+			metadataAfterDownload: true,
+			download: async () => Buffer.from(JSON.stringify({ modelName: 'nomic-embed-text', mode: 'embeddings' })),
+			inferMetadata: mock.fn(async () => ({ taskType: 'text-embedding', outputDimensions: [768] })),
+		};
+
+		await worker.processJob({ ...job });
+
+		const metadata = JSON.parse(globalThis.tables.Model.records.get('nomic:v1').metadata);
+		assert.equal(worker.adapters.ollama.inferMetadata.mock.callCount(), 1);
+		assert.deepEqual(metadata.tags, ['ollama']);
+		assert.deepEqual(metadata.outputDimensions, [768]);
+		assert.equal(metadata.equivalenceGroup, 'embeddings');
+		assert.equal(metadata.fetchSource, 'ollama');
+	});
+});
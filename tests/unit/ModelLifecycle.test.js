@@ -0,0 +1,201 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ModelLifecycle } from '../../src/core/ModelLifecycle.js';
+import { MonitoringBackend } from '../../src/core/MonitoringBackend.js';
+import { createMemoryTables } from '../helpers/memory-tables.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('ModelLifecycle', () => {
+	let tables;
+	let lifecycle;
+
+	beforeEach(async () => {
+		tables = createMemoryTables();
+		lifecycle = new ModelLifecycle(new MonitoringBackend(tables), tables, {
+			requiredMetadata: ['taskType', 'description'],
+			benchmarkMaxAgeDays: 7,
+			minAccuracy: null,
+		});
+		await tables.Model.put({
+			id: 'minilm:v2',
+			modelName: 'minilm',
+			modelVersion: 'v2',
+			stage: 'candidate',
+			metadata: JSON.stringify({ taskType: 'text-embedding', equivalenceGroup: 'minilm', description: 'MiniLM v2' }),
+		});
+	});
+
+	/**
+	 * Store a benchmark that included minilm:v2
+	 */
+	async function addBenchmark({ errorRate = 0, completedAt = Date.now(), equivalenceGroup = 'minilm' } = {}) {
+		await tables.BenchmarkResult.put({
+			id: `bench-${completedAt}`,
+			taskType: 'text-embedding',
+			equivalenceGroup,
+			modelIds: JSON.stringify(['minilm:v1', 'minilm:v2']),
+			results: JSON.stringify({ 'minilm:v2': { avgLatency: 10, errorRate } }),
+			timestamp: completedAt - 1000,
+			completedAt,
+		});
+	}
+
+	it('should require tables', () => {
+		assert.throws(() => new ModelLifecycle(null), /tables object is required/);
+	});
+
+	it('should promote to staging with an approver and record history', async () => {
+		const result = await lifecycle.promote({
+			modelName: 'minilm',
+			modelVersion: 'v2',
+			toStage: 'staging',
+			approver: 'jane@example.com',
+			reason: 'Ready for QA',
+		});
+
+		assert.equal(result.promoted, true);
+		assert.equal(result.fromStage, 'candidate');
+		assert.equal((await tables.Model.get('minilm:v2')).stage, 'staging');
+
+		const [history] = await lifecycle.getHistory({ modelName: 'minilm' });
+		assert.equal(history.toStage, 'staging');
+		assert.equal(history.approver, 'jane@example.com');
+		assert.equal(history.reason, 'Ready for QA');
+		assert.equal(history.automated, false);
+		assert.ok(history.gates.every((gate) => gate.passed));
+	});
+
+	it('should reject transitions that skip stages', async () => {
+		await assert.rejects(
+			() => lifecycle.promote({ modelName: 'minilm', modelVersion: 'v2', toStage: 'production', approver: 'jane' }),
+			/Cannot move minilm:v2 from candidate to production/
+		);
+		await assert.rejects(
+			() => lifecycle.promote({ modelName: 'minilm', modelVersion: 'v9', toStage: 'staging', approver: 'jane' }),
+			/not found/
+		);
+		await assert.rejects(
+			() => lifecycle.promote({ modelName: 'minilm', modelVersion: 'v2', toStage: 'live' }),
+			/toStage must be one of/
+		);
+	});
+
+	it('should leave the stage unchanged when a gate fails', async () => {
+		await tables.Model.put({ ...(await tables.Model.get('minilm:v2')), metadata: '{"taskType":"text-embedding"}' });
+
+		const result = await lifecycle.promote({ modelName: 'minilm', modelVersion: 'v2', toStage: 'staging' });
+
+		assert.equal(result.promoted, false);
+		assert.deepEqual(
+			result.gates.filter((gate) => !gate.passed).map((gate) => gate.gate),
+			['metadata', 'approver']
+		);
+		assert.match(result.gates[0].detail, /Missing metadata: description/);
+		assert.equal((await tables.Model.get('minilm:v2')).stage, 'candidate');
+		assert.equal((await lifecycle.getHistory()).length, 0);
+	});
+
+	describe('production', () => {
+		const promote = (extra = {}) =>
+			lifecycle.promote({ modelName: 'minilm', modelVersion: 'v2', toStage: 'production', approver: 'jane', ...extra });
+
+		beforeEach(async () => {
+			await tables.Model.put({ ...(await tables.Model.get('minilm:v2')), stage: 'staging' });
+		});
+
+		it('should require a recent benchmark', async () => {
+			await addBenchmark({ completedAt: Date.now() - 10 * DAY });
+
+			const result = await promote();
+
+			assert.equal(result.promoted, false);
+			assert.match(result.gates.find((gate) => gate.gate === 'benchmark').detail, /No benchmark including minilm:v2/);
+		});
+
+		it('should require the benchmark error rate to pass', async () => {
+			await addBenchmark({ errorRate: 0.2 });
+
+			const result = await promote();
+
+			assert.equal(result.promoted, false);
+			assert.match(result.gates.find((gate) => gate.gate === 'benchmark').detail, /exceeds 0.05/);
+		});
+
+		it('should promote with a passing benchmark', async () => {
+			await addBenchmark({ errorRate: 0.01 });
+
+			const result = await promote();
+
+			assert.equal(result.promoted, true);
+			assert.deepEqual(
+				result.gates.map((gate) => gate.gate),
+				['metadata', 'approver', 'benchmark']
+			);
+			assert.equal((await tables.Model.get('minilm:v2')).stage, 'production');
+		});
+
+		it("should only count benchmarks of the model's equivalence group", async () => {
+			await addBenchmark({ equivalenceGroup: 'mpnet' });
+
+			const result = await promote();
+
+			assert.equal(result.promoted, false);
+			assert.match(result.gates.find((gate) => gate.gate === 'benchmark').detail, /No benchmark including minilm:v2/);
+		});
+
+		it('should move the current production version to staging', async () => {
+			await tables.Model.put({ id: 'minilm:v1', modelName: 'minilm', modelVersion: 'v1', stage: 'production' });
+			await tables.Model.put({ id: 'other:v1', modelName: 'other', modelVersion: 'v1', stage: 'production' });
+			await addBenchmark();
+
+			const result = await promote({ reason: 'Better recall' });
+
+			assert.equal(result.promoted, true);
+			assert.equal((await tables.Model.get('minilm:v2')).stage, 'production');
+			assert.equal((await tables.Model.get('minilm:v1')).stage, 'staging');
+			assert.equal((await tables.Model.get('other:v1')).stage, 'production');
+			assert.equal(result.demoted.length, 1);
+			assert.equal(result.demoted[0].modelVersion, 'v1');
+			assert.equal(result.demoted[0].fromStage, 'production');
+			assert.equal(result.demoted[0].toStage, 'staging');
+			assert.equal(result.demoted[0].approver, 'jane');
+			assert.match(result.demoted[0].reason, /Replaced in production by v2/);
+			assert.ok(result.demoted[0].timestamp >= result.history.timestamp);
+
+			const history = await lifecycle.getHistory({ modelName: 'minilm' });
+			assert.deepEqual(history.map((h) => `${h.modelVersion}:${h.toStage}`).sort(), ['v1:staging', 'v2:production']);
+		});
+
+		it('should only evaluate gates on a dry run', async () => {
+			await addBenchmark();
+
+			const result = await promote({ dryRun: true });
+
+			assert.equal(result.promoted, false);
+			assert.ok(result.gates.every((gate) => gate.passed));
+			assert.equal((await tables.Model.get('minilm:v2')).stage, 'staging');
+		});
+
+		it('should check feedback accuracy when minAccuracy is set', async () => {
+			lifecycle.minAccuracy = 0.8;
+			await addBenchmark();
+			for (let i = 0; i < 10; i++) {
+				await tables.InferenceEvent.put({
+					id: `e${i}`,
+					modelName: 'minilm',
+					modelVersion: 'v2',
+					framework: 'onnx',
+					latencyMs: 10,
+					correct: i < 7,
+					timestamp: Date.now() - i,
+				});
+			}
+
+			const result = await promote();
+
+			assert.equal(result.promoted, false);
+			assert.match(result.gates.find((gate) => gate.gate === 'accuracy').detail, /Accuracy 0.700 \(minimum 0.8\)/);
+		});
+	});
+});
@@ -0,0 +1,114 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ModelRouter } from '../../src/core/ModelRouter.js';
+import { createMemoryTables } from '../helpers/memory-tables.js';
+
+describe('ModelRouter', () => {
+	let tables;
+	let router;
+
+	beforeEach(async () => {
+		tables = createMemoryTables();
+		router = new ModelRouter(tables);
+		await tables.Model.put({ id: 'minilm:v1', modelName: 'minilm', modelVersion: 'v1' });
+		await tables.Model.put({ id: 'minilm:v2', modelName: 'minilm', modelVersion: 'v2' });
+	});
+
+	it('should require tables', () => {
+		assert.throws(() => new ModelRouter(), /tables object is required/);
+	});
+
+	describe('setRoute', () => {
+		it('should store versions as JSON and return them parsed', async () => {
+			const route = await router.setRoute('minilm', [
+				{ modelVersion: 'v1', weight: 95 },
+				{ modelVersion: 'v2', weight: 5 },
+			]);
+
+			assert.equal(route.id, 'minilm');
+			assert.deepEqual(route.versions, [
+				{ modelVersion: 'v1', weight: 95 },
+				{ modelVersion: 'v2', weight: 5 },
+			]);
+			assert.equal(typeof (await tables.ModelRoute.get('minilm')).versions, 'string');
+			assert.deepEqual((await router.getRoute('minilm')).versions, route.versions);
+		});
+
+		it('should reject invalid routes', async () => {
+			await assert.rejects(() => router.setRoute('minilm', []), /non-empty array/);
+			await assert.rejects(() => router.setRoute('minilm', [{ weight: 1 }]), /requires a modelVersion/);
+			await assert.rejects(
+				() => router.setRoute('minilm', [{ modelVersion: 'v1', weight: -1 }]),
+				/must be a non-negative number/
+			);
+			await assert.rejects(
+				() =>
+					router.setRoute('minilm', [
+						{ modelVersion: 'v1', weight: 1 },
+						{ modelVersion: 'v1', weight: 1 },
+					]),
+				/Duplicate modelVersion/
+			);
+			await assert.rejects(() => router.setRoute('minilm', [{ modelVersion: 'v1', weight: 0 }]), /positive weight/);
+			await assert.rejects(() => router.setRoute('minilm', [{ modelVersion: 'v9', weight: 1 }]), /minilm:v9 not found/);
+		});
+	});
+
+	describe('resolve', () => {
+		it('should return null for models without a route', async () => {
+			assert.equal(await router.resolve('minilm', { userId: 'u1' }), null);
+		});
+
+		it('should be sticky per user and split traffic by weight', async () => {
+			await router.setRoute('minilm', [
+				{ modelVersion: 'v1', weight: 95 },
+				{ modelVersion: 'v2', weight: 5 },
+			]);
+
+			const counts = { v1: 0, v2: 0 };
+			for (let i = 0; i < 1000; i++) {
+				const version = await router.resolve('minilm', { userId: `user-${i}` });
+				assert.equal(await router.resolve('minilm', { userId: `user-${i}` }), version);
+				counts[version]++;
+			}
+
+			assert.ok(counts.v2 > 20 && counts.v2 < 90, `expected ~50 canary users, got ${counts.v2}`);
+		});
+
+		it('should fall back to sessionId, then to random assignment', async () => {
+			router = new ModelRouter(tables, { random: () => 0.99 });
+			await router.setRoute('minilm', [
+				{ modelVersion: 'v1', weight: 50 },
+				{ modelVersion: 'v2', weight: 50 },
+			]);
+
+			const bySession = await router.resolve('minilm', { sessionId: 's1' });
+			assert.equal(await router.resolve('minilm', { sessionId: 's1' }), bySession);
+			assert.equal(await router.resolve('minilm', { userId: 's1', sessionId: 'other' }), bySession);
+			assert.equal(await router.resolve('minilm'), 'v2');
+		});
+
+		it('should never pick a version with zero weight', async () => {
+			await router.setRoute('minilm', [
+				{ modelVersion: 'v1', weight: 0 },
+				{ modelVersion: 'v2', weight: 1 },
+			]);
+
+			for (let i = 0; i < 50; i++) {
+				assert.equal(await router.resolve('minilm', { userId: `user-${i}` }), 'v2');
+			}
+		});
+	});
+
+	describe('listRoutes / deleteRoute', () => {
+		it('should list and remove routes', async () => {
+			await router.setRoute('minilm', [{ modelVersion: 'v1', weight: 1 }]);
+			assert.equal((await router.listRoutes()).length, 1);
+
+			await router.deleteRoute('minilm');
+
+			assert.equal(await router.getRoute('minilm'), null);
+			assert.equal(await router.resolve('minilm', { userId: 'u1' }), null);
+		});
+	});
+});
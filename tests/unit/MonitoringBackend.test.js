@@ -1,7 +1,9 @@
-import { describe, test, before, after } from 'node:test';
+import { describe, test, before, after, mock } from 'node:test';
 import assert from 'node:assert';
 import { setupMonitoring, cleanupInferenceEvents } from '../helpers/setup.js';
 import { createRestTable } from '../helpers/rest-api.js';
+import { createMemoryTables } from '../helpers/memory-tables.js';
+import { MonitoringBackend } from '../../src/core/MonitoringBackend.js';
 
 describe('MonitoringBackend', () => {
 	let monitoring;
@@ -167,4 +169,84 @@ describe('MonitoringBackend', () => {
 		assert.ok(metrics.count >= 5); // At least the 5 recent events
 		assert.ok(metrics.avgLatency < 200); // Should not be affected by the 200ms old event
 	});
+
+	test('should report latency percentiles, error rate and per-framework metrics', async () => {
+		const now = Date.now();
+		const base = {
+			modelName: 'test-metrics-errors',
+			modelVersion: 'v1',
+			featuresIn: '{}',
+			actualOutcome: null,
+			feedbackTimestamp: null,
+			correct: null,
+		};
+		const events = [
+			{ ...base, id: 'err-1', framework: 'onnx', prediction: '{}', confidence: 0.9, latencyMs: 10 },
+			{ ...base, id: 'err-2', framework: 'onnx', prediction: '{}', confidence: 0.9, latencyMs: 20 },
+			{ ...base, id: 'err-3', framework: 'onnx', prediction: '{}', confidence: 0.9, latencyMs: 30 },
+			{ ...base, id: 'err-4', framework: 'ollama', prediction: '{}', confidence: 0.9, latencyMs: 40 },
+			{
+				...base,
+				id: 'err-5',
+				framework: 'ollama',
+				prediction: null,
+				confidence: null,
+				latencyMs: 5000,
+				errorCode: 'INFERENCE_ERROR',
+				errorMessage: 'connection refused',
+			},
+		];
+
+		try {
+			for (const event of events) {
+				await eventsTable.put({ ...event, requestId: event.id, timestamp: now });
+			}
+
+			const metrics = await monitoring.getMetrics('test-metrics-errors');
+
+			assert.strictEqual(metrics.count, 5);
+			assert.strictEqual(metrics.errorCount, 1);
+			assert.strictEqual(metrics.errorRate, 0.2);
+			// Failed inference latency is excluded from the distribution
+			assert.strictEqual(metrics.avgLatency, 25);
+			assert.strictEqual(metrics.p50Latency, 25);
+			assert.strictEqual(metrics.maxLatency, 40);
+			assert.ok(metrics.p95Latency <= metrics.p99Latency);
+
+			assert.strictEqual(metrics.byFramework.onnx.count, 3);
+			assert.strictEqual(metrics.byFramework.onnx.errorRate, 0);
+			assert.strictEqual(metrics.byFramework.onnx.p50Latency, 20);
+			assert.strictEqual(metrics.byFramework.ollama.count, 2);
+			assert.strictEqual(metrics.byFramework.ollama.errorRate, 0.5);
+			assert.strictEqual(metrics.byVersion.v1.count, 5);
+			assert.strictEqual(metrics.byVersion.v1.avgConfidence, 0.9);
+		} finally {
+			await cleanupInferenceEvents('test-metrics-errors');
+		}
+	});
+});
+
+describe('MonitoringBackend time range', () => {
+	test('should only read events inside the range', async () => {
+		const tables = createMemoryTables();
+		const monitoring = new MonitoringBackend(tables);
+		for (const [id, timestamp] of [
+			['before', 1000],
+			['start', 2000],
+			['end', 3000],
+			['after', 4000],
+		]) {
+			await tables.InferenceEvent.put({ id, modelName: 'm', modelVersion: 'v1', timestamp, latencyMs: 10 });
+		}
+		const search = mock.method(tables.InferenceEvent, 'search');
+
+		const metrics = await monitoring.getMetrics('m', { startTime: new Date(2000), endTime: new Date(3000) });
+
+		assert.strictEqual(metrics.count, 2);
+		assert.deepStrictEqual(search.mock.calls[0].arguments[0].conditions, [
+			{ attribute: 'modelName', value: 'm' },
+			{ attribute: 'timestamp', comparator: 'greater_than_equal', value: 2000 },
+			{ attribute: 'timestamp', comparator: 'less_than_equal', value: 3000 },
+		]);
+	});
 });
@@ -160,18 +160,162 @@ describe('OllamaBackend', () => {
 		});
 	});
 
+	describe('predictStream - chat mode', () => {
+		/**
+		 * Build a fetch() response whose body streams the given string chunks
+		 */
+		function streamingResponse(chunks) {
+			const encoder = new TextEncoder();
+			return {
+				ok: true,
+				body: new ReadableStream({
+					start(controller) {
+						for (const chunk of chunks) {
+							controller.enqueue(encoder.encode(chunk));
+						}
+						controller.close();
+					},
+				}),
+			};
+		}
+
+		async function collect(iterable) {
+			const chunks = [];
+			for await (const chunk of iterable) {
+				chunks.push(chunk);
+			}
+			return chunks;
+		}
+
+		test('should yield token deltas and a final summary', async () => {
+			global.fetch = mock.fn(async (url, options) => {
+				assert.strictEqual(url, 'http://localhost:11434/api/chat');
+				const body = JSON.parse(options.body);
+				assert.strictEqual(body.stream, true);
+				assert.strictEqual(body.messages[0].content, 'Hi');
+
+				return streamingResponse([
+					'{"message":{"role":"assistant","content":"Hel"},"done":false}\n',
+					'{"message":{"role":"assistant","content":"lo"},"done":false}\n',
+					'{"message":{"role":"assistant","content":""},"done":true,"prompt_eval_count":4,"eval_count":2,"total_duration":900}\n',
+				]);
+			});
+
+			await backend.loadModel('stream-model', 'llama2');
+
+			const chunks = await collect(backend.predictStream('stream-model', { prompt: 'Hi' }));
+
+			assert.deepStrictEqual(
+				chunks.slice(0, 2).map((c) => c.content),
+				['Hel', 'lo']
+			);
+			const final = chunks[2];
+			assert.strictEqual(final.done, true);
+			assert.strictEqual(final.response, 'Hello');
+			assert.deepStrictEqual(final.message, { role: 'assistant', content: 'Hello' });
+			assert.strictEqual(final.prompt_eval_count, 4);
+			assert.strictEqual(final.eval_count, 2);
+		});
+
+		test('should reassemble lines split across network chunks', async () => {
+			global.fetch = mock.fn(async () =>
+				streamingResponse([
+					'{"message":{"content":"A"},"do',
+					'ne":false}\n{"message":{"content":"B"},"done":false}\n{"done":true,',
+					'"eval_count":2}',
+				])
+			);
+
+			await backend.loadModel('stream-split', 'llama2');
+
+			const chunks = await collect(backend.predictStream('stream-split', { prompt: 'x' }));
+
+			assert.strictEqual(chunks.length, 3);
+			assert.strictEqual(chunks[2].response, 'AB');
+			assert.strictEqual(chunks[2].eval_count, 2);
+		});
+
+		test('should surface errors reported mid-stream', async () => {
+			global.fetch = mock.fn(async () =>
+				streamingResponse(['{"message":{"content":"A"},"done":false}\n', '{"error":"model crashed"}\n'])
+			);
+
+			await backend.loadModel('stream-error', 'llama2');
+
+			await assert.rejects(
+				async () => collect(backend.predictStream('stream-error', { prompt: 'x' })),
+				/Ollama API error: model crashed/
+			);
+		});
+
+		test('should reject streams that end without a done message', async () => {
+			global.fetch = mock.fn(async () => streamingResponse(['{"message":{"content":"A"},"done":false}\n']));
+
+			await backend.loadModel('stream-truncated', 'llama2');
+
+			await assert.rejects(
+				async () => collect(backend.predictStream('stream-truncated', { prompt: 'x' })),
+				/stream ended before completion/
+			);
+		});
+
+		test('should abort the Ollama request when the signal aborts', async () => {
+			const encoder = new TextEncoder();
+			global.fetch = mock.fn(async (url, options) => ({
+				ok: true,
+				// Like fetch(), the body errors once the request signal aborts
+				body: new ReadableStream({
+					start(controller) {
+						controller.enqueue(encoder.encode('{"message":{"content":"A"},"done":false}\n'));
+						options.signal.addEventListener('abort', () => controller.error(options.signal.reason));
+					},
+				}),
+			}));
+
+			await backend.loadModel('stream-abort', 'llama2');
+
+			const abortController = new AbortController();
+			const chunks = [];
+			await assert.rejects(async () => {
+				for await (const chunk of backend.predictStream(
+					'stream-abort',
+					{ prompt: 'x' },
+					{ signal: abortController.signal }
+				)) {
+					chunks.push(chunk);
+					abortController.abort();
+				}
+			}, /AbortError|aborted/);
+
+			assert.strictEqual(global.fetch.mock.calls[0].arguments[1].signal, abortController.signal);
+			assert.deepStrictEqual(
+				chunks.map((c) => c.content),
+				['A']
+			);
+		});
+
+		test('should reject streaming for embeddings models', async () => {
+			await backend.loadModel('stream-embed', { modelName: 'nomic-embed-text', mode: 'embeddings' });
+
+			await assert.rejects(
+				async () => collect(backend.predictStream('stream-embed', { prompt: 'x' })),
+				/only supported in chat mode/
+			);
+		});
+	});
+
 	describe('predict - embeddings mode', () => {
 		test('should generate embeddings', async () => {
 			global.fetch = mock.fn(async (url, options) => {
-				assert.strictEqual(url, 'http://localhost:11434/api/embeddings');
+				assert.strictEqual(url, 'http://localhost:11434/api/embed');
 				const body = JSON.parse(options.body);
 				assert.strictEqual(body.model, 'llama2');
-				assert.strictEqual(body.prompt, 'Hello world');
+				assert.deepStrictEqual(body.input, ['Hello world']);
 
 				return {
 					ok: true,
 					json: async () => ({
-						embedding: [0.1, 0.2, 0.3, 0.4, 0.5],
+						embeddings: [[0.1, 0.2, 0.3, 0.4, 0.5]],
 					}),
 				};
 			});
@@ -189,20 +333,68 @@ describe('OllamaBackend', () => {
 			});
 
 			assert.ok(Array.isArray(result.embeddings));
-			assert.strictEqual(result.embeddings.length, 5);
-			assert.strictEqual(result.embeddings[0], 0.1);
+			assert.strictEqual(result.embeddings.length, 1);
+			assert.deepStrictEqual(result.embeddings[0], [0.1, 0.2, 0.3, 0.4, 0.5]);
+			assert.deepStrictEqual(result.embedding, [0.1, 0.2, 0.3, 0.4, 0.5]);
 			assert.strictEqual(global.fetch.mock.calls.length, 1);
 		});
 
+		test('should embed a batch in one request', async () => {
+			global.fetch = mock.fn(async (url, options) => {
+				const body = JSON.parse(options.body);
+				return {
+					ok: true,
+					json: async () => ({
+						embeddings: body.input.map((text) => [text.length, 0]),
+					}),
+				};
+			});
+
+			await backend.loadModel(
+				'embed-batch',
+				JSON.stringify({
+					modelName: 'nomic-embed-text',
+					mode: 'embeddings',
+				})
+			);
+
+			const result = await backend.predict('embed-batch', {
+				texts: ['a', 'bbb', 'cc'],
+			});
+
+			assert.strictEqual(result.embeddings.length, 3);
+			assert.deepStrictEqual(result.embeddings, [
+				[1, 0],
+				[3, 0],
+				[2, 0],
+			]);
+			assert.deepStrictEqual(result.embedding, [1, 0]);
+			assert.strictEqual(global.fetch.mock.calls.length, 1);
+		});
+
+		test('should reject a response with the wrong number of embeddings', async () => {
+			global.fetch = mock.fn(async () => ({
+				ok: true,
+				json: async () => ({ embeddings: [[1, 0]] }),
+			}));
+
+			await backend.loadModel('embed-short', { modelName: 'nomic-embed-text', mode: 'embeddings' });
+
+			await assert.rejects(
+				async () => backend.predict('embed-short', { texts: ['a', 'b'] }),
+				/expected 2 embeddings, got 1/
+			);
+		});
+
 		test('should support text field for embeddings', async () => {
 			global.fetch = mock.fn(async (url, options) => {
 				const body = JSON.parse(options.body);
-				assert.strictEqual(body.prompt, 'Test text');
+				assert.deepStrictEqual(body.input, ['Test text']);
 
 				return {
 					ok: true,
 					json: async () => ({
-						embedding: [0.1, 0.2],
+						embeddings: [[0.1, 0.2]],
 					}),
 				};
 			});
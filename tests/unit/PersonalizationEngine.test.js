@@ -1,6 +1,15 @@
 import { describe, it, beforeEach } from 'node:test';
 import assert from 'node:assert/strict';
 import { PersonalizationEngine } from '../../src/PersonalizationEngine.js';
+import { EmbeddingIndex } from '../../src/core/EmbeddingIndex.js';
+import { createMemoryTables } from '../helpers/memory-tables.js';
+
+/**
+ * Wrap embeddings in the shape returned by InferenceEngine.predict()
+ */
+function embeddingResult(embeddings) {
+	return { output: { embeddings }, latencyMs: 1 };
+}
 
 describe('PersonalizationEngine', () => {
 	describe('new constructor pattern (with InferenceEngine)', () => {
@@ -13,7 +22,7 @@ describe('PersonalizationEngine', () => {
 				predict: async (modelName, input, modelVersion) => {
 					// Mock embedding output (512-dimensional)
 					const numTexts = input.texts?.length || 1;
-					return Array.from({ length: numTexts }, () => Array(512).fill(0.1));
+					return embeddingResult(Array.from({ length: numTexts }, () => Array(512).fill(0.1)));
 				},
 				initialize: async () => {},
 			};
@@ -46,7 +55,7 @@ describe('PersonalizationEngine', () => {
 				predictCalled = true;
 				capturedModelName = modelName;
 				capturedModelVersion = modelVersion;
-				return [Array(512).fill(0.1), Array(512).fill(0.2)];
+				return embeddingResult([Array(512).fill(0.1), Array(512).fill(0.2)]);
 			};
 
 			const similarities = await personalizationEngine.calculateSimilarity(['query text', 'target text']);
@@ -73,7 +82,7 @@ describe('PersonalizationEngine', () => {
 			mockInferenceEngine.predict = async (modelName, input, modelVersion) => {
 				capturedModelName = modelName;
 				capturedModelVersion = modelVersion;
-				return [Array(512).fill(0.1), Array(512).fill(0.2)];
+				return embeddingResult([Array(512).fill(0.1), Array(512).fill(0.2)]);
 			};
 
 			await personalizationEngine.calculateSimilarity(['test', 'test2']);
@@ -86,7 +95,7 @@ describe('PersonalizationEngine', () => {
 			// Mock ONNX model
 			mockInferenceEngine.predict = async (modelName, input, modelVersion) => {
 				// Simulate ONNX output format
-				return Array.from({ length: input.texts.length }, () => Array(512).fill(0.15));
+				return embeddingResult(Array.from({ length: input.texts.length }, () => Array(512).fill(0.15)));
 			};
 
 			personalizationEngine = new PersonalizationEngine({
@@ -149,10 +158,12 @@ describe('PersonalizationEngine', () => {
 					// Return mock embeddings
 					const numTexts = input.texts?.length || 1;
 					// Return different embeddings to test similarity calculation
-					return Array.from({ length: numTexts }, (_, i) => {
-						// Create slightly different embeddings
-						return Array(512).fill(0.1 + i * 0.01);
-					});
+					return embeddingResult(
+						Array.from({ length: numTexts }, (_, i) => {
+							// Create slightly different embeddings
+							return Array(512).fill(0.1 + i * 0.01);
+						})
+					);
 				},
 				initialize: async () => {},
 			};
@@ -206,6 +217,31 @@ describe('PersonalizationEngine', () => {
 			assert.equal(enhanced[1].personalized, true);
 		});
 
+		it('should score every product from a single batched prediction', async () => {
+			await personalizationEngine.initialize();
+
+			let predictCalls = 0;
+			mockInferenceEngine.predict = async (modelName, input) => {
+				predictCalls++;
+				// Query points along x; products point along x, y and a mix of both
+				assert.equal(input.texts.length, 4);
+				return embeddingResult([
+					[1, 0],
+					[1, 0],
+					[0, 1],
+					[1, 1],
+				]);
+			};
+
+			const products = [{ name: 'A' }, { name: 'B' }, { name: 'C' }];
+			const enhanced = await personalizationEngine.enhanceProducts(products, {});
+
+			assert.equal(predictCalls, 1);
+			assert.equal(enhanced[0].personalizedScore, 1);
+			assert.equal(enhanced[1].personalizedScore, 0);
+			assert.ok(Math.abs(enhanced[2].personalizedScore - Math.SQRT1_2) < 1e-9);
+		});
+
 		it('should build user query from context', () => {
 			const context = {
 				activityType: 'hiking',
@@ -228,7 +264,7 @@ describe('PersonalizationEngine', () => {
 		it('should track statistics', async () => {
 			await personalizationEngine.initialize();
 
-			mockInferenceEngine.predict = async () => [Array(512).fill(0.1), Array(512).fill(0.2)];
+			mockInferenceEngine.predict = async () => embeddingResult([Array(512).fill(0.1), Array(512).fill(0.2)]);
 
 			await personalizationEngine.calculateSimilarity(['text1', 'text2']);
 
@@ -302,7 +338,7 @@ describe('PersonalizationEngine', () => {
 				predict: async (modelName, input, modelVersion) => {
 					// Return 768-dimensional embeddings (e.g., BERT)
 					const numTexts = input.texts?.length || 1;
-					return Array.from({ length: numTexts }, () => Array(768).fill(0.1));
+					return embeddingResult(Array.from({ length: numTexts }, () => Array(768).fill(0.1)));
 				},
 				initialize: async () => {},
 			};
@@ -325,7 +361,7 @@ describe('PersonalizationEngine', () => {
 			const mockInferenceEngine = {
 				predict: async (modelName, input, modelVersion) => {
 					// Simulate Ollama embedding format
-					return Array.from({ length: input.texts.length }, () => Array(4096).fill(0.1));
+					return embeddingResult(Array.from({ length: input.texts.length }, () => Array(4096).fill(0.1)));
 				},
 				initialize: async () => {},
 			};
@@ -347,4 +383,271 @@ describe('PersonalizationEngine', () => {
 			assert.ok(enhanced[0].personalizedScore !== undefined);
 		});
 	});
+
+	describe('stored embeddings', () => {
+		it('should embed only the query and products missing from the EmbeddingIndex', async () => {
+			const predictCalls = [];
+			const inferenceEngine = {
+				predict: async (modelName, input) => {
+					predictCalls.push(input.texts);
+					// Query along x, the unindexed product along y
+					return embeddingResult([
+						[1, 0],
+						[0, 1],
+					]);
+				},
+			};
+			const tables = createMemoryTables();
+			const embeddingIndex = new EmbeddingIndex({ predict: async () => embeddingResult([[1, 0]]) }, tables);
+			await embeddingIndex.indexItems({
+				modelName: 'test-model',
+				modelVersion: 'v1',
+				items: [{ id: 'sku-1', name: 'Indexed' }],
+			});
+
+			const personalizationEngine = new PersonalizationEngine({
+				inferenceEngine,
+				modelName: 'test-model',
+				modelVersion: 'v1',
+				embeddingIndex,
+			});
+			await personalizationEngine.initialize();
+
+			const enhanced = await personalizationEngine.enhanceProducts(
+				[
+					{ id: 'sku-1', name: 'Indexed' },
+					{ id: 'sku-2', name: 'New' },
+				],
+				{ activityType: 'hiking' }
+			);
+
+			assert.deepEqual(predictCalls, [['hiking', 'New']]);
+			assert.equal(enhanced[0].personalizedScore, 1);
+			assert.equal(enhanced[1].personalizedScore, 0);
+		});
+
+		it('should ignore stored embeddings from another model version', async () => {
+			const embeddingIndex = new EmbeddingIndex(
+				{ predict: async () => embeddingResult([[1, 0]]) },
+				createMemoryTables()
+			);
+			await embeddingIndex.indexItems({
+				modelName: 'test-model',
+				modelVersion: 'v2',
+				items: [{ id: 'sku-1', name: 'Indexed' }],
+			});
+			const predictCalls = [];
+			const personalizationEngine = new PersonalizationEngine({
+				inferenceEngine: {
+					predict: async (modelName, input) => {
+						predictCalls.push(input.texts);
+						return embeddingResult(input.texts.map(() => [1, 0]));
+					},
+				},
+				modelName: 'test-model',
+				modelVersion: 'v1',
+				embeddingIndex,
+			});
+			await personalizationEngine.initialize();
+
+			await personalizationEngine.enhanceProducts([{ id: 'sku-1', name: 'Indexed' }], {});
+
+			assert.deepEqual(predictCalls, [['outdoor gear', 'Indexed']]);
+		});
+	});
+
+	describe('user profile', () => {
+		let personalizationEngine;
+
+		beforeEach(async () => {
+			personalizationEngine = new PersonalizationEngine({
+				inferenceEngine: {
+					// Query along x; products along x and y
+					predict: async () =>
+						embeddingResult([
+							[1, 0],
+							[1, 0],
+							[0, 1],
+						]),
+				},
+				modelName: 'test-model',
+				modelVersion: 'v1',
+			});
+			await personalizationEngine.initialize();
+		});
+
+		it('should blend context and profile similarity', async () => {
+			const enhanced = await personalizationEngine.enhanceProducts(
+				[{ name: 'Boot' }, { name: 'Jacket' }],
+				{},
+				{ profileVector: [0, 1], profileWeight: 0.25 }
+			);
+
+			assert.equal(enhanced[0].personalizedScore, 0.75);
+			assert.deepEqual(enhanced[0].scoreBreakdown, { context: 1, profile: 0 });
+			assert.equal(enhanced[1].personalizedScore, 0.25);
+			assert.deepEqual(enhanced[1].scoreBreakdown, { context: 0, profile: 1 });
+		});
+
+		it('should ignore a profile vector from another embedding space', async () => {
+			const enhanced = await personalizationEngine.enhanceProducts(
+				[{ name: 'Boot' }, { name: 'Jacket' }],
+				{},
+				{
+					profileVector: [0, 1, 0],
+				}
+			);
+
+			assert.equal(enhanced[0].personalizedScore, 1);
+			assert.equal(enhanced[0].scoreBreakdown, undefined);
+		});
+
+		it('should add preferred categories to the user query', () => {
+			const query = personalizationEngine.buildUserQuery({
+				activityType: 'hiking',
+				preferredCategories: ['footwear', 'outerwear'],
+			});
+
+			assert.equal(query, 'hiking footwear outerwear');
+		});
+	});
+
+	describe('hybrid ranking', () => {
+		let personalizationEngine;
+		let failPrediction;
+
+		// Same text, different size: embeddings cannot tell them apart
+		const products = [
+			{ name: 'Trail Runner', description: 'Lightweight shoe, size 9' },
+			{ name: 'Trail Runner', description: 'Lightweight shoe, size 10.5' },
+			{ name: 'Rain Jacket', description: 'Waterproof shell' },
+		];
+
+		beforeEach(async () => {
+			failPrediction = false;
+			personalizationEngine = new PersonalizationEngine({
+				inferenceEngine: {
+					predict: async () => {
+						if (failPrediction) {
+							throw new Error('Model unavailable');
+						}
+						return embeddingResult([
+							[1, 0],
+							[1, 0],
+							[1, 0],
+							[0, 1],
+						]);
+					},
+				},
+				modelName: 'test-model',
+				modelVersion: 'v1',
+			});
+			await personalizationEngine.initialize();
+		});
+
+		it('should keep pure semantic scores by default', async () => {
+			const enhanced = await personalizationEngine.enhanceProducts(products, { query: 'size 10.5' });
+
+			assert.deepEqual(
+				enhanced.map((product) => product.personalizedScore),
+				[1, 1, 0]
+			);
+			assert.equal(enhanced[0].scoreBreakdown, undefined);
+		});
+
+		it('should break semantic ties with exact keyword matches in weighted fusion', async () => {
+			const enhanced = await personalizationEngine.enhanceProducts(
+				products,
+				{ query: 'size 10.5' },
+				{ ranking: { fusion: 'weighted', lexicalWeight: 0.5 } }
+			);
+
+			assert.equal(enhanced[1].personalizedScore, 1);
+			assert.ok(enhanced[0].personalizedScore < 1);
+			assert.ok(enhanced[0].personalizedScore > 0.5);
+			assert.equal(enhanced[2].personalizedScore, 0);
+			assert.equal(enhanced[1].scoreBreakdown.semantic, 1);
+			assert.equal(enhanced[1].scoreBreakdown.lexicalRank, 1);
+			assert.equal(enhanced[2].scoreBreakdown.lexical, 0);
+			assert.equal(enhanced[2].scoreBreakdown.lexicalRank, null);
+		});
+
+		it('should fuse semantic and lexical ranks with reciprocal rank fusion', async () => {
+			const enhanced = await personalizationEngine.enhanceProducts(
+				products,
+				{ query: 'size 10.5' },
+				{ ranking: { fusion: 'rrf', rrfK: 60 } }
+			);
+
+			// Both trail runners share semantic rank 1; only the 10.5 has lexical rank 1
+			assert.equal(enhanced[1].personalizedScore, 2 / 61);
+			assert.equal(enhanced[0].personalizedScore, 1 / 61 + 1 / 62);
+			assert.equal(enhanced[2].personalizedScore, 1 / 63);
+			assert.deepEqual(enhanced[0].scoreBreakdown, {
+				semantic: 1,
+				lexical: enhanced[0].scoreBreakdown.lexical,
+				semanticRank: 1,
+				lexicalRank: 2,
+			});
+		});
+
+		it('should include profile similarity in the breakdown', async () => {
+			const enhanced = await personalizationEngine.enhanceProducts(
+				products,
+				{ query: 'jacket' },
+				{ profileVector: [0, 1], profileWeight: 0.5, ranking: { fusion: 'weighted' } }
+			);
+
+			assert.equal(enhanced[2].scoreBreakdown.context, 0);
+			assert.equal(enhanced[2].scoreBreakdown.profile, 1);
+			assert.equal(enhanced[2].scoreBreakdown.semantic, 0.5);
+			assert.equal(enhanced[2].personalizedScore, 0.7 * 0.5 + 0.3);
+		});
+
+		it('should rank by keywords alone when embedding fails', async () => {
+			failPrediction = true;
+
+			const enhanced = await personalizationEngine.enhanceProducts(
+				products,
+				{ query: 'waterproof' },
+				{ ranking: { fusion: 'rrf' } }
+			);
+
+			assert.equal(enhanced[2].personalizedScore, 1 / 61);
+			assert.equal(enhanced[0].personalizedScore, 0);
+			assert.equal(enhanced[2].scoreBreakdown.semanticRank, null);
+		});
+
+		it('should reject invalid ranking options', async () => {
+			await assert.rejects(
+				personalizationEngine.enhanceProducts(products, {}, { ranking: { fusion: 'bm25' } }),
+				/ranking.fusion must be one of: semantic, weighted, rrf/
+			);
+			await assert.rejects(
+				personalizationEngine.enhanceProducts(products, {}, { ranking: { fusion: 'weighted', lexicalWeight: 2 } }),
+				/lexicalWeight must be a number between 0 and 1/
+			);
+		});
+
+		it('should return product embeddings with the scores', async () => {
+			const { products: scored, embeddings } = await personalizationEngine.scoreProducts(products, {});
+
+			assert.equal(scored[0].personalizedScore, 1);
+			assert.deepEqual(embeddings, [
+				[1, 0],
+				[1, 0],
+				[0, 1],
+			]);
+
+			failPrediction = true;
+			assert.equal((await personalizationEngine.scoreProducts(products, {})).embeddings, null);
+		});
+
+		it('should put free-text query terms first in the user query', () => {
+			assert.equal(
+				personalizationEngine.buildUserQuery({ query: 'Salomon size 10.5', activityType: 'running' }),
+				'Salomon size 10.5 running'
+			);
+		});
+	});
 });
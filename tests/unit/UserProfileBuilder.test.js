@@ -0,0 +1,130 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { UserProfileBuilder } from '../../src/core/UserProfileBuilder.js';
+import { EmbeddingIndex } from '../../src/core/EmbeddingIndex.js';
+import { createMemoryTables } from '../helpers/memory-tables.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 0, 15);
+const MODEL = { modelName: 'minilm', modelVersion: 'v1' };
+
+// Product embeddings by id: footwear along x, outerwear along y
+const VECTORS = {
+	boot: [2, 0],
+	shoe: [1, 0],
+	jacket: [0, 3],
+};
+
+function approx(actual, expected, tolerance = 1e-9) {
+	assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected}, got ${actual}`);
+}
+
+describe('UserProfileBuilder', () => {
+	let tables;
+	let embeddingIndex;
+	let builder;
+
+	const putFeature = (featureName, value, timestamp = NOW) =>
+		tables.Feature.put({
+			id: `user-1:${featureName}`,
+			entityId: 'user-1',
+			featureName,
+			featureValue: JSON.stringify(value),
+			timestamp,
+		});
+
+	beforeEach(async () => {
+		tables = createMemoryTables();
+		const inferenceEngine = {
+			async predict(modelName, { texts }) {
+				return { output: { embeddings: texts.map((text) => VECTORS[text]) } };
+			},
+		};
+		embeddingIndex = new EmbeddingIndex(inferenceEngine, tables);
+		await embeddingIndex.indexItems({
+			...MODEL,
+			items: Object.keys(VECTORS).map((id) => ({ id, text: id })),
+		});
+		builder = new UserProfileBuilder(embeddingIndex, tables);
+	});
+
+	it('should require an embedding index and tables', () => {
+		assert.throws(() => new UserProfileBuilder(null, tables), /Embedding index is required/);
+		assert.throws(() => new UserProfileBuilder(embeddingIndex), /tables object is required/);
+	});
+
+	it('should load interactions newest first with preferred categories', async () => {
+		await putFeature('viewedProducts', [
+			{ productId: 'boot', timestamp: NOW - 3 * DAY_MS },
+			{ productId: 'jacket', timestamp: NOW - DAY_MS },
+		]);
+		await putFeature('purchasedProducts', ['shoe'], NOW - 2 * DAY_MS);
+		await putFeature('preferredCategories', ['footwear', 7]);
+
+		const history = await builder.loadHistory('user-1');
+
+		assert.deepEqual(history.interactions, [
+			{ productId: 'jacket', type: 'viewed', timestamp: NOW - DAY_MS },
+			{ productId: 'shoe', type: 'purchased', timestamp: NOW - 2 * DAY_MS },
+			{ productId: 'boot', type: 'viewed', timestamp: NOW - 3 * DAY_MS },
+		]);
+		assert.deepEqual(history.preferredCategories, ['footwear']);
+	});
+
+	it('should average unit item embeddings weighted by type and age', async () => {
+		// The jacket view is one half-life old; the boot purchase is fresh
+		await putFeature('viewedProducts', [{ productId: 'jacket', timestamp: NOW - 14 * DAY_MS }]);
+		await putFeature('purchasedProducts', [{ productId: 'boot', timestamp: NOW }]);
+
+		const profile = await builder.build('user-1', MODEL, { now: NOW });
+
+		// weights: boot 3, jacket 1 * 0.5
+		approx(profile.vector[0], 3 / 3.5);
+		approx(profile.vector[1], 0.5 / 3.5);
+		assert.equal(profile.itemCount, 2);
+		assert.equal(profile.interactionCount, 2);
+		assert.equal(profile.missingItems, 0);
+	});
+
+	it('should skip products without a stored embedding', async () => {
+		await putFeature('viewedProducts', ['shoe', 'retired-sku']);
+
+		const profile = await builder.build('user-1', MODEL, { now: NOW });
+
+		assert.deepEqual(profile.vector, [1, 0]);
+		assert.equal(profile.missingItems, 1);
+	});
+
+	it('should return no vector without usable history', async () => {
+		const empty = await builder.build('user-1', MODEL);
+		assert.equal(empty.vector, null);
+		assert.deepEqual(empty.preferredCategories, []);
+
+		await putFeature('viewedProducts', ['shoe']);
+		const otherModel = await builder.build('user-1', { modelName: 'minilm', modelVersion: 'v2' });
+		assert.equal(otherModel.vector, null);
+		assert.equal(otherModel.missingItems, 1);
+	});
+
+	it('should keep only the most recent interactions', async () => {
+		builder = new UserProfileBuilder(embeddingIndex, tables, { maxInteractions: 1 });
+		await putFeature('viewedProducts', [
+			{ productId: 'jacket', timestamp: NOW - DAY_MS },
+			{ productId: 'shoe', timestamp: NOW },
+		]);
+
+		const profile = await builder.build('user-1', MODEL, { now: NOW });
+
+		assert.deepEqual(profile.vector, [1, 0]);
+		assert.equal(profile.interactionCount, 1);
+	});
+
+	it('should decay weights by half-life and ignore malformed features', async () => {
+		assert.equal(builder.interactionWeight('purchased', NOW - 28 * DAY_MS, NOW), 0.75);
+		assert.equal(builder.interactionWeight('viewed', null, NOW), 1);
+		assert.equal(builder.interactionWeight('clicked', NOW, NOW), 0);
+
+		await tables.Feature.put({ id: 'user-1:viewedProducts', featureValue: 'not json' });
+		assert.deepEqual((await builder.loadHistory('user-1')).interactions, []);
+	});
+});
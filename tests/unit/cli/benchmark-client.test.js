@@ -0,0 +1,104 @@
+/**
+ * Benchmark API Client Tests
+ *
+ * Tests for CLI client utility that wraps Benchmark and BenchmarkJobs REST endpoints.
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { BenchmarkClient } from '../../../scripts/lib/benchmark-client.js';
+
+describe('BenchmarkClient', () => {
+	let originalFetch;
+	let fetchCalls;
+	let responses;
+
+	beforeEach(() => {
+		// Mock global fetch; responses are served in order, then { mocked: true }
+		fetchCalls = [];
+		responses = [];
+		originalFetch = global.fetch;
+		global.fetch = async (url, options) => {
+			fetchCalls.push({ url, options });
+			const body = responses.length > 0 ? responses.shift() : { mocked: true };
+			return {
+				ok: true,
+				status: 200,
+				json: async () => body,
+			};
+		};
+	});
+
+	afterEach(() => {
+		global.fetch = originalFetch;
+	});
+
+	it('should POST benchmark requests to the Benchmark endpoint', async () => {
+		const client = new BenchmarkClient('http://localhost:9926');
+
+		await client.runBenchmark({ taskType: 'text-embedding', equivalenceGroup: 'minilm', testData: [] });
+
+		assert.equal(fetchCalls[0].url, 'http://localhost:9926/Benchmark');
+		assert.equal(fetchCalls[0].options.method, 'POST');
+		assert.equal(JSON.parse(fetchCalls[0].options.body).equivalenceGroup, 'minilm');
+	});
+
+	it('should get and list jobs with query params', async () => {
+		const client = new BenchmarkClient('http://localhost:9926');
+
+		await client.getJob('job-1');
+		await client.listJobs({ status: 'running', limit: 5 });
+
+		assert.equal(fetchCalls[0].url, 'http://localhost:9926/BenchmarkJobs?id=job-1');
+		assert.ok(fetchCalls[1].url.includes('status=running'));
+		assert.ok(fetchCalls[1].url.includes('limit=5'));
+	});
+
+	it('should POST a cancel action', async () => {
+		const client = new BenchmarkClient('http://localhost:9926');
+
+		await client.cancelJob('job-1');
+
+		assert.equal(fetchCalls[0].url, 'http://localhost:9926/BenchmarkJobs');
+		assert.deepEqual(JSON.parse(fetchCalls[0].options.body), { jobId: 'job-1', action: 'cancel' });
+	});
+
+	it('should add Basic Auth when credentials are provided', async () => {
+		const client = new BenchmarkClient('http://localhost:9926', 'admin', 'secret');
+
+		await client.getJob('job-1');
+
+		const expected = `Basic ${Buffer.from('admin:secret').toString('base64')}`;
+		assert.equal(fetchCalls[0].options.headers.Authorization, expected);
+	});
+
+	it('should throw on HTTP errors', async () => {
+		global.fetch = async () => ({ ok: false, status: 500, statusText: 'Internal Server Error' });
+		const client = new BenchmarkClient('http://localhost:9926');
+
+		await assert.rejects(() => client.getJob('job-1'), /HTTP 500: Internal Server Error/);
+	});
+
+	it('should poll until the job finishes', async () => {
+		responses.push(
+			{ id: 'job-1', status: 'queued', progress: 0 },
+			{ id: 'job-1', status: 'running', progress: 50 },
+			{ id: 'job-1', status: 'completed', progress: 100 }
+		);
+		const client = new BenchmarkClient('http://localhost:9926');
+		const updates = [];
+
+		const job = await client.waitForJob('job-1', { intervalMs: 1, onUpdate: (update) => updates.push(update.status) });
+
+		assert.equal(job.status, 'completed');
+		assert.deepEqual(updates, ['queued', 'running', 'completed']);
+		assert.equal(fetchCalls.length, 3);
+	});
+
+	it('should stop polling when the job lookup fails', async () => {
+		responses.push({ error: 'Job job-1 not found' });
+		const client = new BenchmarkClient('http://localhost:9926');
+
+		await assert.rejects(() => client.waitForJob('job-1', { intervalMs: 1 }), /Job job-1 not found/);
+	});
+});
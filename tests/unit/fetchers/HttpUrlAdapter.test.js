@@ -0,0 +1,105 @@
+/**
+ * HttpUrlAdapter Unit Tests
+ *
+ * Tests staged downloads and checksum sidecar lookup for URL downloads.
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { HttpUrlAdapter } from '../../../src/core/fetchers/HttpUrlAdapter.js';
+import { ModelNotFoundError, NetworkError } from '../../../src/core/errors/ModelFetchErrors.js';
+
+const DIGEST = '9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08';
+
+describe('HttpUrlAdapter', () => {
+	let adapter;
+	let originalFetch;
+	let requested;
+
+	beforeEach(() => {
+		adapter = new HttpUrlAdapter();
+		originalFetch = global.fetch;
+		requested = [];
+	});
+
+	afterEach(() => {
+		global.fetch = originalFetch;
+	});
+
+	describe('download', () => {
+		let stagingDir;
+
+		beforeEach(async () => {
+			stagingDir = await mkdtemp(path.join(os.tmpdir(), 'http-adapter-'));
+		});
+
+		afterEach(async () => {
+			await rm(stagingDir, { recursive: true, force: true });
+		});
+
+		it('should stream the model to a file in the staging directory', async () => {
+			global.fetch = async () => new Response('onnx weights', { headers: { 'content-length': '12' } });
+			const progress = [];
+
+			const result = await adapter.download(
+				'https://models.example.com/model.onnx',
+				null,
+				(done, total) => progress.push([done, total]),
+				null,
+				{ stagingDir }
+			);
+
+			assert.equal(path.dirname(result.filePath), stagingDir);
+			assert.equal(result.size, 12);
+			assert.equal(result.resumedFrom, 0);
+			assert.equal(await readFile(result.filePath, 'utf-8'), 'onnx weights');
+			assert.deepEqual(progress.at(-1), [12, 12]);
+		});
+
+		it('should surface typed errors and wrap the rest as NetworkError', async () => {
+			global.fetch = async () => new Response(null, { status: 404 });
+			await assert.rejects(
+				adapter.download('https://models.example.com/model.onnx', null, null, null, { stagingDir }),
+				ModelNotFoundError
+			);
+
+			global.fetch = async () => new Response(null, { status: 403, statusText: 'Forbidden' });
+			await assert.rejects(
+				adapter.download('https://models.example.com/model.onnx', null, null, null, { stagingDir }),
+				(error) => error instanceof NetworkError && /403 Forbidden/.test(error.message)
+			);
+		});
+	});
+
+	describe('getExpectedChecksum', () => {
+		it('should read the digest from the .sha256 sidecar', async () => {
+			global.fetch = async (url) => {
+				requested.push(url);
+				return new Response(`${DIGEST}  model.onnx\n`);
+			};
+
+			const digest = await adapter.getExpectedChecksum('https://models.example.com/v2/model.onnx?token=abc');
+
+			assert.equal(digest, DIGEST);
+			assert.deepEqual(requested, ['https://models.example.com/v2/model.onnx.sha256?token=abc']);
+		});
+
+		it('should return null without a sidecar', async () => {
+			global.fetch = async () => new Response('Not found', { status: 404 });
+			assert.equal(await adapter.getExpectedChecksum('https://models.example.com/model.onnx'), null);
+
+			global.fetch = async () => {
+				throw new Error('connection refused');
+			};
+			assert.equal(await adapter.getExpectedChecksum('https://models.example.com/model.onnx'), null);
+		});
+
+		it('should ignore sidecars listing only other files', async () => {
+			global.fetch = async () => new Response(`${DIGEST}  a.onnx\n${DIGEST}  b.onnx\n`);
+			assert.equal(await adapter.getExpectedChecksum('https://models.example.com/model.onnx'), null);
+		});
+	});
+});
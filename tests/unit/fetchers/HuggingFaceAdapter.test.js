@@ -1,18 +1,74 @@
 /**
  * HuggingFaceAdapter Unit Tests
  *
- * Tests HuggingFace Hub integration with Transformers.js support.
+ * Tests HuggingFace Hub integration with Transformers.js and plain ONNX
+ * repos, listed through a mocked Hub tree API.
  */
 
-import { describe, it, beforeEach } from 'node:test';
+import { describe, it, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
 import { HuggingFaceAdapter } from '../../../src/core/fetchers/HuggingFaceAdapter.js';
+import {
+	IntegrityError,
+	ModelNotFoundError,
+	NetworkError,
+	UnsupportedFrameworkError,
+} from '../../../src/core/errors/ModelFetchErrors.js';
+import { sha256Hex } from '../../../src/core/utils/integrity.js';
+
+const TRANSFORMERS_REPO = [
+	{ type: 'file', path: 'config.json', size: 6 },
+	{ type: 'file', path: 'tokenizer.json', size: 6 },
+	{ type: 'directory', path: 'onnx' },
+	{ type: 'file', path: 'onnx/model.onnx', size: 1000 },
+	{ type: 'file', path: 'onnx/model_fp16.onnx', size: 500 },
+	{ type: 'file', path: 'onnx/model_int8.onnx', size: 250 },
+	{ type: 'file', path: 'onnx/model_q4.onnx', size: 150 },
+	{ type: 'file', path: 'onnx/model_quantized.onnx', size: 250 },
+];
+
+const ONNX_REPO = [
+	{ type: 'file', path: 'model.onnx', size: 1000 },
+	{ type: 'file', path: 'model_fp16.onnx', size: 500 },
+	{ type: 'file', path: 'tokenizer.json', size: 6 },
+];
+
+const TFJS_REPO = [
+	{ type: 'file', path: 'model.json', size: 30 },
+	{ type: 'file', path: 'group1-shard1of2.bin', size: 20 },
+	{ type: 'file', path: 'group1-shard2of2.bin', size: 20 },
+	{ type: 'file', path: 'README.md', size: 10 },
+];
+
+/**
+ * Hub serving a tree listing and file contents
+ * @param {Array<Object>} tree - Entries returned by the tree API
+ * @param {Object<string, string>} [contents] - path -> file contents
+ */
+function mockTree(tree, contents = {}) {
+	return async (url) => {
+		if (url.includes('/api/models/')) {
+			return Response.json(tree);
+		}
+		const file = url.split('/resolve/main/')[1];
+		return file in contents ? new Response(contents[file]) : new Response(null, { status: 404 });
+	};
+}
 
 describe('HuggingFaceAdapter', () => {
 	let adapter;
+	let originalFetch;
 
 	beforeEach(() => {
 		adapter = new HuggingFaceAdapter();
+		originalFetch = global.fetch;
+	});
+
+	afterEach(() => {
+		global.fetch = originalFetch;
 	});
 
 	describe('constructor', () => {
@@ -28,47 +84,200 @@ describe('HuggingFaceAdapter', () => {
 
 	describe('detectFramework', () => {
 		it('should detect transformers framework for Transformers.js model', async () => {
-			// Mock fetch to return model files list indicating Transformers.js
-			global.fetch = async (url) => {
-				if (url.includes('/resolve/main')) {
-					// Model has onnx/model.onnx and tokenizer.json
-					return {
-						ok: true,
-						status: 200
-					};
-				}
-				return { ok: false, status: 404 };
-			};
+			global.fetch = mockTree(TRANSFORMERS_REPO);
 
 			const framework = await adapter.detectFramework('Xenova/all-MiniLM-L6-v2');
 			assert.equal(framework, 'transformers');
 		});
+
+		it('should detect plain ONNX repos', async () => {
+			global.fetch = mockTree(ONNX_REPO);
+			assert.equal(await adapter.detectFramework('acme/minilm-onnx'), 'onnx');
+		});
+
+		it('should reject TensorFlow.js repos until the backend can load them', async () => {
+			global.fetch = mockTree(TFJS_REPO);
+
+			await assert.rejects(adapter.detectFramework('acme/mobilenet-tfjs'), UnsupportedFrameworkError);
+			await assert.rejects(adapter.listVariants('acme/mobilenet-tfjs'), /TensorFlow\.js model/);
+		});
+
+		it('should reject repos without ONNX models', async () => {
+			global.fetch = mockTree([{ type: 'file', path: 'pytorch_model.bin', size: 10 }]);
+			await assert.rejects(adapter.detectFramework('acme/pytorch-only'), UnsupportedFrameworkError);
+
+			global.fetch = async () => new Response(null, { status: 404 });
+			await assert.rejects(adapter.detectFramework('acme/missing'), ModelNotFoundError);
+		});
 	});
 
 	describe('listVariants', () => {
-		it('should list default and quantized variants for Transformers.js model', async () => {
-			// Mock fetch to check which files exist
-			global.fetch = async (url) => {
-				// Both default and quantized models exist
-				if (url.includes('/onnx/model.onnx') || url.includes('/onnx/model_quantized.onnx')) {
-					return {
-						ok: true,
-						headers: {
-							get: (name) => {
-								if (name === 'content-length') return '1000000'; // 1MB
-								return null;
-							}
-						}
-					};
+		it('should list every ONNX file of a Transformers.js model', async () => {
+			global.fetch = mockTree(TRANSFORMERS_REPO);
+
+			const variants = await adapter.listVariants('Xenova/all-MiniLM-L6-v2');
+
+			assert.deepEqual(
+				variants.map(({ name, precision, totalSize }) => [name, precision, totalSize]),
+				[
+					['default', 'fp32', 1012],
+					['fp16', 'fp16', 512],
+					['int8', 'int8', 262],
+					['q4', 'int4', 162],
+					['quantized', 'int8', 262],
+				]
+			);
+			assert.deepEqual(variants[0].files, ['onnx/model.onnx', 'tokenizer.json', 'config.json']);
+		});
+
+		it('should list ONNX files anywhere in a plain ONNX repo', async () => {
+			global.fetch = mockTree([...ONNX_REPO, { type: 'file', path: 'optimized/model.onnx', size: 900 }]);
+
+			const variants = await adapter.listVariants('acme/minilm-onnx');
+
+			assert.deepEqual(
+				variants.map(({ name, files }) => [name, files]),
+				[
+					['default', ['model.onnx']],
+					['fp16', ['model_fp16.onnx']],
+					['optimized/model', ['optimized/model.onnx']],
+				]
+			);
+		});
+	});
+
+	describe('download', () => {
+		let options;
+
+		beforeEach(async () => {
+			options = { stagingDir: await mkdtemp(path.join(os.tmpdir(), 'hf-adapter-')) };
+		});
+
+		afterEach(async () => {
+			await rm(options.stagingDir, { recursive: true, force: true });
+		});
+
+		it('should download the selected ONNX file', async () => {
+			global.fetch = mockTree(ONNX_REPO, { 'model_fp16.onnx': 'fp16 weights' });
+			const progress = [];
+
+			const result = await adapter.download(
+				'acme/minilm-onnx',
+				'fp16',
+				(done, total) => progress.push([done, total]),
+				'onnx',
+				options
+			);
+
+			assert.equal(await readFile(result.filePath, 'utf-8'), 'fp16 weights');
+			assert.deepEqual(progress.at(-1), [12, 500]);
+		});
+
+		it('should require a variant when there is no default', async () => {
+			global.fetch = mockTree([
+				{ type: 'file', path: 'model_fp16.onnx', size: 10 },
+				{ type: 'file', path: 'model_int8.onnx', size: 10 },
+			]);
+
+			await assert.rejects(adapter.download('acme/minilm-onnx', null, null, 'onnx', options), /fp16, int8/);
+			await assert.rejects(adapter.download('acme/minilm-onnx', 'q4', null, 'onnx', options), ModelNotFoundError);
+		});
+
+		it('should refuse frameworks other than transformers and onnx', async () => {
+			global.fetch = mockTree(TFJS_REPO);
+
+			await assert.rejects(
+				adapter.download('acme/mobilenet-tfjs', null, null, 'tensorflow', options),
+				UnsupportedFrameworkError
+			);
+		});
+	});
+
+	describe('inferMetadata', () => {
+		it('should record the tokenizer repo for plain ONNX models', async () => {
+			global.fetch = mockTree(ONNX_REPO);
+
+			const metadata = await adapter.inferMetadata('acme/minilm-onnx');
+
+			assert.deepEqual(metadata.tags, ['onnx', 'huggingface']);
+			assert.equal(metadata.tokenizerModel, 'acme/minilm-onnx');
+		});
+
+		it('should keep the transformers tags for Transformers.js models', async () => {
+			global.fetch = mockTree(TRANSFORMERS_REPO);
+
+			const metadata = await adapter.inferMetadata('Xenova/all-MiniLM-L6-v2');
+
+			assert.deepEqual(metadata.tags, ['transformers', 'huggingface']);
+			assert.equal(metadata.tokenizerModel, undefined);
+		});
+	});
+
+	describe('download integrity', () => {
+		const weights = Buffer.from('onnx weights');
+		let options;
+
+		beforeEach(async () => {
+			options = { stagingDir: await mkdtemp(path.join(os.tmpdir(), 'hf-adapter-')) };
+		});
+
+		afterEach(async () => {
+			await rm(options.stagingDir, { recursive: true, force: true });
+		});
+
+		// Hub with LFS-tracked ONNX weights and a small git-tracked tokenizer
+		function mockHub(lfsOid) {
+			return async (url, options = {}) => {
+				if (url.includes('/api/models/')) {
+					return new Response(
+						JSON.stringify([
+							{ type: 'directory', path: 'onnx' },
+							{
+								type: 'file',
+								path: 'onnx/model.onnx',
+								size: weights.length,
+								lfs: { oid: lfsOid, size: weights.length },
+							},
+							{ type: 'file', path: 'tokenizer.json', size: 2, oid: 'e69de29bb2d1d6434b8b29ae775ad8c2e48c5391' },
+						])
+					);
+				}
+				if (options.method === 'HEAD') {
+					return new Response(null, { status: 200 });
+				}
+				if (url.endsWith('/onnx/model.onnx')) {
+					return new Response(weights);
+				}
+				if (url.endsWith('/tokenizer.json')) {
+					return new Response('{}');
 				}
-				return { ok: false, status: 404 };
+				return new Response(null, { status: 404 });
 			};
+		}
 
-			const variants = await adapter.listVariants('Xenova/all-MiniLM-L6-v2');
+		it('should verify LFS files against their oids', async () => {
+			global.fetch = mockHub(sha256Hex(weights));
+
+			const result = await adapter.download('Xenova/all-MiniLM-L6-v2', null, null, 'onnx', options);
+
+			assert.equal(await readFile(result.filePath, 'utf-8'), 'onnx weights');
+		});
+
+		it('should fail with IntegrityError when an LFS file does not match', async () => {
+			global.fetch = mockHub('0'.repeat(64));
+
+			await assert.rejects(
+				adapter.download('Xenova/all-MiniLM-L6-v2', null, null, 'onnx', options),
+				(error) => error instanceof IntegrityError && error.subject === 'Xenova/all-MiniLM-L6-v2/onnx/model.onnx'
+			);
+		});
+
+		it('should fail with a retryable error when the file listing is unavailable', async () => {
+			const hub = mockHub('0'.repeat(64));
+			global.fetch = async (url, options) =>
+				url.includes('/api/models/') ? new Response(null, { status: 500 }) : hub(url, options);
 
-			assert.ok(Array.isArray(variants));
-			assert.ok(variants.length >= 1);
-			assert.ok(variants.some(v => v.name === 'default'));
+			await assert.rejects(adapter.download('Xenova/all-MiniLM-L6-v2', null, null, 'onnx', options), NetworkError);
 		});
 	});
 });
@@ -0,0 +1,181 @@
+/**
+ * OllamaSourceAdapter Unit Tests
+ *
+ * Tests pulling models through the Ollama API with a mocked fetch.
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { OllamaSourceAdapter } from '../../../src/core/fetchers/OllamaSourceAdapter.js';
+import { ModelNotFoundError, NetworkError } from '../../../src/core/errors/ModelFetchErrors.js';
+
+const EMBED_SHOW = {
+	details: { family: 'nomic-bert', parameter_size: '137M', quantization_level: 'F16' },
+	model_info: { 'general.architecture': 'nomic-bert', 'nomic-bert.embedding_length': 768 },
+	capabilities: ['embedding'],
+};
+
+const CHAT_SHOW = {
+	details: { family: 'llama', parameter_size: '1.2B', quantization_level: 'Q8_0' },
+	model_info: { 'general.architecture': 'llama', 'llama.embedding_length': 2048 },
+	capabilities: ['completion', 'tools'],
+};
+
+/**
+ * NDJSON pull response, split mid-line to exercise buffering
+ */
+function pullResponse(events) {
+	const text = events.map((event) => JSON.stringify(event)).join('\n') + '\n';
+	const bytes = new TextEncoder().encode(text);
+	const middle = Math.floor(bytes.length / 2);
+	return new Response(
+		new ReadableStream({
+			start(controller) {
+				controller.enqueue(bytes.subarray(0, middle));
+				controller.enqueue(bytes.subarray(middle));
+				controller.close();
+			},
+		})
+	);
+}
+
+function mockOllama({ pull = [{ status: 'success' }], show = EMBED_SHOW } = {}) {
+	const requests = [];
+	const fetch = async (url, options) => {
+		const body = JSON.parse(options.body);
+		requests.push({ url, body });
+		if (url.endsWith('/api/pull')) {
+			return pullResponse(pull);
+		}
+		if (url.endsWith('/api/show')) {
+			return show ? Response.json(show) : Response.json({ error: `model '${body.model}' not found` }, { status: 404 });
+		}
+		return new Response(null, { status: 404 });
+	};
+	return { fetch, requests };
+}
+
+describe('OllamaSourceAdapter', () => {
+	let adapter;
+	let originalFetch;
+
+	beforeEach(() => {
+		adapter = new OllamaSourceAdapter('http://ollama.test:11434');
+		originalFetch = global.fetch;
+	});
+
+	afterEach(() => {
+		global.fetch = originalFetch;
+	});
+
+	describe('detectFramework', () => {
+		it('should detect ollama for valid model names', async () => {
+			assert.equal(await adapter.detectFramework('nomic-embed-text'), 'ollama');
+			assert.equal(await adapter.detectFramework('library/llama3.2:1b', 'chat'), 'ollama');
+		});
+
+		it('should reject invalid names and variants', async () => {
+			await assert.rejects(adapter.detectFramework('../etc/passwd'), /Invalid Ollama model name/);
+			await assert.rejects(adapter.detectFramework('llama3.2', 'quantized'), /Invalid Ollama variant/);
+		});
+	});
+
+	describe('download', () => {
+		it('should pull the model and return its backend config', async () => {
+			const ollama = mockOllama({
+				pull: [
+					{ status: 'pulling manifest' },
+					{ status: 'pulling a1', digest: 'sha256:a1', total: 1000, completed: 400 },
+					{ status: 'pulling a1', digest: 'sha256:a1', total: 1000, completed: 1000 },
+					{ status: 'pulling b2', digest: 'sha256:b2', total: 200, completed: 200 },
+					{ status: 'verifying sha256 digest' },
+					{ status: 'success' },
+				],
+			});
+			global.fetch = ollama.fetch;
+			const progress = [];
+
+			const blob = await adapter.download('nomic-embed-text', null, (done, total) => progress.push([done, total]));
+
+			assert.deepEqual(JSON.parse(blob.toString()), { modelName: 'nomic-embed-text', mode: 'embeddings' });
+			assert.deepEqual(progress, [
+				[400, 1000],
+				[1000, 1000],
+				[1200, 1200],
+			]);
+			assert.deepEqual(ollama.requests[0], {
+				url: 'http://ollama.test:11434/api/pull',
+				body: { model: 'nomic-embed-text', stream: true },
+			});
+		});
+
+		it('should use the variant as the mode when given', async () => {
+			global.fetch = mockOllama({ show: CHAT_SHOW }).fetch;
+			assert.equal(JSON.parse(await adapter.download('llama3.2:1b', 'embeddings', null)).mode, 'embeddings');
+			assert.equal(JSON.parse(await adapter.download('llama3.2:1b', null, null)).mode, 'chat');
+		});
+
+		it('should map pull errors to typed errors', async () => {
+			global.fetch = mockOllama({ pull: [{ error: 'pull model manifest: file does not exist' }] }).fetch;
+			await assert.rejects(adapter.download('no-such-model', null, null), ModelNotFoundError);
+
+			global.fetch = mockOllama({ pull: [{ status: 'pulling manifest' }] }).fetch;
+			await assert.rejects(adapter.download('llama3.2', null, null), NetworkError);
+
+			global.fetch = async () => {
+				throw new Error('connect ECONNREFUSED');
+			};
+			await assert.rejects(adapter.download('llama3.2', null, null), /not reachable/);
+		});
+	});
+
+	describe('inferMetadata', () => {
+		it('should read family, size and embedding length from /api/show', async () => {
+			global.fetch = mockOllama().fetch;
+
+			const metadata = await adapter.inferMetadata('nomic-embed-text');
+
+			assert.deepEqual(metadata, {
+				tags: ['ollama', 'nomic-bert'],
+				sourceModel: 'nomic-embed-text',
+				taskType: 'text-embedding',
+				family: 'nomic-bert',
+				parameterSize: '137M',
+				quantization: 'F16',
+				outputDimensions: [768],
+				description: 'nomic-bert 137M embeddings',
+			});
+		});
+
+		it('should return minimal metadata for models that are not pulled', async () => {
+			global.fetch = mockOllama({ show: null }).fetch;
+
+			assert.deepEqual(await adapter.inferMetadata('llama3.2'), { tags: ['ollama'], sourceModel: 'llama3.2' });
+		});
+	});
+
+	describe('listVariants', () => {
+		it('should list the detected mode, or both before the model is pulled', async () => {
+			global.fetch = mockOllama({ show: CHAT_SHOW }).fetch;
+			assert.deepEqual(await adapter.listVariants('llama3.2:1b'), [
+				{ name: 'chat', files: [], totalSize: 0, precision: 'Q8_0' },
+			]);
+
+			global.fetch = mockOllama({ show: null }).fetch;
+			assert.deepEqual(
+				(await adapter.listVariants('llama3.2:1b')).map(({ name }) => name),
+				['embeddings', 'chat']
+			);
+		});
+
+		it('should fall back to the pooling type without capabilities', async () => {
+			const legacy = {
+				details: EMBED_SHOW.details,
+				model_info: { ...EMBED_SHOW.model_info, 'nomic-bert.pooling_type': 1 },
+			};
+			global.fetch = mockOllama({ show: legacy }).fetch;
+
+			assert.equal((await adapter.listVariants('nomic-embed-text'))[0].name, 'embeddings');
+		});
+	});
+});
@@ -0,0 +1,258 @@
+/**
+ * S3SourceAdapter Unit Tests
+ *
+ * Runs the adapter against an in-memory MinIO stand-in that checks SigV4
+ * signatures, lists objects by prefix (two per page) and serves objects.
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { S3SourceAdapter } from '../../../src/core/fetchers/S3SourceAdapter.js';
+import {
+	ModelNotFoundError,
+	RateLimitError,
+	SecurityError,
+	UnsupportedFrameworkError,
+} from '../../../src/core/errors/ModelFetchErrors.js';
+import { sha256Hex } from '../../../src/core/utils/integrity.js';
+import { signRequest } from '../../../src/core/utils/sigv4.js';
+
+const ENDPOINT = 'http://minio.test:9000';
+const CREDENTIALS = { accessKeyId: 'minioadmin', secretAccessKey: 'minio-secret' };
+
+/**
+ * MinIO stand-in: path-style buckets, ListObjectsV2, HEAD and GET
+ * @param {Object<string, Buffer>} objects - "bucket/key" -> content
+ */
+function mockMinio(objects, { checksums = {} } = {}) {
+	const requests = [];
+
+	const fetch = async (url, { method = 'GET', headers = {} } = {}) => {
+		const parsed = new URL(url);
+		requests.push({ method, url, headers });
+
+		// Re-sign what was signed and compare
+		const signedNames = /SignedHeaders=([^,]+)/.exec(headers.authorization ?? '')?.[1].split(';');
+		if (!signedNames) {
+			return xmlError(403, 'AccessDenied');
+		}
+		const signedHeaders = Object.fromEntries(
+			Object.entries(headers).filter(([name]) => name !== 'authorization' && signedNames.includes(name.toLowerCase()))
+		);
+		const amzDate = headers['x-amz-date'];
+		const date = new Date(
+			`${amzDate.slice(0, 4)}-${amzDate.slice(4, 6)}-${amzDate.slice(6, 8)}T${amzDate.slice(9, 11)}:${amzDate.slice(11, 13)}:${amzDate.slice(13, 15)}Z`
+		);
+		const expected = signRequest({
+			method,
+			url,
+			headers: signedHeaders,
+			payloadHash: headers['x-amz-content-sha256'],
+			region: 'us-east-1',
+			credentials: CREDENTIALS,
+			date,
+		});
+		if (expected.authorization !== headers.authorization) {
+			return xmlError(403, 'SignatureDoesNotMatch');
+		}
+
+		const [, bucket, ...keyParts] = parsed.pathname.split('/');
+		const key = decodeURIComponent(keyParts.join('/'));
+
+		if (parsed.searchParams.get('list-type') === '2') {
+			const prefix = parsed.searchParams.get('prefix') ?? '';
+			const start = Number(parsed.searchParams.get('continuation-token') ?? 0);
+			const keys = Object.keys(objects)
+				.filter((name) => name.startsWith(`${bucket}/${prefix}`))
+				.map((name) => name.slice(bucket.length + 1))
+				.filter((name) => !name.slice(prefix.length).includes('/'))
+				.sort();
+			const page = keys.slice(start, start + 2);
+			const truncated = start + 2 < keys.length;
+			const contents = page
+				.map(
+					(name) =>
+						`<Contents><Key>${name.replace(/&/g, '&amp;')}</Key><Size>${objects[`${bucket}/${name}`].length}</Size></Contents>`
+				)
+				.join('');
+			return new Response(
+				`<?xml version="1.0" encoding="UTF-8"?><ListBucketResult><Name>${bucket}</Name>${contents}` +
+					`<IsTruncated>${truncated}</IsTruncated>` +
+					(truncated ? `<NextContinuationToken>${start + 2}</NextContinuationToken>` : '') +
+					'</ListBucketResult>'
+			);
+		}
+
+		const content = objects[`${bucket}/${key}`];
+		if (!content) {
+			return xmlError(404, 'NoSuchKey');
+		}
+		const responseHeaders = {
+			'etag': `"${sha256Hex(content).slice(0, 32)}"`,
+			'content-length': String(content.length),
+		};
+		if (headers['x-amz-checksum-mode'] === 'ENABLED' && checksums[`${bucket}/${key}`]) {
+			responseHeaders['x-amz-checksum-sha256'] = checksums[`${bucket}/${key}`];
+		}
+		return new Response(method === 'HEAD' ? null : content, { headers: responseHeaders });
+	};
+
+	return { fetch, requests };
+}
+
+function xmlError(status, code) {
+	return new Response(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code></Error>`, { status });
+}
+
+const OBJECTS = {
+	'models/minilm/model.onnx': Buffer.from('fp32 weights'),
+	'models/minilm/model_quantized.onnx': Buffer.from('int8 weights'),
+	'models/minilm/README.md': Buffer.from('# MiniLM'),
+	'models/minilm/v2/model.onnx': Buffer.from('nested'),
+	'models/resnet/saved model.pb': Buffer.from('graph'),
+};
+
+describe('S3SourceAdapter', () => {
+	let adapter;
+	let minio;
+	let originalFetch;
+
+	beforeEach(() => {
+		adapter = new S3SourceAdapter({ endpoint: ENDPOINT, ...CREDENTIALS });
+		minio = mockMinio(OBJECTS);
+		originalFetch = global.fetch;
+		global.fetch = minio.fetch;
+	});
+
+	afterEach(() => {
+		global.fetch = originalFetch;
+	});
+
+	describe('configuration', () => {
+		it('should read credentials and endpoint from environment variables', () => {
+			const saved = { ...process.env };
+			Object.assign(process.env, {
+				S3_ENDPOINT: 'http://localhost:9000/',
+				S3_ACCESS_KEY_ID: 'key',
+				S3_SECRET_ACCESS_KEY: 'secret',
+			});
+			try {
+				const fromEnv = new S3SourceAdapter();
+				assert.equal(fromEnv.endpoint, 'http://localhost:9000');
+				assert.equal(fromEnv.forcePathStyle, true);
+				assert.deepEqual(fromEnv.credentials, { accessKeyId: 'key', secretAccessKey: 'secret', sessionToken: null });
+			} finally {
+				process.env = saved;
+			}
+		});
+
+		it('should use virtual-hosted URLs on AWS', () => {
+			const aws = new S3SourceAdapter({ region: 'eu-west-1', ...CREDENTIALS });
+			assert.equal(aws.objectUrl('models', 'a/b c.onnx'), 'https://models.s3.eu-west-1.amazonaws.com/a/b%20c.onnx');
+		});
+
+		it('should reject malformed references and path segments', () => {
+			assert.throws(() => adapter.parseReference('https://minio.test/models/a.onnx'), /Invalid S3 reference/);
+			assert.throws(() => adapter.parseReference('s3://user:pass@models/a.onnx'), /Invalid S3 bucket name/);
+			assert.throws(() => adapter.parseReference('s3://models/../secrets/a.onnx'), SecurityError);
+		});
+	});
+
+	describe('detectFramework', () => {
+		it('should detect the framework from the key extension', async () => {
+			assert.equal(await adapter.detectFramework('s3://models/minilm/model.onnx'), 'onnx');
+			assert.equal(await adapter.detectFramework('s3://models/resnet/'), 'tensorflow');
+			await assert.rejects(adapter.detectFramework('s3://models/minilm/README.md'), UnsupportedFrameworkError);
+		});
+
+		it('should require a variant for a prefix with several models', async () => {
+			await assert.rejects(adapter.detectFramework('s3://models/minilm/'), /model, model_quantized/);
+			assert.equal(await adapter.detectFramework('s3://models/minilm/', 'model_quantized'), 'onnx');
+		});
+	});
+
+	describe('listVariants', () => {
+		it('should list model files under the prefix across pages', async () => {
+			const variants = await adapter.listVariants('s3://models/minilm/model.onnx');
+
+			assert.deepEqual(variants, [
+				{ name: 'model', files: ['minilm/model.onnx'], totalSize: 12, precision: 'unknown' },
+				{ name: 'model_quantized', files: ['minilm/model_quantized.onnx'], totalSize: 12, precision: 'int8' },
+			]);
+			const listings = minio.requests.filter(({ url }) => url.includes('list-type=2'));
+			assert.equal(listings.length, 2);
+			assert.match(listings[1].url, /continuation-token=2/);
+		});
+
+		it('should surface signature and throttling errors', async () => {
+			adapter = new S3SourceAdapter({ endpoint: ENDPOINT, accessKeyId: 'minioadmin', secretAccessKey: 'wrong' });
+			await assert.rejects(adapter.listVariants('s3://models/minilm/'), /Access denied .*SignatureDoesNotMatch/);
+
+			global.fetch = async () => xmlError(503, 'SlowDown');
+			await assert.rejects(adapter.listVariants('s3://models/minilm/'), RateLimitError);
+		});
+	});
+
+	describe('download', () => {
+		let stagingDir;
+
+		beforeEach(async () => {
+			stagingDir = await mkdtemp(path.join(os.tmpdir(), 's3-adapter-'));
+		});
+
+		afterEach(async () => {
+			await rm(stagingDir, { recursive: true, force: true });
+		});
+
+		it('should download the selected variant with a signed GET', async () => {
+			const progress = [];
+
+			const result = await adapter.download(
+				's3://models/minilm/',
+				'model_quantized',
+				(done, total) => progress.push([done, total]),
+				'onnx',
+				{ stagingDir }
+			);
+
+			assert.equal(await readFile(result.filePath, 'utf-8'), 'int8 weights');
+			assert.deepEqual(progress.at(-1), [12, 12]);
+			const get = minio.requests.at(-1);
+			assert.equal(get.url, `${ENDPOINT}/models/minilm/model_quantized.onnx`);
+			assert.match(get.headers.authorization, /^AWS4-HMAC-SHA256 Credential=minioadmin\//);
+		});
+
+		it('should encode keys and report missing objects', async () => {
+			const result = await adapter.download('s3://models/resnet/saved model.pb', null, null, null, { stagingDir });
+			assert.equal(await readFile(result.filePath, 'utf-8'), 'graph');
+
+			await assert.rejects(
+				adapter.download('s3://models/minilm/missing.onnx', null, null, null, { stagingDir }),
+				ModelNotFoundError
+			);
+			await assert.rejects(
+				adapter.download('s3://models/minilm/', 'fp16', null, null, { stagingDir }),
+				ModelNotFoundError
+			);
+		});
+	});
+
+	describe('getExpectedChecksum', () => {
+		it('should convert x-amz-checksum-sha256 to hex', async () => {
+			const content = OBJECTS['models/minilm/model.onnx'];
+			global.fetch = mockMinio(OBJECTS, {
+				checksums: {
+					'models/minilm/model.onnx': Buffer.from(sha256Hex(content), 'hex').toString('base64'),
+					'models/minilm/model_quantized.onnx': 'Zm9vYmFy-3',
+				},
+			}).fetch;
+
+			assert.equal(await adapter.getExpectedChecksum('s3://models/minilm/model.onnx'), sha256Hex(content));
+			assert.equal(await adapter.getExpectedChecksum('s3://models/minilm/model_quantized.onnx'), null);
+			assert.equal(await adapter.getExpectedChecksum('s3://models/resnet/saved model.pb'), null);
+		});
+	});
+});
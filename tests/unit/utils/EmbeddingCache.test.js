@@ -0,0 +1,94 @@
+/**
+ * Embedding Cache Unit Tests
+ *
+ * Checks key normalization, LRU eviction, counters and table persistence.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EmbeddingCache, embeddingCacheKey, normalizeText } from '../../../src/core/utils/EmbeddingCache.js';
+import { createMemoryTables } from '../../helpers/memory-tables.js';
+
+describe('EmbeddingCache', () => {
+	it('should key texts by model and normalized content', () => {
+		assert.equal(normalizeText('  red \n\t jacket '), 'red jacket');
+		assert.equal(embeddingCacheKey('minilm:v1', 'red  jacket'), embeddingCacheKey('minilm:v1', ' red jacket'));
+		assert.notEqual(embeddingCacheKey('minilm:v1', 'Red jacket'), embeddingCacheKey('minilm:v1', 'red jacket'));
+		assert.notEqual(embeddingCacheKey('minilm:v1', 'tent'), embeddingCacheKey('minilm:v2', 'tent'));
+		assert.match(embeddingCacheKey('minilm:v1', 'tent'), /^minilm:v1:[0-9a-f]{64}$/);
+		assert.match(embeddingCacheKey('minilm:v1', 'tent', 'abc'), /^minilm:v1:abc:[0-9a-f]{64}$/);
+	});
+
+	it('should miss embeddings computed by a replaced blob', async () => {
+		const tables = createMemoryTables();
+		const cache = new EmbeddingCache({ persist: true, tables });
+		await cache.setMany('minilm:v1', ['tent'], [[1, 0]], 'old-digest');
+
+		assert.deepEqual(await cache.getMany('minilm:v1', ['tent'], 'new-digest'), [undefined]);
+		assert.deepEqual(await cache.getMany('minilm:v1', ['tent'], 'old-digest'), [[1, 0]]);
+		assert.equal(
+			tables.EmbeddingCache.records.get(embeddingCacheKey('minilm:v1', 'tent', 'old-digest')).blobSha256,
+			'old-digest'
+		);
+		assert.equal(await cache.clear('minilm', 'v1'), 2);
+	});
+
+	it('should count hits and misses', async () => {
+		const cache = new EmbeddingCache();
+		await cache.setMany('minilm:v1', ['tent'], [[1, 0]]);
+
+		const found = await cache.getMany('minilm:v1', ['tent', 'stove', 'tent ']);
+
+		assert.deepEqual(found, [[1, 0], undefined, [1, 0]]);
+		const stats = cache.getStats();
+		assert.equal(stats.hits, 2);
+		assert.equal(stats.misses, 1);
+		assert.equal(stats.hitRate, 2 / 3);
+		assert.equal(stats.size, 1);
+	});
+
+	it('should evict the least recently used embedding', async () => {
+		const cache = new EmbeddingCache({ maxSize: 2 });
+		await cache.setMany('m:v1', ['a', 'b'], [[1], [2]]);
+		await cache.getMany('m:v1', ['a']);
+		await cache.setMany('m:v1', ['c'], [[3]]);
+
+		assert.deepEqual(await cache.getMany('m:v1', ['a', 'b', 'c']), [[1], undefined, [3]]);
+		assert.equal(cache.getStats().evictions, 1);
+	});
+
+	it('should persist embeddings and reuse them from another instance', async () => {
+		const tables = createMemoryTables();
+		const first = new EmbeddingCache({ persist: true, tables });
+		await first.setMany('minilm:v1', ['tent'], [Float32Array.from([0.5, 0.25])]);
+
+		const record = tables.EmbeddingCache.records.get(embeddingCacheKey('minilm:v1', 'tent'));
+		assert.equal(record.modelName, 'minilm');
+		assert.equal(record.modelVersion, 'v1');
+		assert.equal(record.embedding, '[0.5,0.25]');
+
+		const second = new EmbeddingCache({ persist: true, tables });
+		assert.deepEqual(await second.getMany('minilm:v1', ['tent']), [[0.5, 0.25]]);
+		assert.equal(second.getStats().persistedHits, 1);
+		assert.equal(second.getStats().size, 1);
+	});
+
+	it('should clear one model from memory and the table', async () => {
+		const tables = createMemoryTables();
+		const cache = new EmbeddingCache({ persist: true, tables });
+		await cache.setMany('minilm:v1', ['a', 'b'], [[1], [2]]);
+		await cache.setMany('minilm:v2', ['a'], [[3]]);
+
+		const removed = await cache.clear('minilm', 'v1');
+
+		assert.equal(removed, 4);
+		assert.equal(tables.EmbeddingCache.records.size, 1);
+		assert.deepEqual(await cache.getMany('minilm:v1', ['a']), [undefined]);
+		assert.deepEqual(await cache.getMany('minilm:v2', ['a']), [[3]]);
+	});
+
+	it('should be disabled with a size of 0', () => {
+		assert.equal(new EmbeddingCache({ maxSize: 0 }).enabled, false);
+		assert.equal(new EmbeddingCache().enabled, true);
+	});
+});
@@ -0,0 +1,54 @@
+/**
+ * Assignment Unit Tests
+ *
+ * Sticky hashing and weighted arm selection used for traffic splitting.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { hashToUnit, pickWeighted } from '../../../src/core/utils/assignment.js';
+
+describe('assignment utils', () => {
+	describe('hashToUnit', () => {
+		it('should be deterministic and within [0, 1)', () => {
+			for (const key of ['', 'a', 'minilm:user-1', 'minilm:user-2']) {
+				const value = hashToUnit(key);
+				assert.equal(hashToUnit(key), value);
+				assert.ok(value >= 0 && value < 1);
+			}
+			assert.notEqual(hashToUnit('minilm:user-1'), hashToUnit('minilm:user-2'));
+		});
+
+		it('should spread keys roughly uniformly', () => {
+			let below = 0;
+			for (let i = 0; i < 2000; i++) {
+				if (hashToUnit(`user-${i}`) < 0.5) below++;
+			}
+			assert.ok(below > 900 && below < 1100, `expected ~1000 below 0.5, got ${below}`);
+		});
+	});
+
+	describe('pickWeighted', () => {
+		const arms = [
+			{ name: 'a', weight: 95 },
+			{ name: 'b', weight: 5 },
+		];
+
+		it('should map the unit interval onto cumulative weights', () => {
+			assert.equal(pickWeighted(arms, 0).name, 'a');
+			assert.equal(pickWeighted(arms, 0.9499).name, 'a');
+			assert.equal(pickWeighted(arms, 0.95).name, 'b');
+			assert.equal(pickWeighted(arms, 0.9999).name, 'b');
+		});
+
+		it('should skip zero-weight arms', () => {
+			const withZero = [{ name: 'off', weight: 0 }, ...arms];
+			assert.equal(pickWeighted(withZero, 0).name, 'a');
+		});
+
+		it('should return null when no arm has weight', () => {
+			assert.equal(pickWeighted([{ name: 'off', weight: 0 }], 0.5), null);
+			assert.equal(pickWeighted([], 0.5), null);
+		});
+	});
+});
@@ -0,0 +1,158 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { downloadToFile, stagingPath } from '../../../src/core/utils/download.js';
+import { ModelNotFoundError, NetworkError, RateLimitError } from '../../../src/core/errors/ModelFetchErrors.js';
+
+const URL = 'https://models.example.com/v1/model.onnx';
+const CONTENT = Buffer.from('0123456789abcdefghij');
+const ETAG = '"v1"';
+
+/**
+ * Server that honors Range + If-Range, optionally cutting the body short
+ */
+function mockServer({ etag = ETAG, cutAfter = null } = {}) {
+	const requests = [];
+	const fetch = async (url, { headers = {} } = {}) => {
+		requests.push(headers);
+		const range = /^bytes=(\d+)-$/.exec(headers.Range ?? '');
+		if (range && headers['If-Range'] === etag) {
+			const start = Number(range[1]);
+			if (start >= CONTENT.length) {
+				return new Response(null, { status: 416, headers: { 'content-range': `bytes */${CONTENT.length}` } });
+			}
+			return new Response(CONTENT.subarray(start), {
+				status: 206,
+				headers: {
+					etag,
+					'content-length': String(CONTENT.length - start),
+					'content-range': `bytes ${start}-${CONTENT.length - 1}/${CONTENT.length}`,
+				},
+			});
+		}
+
+		const body =
+			cutAfter === null
+				? CONTENT
+				: new ReadableStream({
+						// Send the start of the file, then drop the connection
+						async start(controller) {
+							controller.enqueue(CONTENT.subarray(0, cutAfter));
+							await new Promise((resolve) => setTimeout(resolve, 10));
+							controller.error(new Error('socket hang up'));
+						},
+					});
+		return new Response(body, { headers: { etag, 'content-length': String(CONTENT.length) } });
+	};
+	return { fetch, requests };
+}
+
+describe('download', () => {
+	let originalFetch;
+	let dir;
+	let filePath;
+
+	beforeEach(async () => {
+		originalFetch = global.fetch;
+		dir = await mkdtemp(path.join(os.tmpdir(), 'download-'));
+		filePath = stagingPath(dir, URL);
+	});
+
+	afterEach(async () => {
+		global.fetch = originalFetch;
+		await rm(dir, { recursive: true, force: true });
+	});
+
+	describe('stagingPath', () => {
+		it('should be stable per URL and keep the file name', () => {
+			assert.equal(stagingPath(dir, URL), filePath);
+			assert.notEqual(stagingPath(dir, `${URL}?revision=2`), filePath);
+			assert.match(path.basename(filePath), /^[0-9a-f]{16}-model\.onnx$/);
+		});
+	});
+
+	describe('downloadToFile', () => {
+		it('should stream the body to disk with progress', async () => {
+			const server = mockServer();
+			global.fetch = server.fetch;
+			const progress = [];
+
+			const result = await downloadToFile(URL, filePath, { onProgress: (done, total) => progress.push([done, total]) });
+
+			assert.deepEqual(result, { filePath, size: CONTENT.length, resumedFrom: 0 });
+			assert.deepEqual(await readFile(filePath), CONTENT);
+			assert.deepEqual(progress.at(-1), [CONTENT.length, CONTENT.length]);
+			assert.equal(server.requests[0].Range, undefined);
+		});
+
+		it('should keep the partial file and resume it with a Range request', async () => {
+			global.fetch = mockServer({ cutAfter: 8 }).fetch;
+			await assert.rejects(downloadToFile(URL, filePath), NetworkError);
+			assert.deepEqual(await readFile(filePath), CONTENT.subarray(0, 8));
+
+			const server = mockServer();
+			global.fetch = server.fetch;
+			const progress = [];
+			const result = await downloadToFile(URL, filePath, { onProgress: (done, total) => progress.push([done, total]) });
+
+			assert.deepEqual(server.requests[0], { 'Range': 'bytes=8-', 'If-Range': ETAG });
+			assert.equal(result.resumedFrom, 8);
+			assert.equal(result.size, CONTENT.length);
+			assert.deepEqual(await readFile(filePath), CONTENT);
+			// Progress includes the bytes from the first attempt
+			assert.ok(progress.every(([done]) => done > 8));
+			assert.deepEqual(progress.at(-1), [CONTENT.length, CONTENT.length]);
+		});
+
+		it('should start over when the file changed since the partial download', async () => {
+			global.fetch = mockServer({ cutAfter: 8 }).fetch;
+			await assert.rejects(downloadToFile(URL, filePath), NetworkError);
+
+			// New ETag: If-Range fails and the server sends the whole file
+			const server = mockServer({ etag: '"v2"' });
+			global.fetch = server.fetch;
+			const result = await downloadToFile(URL, filePath);
+
+			assert.equal(server.requests[0].Range, 'bytes=8-');
+			assert.equal(result.resumedFrom, 0);
+			assert.deepEqual(await readFile(filePath), CONTENT);
+		});
+
+		it('should not resume without a strong validator', async () => {
+			global.fetch = mockServer({ etag: 'W/"v1"', cutAfter: 8 }).fetch;
+			await assert.rejects(downloadToFile(URL, filePath), NetworkError);
+
+			const server = mockServer();
+			global.fetch = server.fetch;
+			await downloadToFile(URL, filePath);
+
+			assert.equal(server.requests[0].Range, undefined);
+			assert.deepEqual(await readFile(filePath), CONTENT);
+		});
+
+		it('should treat a 416 for the full length as already complete', async () => {
+			await writeFile(filePath, CONTENT);
+			await writeFile(`${filePath}.json`, JSON.stringify({ url: URL, validator: ETAG, totalBytes: CONTENT.length }));
+			global.fetch = mockServer().fetch;
+
+			const result = await downloadToFile(URL, filePath);
+
+			assert.deepEqual(result, { filePath, size: CONTENT.length, resumedFrom: CONTENT.length });
+		});
+
+		it('should map HTTP errors to typed errors', async () => {
+			global.fetch = async () => new Response(null, { status: 404 });
+			await assert.rejects(downloadToFile(URL, filePath), ModelNotFoundError);
+
+			global.fetch = async () => new Response(null, { status: 429, headers: { 'retry-after': '30' } });
+			await assert.rejects(downloadToFile(URL, filePath), (error) => {
+				return error instanceof RateLimitError && error.retryAfterSeconds === 30;
+			});
+
+			global.fetch = async () => new Response(null, { status: 503 });
+			await assert.rejects(downloadToFile(URL, filePath), NetworkError);
+		});
+	});
+});
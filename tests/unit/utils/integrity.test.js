@@ -0,0 +1,55 @@
+/**
+ * Integrity Unit Tests
+ *
+ * Checks digest normalization, verification and checksum file parsing.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeSha256, parseChecksumFile, sha256Hex, verifySha256 } from '../../../src/core/utils/integrity.js';
+import { IntegrityError } from '../../../src/core/errors/ModelFetchErrors.js';
+
+// sha256('test')
+const TEST_DIGEST = '9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08';
+
+describe('integrity', () => {
+	it('should hash buffers and strings alike', () => {
+		assert.equal(sha256Hex('test'), TEST_DIGEST);
+		assert.equal(sha256Hex(Buffer.from('test')), TEST_DIGEST);
+	});
+
+	it('should normalize prefixed and uppercase digests', () => {
+		assert.equal(normalizeSha256(`sha256:${TEST_DIGEST.toUpperCase()}`), TEST_DIGEST);
+		assert.throws(() => normalizeSha256('abc123'), /Invalid SHA-256 digest: abc123/);
+		assert.throws(() => normalizeSha256(null), /Invalid SHA-256 digest/);
+	});
+
+	it('should return the digest when it matches or none is expected', () => {
+		assert.equal(verifySha256(Buffer.from('test'), TEST_DIGEST, 'model.onnx'), TEST_DIGEST);
+		assert.equal(verifySha256(Buffer.from('test'), null, 'model.onnx'), TEST_DIGEST);
+	});
+
+	it('should throw an IntegrityError on mismatch', () => {
+		assert.throws(
+			() => verifySha256(Buffer.from('tampered'), TEST_DIGEST, 'model.onnx'),
+			(error) =>
+				error instanceof IntegrityError &&
+				error.code === 'INTEGRITY_MISMATCH' &&
+				error.retryable === false &&
+				error.expected === TEST_DIGEST &&
+				error.actual === sha256Hex('tampered') &&
+				/SHA-256 mismatch for model\.onnx/.test(error.message)
+		);
+	});
+
+	it('should parse bare digests and sha256sum output', () => {
+		assert.equal(parseChecksumFile(`${TEST_DIGEST}\n`), TEST_DIGEST);
+		assert.equal(parseChecksumFile(`${TEST_DIGEST} *model.onnx`, 'model.onnx'), TEST_DIGEST);
+
+		const other = 'a'.repeat(64);
+		const sums = `${other}  tokenizer.json\n${TEST_DIGEST}  onnx/model.onnx\n`;
+		assert.equal(parseChecksumFile(sums, 'model.onnx'), TEST_DIGEST);
+		assert.equal(parseChecksumFile(sums, 'config.json'), null);
+		assert.equal(parseChecksumFile('<html>Not found</html>'), null);
+	});
+});
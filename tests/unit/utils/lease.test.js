@@ -0,0 +1,46 @@
+/**
+ * Lease Unit Tests
+ *
+ * Checks that one instance holds a task lease until its heartbeat goes stale.
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { claimLease } from '../../../src/core/utils/lease.js';
+import { createMemoryTable } from '../../helpers/memory-tables.js';
+
+describe('claimLease', () => {
+	let table;
+
+	beforeEach(() => {
+		table = createMemoryTable();
+	});
+
+	it('should claim a free lease and keep renewing it', async () => {
+		assert.equal(await claimLease(table, 'task', 'a', 60000), true);
+		const first = (await table.get('task')).heartbeatAt;
+
+		assert.equal(await claimLease(table, 'task', 'a', 60000), true);
+		assert.ok((await table.get('task')).heartbeatAt >= first);
+	});
+
+	it('should refuse a lease another owner heartbeats', async () => {
+		await claimLease(table, 'task', 'a', 60000);
+
+		assert.equal(await claimLease(table, 'task', 'b', 60000), false);
+		assert.equal((await table.get('task')).ownerId, 'a');
+	});
+
+	it('should take over a stale lease', async () => {
+		await table.put({ id: 'task', ownerId: 'a', heartbeatAt: Date.now() - 120000 });
+
+		assert.equal(await claimLease(table, 'task', 'b', 60000), true);
+		assert.equal(await claimLease(table, 'task', 'a', 60000), false);
+	});
+
+	it('should give a lease claimed at the same moment to one owner', async () => {
+		const claims = await Promise.all(['a', 'b', 'c'].map((owner) => claimLease(table, 'task', owner, 60000)));
+
+		assert.equal(claims.filter(Boolean).length, 1);
+	});
+});
@@ -0,0 +1,92 @@
+/**
+ * Quality Metric Unit Tests
+ *
+ * Checks classification, retrieval and embedding agreement metrics against hand-computed values.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { classificationMetrics, recallAtK, ndcgAtK, embeddingAgreement } from '../../../src/core/utils/quality.js';
+
+function approx(actual, expected, tolerance = 1e-6) {
+	assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected}, got ${actual}`);
+}
+
+describe('quality metrics', () => {
+	describe('classificationMetrics', () => {
+		it('should compute accuracy and macro F1', () => {
+			const result = classificationMetrics(['a', 'a', 'b'], ['a', 'b', 'b']);
+			approx(result.accuracy, 2 / 3);
+			approx(result.macroF1, 2 / 3);
+			assert.equal(result.count, 3);
+		});
+
+		it('should weigh rare labels equally in macro F1', () => {
+			// Always predicting the majority label: 90% accuracy, but F1 0 for 'b'
+			const expected = [...Array(9).fill('a'), 'b'];
+			const result = classificationMetrics(expected, Array(10).fill('a'));
+			approx(result.accuracy, 0.9);
+			approx(result.macroF1, (2 * 0.9) / 1.9 / 2);
+		});
+
+		it('should count missing predictions as wrong', () => {
+			const result = classificationMetrics(['a', 'b'], ['a', null]);
+			approx(result.accuracy, 0.5);
+			assert.throws(() => classificationMetrics(['a'], []), /same length/);
+		});
+	});
+
+	describe('retrieval', () => {
+		it('recallAtK should count relevant documents in the top k', () => {
+			approx(recallAtK([3, 1, 2], { 1: 1, 2: 1 }, 2), 0.5);
+			approx(recallAtK([3, 1, 2], { 1: 1, 2: 1 }, 3), 1);
+			assert.equal(recallAtK([1, 2], {}, 2), null);
+		});
+
+		it('ndcgAtK should reward graded relevance near the top', () => {
+			approx(ndcgAtK([1, 3, 2], { 1: 2, 2: 1 }, 3), (3 + 1 / 2) / (3 + 1 / Math.log2(3)));
+			approx(ndcgAtK([1, 2, 3], { 1: 2, 2: 1 }, 3), 1);
+			assert.ok(ndcgAtK([2, 1], { 1: 2, 2: 1 }, 2) < 1);
+			assert.equal(ndcgAtK([1], { 1: 0 }, 1), null);
+		});
+	});
+
+	describe('embeddingAgreement', () => {
+		// Texts 0/1 and 2/3 are near-duplicates
+		const clustered = [
+			[1, 0],
+			[0.9, 0.1],
+			[0, 1],
+			[0.1, 0.9],
+		];
+
+		it('should fully agree for a rotated copy of the same space', () => {
+			const rotated = clustered.map(([x, y]) => [-y, x]);
+			const result = embeddingAgreement(clustered, rotated, 1);
+
+			approx(result.neighborOverlap, 1);
+			approx(result.spearman, 1);
+			assert.equal(result.k, 1);
+		});
+
+		it('should disagree when the models pair up different texts', () => {
+			const swapped = [
+				[1, 0],
+				[0, 1],
+				[0.9, 0.1],
+				[0.1, 0.9],
+			];
+			const result = embeddingAgreement(clustered, swapped, 1);
+
+			approx(result.neighborOverlap, 0);
+			assert.ok(result.spearman < 0.5);
+		});
+
+		it('should cap k and need at least 3 texts', () => {
+			assert.equal(embeddingAgreement(clustered, clustered, 10).k, 3);
+			approx(embeddingAgreement(clustered, clustered, 10).neighborOverlap, 1);
+			assert.equal(embeddingAgreement(clustered.slice(0, 2), clustered.slice(0, 2), 1), null);
+			assert.throws(() => embeddingAgreement(clustered, clustered.slice(1), 1), /same texts/);
+		});
+	});
+});
@@ -0,0 +1,90 @@
+/**
+ * Ranking Unit Tests
+ *
+ * Checks tokenization, BM25 scoring, rank positions and both fusion strategies.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+	bm25Scores,
+	maximalMarginalRelevance,
+	rankPositions,
+	reciprocalRankFusion,
+	resolveRanking,
+	tokenize,
+	weightedFusion,
+} from '../../../src/core/utils/ranking.js';
+
+describe('ranking', () => {
+	it('should tokenize sizes, brands and accented text', () => {
+		assert.deepEqual(tokenize("O'Neill Trail Shoe, size 10.5!"), ["o'neill", 'trail', 'shoe', 'size', '10.5']);
+		assert.deepEqual(tokenize('Crème brûlée'), ['creme', 'brulee']);
+		assert.deepEqual(tokenize(null), []);
+	});
+
+	it('should score documents containing rarer query terms higher', () => {
+		const scores = bm25Scores('waterproof boot', ['hiking boot waterproof', 'hiking boot', 'rain jacket']);
+
+		assert.ok(scores[0] > scores[1]);
+		assert.ok(scores[1] > 0);
+		assert.equal(scores[2], 0);
+	});
+
+	it('should favour shorter documents and saturate term frequency', () => {
+		const [short, long] = bm25Scores('tent', ['tent', 'tent with footprint stakes and guylines']);
+		assert.ok(short > long);
+
+		const [once, many] = bm25Scores('tent', ['tent stove', 'tent tent tent tent tent'], { b: 0 });
+		assert.ok(many > once);
+		assert.ok(many < 5 * once);
+	});
+
+	it('should return zero scores for an empty query', () => {
+		assert.deepEqual(bm25Scores('!!', ['tent', 'stove']), [0, 0]);
+		assert.deepEqual(bm25Scores('tent', []), []);
+	});
+
+	it('should rank highest first with shared ranks for ties', () => {
+		assert.deepEqual(rankPositions([0.2, 0.9, 0.2, 0]), [2, 1, 2, 4]);
+		assert.deepEqual(rankPositions([0.2, 0.9, 0], { skipZero: true }), [2, 1, null]);
+	});
+
+	it('should fuse scores by weighted sum of normalized lexical scores', () => {
+		assert.deepEqual(weightedFusion([1, 0.5], [4, 2], 0.5), [1, 0.5]);
+		assert.deepEqual(weightedFusion([1, 0.5], [0, 0], 0.5), [0.5, 0.25]);
+	});
+
+	it('should fuse ranks with reciprocal rank fusion', () => {
+		const fused = reciprocalRankFusion(
+			[
+				[1, 2, 3],
+				[2, 1, null],
+			],
+			10
+		);
+
+		assert.deepEqual(fused, [1 / 11 + 1 / 12, 1 / 12 + 1 / 11, 1 / 13]);
+		assert.deepEqual(reciprocalRankFusion([]), []);
+	});
+
+	it('should trade relevance for diversity with maximal marginal relevance', () => {
+		// Items 0 and 1 are duplicates; item 2 is different but less relevant
+		const similarity = (i, j) => (i + j === 1 ? 1 : 0);
+
+		assert.deepEqual(maximalMarginalRelevance([1, 0.9, 0.5], similarity, { lambda: 1 }).order, [0, 1, 2]);
+		const { order, maxSimilarity } = maximalMarginalRelevance([1, 0.9, 0.5], similarity, { lambda: 0.5 });
+		assert.deepEqual(order, [0, 2, 1]);
+		assert.deepEqual(maxSimilarity, [0, 1, 0]);
+		assert.deepEqual(maximalMarginalRelevance([1, 0.9, 0.5], similarity, { limit: 1 }).order, [0]);
+	});
+
+	it('should validate ranking options', () => {
+		assert.deepEqual(resolveRanking(), { fusion: 'semantic', lexicalWeight: 0.3, rrfK: 60, k1: 1.2, b: 0.75 });
+		assert.equal(resolveRanking({ fusion: 'rrf', rrfK: 10 }).rrfK, 10);
+		assert.throws(() => resolveRanking({ fusion: 'bm25' }), /ranking.fusion must be one of/);
+		assert.throws(() => resolveRanking({ lexicalWeight: -1 }), /lexicalWeight/);
+		assert.throws(() => resolveRanking({ rrfK: 'a' }), /rrfK/);
+		assert.throws(() => resolveRanking({ b: 2 }), /ranking.b/);
+	});
+});
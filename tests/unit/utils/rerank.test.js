@@ -0,0 +1,123 @@
+/**
+ * Rerank Unit Tests
+ *
+ * Checks option validation, stock and price filters, category rules, diversity and limits.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { rerankProducts, resolveRerank } from '../../../src/core/utils/rerank.js';
+
+const scored = (id, personalizedScore, extra = {}) => ({ id, personalizedScore, ...extra });
+const ids = (products) => products.map((product) => product.id);
+
+describe('rerank', () => {
+	it('should resolve defaults and take the price range from the user context', () => {
+		assert.deepEqual(resolveRerank(), {
+			boost: {},
+			bury: [],
+			inStockOnly: false,
+			priceRange: null,
+			diversity: null,
+			limit: null,
+		});
+
+		const rules = resolveRerank(
+			{ boost: { Footwear: 0.2 }, bury: ['Clearance'], diversity: true },
+			{
+				priceRange: { max: 100 },
+			}
+		);
+		assert.deepEqual(rules.boost, { footwear: 0.2 });
+		assert.deepEqual(rules.bury, ['clearance']);
+		assert.deepEqual(rules.priceRange, { min: null, max: 100 });
+		assert.deepEqual(rules.diversity, { lambda: 0.7 });
+	});
+
+	it('should reject invalid rules', () => {
+		assert.throws(() => resolveRerank({ boost: { footwear: 'high' } }), /rerank.boost.footwear must be a number/);
+		assert.throws(() => resolveRerank({ bury: 'clearance' }), /rerank.bury must be an array/);
+		assert.throws(() => resolveRerank({ inStockOnly: 'yes' }), /inStockOnly must be a boolean/);
+		assert.throws(() => resolveRerank({ priceRange: { min: 50, max: 10 } }), /min must not be greater/);
+		assert.throws(() => resolveRerank({}, { priceRange: 'cheap' }), /priceRange must be an object/);
+		assert.throws(() => resolveRerank({ diversity: { lambda: 2 } }), /lambda must be a number between 0 and 1/);
+		assert.throws(() => resolveRerank({ limit: 0 }), /limit must be a positive integer/);
+	});
+
+	it('should sort by score without rules', () => {
+		const { products, report } = rerankProducts([scored('a', 0.2), scored('b', 0.9), scored('c')], resolveRerank());
+
+		assert.deepEqual(ids(products), ['b', 'a', 'c']);
+		assert.equal(products[0].rerank, undefined);
+		assert.deepEqual(report, { removed: { outOfStock: 0, priceRange: 0 }, boosted: 0, buried: 0, diversified: false });
+	});
+
+	it('should drop out-of-stock products and products outside the price range', () => {
+		const products = [
+			scored('sold-out', 0.9, { inStock: false }),
+			scored('no-stock', 0.8, { stock: 0 }),
+			scored('pricey', 0.7, { price: 250 }),
+			scored('cheap', 0.6, { price: 40, stock: 3 }),
+			scored('unknown', 0.5),
+		];
+
+		const { products: ranked, report } = rerankProducts(
+			products,
+			resolveRerank({ inStockOnly: true }, { priceRange: { min: 20, max: 200 } })
+		);
+
+		assert.deepEqual(ids(ranked), ['cheap', 'unknown']);
+		assert.deepEqual(report.removed, { outOfStock: 2, priceRange: 1 });
+	});
+
+	it('should boost and bury categories', () => {
+		const products = [
+			scored('tent', 0.9, { category: 'Shelter' }),
+			scored('boot', 0.8, { category: 'Footwear' }),
+			scored('old-boot', 0.95, { category: 'Clearance' }),
+			scored('stove', 0.85, { category: 'Cooking' }),
+		];
+
+		const { products: ranked, report } = rerankProducts(
+			products,
+			resolveRerank({ boost: { footwear: 0.2, cooking: -0.5 }, bury: ['clearance'] })
+		);
+
+		assert.deepEqual(ids(ranked), ['boot', 'tent', 'stove', 'old-boot']);
+		assert.deepEqual(ranked[0].rerank, { boost: 0.2 });
+		assert.deepEqual(ranked[3].rerank, { buried: true });
+		assert.equal(ranked[0].personalizedScore, 0.8);
+		assert.equal(report.boosted, 2);
+		assert.equal(report.buried, 1);
+	});
+
+	it('should spread near-duplicate products apart with embeddings', () => {
+		const products = [scored('boot-1', 1), scored('boot-2', 0.95), scored('jacket', 0.9)];
+		const vectors = [
+			[1, 0],
+			[0.99, 0.01],
+			[0, 1],
+		];
+
+		const { products: ranked, report } = rerankProducts(products, resolveRerank({ diversity: { lambda: 0.5 } }), {
+			vectors,
+		});
+
+		assert.deepEqual(ids(ranked), ['boot-1', 'jacket', 'boot-2']);
+		assert.equal(ranked[0].rerank.maxSimilarity, 0);
+		assert.ok(ranked[2].rerank.maxSimilarity > 0.99);
+		assert.equal(report.diversified, true);
+	});
+
+	it('should compare product text when embeddings are missing', () => {
+		const products = [
+			scored('a', 1, { name: 'Trail Runner', description: 'Lightweight trail shoe' }),
+			scored('b', 0.95, { name: 'Trail Runner', description: 'Lightweight trail shoe' }),
+			scored('c', 0.9, { name: 'Rain Jacket', description: 'Waterproof shell' }),
+		];
+
+		const { products: ranked } = rerankProducts(products, resolveRerank({ diversity: { lambda: 0.5 }, limit: 2 }));
+
+		assert.deepEqual(ids(ranked), ['a', 'c']);
+	});
+});
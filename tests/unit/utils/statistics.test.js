@@ -0,0 +1,262 @@
+/**
+ * Statistics Unit Tests
+ *
+ * Checks the drift/monitoring statistics against hand-computed reference values.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+	mean,
+	percentile,
+	ksTest,
+	psi,
+	categoricalPsi,
+	chiSquareTest,
+	totalVariationDistance,
+	centroid,
+	cosineDistance,
+	twoProportionZTest,
+	normalCdf,
+	createRng,
+	bootstrapCI,
+	bootstrapDifferenceCI,
+	spearmanCorrelation,
+	mannWhitneyU,
+	quantileSketch,
+} from '../../../src/core/utils/statistics.js';
+
+function approx(actual, expected, tolerance = 1e-6) {
+	assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected}, got ${actual}`);
+}
+
+const uniform = Array.from({ length: 200 }, (_, i) => i);
+
+describe('statistics', () => {
+	describe('mean', () => {
+		it('should average values and return 0 for empty input', () => {
+			assert.equal(mean([1, 2, 3, 4]), 2.5);
+			assert.equal(mean([]), 0);
+		});
+	});
+
+	describe('percentile', () => {
+		it('should interpolate between neighbours', () => {
+			const values = [10, 15, 20, 25, 30];
+			assert.equal(percentile(values, 50), 20);
+			approx(percentile(values, 95), 30);
+			approx(percentile(values, 30), 15);
+		});
+
+		it('should handle empty, single and extreme inputs', () => {
+			assert.equal(percentile([], 50), 0);
+			assert.equal(percentile([7], 99), 7);
+			assert.equal(percentile([1, 2, 3], 0), 1);
+			assert.equal(percentile([1, 2, 3], 100), 3);
+		});
+	});
+
+	describe('ksTest', () => {
+		it('should report no difference for identical samples', () => {
+			const result = ksTest(uniform, uniform);
+			assert.equal(result.statistic, 0);
+			assert.equal(result.pValue, 1);
+		});
+
+		it('should detect a shifted distribution', () => {
+			const shifted = uniform.map((v) => v + 100);
+			const result = ksTest(uniform, shifted);
+			approx(result.statistic, 0.5, 1e-9);
+			assert.ok(result.pValue < 1e-6);
+		});
+
+		it('should handle tied values', () => {
+			const result = ksTest([1, 1, 1, 2], [1, 2, 2, 2]);
+			approx(result.statistic, 0.5);
+		});
+
+		it('should return a neutral result for empty samples', () => {
+			assert.deepEqual(ksTest([], [1, 2]), { statistic: 0, pValue: 1 });
+		});
+	});
+
+	describe('psi', () => {
+		it('should be 0 for identical samples', () => {
+			approx(psi(uniform, uniform), 0);
+		});
+
+		it('should exceed 0.2 for a large shift', () => {
+			const shifted = uniform.map((v) => v + 60);
+			assert.ok(psi(uniform, shifted) > 0.2);
+		});
+	});
+
+	describe('categoricalPsi', () => {
+		it('should match the closed-form value', () => {
+			// (0.9-0.5)ln(0.9/0.5) + (0.1-0.5)ln(0.1/0.5)
+			const expected = 0.4 * Math.log(1.8) + -0.4 * Math.log(0.2);
+			approx(categoricalPsi({ tent: 50, stove: 50 }, { tent: 90, stove: 10 }), expected);
+		});
+	});
+
+	describe('chiSquareTest', () => {
+		it('should compute statistic and p-value for a 2x2 table', () => {
+			const result = chiSquareTest({ a: 10, b: 20 }, { a: 20, b: 10 });
+			approx(result.statistic, 20 / 3);
+			assert.equal(result.degreesOfFreedom, 1);
+			approx(result.pValue, 0.009823, 1e-5);
+		});
+
+		it('should compute p-value for more categories', () => {
+			const result = chiSquareTest({ a: 10, b: 20, c: 30 }, { a: 30, b: 20, c: 10 });
+			approx(result.statistic, 20);
+			assert.equal(result.degreesOfFreedom, 2);
+			approx(result.pValue, Math.exp(-10), 1e-9);
+		});
+
+		it('should handle categories missing from one window', () => {
+			const result = chiSquareTest({ a: 50 }, { a: 25, b: 25 });
+			assert.equal(result.degreesOfFreedom, 1);
+			assert.ok(result.pValue < 0.001);
+		});
+
+		it('should return a neutral result for a single category', () => {
+			assert.deepEqual(chiSquareTest({ a: 5 }, { a: 7 }), { statistic: 0, degreesOfFreedom: 0, pValue: 1 });
+		});
+	});
+
+	describe('totalVariationDistance', () => {
+		it('should be 0 for equal and 1 for disjoint distributions', () => {
+			assert.equal(totalVariationDistance({ a: 1, b: 1 }, { a: 5, b: 5 }), 0);
+			assert.equal(totalVariationDistance({ a: 3 }, { b: 3 }), 1);
+		});
+	});
+
+	describe('centroid and cosineDistance', () => {
+		it('should average vectors element-wise', () => {
+			assert.deepEqual(
+				centroid([
+					[1, 0],
+					[0, 1],
+				]),
+				[0.5, 0.5]
+			);
+			assert.equal(centroid([]), null);
+		});
+
+		it('should measure angular distance', () => {
+			approx(cosineDistance([1, 0], [2, 0]), 0);
+			approx(cosineDistance([1, 0], [0, 1]), 1);
+			approx(cosineDistance([1, 0], [-1, 0]), 2);
+			assert.equal(cosineDistance([0, 0], [1, 0]), 0);
+		});
+	});
+
+	describe('twoProportionZTest', () => {
+		it('should match the pooled z statistic', () => {
+			const result = twoProportionZTest(80, 100, 92, 100);
+			approx(result.difference, 0.12);
+			approx(result.z, 2.4454, 1e-3);
+			approx(result.pValue, 0.0145, 1e-3);
+		});
+
+		it('should return p = 1 for empty groups or identical rates', () => {
+			assert.equal(twoProportionZTest(0, 0, 5, 10).pValue, 1);
+			assert.equal(twoProportionZTest(10, 10, 20, 20).pValue, 1);
+		});
+	});
+
+	describe('normalCdf', () => {
+		it('should match standard normal quantiles', () => {
+			approx(normalCdf(0), 0.5, 1e-7);
+			approx(normalCdf(1.96), 0.975, 1e-4);
+			approx(normalCdf(-1.645), 0.05, 1e-3);
+		});
+	});
+
+	describe('bootstrap', () => {
+		it('createRng should be deterministic per seed', () => {
+			const a = createRng(42);
+			const b = createRng(42);
+			const values = [a(), a(), a()];
+			assert.deepEqual([b(), b(), b()], values);
+			assert.ok(values.every((v) => v >= 0 && v < 1));
+		});
+
+		it('bootstrapCI should bracket the mean', () => {
+			const values = Array.from({ length: 100 }, (_, i) => i);
+			const ci = bootstrapCI(values);
+			assert.ok(ci.lower < 49.5 && ci.upper > 49.5);
+			assert.ok(ci.upper - ci.lower < 25);
+			assert.equal(bootstrapCI([]), null);
+		});
+
+		it('bootstrapDifferenceCI should exclude zero for separated groups', () => {
+			const ci = bootstrapDifferenceCI([1, 2, 3, 2, 1], [11, 12, 13, 12, 11]);
+			assert.ok(ci.lower > 0);
+			assert.equal(bootstrapDifferenceCI([], [1]), null);
+		});
+	});
+
+	describe('spearmanCorrelation', () => {
+		it('should correlate ranks rather than values', () => {
+			approx(spearmanCorrelation([1, 2, 3, 4], [10, 20, 30, 25]), 0.8);
+			approx(spearmanCorrelation([1, 2, 3], [1, 100, 1000]), 1);
+			approx(spearmanCorrelation([1, 2, 3], [3, 2, 1]), -1);
+		});
+
+		it('should average tied ranks', () => {
+			approx(spearmanCorrelation([1, 2, 2, 3], [1, 2, 3, 4]), 0.9486833);
+		});
+
+		it('should return null when undefined', () => {
+			assert.equal(spearmanCorrelation([1], [1]), null);
+			assert.equal(spearmanCorrelation([1, 1, 1], [1, 2, 3]), null);
+			assert.throws(() => spearmanCorrelation([1, 2], [1]), /same length/);
+		});
+	});
+
+	describe('mannWhitneyU', () => {
+		it('should match the one-sided normal approximation', () => {
+			// scipy.stats.mannwhitneyu(x, y, alternative='greater', method='asymptotic')
+			const result = mannWhitneyU([12, 14, 15, 18], [9, 10, 11, 13], { alternative: 'greater' });
+			assert.equal(result.u, 15);
+			approx(result.pValue, 0.0303009);
+			approx(result.effectSize, 0.9375);
+
+			approx(mannWhitneyU([12, 14, 15, 18], [9, 10, 11, 13], { alternative: 'less' }).pValue, 0.98481, 1e-4);
+		});
+
+		it('should correct the variance for ties', () => {
+			const result = mannWhitneyU([1, 2, 2, 3], [2, 3, 4, 5]);
+			assert.equal(result.u, 2.5);
+			approx(result.z, -1.48835, 1e-4);
+			approx(result.pValue, 0.13666, 1e-4);
+		});
+
+		it('should handle empty and constant samples', () => {
+			assert.equal(mannWhitneyU([], [1, 2]), null);
+			assert.deepEqual(mannWhitneyU([5, 5], [5, 5]), { u: 2, z: 0, pValue: 1, effectSize: 0.5 });
+			assert.throws(() => mannWhitneyU([1], [2], { alternative: 'bigger' }), /Unknown alternative/);
+		});
+	});
+
+	describe('quantileSketch', () => {
+		it('should keep small samples sorted and whole', () => {
+			assert.deepEqual(quantileSketch([3, 1, 2], 5), [1, 2, 3]);
+		});
+
+		it('should reduce large samples to evenly spaced quantiles', () => {
+			const values = Array.from({ length: 1000 }, (_, i) => 999 - i);
+			const sketch = quantileSketch(values, 10);
+
+			assert.equal(sketch.length, 10);
+			approx(sketch[0], 49.5);
+			approx(sketch[9], 949.5);
+			assert.deepEqual(
+				[...sketch].sort((a, b) => a - b),
+				sketch
+			);
+		});
+	});
+});
@@ -0,0 +1,65 @@
+/**
+ * Stream Unit Tests
+ *
+ * Checks that a consumer going away aborts the iterable behind the stream.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { abortOnClose } from '../../../src/core/utils/stream.js';
+
+describe('abortOnClose', () => {
+	it('should stream the chunks of the iterable', async () => {
+		const stream = abortOnClose(async function* () {
+			yield 'a';
+			yield 'b';
+		});
+
+		const chunks = [];
+		for await (const chunk of stream) {
+			chunks.push(chunk);
+		}
+
+		assert.deepEqual(chunks, ['a', 'b']);
+	});
+
+	it('should abort the signal when the consumer closes the stream early', async () => {
+		let signal;
+		const stream = abortOnClose(async function* (s) {
+			signal = s;
+			yield 'token';
+			// Like a pending upstream read, this only settles once aborted
+			await once(signal, 'abort');
+			yield 'never read';
+		});
+
+		const [chunk] = await once(stream, 'data');
+		assert.equal(chunk, 'token');
+		assert.equal(signal.aborted, false);
+
+		// What the server does with the response stream when the client disconnects mid-response
+		stream.destroy();
+		await once(stream, 'close');
+
+		assert.equal(signal.aborted, true);
+	});
+
+	it('should let the iterable handle the abort before the stream closes', async () => {
+		const seen = [];
+		const stream = abortOnClose(async function* (signal) {
+			try {
+				yield 'token';
+				await once(signal, 'abort');
+			} finally {
+				seen.push('cleaned up');
+			}
+		});
+
+		await once(stream, 'data');
+		stream.destroy();
+		await once(stream, 'close');
+
+		assert.deepEqual(seen, ['cleaned up']);
+	});
+});
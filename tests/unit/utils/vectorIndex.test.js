@@ -0,0 +1,158 @@
+/**
+ * Vector Index Unit Tests
+ *
+ * Checks exact brute-force search and HNSW recall against brute force on seeded random vectors.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { BruteForceIndex, HnswIndex, createVectorIndex, normalizeVector } from '../../../src/core/utils/vectorIndex.js';
+
+/**
+ * Deterministic [0, 1) generator (mulberry32)
+ */
+function seededRandom(seed) {
+	return () => {
+		seed = (seed + 0x6d2b79f5) | 0;
+		let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+		t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+function randomVectors(count, dimensions, random) {
+	return Array.from({ length: count }, () => Array.from({ length: dimensions }, () => random() * 2 - 1));
+}
+
+describe('vector indexes', () => {
+	it('should normalize vectors to unit length', () => {
+		assert.deepEqual([...normalizeVector([3, 4])], [0.6000000238418579, 0.800000011920929]);
+		assert.deepEqual([...normalizeVector([0, 0])], [0, 0]);
+	});
+
+	describe('BruteForceIndex', () => {
+		it('should return the most similar vectors first', () => {
+			const index = new BruteForceIndex();
+			index.add('east', [1, 0]);
+			index.add('north', [0, 2]);
+			index.add('north-east', [1, 1]);
+
+			const results = index.search([2, 0.1], 2);
+
+			assert.deepEqual(
+				results.map((result) => result.id),
+				['east', 'north-east']
+			);
+			assert.ok(results[0].score > 0.99);
+		});
+
+		it('should replace and remove vectors', () => {
+			const index = new BruteForceIndex();
+			index.add('a', [1, 0]);
+			index.add('a', [0, 1]);
+			index.add('b', [1, 0]);
+
+			assert.equal(index.size, 2);
+			assert.equal(index.search([0, 1], 1)[0].id, 'a');
+			assert.equal(index.remove('a'), true);
+			assert.equal(index.remove('a'), false);
+			assert.deepEqual(
+				index.search([0, 1], 5).map((result) => result.id),
+				['b']
+			);
+		});
+
+		it('should reject vectors of another dimension', () => {
+			const index = new BruteForceIndex();
+			index.add('a', [1, 0, 0]);
+
+			assert.throws(() => index.add('b', [1, 0]), /Expected a 3-dimensional vector, got 2/);
+			assert.throws(() => index.search([1, 0], 1), /Expected a 3-dimensional vector/);
+			assert.throws(() => index.add('c', [1, NaN, 0]), /finite numbers/);
+		});
+	});
+
+	describe('HnswIndex', () => {
+		const random = seededRandom(42);
+		const vectors = randomVectors(500, 16, random);
+		const queries = randomVectors(20, 16, random);
+
+		const build = (options = {}) => {
+			const exact = new BruteForceIndex();
+			const hnsw = new HnswIndex({ random: seededRandom(7), ...options });
+			vectors.forEach((vector, i) => {
+				exact.add(`v${i}`, vector);
+				hnsw.add(`v${i}`, vector);
+			});
+			return { exact, hnsw };
+		};
+
+		const recall = (exact, hnsw, k) => {
+			let found = 0;
+			for (const query of queries) {
+				const expected = new Set(exact.search(query, k).map((result) => result.id));
+				found += hnsw.search(query, k).filter((result) => expected.has(result.id)).length;
+			}
+			return found / (queries.length * k);
+		};
+
+		it('should find nearly the same neighbours as brute force', () => {
+			const { exact, hnsw } = build({ m: 8, efConstruction: 100, efSearch: 50 });
+
+			assert.equal(hnsw.size, 500);
+			assert.ok(recall(exact, hnsw, 10) >= 0.9);
+		});
+
+		it('should report scores as cosine similarity', () => {
+			const { exact, hnsw } = build({ m: 8, efConstruction: 100 });
+			const [best] = exact.search(queries[0], 1);
+			const [found] = hnsw.search(queries[0], 1);
+
+			assert.equal(found.id, best.id);
+			assert.ok(Math.abs(found.score - best.score) < 1e-6);
+		});
+
+		it('should skip removed vectors and rebuild once most are removed', () => {
+			const { exact, hnsw } = build({ m: 8, efConstruction: 100 });
+			for (let i = 0; i < 200; i++) {
+				hnsw.remove(`v${i}`);
+				exact.remove(`v${i}`);
+			}
+
+			assert.equal(hnsw.size, 300);
+			assert.equal(hnsw.deletedCount, 200);
+			assert.ok(queries.every((query) => hnsw.search(query, 10).every((result) => Number(result.id.slice(1)) >= 200)));
+			assert.ok(recall(exact, hnsw, 10) >= 0.9);
+
+			for (let i = 200; i < 300; i++) {
+				hnsw.remove(`v${i}`);
+				exact.remove(`v${i}`);
+			}
+			// The 251st removal crossed half the nodes and compacted the graph to 249 live nodes
+			assert.equal(hnsw.size, 200);
+			assert.equal(hnsw.nodes.length, 249);
+			assert.equal(hnsw.deletedCount, 49);
+			assert.ok(recall(exact, hnsw, 10) >= 0.9);
+		});
+
+		it('should handle an empty index and replacement', () => {
+			const hnsw = new HnswIndex();
+			assert.deepEqual(hnsw.search([1, 0], 3), []);
+
+			hnsw.add('a', [1, 0]);
+			hnsw.add('a', [0, 1]);
+			assert.equal(hnsw.size, 1);
+			assert.deepEqual(
+				hnsw.search([0, 1], 3).map((result) => result.id),
+				['a']
+			);
+		});
+	});
+
+	it('should create indexes by type', () => {
+		assert.ok(createVectorIndex() instanceof BruteForceIndex);
+		assert.ok(createVectorIndex('hnsw', { m: 4 }) instanceof HnswIndex);
+		assert.equal(createVectorIndex('hnsw', { m: 4 }).m, 4);
+		assert.throws(() => createVectorIndex('ivf'), /Unknown vector index type: ivf/);
+	});
+});